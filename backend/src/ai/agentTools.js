@@ -0,0 +1,463 @@
+/**
+ * SwarnaAI Agent Tools
+ *
+ * Tools the chat agent can call. Every tool reads through MetalPriceService
+ * and DataService, so the agent follows the active provider chain, DB-only
+ * mode and api_logs logging, and answers from the same data as the dashboard.
+ * Prices in other currencies than the base are converted with stored FX rates.
+ * Live price tools report the price of a city when the input names one or
+ * the user has saved one, with the city's premium applied.
+ *
+ * Tools take a single natural-language string (the conversational agent
+ * does not support structured tool input) and return JSON strings.
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const { DynamicTool } = require('langchain/tools');
+const chrono = require('chrono-node');
+const dataService = require('../services/dataService');
+const fxService = require('../services/fxService');
+const cityPremiumService = require('../services/cityPremiumService');
+const { METAL_SYMBOLS, CURRENCY_CODES } = require('../schemas/apiSchemas');
+
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+const SUPPORTED_KARATS = [24, 22, 18, 14];
+
+// Metal name -> symbol (gold -> XAU)
+const METAL_NAMES = Object.fromEntries(
+  Object.entries(METAL_SYMBOLS).map(([symbol, name]) => [name, symbol])
+);
+
+const CURRENCY_WORDS = {
+  rupee: 'INR',
+  rupees: 'INR',
+  '₹': 'INR',
+  dollar: 'USD',
+  dollars: 'USD',
+  '$': 'USD',
+  euro: 'EUR',
+  euros: 'EUR',
+  '€': 'EUR',
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function getMetalInfo(input) {
+  const metalInput = (input || '').toLowerCase();
+  for (const metal in METAL_NAMES) {
+    if (metalInput.includes(metal)) {
+      return { symbol: METAL_NAMES[metal], name: metal };
+    }
+  }
+  return { symbol: 'XAU', name: 'gold' }; // Default to gold
+}
+
+/**
+ * All metals mentioned in the input, in the order they appear
+ */
+function getMetalsMentioned(input) {
+  const metalInput = (input || '').toLowerCase();
+  return Object.keys(METAL_NAMES)
+    .map(name => ({ name, symbol: METAL_NAMES[name], index: metalInput.indexOf(name) }))
+    .filter(metal => metal.index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map(({ name, symbol }) => ({ name, symbol }));
+}
+
+/**
+ * Currencies mentioned in the input as { code, index }, in the order they appear
+ */
+function findCurrencies(input) {
+  const words = Object.keys(CURRENCY_WORDS).map(word => word.replace('$', '\\$')).join('|');
+  const pattern = new RegExp(`\\b(${Object.keys(CURRENCY_CODES).join('|')})\\b|(${words})`, 'gi');
+  return [...(input || '').matchAll(pattern)].map(match => ({
+    code: match[1] ? match[1].toUpperCase() : CURRENCY_WORDS[match[2].toLowerCase()],
+    index: match.index,
+  }));
+}
+
+function getCurrenciesMentioned(input) {
+  return findCurrencies(input).map(currency => currency.code);
+}
+
+function getCurrency(input, defaultCurrency) {
+  return getCurrenciesMentioned(input)[0] || defaultCurrency;
+}
+
+/**
+ * City named in the input, else the default city; null for national prices
+ */
+async function getCity(input, defaultCity) {
+  if (/\bnational\b/i.test(input || '')) return null;
+
+  const mentioned = await cityPremiumService.findCityInText(input);
+  if (mentioned) return mentioned;
+
+  return defaultCity ? cityPremiumService.getCity(defaultCity) : null;
+}
+
+/**
+ * Apply the city's premium to a live quote when there is a city
+ */
+async function withCityPremium(quote, symbol, city) {
+  return city ? cityPremiumService.applyPremium(quote, symbol, city) : quote;
+}
+
+const cityName = (city) => (city ? city.name : null);
+
+/**
+ * Parse a natural language period ("last week", "past 30 days", "between May 1
+ * and June 1") into a start and end date. Defaults to the last 7 days.
+ */
+function parsePeriod(input) {
+  const dates = chrono.parse(input || '');
+  let end = new Date();
+  let start = new Date();
+
+  if (dates.length >= 2) {
+    start = dates[0].start.date();
+    end = dates[1].start.date();
+  } else if (dates.length === 1) {
+    start = dates[0].start.date();
+    if (dates[0].end) {
+      end = dates[0].end.date();
+    }
+  } else {
+    const days = parseInt((input || '').match(/\d+/)?.[0], 10) || 7;
+    start.setDate(end.getDate() - days);
+  }
+
+  return start <= end ? { start, end } : { start: end, end: start };
+}
+
+const isToday = (date) => new Date().toDateString() === date.toDateString();
+
+/**
+ * Current price for a metal through the provider chain (or DB in DB-only mode)
+ */
+async function getLiveQuote(symbol, currency) {
+  const response = await fxService.getLivePrice(symbol, currency);
+  if (!response.success || !response.data) {
+    throw new Error(response.error?.message || `No price available for ${symbol}/${currency}`);
+  }
+  return response.data;
+}
+
+/**
+ * Last stored price at or before a date, converted from the base currency at
+ * that date's rate; prices stored in the currency itself when there is no rate
+ */
+async function getStoredPriceAtOrBefore(symbol, currency, date) {
+  const baseCurrency = fxService.getBaseCurrency();
+  const stored = await dataService.getPriceAtOrBefore(symbol, baseCurrency, date);
+
+  if (stored && currency !== baseCurrency) {
+    const converted = await fxService.convertPrice(stored, currency, { at: stored.timestamp });
+    if (converted) return converted;
+  }
+
+  return currency === baseCurrency ? stored : dataService.getPriceAtOrBefore(symbol, currency, date);
+}
+
+/**
+ * Daily closes over a period, converted from the base currency at each day's
+ * rate; closes stored in the currency itself when there is no rate
+ */
+async function getDailyCloses(symbol, currency, start, end) {
+  const baseCurrency = fxService.getBaseCurrency();
+  const closes = await dataService.getDailyCloses(symbol, baseCurrency, start, end);
+
+  if (currency === baseCurrency) return closes;
+
+  const converted = await fxService.convertSeries(closes, baseCurrency, currency, {
+    fields: ['price'],
+    timeOf: close => `${close.date}T23:59:59Z`
+  });
+
+  return converted || dataService.getDailyCloses(symbol, currency, start, end);
+}
+
+/**
+ * Price on a past date: stored history first, then the provider chain
+ */
+async function getPriceOnDate(symbol, currency, date) {
+  if (isToday(date)) {
+    const quote = await getLiveQuote(symbol, currency);
+    return { price: quote.price, timestamp: quote.timestamp };
+  }
+
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+  const stored = await getStoredPriceAtOrBefore(symbol, currency, endOfDay);
+  if (stored) {
+    return { price: stored.price, timestamp: stored.timestamp };
+  }
+
+  const formattedDate = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const response = await fxService.getHistoricalPrice(symbol, currency, formattedDate);
+  if (response.success && response.data) {
+    return { price: response.data.price, timestamp: response.data.timestamp };
+  }
+  return null;
+}
+
+/**
+ * Price per gram of pure metal, from the quote's 24k field or the ounce price
+ */
+function pricePerGram(quote) {
+  return quote.price_gram_24k || quote.price / GRAMS_PER_TROY_OUNCE;
+}
+
+const toJSON = (data) => JSON.stringify(data);
+
+/**
+ * @param {Object} [options] - { currency, city } used when the input names
+ *   none; currency defaults to the base currency, city to national prices
+ */
+function createTools({ currency: defaultCurrency = fxService.getBaseCurrency(), city: defaultCity = null } = {}) {
+  const citySuffix = ' A city (e.g. Mumbai, Chennai) is optional and applies that city\'s premium; "national" skips it.';
+
+  return [
+    new DynamicTool({
+      name: 'getCurrentPrice',
+      description: `Returns the latest price for a specified precious metal (gold, silver, platinum, or palladium) per troy ounce and per gram. Input should be a string containing the name of the metal and optionally a currency (INR, USD, EUR; default ${defaultCurrency}).${citySuffix}`,
+      func: async (input) => {
+        try {
+          const { symbol, name } = getMetalInfo(input);
+          const currency = getCurrency(input, defaultCurrency);
+          const city = await getCity(input, defaultCity);
+          const quote = await withCityPremium(await getLiveQuote(symbol, currency), symbol, city);
+          return toJSON({
+            metal: name,
+            currency,
+            city: cityName(city),
+            cityPremium: quote.cityPremium || null,
+            pricePerOunce: round(quote.price),
+            pricePerGram24k: round(pricePerGram(quote)),
+            pricePerGram22k: quote.price_gram_22k ? round(quote.price_gram_22k) : null,
+            change: quote.change,
+            changePercent: quote.changePercent,
+            asOf: new Date(quote.timestamp * 1000).toISOString(),
+          });
+        } catch (err) {
+          return `Could not fetch current price for ${input}.`;
+        }
+      },
+    }),
+    new DynamicTool({
+      name: 'getHistoricalComparison',
+      description: 'Returns the price change for a specified precious metal (gold, silver, platinum, or palladium) in absolute terms and percent over a natural language period (e.g., "last week", "past 30 days", "yesterday", or between two dates). The input must contain both the metal name and the time period; a currency (INR, USD, EUR) is optional.',
+      func: async (input) => {
+        try {
+          const { symbol, name } = getMetalInfo(input);
+          const currency = getCurrency(input, defaultCurrency);
+          const { start, end } = parsePeriod(input);
+
+          const [startPrice, endPrice] = await Promise.all([
+            getPriceOnDate(symbol, currency, start),
+            getPriceOnDate(symbol, currency, end),
+          ]);
+          if (!startPrice || !endPrice) return 'Not enough data.';
+
+          const priceDiff = endPrice.price - startPrice.price;
+          return toJSON({
+            metal: name,
+            currency,
+            from: { date: new Date(startPrice.timestamp * 1000).toISOString().slice(0, 10), price: round(startPrice.price) },
+            to: { date: new Date(endPrice.timestamp * 1000).toISOString().slice(0, 10), price: round(endPrice.price) },
+            change: round(priceDiff),
+            changePercent: round((priceDiff / startPrice.price) * 100),
+            summary: `${capitalize(name)}: ${round(startPrice.price)} → ${round(endPrice.price)} ${currency} (Change: ${round(priceDiff)} / ${round((priceDiff / startPrice.price) * 100)}%)`,
+          });
+        } catch (err) {
+          return 'Could not fetch historical comparison.';
+        }
+      },
+    }),
+    new DynamicTool({
+      name: 'getKaratPrice',
+      description: `Returns the price of a metal by karat (24k, 22k, 18k or 14k) and weight in grams, e.g. "22k gold 10 grams" or "18 karat gold 5g in USD". Defaults to 24k, 1 gram and ${defaultCurrency}.${citySuffix}`,
+      func: async (input) => {
+        try {
+          const { symbol, name } = getMetalInfo(input);
+          const currency = getCurrency(input, defaultCurrency);
+          const karatMatch = (input || '').match(/(\d{2})\s*(k\b|kt\b|karat|carat)/i);
+          const karat = karatMatch ? parseInt(karatMatch[1], 10) : 24;
+          if (!SUPPORTED_KARATS.includes(karat)) {
+            return `Unsupported karat ${karat}. Supported: ${SUPPORTED_KARATS.join(', ')}.`;
+          }
+
+          const gramsMatch = (input || '').match(/(\d+(?:\.\d+)?)\s*(g\b|gm|gram|grams)/i);
+          const grams = gramsMatch ? parseFloat(gramsMatch[1]) : 1;
+
+          const city = await getCity(input, defaultCity);
+          const quote = await withCityPremium(await getLiveQuote(symbol, currency), symbol, city);
+          const storedKaratPrice = quote[`price_gram_${karat}k`];
+          const perGram = storedKaratPrice || pricePerGram(quote) * (karat / 24);
+
+          return toJSON({
+            metal: name,
+            karat,
+            purity: round((karat / 24) * 100, 1),
+            grams,
+            currency,
+            city: cityName(city),
+            pricePerGram: round(perGram),
+            totalPrice: round(perGram * grams),
+            asOf: new Date(quote.timestamp * 1000).toISOString(),
+          });
+        } catch (err) {
+          return `Could not calculate karat price for ${input}.`;
+        }
+      },
+    }),
+    new DynamicTool({
+      name: 'compareMetals',
+      description: 'Compares the latest prices of several precious metals side by side (per ounce, per gram and daily change), including the gold/silver ratio. Input lists the metals to compare, or "all"; a currency (INR, USD, EUR) is optional.' + citySuffix,
+      func: async (input) => {
+        try {
+          const currency = getCurrency(input, defaultCurrency);
+          const city = await getCity(input, defaultCity);
+          const mentioned = getMetalsMentioned(input);
+          const metals = mentioned.length > 0 ? mentioned : getMetalsMentioned(Object.keys(METAL_NAMES).join(' '));
+
+          const response = await fxService.getAllLivePrices(currency);
+          if (!response.success || !response.data) {
+            return 'Could not fetch metal prices for comparison.';
+          }
+
+          const prices = city
+            ? await cityPremiumService.applyPremiums(response.data, city)
+            : response.data;
+
+          const comparison = metals
+            .filter(({ name }) => prices[name])
+            .map(({ name }) => {
+              const quote = prices[name];
+              return {
+                metal: name,
+                pricePerOunce: round(quote.price),
+                pricePerGram: round(pricePerGram(quote)),
+                changePercent: quote.changePercent,
+              };
+            });
+
+          const gold = prices.gold;
+          const silver = prices.silver;
+          return toJSON({
+            currency,
+            city: cityName(city),
+            metals: comparison,
+            goldSilverRatio: gold && silver ? round(gold.price / silver.price) : null,
+          });
+        } catch (err) {
+          return 'Could not compare metals.';
+        }
+      },
+    }),
+    new DynamicTool({
+      name: 'getPriceStatistics',
+      description: 'Returns statistics for a metal over a natural language period (e.g. "gold last 30 days", "silver between March 1 and April 1"): minimum, maximum, average, first and last daily close, and volatility (standard deviation of daily % changes). A currency (INR, USD, EUR) is optional.',
+      func: async (input) => {
+        try {
+          const { symbol, name } = getMetalInfo(input);
+          const currency = getCurrency(input, defaultCurrency);
+          const { start, end } = parsePeriod(input);
+
+          const closes = await getDailyCloses(symbol, currency, start, end);
+          if (closes.length < 2) {
+            return `Not enough stored price history for ${name} in ${currency} over that period.`;
+          }
+
+          const prices = closes.map(close => close.price);
+          const average = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+          const returns = prices.slice(1).map((price, i) => ((price - prices[i]) / prices[i]) * 100);
+          const meanReturn = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+          const variance = returns.reduce((sum, value) => sum + (value - meanReturn) ** 2, 0) / returns.length;
+
+          const first = closes[0];
+          const last = closes[closes.length - 1];
+          return toJSON({
+            metal: name,
+            currency,
+            from: first.date,
+            to: last.date,
+            days: closes.length,
+            min: round(Math.min(...prices)),
+            max: round(Math.max(...prices)),
+            average: round(average),
+            first: round(first.price),
+            last: round(last.price),
+            changePercent: round(((last.price - first.price) / first.price) * 100),
+            dailyVolatilityPercent: round(Math.sqrt(variance)),
+          });
+        } catch (err) {
+          return 'Could not calculate price statistics.';
+        }
+      },
+    }),
+    new DynamicTool({
+      name: 'convertCurrency',
+      description: 'Converts an amount between currencies (INR, USD, EUR) or between a metal and a currency, e.g. "1000 USD to INR", "2 ounces of gold to EUR" or "50000 INR to silver" (metal amounts are troy ounces). Uses the same stored prices and exchange rates as the dashboard.',
+      func: async (input) => {
+        try {
+          const amountMatch = (input || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+          const amount = amountMatch ? parseFloat(amountMatch[1]) : 1;
+          const currencies = getCurrenciesMentioned(input);
+          const metals = getMetalsMentioned(input);
+
+          let from;
+          let to;
+          let result;
+
+          if (metals.length > 0 && currencies.length > 0) {
+            const metal = metals[0];
+            const [{ code: currency, index: currencyIndex }] = findCurrencies(input);
+            const quote = await getLiveQuote(metal.symbol, currency);
+            const metalFirst = input.toLowerCase().indexOf(metal.name) < currencyIndex;
+
+            if (metalFirst) {
+              from = `${metal.name} (oz)`;
+              to = currency;
+              result = amount * quote.price;
+            } else {
+              from = currency;
+              to = `${metal.name} (oz)`;
+              result = amount / quote.price;
+            }
+          } else if (currencies.length >= 2) {
+            [from, to] = currencies;
+            const fx = await fxService.getRate(from, to);
+            if (fx) {
+              result = amount * fx.rate;
+            } else {
+              // No stored rate yet: cross rate from the gold price in both currencies
+              const [fromQuote, toQuote] = await Promise.all([
+                getLiveQuote('XAU', from),
+                getLiveQuote('XAU', to),
+              ]);
+              result = amount * (toQuote.price / fromQuote.price);
+            }
+          } else {
+            return 'Please specify what to convert from and to, e.g. "1000 USD to INR".';
+          }
+
+          return toJSON({
+            amount,
+            from,
+            to,
+            result: round(result, 6),
+            rate: round(result / amount, 6),
+          });
+        } catch (err) {
+          return `Could not convert ${input}.`;
+        }
+      },
+    }),
+  ];
+}
+
+module.exports = { createTools, getMetalInfo, parsePeriod };
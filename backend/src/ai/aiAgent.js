@@ -1,10 +1,9 @@
-// SwarnaAI conversational agent using LangChain, Vertex AI, and DynamicTool
-const { ChatVertexAI } = require('@langchain/google-vertexai');
+// SwarnaAI conversational agent using LangChain, a configurable chat model, and DynamicTool
 const { initializeAgentExecutorWithOptions } = require('langchain/agents');
 const { BufferMemory, ChatMessageHistory } = require('langchain/memory');
-const { DynamicTool } = require('langchain/tools');
-const { loadCredentials } = require('../utils/googleCreds');
-const chrono = require('chrono-node');
+const { BaseCallbackHandler } = require('@langchain/core/callbacks/base');
+const { createChatModel } = require('./models');
+const { createTools } = require('./agentTools');
 
 const SYSTEM_PROMPT = `You are SwarnaAI, a friendly and knowledgeable financial assistant specializing in the Indian precious metals market. Your mission is to provide users with clear, accurate, and insightful information about gold and silver prices.
 
@@ -15,8 +14,12 @@ const SYSTEM_PROMPT = `You are SwarnaAI, a friendly and knowledgeable financial
 - **Rooted in India:** Frame your responses for an Indian audience, using INR and local market context.
 
 **Core Capabilities:**
-- **Current Prices:** You can fetch the latest gold and silver prices.
+- **Current Prices:** You can fetch the latest gold, silver, platinum and palladium prices per ounce and per gram.
+- **Karat Pricing:** You can price jewellery-grade gold by karat (24k, 22k, 18k, 14k) and weight in grams.
 - **Historical Analysis:** You can compare prices over various timeframes (e.g., "last week," "past 30 days," or between specific dates).
+- **Range Statistics:** You can report the minimum, maximum, average and volatility of a metal's price over a period.
+- **Metal Comparison:** You can compare metals side by side, including the gold/silver ratio.
+- **Currency Conversion:** You can convert between INR, USD and EUR, and between metals and currencies.
 - **Clear Explanations:** You break down market changes into simple terms, explaining the difference in both percentage and absolute INR.
 
 **Interaction Guidelines:**
@@ -29,123 +32,22 @@ const SYSTEM_PROMPT = `You are SwarnaAI, a friendly and knowledgeable financial
 - 'Compare gold price today vs last week.'
 - 'How much did gold change in the past 30 days?'
 - 'What was the gold price difference between today and May 1, 2024?'
-- 'What was the gold price yesterday compared to now?'`;
-
-const GOLD_API_BASE = process.env.GOLD_API_BASE || 'https://www.goldapi.io/api';
-
-const METAL_SYMBOLS = {
-  gold: 'XAU',
-  silver: 'XAG',
-  platinum: 'XPT',
-  palladium: 'XPD',
+- 'What was the gold price yesterday compared to now?'
+- 'How much do 10 grams of 22k gold cost?'
+- 'What were the highest and lowest silver prices last month?'
+- 'Compare gold and silver prices today.'
+- 'Convert 1000 USD to INR.'`;
+
+// Progress messages shown to the user while a tool runs
+const TOOL_LABELS = {
+  getCurrentPrice: 'Fetching the latest price…',
+  getHistoricalComparison: 'Fetching historical comparison…',
+  getKaratPrice: 'Calculating karat price…',
+  compareMetals: 'Comparing metal prices…',
+  getPriceStatistics: 'Calculating price statistics…',
+  convertCurrency: 'Converting currency…',
 };
 
-function getMetalInfo(input) {
-  const metalInput = (input || '').toLowerCase();
-  for (const metal in METAL_SYMBOLS) {
-    if (metalInput.includes(metal)) {
-      return { symbol: METAL_SYMBOLS[metal], name: metal };
-    }
-  }
-  return { symbol: 'XAU', name: 'gold' }; // Default to gold
-}
-
-function createVertexModel(authClient) {
-  return new ChatVertexAI({
-    temperature: 0.2,
-    model: process.env.MODEL,
-    project: process.env.PROJECT_ID,
-    location: process.env.LOCATION,
-    credentials: loadCredentials(),
-    systemMessage: SYSTEM_PROMPT,
-    authClient,
-  });
-}
-
-function createTools() {
-  const GOLD_API_KEY = process.env.GOLD_API_KEY;
-  return [
-    new DynamicTool({
-      name: 'getCurrentPrice',
-      description: 'Returns the latest price for a specified precious metal (gold, silver, platinum, or palladium) in INR for India. Input should be a string containing the name of the metal.',
-      func: async (input) => {
-        try {
-          const { symbol: metalSymbol, name: metalName } = getMetalInfo(input);
-          const res = await fetch(`${GOLD_API_BASE}/${metalSymbol}/INR`, {
-            method: 'GET',
-            headers: {
-              'x-access-token': GOLD_API_KEY,
-              'Content-Type': 'application/json',
-            },
-            redirect: 'follow',
-          });
-          const data = await res.json();
-          return JSON.stringify({ ...data, metal: metalName });
-        } catch (err) {
-          return `Could not fetch current price for ${input}.`;
-        }
-      },
-    }),
-    new DynamicTool({
-      name: 'getHistoricalComparison',
-      description: 'Returns the price change for a specified precious metal (gold, silver, platinum, or palladium) in INR and percent over a natural language period (e.g., "last week", "past 30 days", "yesterday", or between two dates). The input must contain both the metal name and the time period.',
-      func: async (input) => {
-        try {
-          const { symbol: metalSymbol, name: metalName } = getMetalInfo(input);
-          // Parse input for dates using chrono-node
-          let dates = chrono.parse(input);
-          let today = new Date();
-          let prev = new Date();
-          if (dates.length === 2) {
-            prev = dates[0].start.date();
-            today = dates[1].start.date();
-          } else if (dates.length === 1) {
-            prev = dates[0].start.date();
-          } else {
-            // fallback: try to extract days
-            const days = parseInt(input.match(/\d+/)?.[0], 10) || 7;
-            prev.setDate(today.getDate() - days);
-          }
-          const format = d => d.toISOString().slice(0, 10).replace(/-/g, '');
-          const todayStr = format(today);
-          const prevStr = format(prev);
-          // Fetch both days
-          const [resPrev, resToday] = await Promise.all([
-            fetch(`${GOLD_API_BASE}/${metalSymbol}/INR/${prevStr}`, {
-              method: 'GET',
-              headers: {
-                'x-access-token': GOLD_API_KEY,
-                'Content-Type': 'application/json',
-              },
-              redirect: 'follow',
-            }),
-            fetch(`${GOLD_API_BASE}/${metalSymbol}/INR/${todayStr}`, {
-              method: 'GET',
-              headers: {
-                'x-access-token': GOLD_API_KEY,
-                'Content-Type': 'application/json',
-              },
-              redirect: 'follow',
-            })
-          ]);
-          const prevData = await resPrev.json();
-          const todayData = await resToday.json();
-          if (!prevData.price || !todayData.price) return 'Not enough data.';
-          const priceDiff = todayData.price - prevData.price;
-          const pricePct = ((priceDiff / prevData.price) * 100).toFixed(2);
-          const capitalizedMetalName =
-            metalName.charAt(0).toUpperCase() + metalName.slice(1);
-          return `${capitalizedMetalName}: ₹${prevData.price} → ₹${
-            todayData.price
-          } (Change: ₹${priceDiff.toFixed(2)} / ${pricePct}%)`;
-        } catch (err) {
-          return 'Could not fetch historical comparison.';
-        }
-      },
-    }),
-  ];
-}
-
 function createMemory(chat_history = []) {
   const history = new ChatMessageHistory();
   if (Array.isArray(chat_history) && chat_history.length > 0) {
@@ -165,14 +67,79 @@ function createMemory(chat_history = []) {
 }
 
 
-async function swarnaAIAgent(input, chatHistory) {
-  const authClient = await loadCredentials();
-  const model = createVertexModel(authClient);
-  const tools = createTools();
+/**
+ * Decode the prefix of a JSON string body, stopping at the closing quote or
+ * at an escape sequence that has not fully arrived yet.
+ */
+function decodeJsonStringPrefix(raw) {
+  let text = '';
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      text += char;
+      continue;
+    }
+
+    const next = raw[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = raw.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      text += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+
+    const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+    text += escapes[next] || next;
+    i++;
+  }
+  return text;
+}
+
+/**
+ * The conversational agent answers with a JSON blob like
+ * {"action": "Final Answer", "action_input": "..."}. Streams only the text of
+ * the final answer, not the tool-selection JSON of intermediate steps.
+ */
+class FinalAnswerStream {
+  constructor(onToken) {
+    this.onToken = onToken;
+    this.emitted = '';
+    this.reset();
+  }
+
+  // Called at the start of every LLM call in the agent loop
+  reset() {
+    this.buffer = '';
+    this.emittedInRun = 0;
+  }
+
+  push(token) {
+    this.buffer += token;
+    if (!/"action"\s*:\s*"Final Answer"/.test(this.buffer)) return;
+
+    const match = this.buffer.match(/"action_input"\s*:\s*"/);
+    if (!match) return;
+
+    const text = decodeJsonStringPrefix(this.buffer.slice(match.index + match[0].length));
+    if (text.length > this.emittedInRun) {
+      const delta = text.slice(this.emittedInRun);
+      this.emittedInRun = text.length;
+      this.emitted += delta;
+      this.onToken(delta);
+    }
+  }
+}
+
+async function createExecutor(chatHistory, { streaming = false, currency, city } = {}) {
+  const model = createChatModel({ temperature: 0.2, streaming, systemMessage: SYSTEM_PROMPT });
+  const tools = createTools({ currency, city });
 
   const memory = createMemory(chatHistory);
 
-  const executor = await initializeAgentExecutorWithOptions(tools, model, {
+  return initializeAgentExecutorWithOptions(tools, model, {
     agentType: 'chat-conversational-react-description',
     verbose: process.env.LANGCHAIN_VERBOSE === 'true',
     memory,
@@ -180,6 +147,16 @@ async function swarnaAIAgent(input, chatHistory) {
       systemMessage: SYSTEM_PROMPT,
     },
   });
+}
+
+/**
+ * @param {string} input - User message
+ * @param {Array} chatHistory - Previous messages ({ sender, text })
+ * @param {Object} [options] - { currency, city } default currency and city for prices
+ * @returns {Promise<string>} The final answer
+ */
+async function swarnaAIAgent(input, chatHistory, { currency, city } = {}) {
+  const executor = await createExecutor(chatHistory, { currency, city });
 
   const result = await executor.call({
     input: input,
@@ -188,4 +165,59 @@ async function swarnaAIAgent(input, chatHistory) {
   return result.output;
 }
 
-module.exports = { swarnaAIAgent };
+/**
+ * Streaming variant of swarnaAIAgent.
+ *
+ * @param {string} input - User message
+ * @param {Array} chatHistory - Previous messages ({ sender, text })
+ * @param {Object} handlers - { onToken(text), onToolStart({ tool, label, input }), onToolEnd({ tool }), signal, currency, city }
+ * @returns {Promise<string>} The complete final answer
+ */
+async function streamSwarnaAIAgent(input, chatHistory, handlers = {}) {
+  const { onToken = () => {}, onToolStart = () => {}, onToolEnd = () => {}, signal, currency, city } = handlers;
+  const executor = await createExecutor(chatHistory, { streaming: true, currency, city });
+
+  const answer = new FinalAnswerStream(onToken);
+  const toolRuns = new Map();
+
+  const callbackHandler = BaseCallbackHandler.fromMethods({
+    handleChatModelStart() {
+      answer.reset();
+    },
+    handleLLMStart() {
+      answer.reset();
+    },
+    handleLLMNewToken(token) {
+      answer.push(token);
+    },
+    handleToolStart(tool, toolInput, runId, parentRunId, tags, metadata, runName) {
+      const name = runName || 'tool';
+      toolRuns.set(runId, name);
+      onToolStart({ tool: name, label: TOOL_LABELS[name] || `Running ${name}…`, input: toolInput });
+    },
+    handleToolEnd(output, runId) {
+      const name = toolRuns.get(runId) || 'tool';
+      toolRuns.delete(runId);
+      onToolEnd({ tool: name });
+    },
+    handleToolError(error, runId) {
+      const name = toolRuns.get(runId) || 'tool';
+      toolRuns.delete(runId);
+      onToolEnd({ tool: name, error: error.message });
+    },
+  });
+
+  const result = await executor.invoke(
+    { input },
+    { callbacks: [callbackHandler], signal }
+  );
+
+  // The model did not follow the JSON format closely enough to stream
+  if (!answer.emitted && result.output) {
+    onToken(result.output);
+  }
+
+  return result.output;
+}
+
+module.exports = { swarnaAIAgent, streamSwarnaAIAgent };
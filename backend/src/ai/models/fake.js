@@ -0,0 +1,340 @@
+/**
+ * Fake Chat Model
+ *
+ * Deterministic stand-in for Vertex AI so the agent, AI insights and /ai/*
+ * routes run end to end without Google credentials or network access
+ * (local development, CI). Enable with AI_MODEL_PROVIDER=fake.
+ *
+ * Replies come from, in order:
+ * 1. Scripted rules from the JSON file in AI_FAKE_SCRIPT (or the `rules`
+ *    constructor option). Each rule is
+ *      { "match": "regex", "response": "text", "tool": "name", "toolInput": "text" }
+ *    `match` is tested case-insensitively against the user's input; a rule
+ *    without `match` always applies. In the agent, `tool` makes the model
+ *    call that tool first and `response` becomes the final answer.
+ * 2. Built-in rules that recognise the agent's ReAct prompt (picking a tool
+ *    from keywords in the question and summarising the tool response) and
+ *    the AI insights prompts (answering with JSON in their schema, using
+ *    the figures in the prompt).
+ *
+ * With streaming enabled the reply is emitted word by word through
+ * handleLLMNewToken, optionally delayed by AI_FAKE_LATENCY_MS per chunk.
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BaseChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessage, AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('FakeLLM');
+
+const DISCLAIMER = 'Note: This is an AI-generated market insight. Always consult a financial advisor before making investment decisions.';
+const INSIGHTS_DISCLAIMER = 'This is AI-generated analysis. Consult a financial advisor for investment decisions.';
+
+// Markers of the conversational ReAct agent prompt
+const AGENT_FORMAT_MARKER = 'RESPONSE FORMAT INSTRUCTIONS';
+const AGENT_INPUT_MARKER = "Here is the user's input";
+const TOOL_RESPONSE_MARKER = 'TOOL RESPONSE:';
+
+// Question keywords -> agent tool, most specific first
+const TOOL_RULES = [
+  { tool: 'getKaratPrice', pattern: /\b\d{2}\s*(k|kt|karat|carat)\b|\bkarat\b|\bgrams?\b/i },
+  { tool: 'convertCurrency', pattern: /\bconvert\b|\bexchange\b|\b(inr|usd|eur)\s+(to|in)\s+(inr|usd|eur)\b/i },
+  { tool: 'getPriceStatistics', pattern: /\b(statistics|stats|highest|lowest|average|volatil\w*|min(imum)?|max(imum)?|range)\b/i },
+  { tool: 'compareMetals', pattern: /\b(compare|comparison|versus|vs\.?|ratio)\b.*\b(gold|silver|platinum|palladium)\b.*\b(gold|silver|platinum|palladium)\b|\bratio\b|\ball metals\b/i },
+  { tool: 'getHistoricalComparison', pattern: /\b(last|past|since|yesterday|ago|between|changed?|compared?)\b/i },
+  { tool: 'getCurrentPrice', pattern: /\b(price|rate|cost|worth|gold|silver|platinum|palladium)\b/i },
+];
+
+/**
+ * Load scripted rules from AI_FAKE_SCRIPT, if set
+ */
+function loadScript() {
+  const scriptPath = process.env.AI_FAKE_SCRIPT;
+  if (!scriptPath) return [];
+
+  try {
+    const rules = JSON.parse(fs.readFileSync(path.resolve(scriptPath), 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new Error('script must be a JSON array of rules');
+    }
+    return rules;
+  } catch (error) {
+    logger.error(`Failed to load fake LLM script ${scriptPath}:`, error.message);
+    return [];
+  }
+}
+
+const messageText = (message) => (typeof message.content === 'string'
+  ? message.content
+  : (message.content || []).map(part => part.text || '').join(''));
+
+const isHuman = (message) => message._getType() === 'human';
+
+/**
+ * Wrap an action as the JSON markdown blob the ReAct output parser expects
+ */
+function agentAction(action, actionInput) {
+  return `\`\`\`json\n${JSON.stringify({ action, action_input: actionInput }, null, 2)}\n\`\`\``;
+}
+
+/**
+ * Split text into word chunks, keeping whitespace, for token streaming
+ */
+function toChunks(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+/**
+ * Pull "Gold: ₹123 (1.5%)" style figures out of an insights prompt
+ */
+function readPromptFigure(prompt, label) {
+  const match = prompt.match(new RegExp(`${label}:\\s*₹?([\\d.,N/A]+)\\s*(?:\\((-?[\\d.]+)%\\))?`, 'i'));
+  return {
+    price: match ? match[1] : 'N/A',
+    changePercent: match && match[2] ? parseFloat(match[2]) : 0,
+  };
+}
+
+function describeMove(changePercent) {
+  if (changePercent > 0) return `up ${changePercent}%`;
+  if (changePercent < 0) return `down ${Math.abs(changePercent)}%`;
+  return 'unchanged';
+}
+
+function sentimentOf(changePercent) {
+  if (changePercent > 0.5) return 'bullish';
+  if (changePercent < -0.5) return 'bearish';
+  return 'neutral';
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Insight about a metal's 7-day trend
+ */
+function trendInsight(metal, changePercent) {
+  const sentiment = sentimentOf(changePercent);
+  return {
+    title: `${capitalize(metal)} ${sentiment}`,
+    description: `${capitalize(metal)} ${describeMove(changePercent)} over 7 days`,
+    sentiment,
+    metal,
+    confidence: 0.6,
+    supportingNumbers: [{ label: '7d change', value: changePercent, unit: '%' }],
+  };
+}
+
+/**
+ * Insight about a metal's current price and daily move
+ */
+function priceInsight(metal, figure) {
+  const price = parseFloat(String(figure.price).replace(/,/g, ''));
+  return {
+    title: `${capitalize(metal)} today`,
+    description: `${capitalize(metal)} at ₹${figure.price}, ${describeMove(figure.changePercent)} today`,
+    sentiment: sentimentOf(figure.changePercent),
+    metal,
+    confidence: 0.6,
+    supportingNumbers: [
+      ...(Number.isNaN(price) ? [] : [{ label: 'Price', value: price, unit: 'INR' }]),
+      { label: 'Change', value: figure.changePercent, unit: '%' },
+    ],
+  };
+}
+
+/**
+ * Turn a tool observation into a short sentence
+ */
+function summarizeObservation(observation) {
+  try {
+    const data = JSON.parse(observation);
+    if (data && typeof data === 'object') {
+      const facts = Object.entries(data)
+        .filter(([, value]) => value !== null && typeof value !== 'object')
+        .map(([key, value]) => `${key}: ${value}`);
+      return facts.length > 0 ? `Here is what I found - ${facts.join(', ')}.` : `Here is what I found: ${observation}`;
+    }
+  } catch (error) {
+    // Not JSON, use the text as is
+  }
+  return `Here is what I found: ${observation}`;
+}
+
+class FakeChatModel extends BaseChatModel {
+  static lc_name() {
+    return 'FakeChatModel';
+  }
+
+  constructor(fields = {}) {
+    super(fields);
+    this.rules = fields.rules || loadScript();
+    this.streaming = fields.streaming || false;
+    this.latencyMs = fields.latencyMs ?? (parseInt(process.env.AI_FAKE_LATENCY_MS) || 0);
+    this.modelName = 'fake';
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  async _generate(messages, options, runManager) {
+    const text = this.respond(messages);
+
+    if (this.streaming) {
+      for (const chunk of toChunks(text)) {
+        await this.delay(options?.signal);
+        await runManager?.handleLLMNewToken(chunk);
+      }
+    }
+
+    return {
+      generations: [{ text, message: new AIMessage(text) }],
+      llmOutput: {},
+    };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    for (const chunk of toChunks(this.respond(messages))) {
+      await this.delay(options?.signal);
+      yield new ChatGenerationChunk({ text: chunk, message: new AIMessageChunk({ content: chunk }) });
+      await runManager?.handleLLMNewToken(chunk);
+    }
+  }
+
+  async delay(signal) {
+    if (signal?.aborted) {
+      throw new Error('Aborted');
+    }
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+  }
+
+  /**
+   * Produce the reply for a list of chat messages
+   */
+  respond(messages) {
+    const prompt = messages.map(messageText).join('\n');
+    const humanMessages = messages.filter(isHuman).map(messageText);
+    const lastHuman = humanMessages[humanMessages.length - 1] || '';
+
+    if (prompt.includes(AGENT_FORMAT_MARKER)) {
+      return this.respondAsAgent(prompt, humanMessages, lastHuman);
+    }
+
+    const rule = this.findRule(lastHuman);
+    if (rule && rule.response !== undefined) {
+      return rule.response;
+    }
+
+    return this.respondToPrompt(lastHuman);
+  }
+
+  /**
+   * First scripted rule matching the user's input
+   */
+  findRule(input) {
+    return this.rules.find(rule => !rule.match || new RegExp(rule.match, 'i').test(input));
+  }
+
+  /**
+   * ReAct turn: call a tool for a new question, answer after a tool response
+   */
+  respondAsAgent(prompt, humanMessages, lastHuman) {
+    // The user's question is in the latest prompt that is not a tool response
+    const questionPrompt = [...humanMessages].reverse().find(text => text.includes(AGENT_INPUT_MARKER)) || lastHuman;
+    const input = questionPrompt.split(AGENT_INPUT_MARKER).pop().replace(/^[^:]*:\s*/, '').trim();
+    const rule = this.findRule(input);
+
+    if (lastHuman.startsWith(TOOL_RESPONSE_MARKER)) {
+      const observation = lastHuman
+        .slice(TOOL_RESPONSE_MARKER.length)
+        .split("USER'S INPUT")[0]
+        .replace(/^\s*-+\s*/, '')
+        .trim();
+      const answer = rule && rule.response !== undefined ? rule.response : summarizeObservation(observation);
+      return agentAction('Final Answer', `${answer}\n\n${DISCLAIMER}`);
+    }
+
+    const toolNames = (prompt.match(/Must be one of \[([^\]]*)\]/) || [])[1]?.split(',').map(name => name.trim()) || [];
+
+    if (rule && rule.tool) {
+      return agentAction(rule.tool, rule.toolInput || input);
+    }
+    if (rule && rule.response !== undefined) {
+      return agentAction('Final Answer', rule.response);
+    }
+
+    const toolRule = TOOL_RULES.find(({ tool, pattern }) => toolNames.includes(tool) && pattern.test(input));
+    if (toolRule) {
+      return agentAction(toolRule.tool, input);
+    }
+
+    return agentAction(
+      'Final Answer',
+      'Hello! I am SwarnaAI. Ask me about current gold, silver, platinum or palladium prices, karat prices, price history or currency conversion.'
+    );
+  }
+
+  /**
+   * Answer the AI insights prompts with JSON in the schema they declare
+   */
+  respondToPrompt(prompt) {
+    const gold = readPromptFigure(prompt, 'Gold');
+    const silver = readPromptFigure(prompt, 'Silver');
+
+    if (prompt.includes('JSON Schema') && prompt.includes('aiRecommendation')) {
+      const trend = (metal) => {
+        const match = prompt.match(new RegExp(`${metal} trend:\\s*(\\w+)\\s*\\((-?[\\d.]+)%`, 'i'));
+        return { trend: match ? match[1] : 'neutral', changePercent: match ? parseFloat(match[2]) : 0 };
+      };
+      const goldTrend = trend('Gold');
+      const silverTrend = trend('Silver');
+      const volume = (prompt.match(/Volume:\s*(\w+)/i) || [])[1] || 'medium';
+      const overall = sentimentOf((goldTrend.changePercent + silverTrend.changePercent) / 2);
+
+      return JSON.stringify({
+        insights: [
+          trendInsight('gold', goldTrend.changePercent),
+          trendInsight('silver', silverTrend.changePercent),
+          {
+            title: 'Volume',
+            description: `Trading activity is ${volume}`,
+            sentiment: 'neutral',
+            metal: 'market',
+            confidence: 0.5,
+            supportingNumbers: [],
+          },
+        ],
+        aiRecommendation: 'Consider staggered purchases to average out short-term swings.',
+        sentiment: overall,
+      });
+    }
+
+    if (prompt.includes('JSON Schema')) {
+      return JSON.stringify({
+        insights: [
+          priceInsight('gold', gold),
+          priceInsight('silver', silver),
+        ],
+      });
+    }
+
+    return `Gold is trading at ₹${gold.price} (${describeMove(gold.changePercent)}) and silver at ₹${silver.price} (${describeMove(silver.changePercent)}). ${INSIGHTS_DISCLAIMER}`;
+  }
+}
+
+module.exports = {
+  name: 'fake',
+  description: 'Deterministic offline model with scripted or rule-based replies',
+  FakeChatModel,
+
+  createModel({ streaming = false } = {}) {
+    return new FakeChatModel({ streaming });
+  },
+};
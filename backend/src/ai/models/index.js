@@ -0,0 +1,87 @@
+/**
+ * Chat Model Provider Registry
+ *
+ * The agent, AI insights and legacy /api/converse agent get their LangChain
+ * chat model from here instead of constructing ChatVertexAI directly. The
+ * provider is chosen with AI_MODEL_PROVIDER:
+ *
+ *   vertex - Google Vertex AI (default, needs service account credentials)
+ *   fake   - deterministic offline model with scripted or rule-based replies
+ *
+ * A provider module looks like:
+ *
+ *   module.exports = {
+ *     name: 'myprovider',
+ *     description: 'Short human readable description',
+ *     createModel: ({ temperature, streaming, maxTokens, systemMessage }) => chatModel
+ *   };
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const DEFAULT_MODEL_PROVIDER = 'vertex';
+
+const modelProviders = new Map();
+
+/**
+ * Register a chat model provider module
+ */
+function registerModelProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Model provider must have a name');
+  }
+  if (typeof provider.createModel !== 'function') {
+    throw new Error(`Model provider ${provider.name} does not implement createModel()`);
+  }
+
+  modelProviders.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Name of the configured model provider
+ */
+function getModelProviderName() {
+  return (process.env.AI_MODEL_PROVIDER || DEFAULT_MODEL_PROVIDER).toLowerCase();
+}
+
+/**
+ * Get a registered model provider, the configured one by default
+ */
+function getModelProvider(name = getModelProviderName()) {
+  const provider = modelProviders.get(name);
+  if (!provider) {
+    throw new Error(`Unsupported AI model provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Names of all registered model providers, in registration order
+ */
+function getModelProviderNames() {
+  return Array.from(modelProviders.keys());
+}
+
+/**
+ * Create a chat model from the configured provider
+ *
+ * @param {Object} options - { temperature, streaming, maxTokens, systemMessage }
+ * @returns {BaseChatModel} LangChain chat model
+ */
+function createChatModel(options = {}) {
+  return getModelProvider().createModel(options);
+}
+
+// Built-in providers
+registerModelProvider(require('./vertex'));
+registerModelProvider(require('./fake'));
+
+module.exports = {
+  DEFAULT_MODEL_PROVIDER,
+  registerModelProvider,
+  getModelProvider,
+  getModelProviderName,
+  getModelProviderNames,
+  createChatModel
+};
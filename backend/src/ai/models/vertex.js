@@ -0,0 +1,24 @@
+// Google Vertex AI chat model provider
+const { ChatVertexAI } = require('@langchain/google-vertexai');
+const { loadCredentials } = require('../../utils/googleCreds');
+
+module.exports = {
+  name: 'vertex',
+  description: 'Google Vertex AI (Gemini) using service account credentials',
+
+  createModel({ temperature = 0.2, streaming = false, maxTokens, systemMessage } = {}) {
+    const credentials = loadCredentials();
+
+    return new ChatVertexAI({
+      temperature,
+      streaming,
+      maxTokens,
+      model: process.env.MODEL || 'gemini-2.5-flash',
+      project: process.env.PROJECT_ID,
+      location: process.env.LOCATION,
+      credentials,
+      systemMessage,
+      authClient: credentials,
+    });
+  },
+};
@@ -8,6 +8,7 @@ class AuthService {
     this.jwtSecret = process.env.JWT_SECRET;
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '7d';
     this.saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+    this.streamTicketTtl = 30 * 1000; // Price stream tickets are redeemed right away
     
     if (!this.jwtSecret) {
       throw new Error('JWT_SECRET must be set in environment variables');
@@ -168,27 +169,67 @@ class AuthService {
   async getUserByToken(token) {
     try {
       const decoded = this.verifyToken(token);
-      
-      const user = await db('users')
-        .join('roles', 'users.role_id', 'roles.id')
-        .select(
-          'users.*',
-          'roles.name as role_name',
-          'roles.permissions',
-          'roles.description as role_description'
-        )
-        .where('users.id', decoded.userId)
-        .andWhere('users.is_active', true)
-        .first();
-
-      if (!user) {
-        throw new Error('User not found');
+      return await this.getActiveUser(decoded.userId);
+    } catch (error) {
+      throw new Error('Invalid token');
+    }
+  }
+
+  // Get an active user with their role, without the password hash
+  async getActiveUser(userId) {
+    const user = await db('users')
+      .join('roles', 'users.role_id', 'roles.id')
+      .select(
+        'users.*',
+        'roles.name as role_name',
+        'roles.permissions',
+        'roles.description as role_description'
+      )
+      .where('users.id', userId)
+      .andWhere('users.is_active', true)
+      .first();
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const { password_hash, ...userWithoutPassword } = user;
+    return userWithoutPassword;
+  }
+
+  // Issue a single-use ticket for opening a price stream connection.
+  // Browsers cannot set headers on WebSocket requests, and a ticket in the
+  // URL is harmless in logs once used or expired, unlike a JWT.
+  async createStreamTicket(userId) {
+    const ticket = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.streamTicketTtl);
+
+    await db('stream_tickets').where('expires_at', '<', new Date()).del();
+    await db('stream_tickets').insert({
+      user_id: userId,
+      ticket_hash: crypto.createHash('sha256').update(ticket).digest('hex'),
+      expires_at: expiresAt
+    });
+
+    return { ticket, expiresAt };
+  }
+
+  // Redeem a price stream ticket: it is deleted, so it works once
+  async redeemStreamTicket(ticket) {
+    try {
+      const [row] = await db('stream_tickets')
+        .where('ticket_hash', crypto.createHash('sha256').update(String(ticket)).digest('hex'))
+        .andWhere('expires_at', '>', new Date())
+        .del()
+        .returning('user_id');
+
+      if (!row) {
+        throw new Error('Ticket not found');
       }
 
-      const { password_hash, ...userWithoutPassword } = user;
-      return userWithoutPassword;
+      return await this.getActiveUser(row.user_id ?? row);
     } catch (error) {
-      throw new Error('Invalid token');
+      throw new Error('Invalid or expired ticket');
     }
   }
 
@@ -203,6 +244,7 @@ class AuthService {
         'users.username',
         'users.first_name',
         'users.last_name',
+        'users.preferences',
         'roles.name as role_name',
         'roles.permissions'
       )
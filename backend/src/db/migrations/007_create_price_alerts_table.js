@@ -0,0 +1,26 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('price_alerts', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('metal', 10).notNullable(); // XAU, XAG, XPT, XPD
+    table.string('currency', 10).notNullable().defaultTo('INR');
+    table.string('condition', 10).notNullable(); // above, below
+    table.decimal('target_price', 15, 6).notNullable();
+    table.boolean('repeat').defaultTo(false); // re-arm after the price crosses back
+    table.boolean('is_active').defaultTo(true);
+    table.boolean('is_armed').defaultTo(true);
+    table.integer('trigger_count').defaultTo(0);
+    table.timestamp('last_triggered_at');
+    table.string('note', 255);
+    table.timestamps(true, true);
+    
+    // Indexes
+    table.index('user_id');
+    table.index(['metal', 'currency']);
+    table.index('is_active');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('price_alerts');
+};
@@ -0,0 +1,20 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('price_alert_triggers', function(table) {
+    table.increments('id').primary();
+    table.integer('alert_id').unsigned().notNullable().references('id').inTable('price_alerts').onDelete('CASCADE');
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.decimal('price', 15, 6).notNullable(); // Price that crossed the target
+    table.decimal('target_price', 15, 6).notNullable();
+    table.string('source', 50); // sync, stream
+    table.timestamp('triggered_at').defaultTo(knex.fn.now());
+    
+    // Indexes
+    table.index('alert_id');
+    table.index('user_id');
+    table.index('triggered_at');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('price_alert_triggers');
+};
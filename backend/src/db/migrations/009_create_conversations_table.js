@@ -0,0 +1,18 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('conversations', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('title', 255).notNullable();
+    table.integer('message_count').defaultTo(0);
+    table.timestamp('last_message_at');
+    table.timestamps(true, true);
+    
+    // Indexes
+    table.index('user_id');
+    table.index('last_message_at');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('conversations');
+};
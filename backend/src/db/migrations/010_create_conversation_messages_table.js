@@ -0,0 +1,18 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('conversation_messages', function(table) {
+    table.increments('id').primary();
+    table.integer('conversation_id').unsigned().notNullable().references('id').inTable('conversations').onDelete('CASCADE');
+    table.string('role', 20).notNullable(); // user, assistant
+    table.text('content').notNullable();
+    table.integer('token_count').defaultTo(0); // Estimated tokens, used to budget agent history
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    
+    // Indexes
+    table.index('conversation_id');
+    table.index('created_at');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('conversation_messages');
+};
@@ -0,0 +1,22 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('ai_insights', function(table) {
+    table.increments('id').primary();
+    table.string('kind', 20).notNullable(); // assistant, market
+    table.json('payload').notNullable(); // Validated insights as served to clients
+    table.json('input_snapshot'); // Market data the insights were generated from
+    table.string('source', 20).notNullable(); // model, fallback
+    table.string('model_provider', 50);
+    table.integer('attempts').defaultTo(0);
+    table.string('trigger', 20).notNullable(); // sync, threshold, admin, on_demand
+    table.timestamp('generated_at').defaultTo(knex.fn.now());
+    table.timestamp('expires_at').notNullable();
+
+    // Indexes
+    table.index(['kind', 'generated_at']);
+    table.index('expires_at');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('ai_insights');
+};
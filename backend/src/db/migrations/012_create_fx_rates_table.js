@@ -0,0 +1,19 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('fx_rates', function(table) {
+    table.increments('id').primary();
+    table.string('base_currency', 10).notNullable(); // Currency metal prices are synced in
+    table.string('quote_currency', 10).notNullable();
+    table.decimal('rate', 20, 10).notNullable(); // 1 base_currency = rate quote_currency
+    table.string('source', 50).notNullable(); // Provider the rate came from
+    table.timestamp('rate_timestamp').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    // Indexes
+    table.unique(['base_currency', 'quote_currency', 'rate_timestamp']);
+    table.index(['quote_currency', 'rate_timestamp']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('fx_rates');
+};
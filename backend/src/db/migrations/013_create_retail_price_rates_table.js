@@ -0,0 +1,23 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('retail_price_rates', function(table) {
+    table.increments('id').primary();
+    table.string('metal', 10); // XAU, XAG, XPT, XPD; null applies to every metal
+    table.decimal('import_duty_percent', 8, 4).notNullable();
+    table.decimal('gst_percent', 8, 4).notNullable();
+    table.string('making_charge_type', 20).notNullable(); // percentage, per_gram
+    table.decimal('making_charge_value', 14, 4).notNullable(); // Percent, or base currency per gram
+    table.decimal('wastage_percent', 8, 4).notNullable().defaultTo(0);
+    table.timestamp('effective_from').notNullable();
+    table.text('note');
+    table.integer('created_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    // Indexes
+    table.index(['metal', 'effective_from']);
+    table.index('effective_from');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('retail_price_rates');
+};
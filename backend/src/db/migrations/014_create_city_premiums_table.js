@@ -0,0 +1,20 @@
+exports.up = function(knex) {
+  return knex.schema.createTable('city_premiums', function(table) {
+    table.increments('id').primary();
+    table.string('city', 50).notNullable(); // Slug, e.g. chennai
+    table.string('city_name', 100).notNullable(); // Display name, e.g. Chennai
+    table.string('metal', 10).notNullable(); // XAU, XAG, XPT, XPD
+    table.string('premium_type', 20).notNullable(); // percentage, per_gram
+    table.decimal('premium_value', 14, 4).notNullable(); // Percent, or base currency per gram of fine metal; may be negative
+    table.text('note');
+    table.integer('updated_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.unique(['city', 'metal']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('city_premiums');
+};
@@ -0,0 +1,27 @@
+// Hourly and daily OHLC rollups of metal_prices, kept after raw rows are purged
+const createRollupTable = (knex, tableName) => knex.schema.createTable(tableName, function(table) {
+  table.increments('id').primary();
+  table.string('metal', 10).notNullable(); // XAU, XAG, XPT, XPD
+  table.string('currency', 10).notNullable(); // INR, USD, EUR
+  table.timestamp('bucket_start').notNullable(); // UTC start of the hour or day
+  table.decimal('open', 15, 6).notNullable(); // Prices per ounce
+  table.decimal('high', 15, 6).notNullable();
+  table.decimal('low', 15, 6).notNullable();
+  table.decimal('close', 15, 6).notNullable();
+  table.integer('samples').notNullable(); // Raw rows aggregated into the bucket
+  table.timestamps(true, true);
+
+  // Indexes
+  table.unique(['metal', 'currency', 'bucket_start']);
+  table.index('bucket_start');
+});
+
+exports.up = async function(knex) {
+  await createRollupTable(knex, 'metal_prices_hourly');
+  await createRollupTable(knex, 'metal_prices_daily');
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('metal_prices_daily');
+  await knex.schema.dropTable('metal_prices_hourly');
+};
@@ -0,0 +1,46 @@
+// Admin-triggered historical backfills and their per-chunk progress
+exports.up = async function(knex) {
+  await knex.schema.createTable('backfill_jobs', function(table) {
+    table.increments('id').primary();
+    table.string('metals', 50).notNullable(); // Comma-separated symbols, e.g. XAU,XAG
+    table.string('currency', 10).notNullable();
+    table.date('start_date').notNullable();
+    table.date('end_date').notNullable();
+    table.integer('chunk_days').notNullable();
+    table.string('status', 20).notNullable().defaultTo('pending'); // pending, running, completed, failed, cancelled
+    table.string('locked_by', 100); // Instance running the job
+    table.timestamp('heartbeat_at'); // Last progress of that instance; a stale job is taken over
+    table.text('error');
+    table.integer('created_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('started_at');
+    table.timestamp('finished_at');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index('status');
+  });
+
+  await knex.schema.createTable('backfill_chunks', function(table) {
+    table.increments('id').primary();
+    table.integer('job_id').unsigned().notNullable().references('id').inTable('backfill_jobs').onDelete('CASCADE');
+    table.integer('chunk_index').notNullable();
+    table.date('start_date').notNullable();
+    table.date('end_date').notNullable(); // Inclusive
+    table.string('status', 20).notNullable().defaultTo('pending'); // pending, running, completed, failed
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.integer('records_stored').notNullable().defaultTo(0);
+    table.text('error');
+    table.timestamp('started_at');
+    table.timestamp('completed_at');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.unique(['job_id', 'chunk_index']);
+    table.index(['job_id', 'status']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('backfill_chunks');
+  await knex.schema.dropTable('backfill_jobs');
+};
@@ -0,0 +1,49 @@
+// Symbols, carat rates and change data fetched from the providers, so they can
+// be queried and served in DB-only mode
+exports.up = async function(knex) {
+  await knex.schema.createTable('metal_symbols', function(table) {
+    table.increments('id').primary();
+    table.string('symbol', 10).notNullable().unique(); // XAU, USD, ...
+    table.string('name', 100).notNullable();
+    table.string('provider', 50).notNullable(); // Provider the symbol was last seen at
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('carat_rates', function(table) {
+    table.increments('id').primary();
+    table.string('base_currency', 10).notNullable();
+    table.integer('karat').notNullable(); // 24, 22, 18, ...
+    table.string('label', 20).notNullable(); // Key the provider returned the rate under
+    table.decimal('rate', 24, 12).notNullable(); // As returned by the provider
+    table.string('provider', 50).notNullable();
+    table.timestamp('rate_timestamp').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    // Indexes
+    table.unique(['base_currency', 'karat', 'rate_timestamp']);
+    table.index(['base_currency', 'rate_timestamp']);
+  });
+
+  await knex.schema.createTable('price_changes', function(table) {
+    table.increments('id').primary();
+    table.string('base_currency', 10).notNullable();
+    table.string('symbol', 10).notNullable(); // XAU, XAG, XPT, XPD
+    table.date('start_date').notNullable();
+    table.date('end_date').notNullable();
+    table.decimal('start_rate', 24, 12).notNullable(); // Rates as returned by the provider
+    table.decimal('end_rate', 24, 12).notNullable();
+    table.decimal('change', 24, 12).notNullable();
+    table.decimal('change_pct', 12, 6).notNullable();
+    table.string('provider', 50).notNullable();
+    table.timestamps(true, true);
+
+    // Indexes
+    table.unique(['base_currency', 'symbol', 'start_date', 'end_date']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('price_changes');
+  await knex.schema.dropTable('carat_rates');
+  await knex.schema.dropTable('metal_symbols');
+};
@@ -0,0 +1,46 @@
+// Live prices held back by the ingest checks, and disagreements between providers
+exports.up = async function(knex) {
+  await knex.schema.createTable('price_quarantine', function(table) {
+    table.increments('id').primary();
+    table.string('metal', 10).notNullable(); // XAU, XAG, XPT, XPD
+    table.string('currency', 10).notNullable();
+    table.string('provider', 50).notNullable();
+    table.decimal('price', 15, 6); // Null when the provider returned no usable price
+    table.timestamp('price_timestamp').notNullable();
+    table.json('price_data').notNullable(); // Standardized price as the provider returned it
+    table.json('reasons').notNullable(); // Checks the price failed
+    table.string('status', 20).notNullable().defaultTo('pending'); // pending, approved, rejected, confirmed
+    table.integer('reviewed_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('reviewed_at');
+    table.text('review_note');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['status', 'created_at']);
+    table.index(['metal', 'currency', 'price_timestamp']);
+  });
+
+  await knex.schema.createTable('price_discrepancies', function(table) {
+    table.increments('id').primary();
+    table.string('metal', 10).notNullable();
+    table.string('currency', 10).notNullable();
+    table.string('provider', 50).notNullable();
+    table.decimal('price', 15, 6).notNullable();
+    table.timestamp('price_timestamp').notNullable();
+    table.string('reference_provider', 50).notNullable(); // Provider the price was compared with
+    table.decimal('reference_price', 15, 6).notNullable();
+    table.timestamp('reference_timestamp').notNullable();
+    table.decimal('deviation_percent', 10, 4).notNullable(); // (price - reference) / reference
+    table.boolean('quarantined').notNullable().defaultTo(false);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    // Indexes
+    table.index('created_at');
+    table.index(['metal', 'currency', 'created_at']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTable('price_discrepancies');
+  await knex.schema.dropTable('price_quarantine');
+};
@@ -0,0 +1,58 @@
+// Raw provider payloads and sync runs, linked from every stored price
+const addProvenanceColumns = (table) => {
+  table.integer('payload_id').unsigned().references('id').inTable('provider_payloads').onDelete('SET NULL');
+  table.string('mapper_version', 50); // TransformationRules entry and version, e.g. metalpriceapi@1
+  table.timestamp('fetched_at'); // When the payload was fetched
+  table.integer('sync_run_id').unsigned().references('id').inTable('sync_runs').onDelete('SET NULL');
+
+  // Indexes
+  table.index('payload_id');
+  table.index('sync_run_id');
+};
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('provider_payloads', function(table) {
+    table.increments('id').primary();
+    table.string('provider', 50).notNullable();
+    table.string('endpoint', 100).notNullable(); // Path the payload was fetched from
+    table.json('request_params'); // Without credentials
+    table.json('payload').notNullable(); // Response body as received
+    table.string('payload_hash', 64).notNullable().unique(); // SHA-256 of provider, endpoint and payload
+    table.timestamp('first_fetched_at').notNullable();
+    table.timestamp('last_fetched_at').notNullable();
+    table.integer('fetch_count').notNullable().defaultTo(1);
+
+    // Indexes
+    table.index('last_fetched_at');
+  });
+
+  await knex.schema.createTable('sync_runs', function(table) {
+    table.increments('id').primary();
+    table.string('kind', 20).notNullable(); // sync, bulk_sync, backfill
+    table.string('reference', 100); // e.g. backfill job and chunk
+    table.string('instance', 100); // host:pid that ran it
+    table.string('status', 20).notNullable().defaultTo('running'); // running, completed, failed
+    table.json('stats');
+    table.text('error');
+    table.timestamp('started_at').defaultTo(knex.fn.now());
+    table.timestamp('finished_at');
+
+    // Indexes
+    table.index(['kind', 'started_at']);
+  });
+
+  await knex.schema.alterTable('metal_prices', addProvenanceColumns);
+  await knex.schema.alterTable('price_quarantine', addProvenanceColumns);
+};
+
+exports.down = async function(knex) {
+  // Dropping the columns drops their foreign keys and indexes
+  const dropProvenanceColumns = (table) => {
+    table.dropColumns('payload_id', 'mapper_version', 'fetched_at', 'sync_run_id');
+  };
+
+  await knex.schema.alterTable('price_quarantine', dropProvenanceColumns);
+  await knex.schema.alterTable('metal_prices', dropProvenanceColumns);
+  await knex.schema.dropTable('sync_runs');
+  await knex.schema.dropTable('provider_payloads');
+};
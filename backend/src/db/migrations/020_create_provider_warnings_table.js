@@ -0,0 +1,28 @@
+// Admin warnings about providers: opened circuit breakers and nearly used up quotas
+exports.up = async function(knex) {
+  await knex.schema.createTable('provider_warnings', function(table) {
+    table.increments('id').primary();
+    table.string('provider', 50).notNullable();
+    table.string('kind', 20).notNullable(); // circuit, quota
+    table.string('message', 1000).notNullable();
+    table.json('details');
+    table.string('dedupe_key', 255).notNullable().unique(); // Raised once per event, across instances
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    // Indexes
+    table.index('created_at');
+    table.index(['provider', 'created_at']);
+  });
+
+  // Calls of a provider in a period are counted for its quota
+  await knex.schema.alterTable('api_logs', function(table) {
+    table.index(['provider', 'created_at']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('api_logs', function(table) {
+    table.dropIndex(['provider', 'created_at']);
+  });
+  await knex.schema.dropTable('provider_warnings');
+};
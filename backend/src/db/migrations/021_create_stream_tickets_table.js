@@ -0,0 +1,17 @@
+// Short-lived, single-use tickets that authenticate price stream connections
+exports.up = function(knex) {
+  return knex.schema.createTable('stream_tickets', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('ticket_hash', 64).notNullable().unique(); // SHA-256 of the ticket; the ticket itself is not stored
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    // Indexes
+    table.index('expires_at');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTable('stream_tickets');
+};
@@ -4,7 +4,6 @@ const helmet = require('helmet');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
-const { VertexAI } = require('@langchain/google-vertexai');
 const { initializeAgentExecutorWithOptions } = require('langchain/agents');
 const { DynamicTool } = require('langchain/tools');
 const enhancedPriceRoutes = require('./routes/enhancedPriceRoutes');
@@ -13,17 +12,18 @@ const authRoutes = require('./routes/authRoutes');
 const errorHandler = require('./middleware/errorHandler');
 const setupSwagger = require('./swagger');
 const aiRoutes = require('./routes/aiRoutes');
+const { createChatModel } = require('./ai/models');
 const PriceStreamServer = require('./websocket/priceStream');
 const db = require('./db/connection');
 const { startServer, setupGracefulShutdown, configureCORS } = require('./utils/serverUtils');
 const { initializeMockData } = require('./utils/mockDataGenerator');
 const dataSyncService = require('./services/dataSync');
+const bulkDataSyncService = require('./services/bulkDataSync');
 
 dotenv.config();
 
 const app = express();
 const port = parseInt(process.env.PORT) || 3000;
-const wsPort = parseInt(process.env.WEBSOCKET_PORT) || 3001;
 
 // security
 app.use(helmet());
@@ -37,20 +37,15 @@ app.use(
   })
 );
 
+app.use(cookieParser());
+// Upload routes parse their own, larger bodies, so they come before the body parsers
+app.use('/api/metals', enhancedPriceRoutes.uploadRoutes);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(cookieParser());
 
 // Make database available to all routes
 app.locals.db = db;
 
-const model = new VertexAI({
-  credentials: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-  project: process.env.PROJECT_ID,
-  location: process.env.LOCATION,
-  model: process.env.MODEL,
-});
-
 const tools = [
   new DynamicTool({
     name: 'getDate',
@@ -67,7 +62,7 @@ const tools = [
 let agentExecutor;
 async function getAgentExecutor() {
   if (!agentExecutor) {
-    agentExecutor = await initializeAgentExecutorWithOptions(tools, model, {
+    agentExecutor = await initializeAgentExecutorWithOptions(tools, createChatModel(), {
       agentType: 'chat-conversational-react-description',
       verbose: process.env.LANGCHAIN_VERBOSE === 'true',
     });
@@ -107,12 +102,14 @@ async function startServers() {
     // Start main HTTP server
     const { server: httpServer, port: actualPort } = await startServer(app, port, 'HTTP Server');
     
-    // Start WebSocket server for real-time price updates
-    const priceStreamServer = new PriceStreamServer(wsPort);
-    const wsServer = await priceStreamServer.start();
+    // Serve real-time price updates on the same server, under /ws/prices
+    const priceStreamServer = new PriceStreamServer(httpServer, {
+      path: process.env.WEBSOCKET_PATH
+    });
+    await priceStreamServer.start();
     
     // Setup graceful shutdown
-    setupGracefulShutdown(httpServer, wsServer, dataSyncService);
+    setupGracefulShutdown(httpServer, priceStreamServer, dataSyncService);
     
     // Display feature flag status
     console.log(`🏗️  Feature Flag - API Provider: ${process.env.PRIMARY_API_PROVIDER || 'metalpriceapi'}`);
@@ -121,10 +118,14 @@ async function startServers() {
       // Initialize mock data if needed
       await initializeMockData();
       
-      // Start data sync service for scheduled updates
-      dataSyncService.start();
+      // Start data sync service for scheduled updates; with several
+      // instances only the fan-out leader runs them
+      dataSyncService.start({ isLeader: () => priceStreamServer.fanout.isLeader() });
       console.log('📅 Data sync service started');
     }
+
+    // Pick up backfills left unfinished by a restart
+    bulkDataSyncService.resumeBackfills();
     
   } catch (error) {
     console.error('❌ Failed to start servers:', error.message);
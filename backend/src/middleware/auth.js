@@ -1,10 +1,14 @@
 const authService = require('../auth/authService');
 const rbac = require('../auth/rbac');
 
+// Token of a request: the Authorization header, then the token cookie.
+// Also used by the price stream, so both accept the same credentials.
+const getRequestToken = (req) => req.headers.authorization?.replace('Bearer ', '') || req.cookies?.token;
+
 // Authentication middleware
 const authenticate = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '') || req.cookies?.token;
+    const token = getRequestToken(req);
     
     if (!token) {
       return res.status(401).json({
@@ -91,7 +95,7 @@ const requireRole = (roles) => {
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '') || req.cookies?.token;
+    const token = getRequestToken(req);
     
     if (token) {
       try {
@@ -123,6 +127,7 @@ const premiumUser = [
 ];
 
 module.exports = {
+  getRequestToken,
   authenticate,
   authorize,
   requireRole,
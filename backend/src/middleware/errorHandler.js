@@ -1,8 +1,12 @@
+const http = require('http');
+
 function errorHandler(err, req, res, next) {
   console.error(err);
-  res.status(500).json({
+  // Client errors raised by middleware, e.g. 413 from the body parsers
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  res.status(status).json({
     success: false,
-    message: 'Internal Server Error',
+    message: http.STATUS_CODES[status] || 'Bad Request',
     error: err.message || 'Unknown error',
   });
 }
@@ -1,16 +1,514 @@
 // Routes for SwarnaAI conversational agent
 const express = require('express');
 const router = express.Router();
-const { swarnaAIAgent } = require('../ai/aiAgent');
+const { swarnaAIAgent, streamSwarnaAIAgent } = require('../ai/aiAgent');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const conversationService = require('../services/conversationService');
+const fxService = require('../services/fxService');
+const { safeJsonObject } = require('../utils/jsonHelpers');
+
+// Comment frames keep proxies from closing the stream during slow tool calls
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Append optional client context (selected metal, prices) to the user input
+ */
+const withContext = (input, context) => (context ? `${input}. Context: ${JSON.stringify(context)}` : input);
+
+/**
+ * Currency and city the agent prices in when the message names none: the
+ * signed-in user's saved preferences, else the base currency and national prices
+ */
+const agentOptions = (req) => ({
+  currency: fxService.resolveCurrency(undefined, req.user),
+  city: safeJsonObject(req.user?.preferences).city || null
+});
+
+/**
+ * Run the agent and stream its answer to the response as Server-Sent Events.
+ * Resolves with { response, send }: response is the complete answer, or null
+ * if the agent failed or the client disconnected. The caller sends the final
+ * `done` event and ends the response.
+ */
+async function streamAgentResponse(res, input, chatHistory, { currency, city }) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, SSE_HEARTBEAT_MS);
 
-router.post('/chat', async (req, res, next) => {
+  try {
+    const response = await streamSwarnaAIAgent(input, chatHistory, {
+      signal: controller.signal,
+      currency,
+      city,
+      onToken: token => send('token', { token }),
+      onToolStart: tool => send('tool_start', tool),
+      onToolEnd: tool => send('tool_end', tool)
+    });
+
+    return { response, send };
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      console.error('Error streaming agent response:', err);
+      send('error', { error: 'Failed to generate AI response' });
+    }
+    return { response: null, send };
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Load the conversation in :id for the authenticated user, or send a 404
+ */
+async function findConversation(req, res) {
+  const conversationId = parseInt(req.params.id);
+  const conversation = Number.isInteger(conversationId)
+    ? await conversationService.getConversation(req.user.id, conversationId)
+    : null;
+
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  return conversation;
+}
+
+router.post('/chat', optionalAuth, async (req, res, next) => {
   try {
     const { input, chat_history } = req.body;
-    const response = await swarnaAIAgent(input, chat_history || []);
+    const response = await swarnaAIAgent(input, chat_history || [], agentOptions(req));
     res.json({ response });
   } catch (err) {
     next(err);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/v1/market/chat/stream:
+ *   post:
+ *     summary: One-off chat with the SwarnaAI agent, streamed as Server-Sent Events
+ *     description: |
+ *       Emits `token` events with partial answer text, `tool_start` / `tool_end`
+ *       events while the agent calls tools, then a single `done` event with the
+ *       complete response, or an `error` event. Closing the connection aborts
+ *       the upstream model and tool calls. No history is kept; use
+ *       conversations for multi-turn chat.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               input:
+ *                 type: string
+ *               context:
+ *                 type: object
+ *                 description: Additional context like the selected metal
+ *             required:
+ *               - input
+ *     responses:
+ *       200:
+ *         description: text/event-stream of token, tool_start, tool_end, done and error events
+ *       400:
+ *         description: Input is required
+ */
+router.post('/chat/stream', optionalAuth, async (req, res) => {
+  const { input, context } = req.body;
+
+  if (!input) {
+    return res.status(400).json({
+      success: false,
+      error: 'Input is required'
+    });
+  }
+
+  const { response, send } = await streamAgentResponse(res, withContext(input, context), [], agentOptions(req));
+
+  if (response !== null) {
+    send('done', { response, timestamp: new Date().toISOString() });
+  }
+  res.end();
+});
+
+/**
+ * @swagger
+ * /api/v1/market/conversations:
+ *   get:
+ *     summary: List the current user's AI conversations
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Conversations, most recently active first
+ */
+router.get('/conversations', authenticate, async (req, res) => {
+  try {
+    const conversations = await conversationService.listConversations(req.user.id);
+
+    res.json({
+      success: true,
+      conversations
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/market/conversations:
+ *   post:
+ *     summary: Create an AI conversation
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the first message
+ *     responses:
+ *       201:
+ *         description: Conversation created
+ */
+router.post('/conversations', authenticate, async (req, res) => {
+  try {
+    const conversation = await conversationService.createConversation(req.user.id, req.body.title);
+
+    res.status(201).json({
+      success: true,
+      conversation
+    });
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create conversation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/market/conversations/{id}:
+ *   get:
+ *     summary: Get a conversation with its messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Conversation and messages in chronological order
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/conversations/:id', authenticate, async (req, res) => {
+  try {
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+
+    const messages = await conversationService.getMessages(conversation.id);
+
+    res.json({
+      success: true,
+      conversation,
+      messages
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/market/conversations/{id}:
+ *   put:
+ *     summary: Rename a conversation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *             required:
+ *               - title
+ *     responses:
+ *       200:
+ *         description: Conversation renamed
+ *       404:
+ *         description: Conversation not found
+ */
+router.put('/conversations/:id', authenticate, async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title is required'
+      });
+    }
+
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+
+    const updated = await conversationService.renameConversation(req.user.id, conversation.id, title);
+
+    res.json({
+      success: true,
+      message: 'Conversation renamed successfully',
+      conversation: updated
+    });
+  } catch (error) {
+    console.error('Error renaming conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename conversation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/market/conversations/{id}:
+ *   delete:
+ *     summary: Delete a conversation and its messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Conversation deleted
+ *       404:
+ *         description: Conversation not found
+ */
+router.delete('/conversations/:id', authenticate, async (req, res) => {
+  try {
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+
+    await conversationService.deleteConversation(req.user.id, conversation.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete conversation'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/market/conversations/{id}/messages:
+ *   post:
+ *     summary: Continue a conversation
+ *     description: The agent's history is loaded from the stored thread, trimmed to the token budget.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               input:
+ *                 type: string
+ *               context:
+ *                 type: object
+ *             required:
+ *               - input
+ *     responses:
+ *       200:
+ *         description: The stored user message and the assistant reply
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/conversations/:id/messages', authenticate, async (req, res) => {
+  try {
+    const { input, context } = req.body;
+
+    if (!input) {
+      return res.status(400).json({
+        success: false,
+        error: 'Input is required'
+      });
+    }
+
+    const conversation = await findConversation(req, res);
+    if (!conversation) return;
+
+    const history = await conversationService.getAgentHistory(conversation.id);
+    const response = await swarnaAIAgent(withContext(input, context), history, agentOptions(req));
+
+    const message = await conversationService.addMessage(conversation.id, 'user', input);
+    const reply = await conversationService.addMessage(conversation.id, 'assistant', response);
+
+    res.json({
+      success: true,
+      conversationId: conversation.id,
+      message,
+      reply
+    });
+  } catch (error) {
+    console.error('Error continuing conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate AI response'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/market/conversations/{id}/messages/stream:
+ *   post:
+ *     summary: Continue a conversation, streamed as Server-Sent Events
+ *     description: |
+ *       Same events as /api/v1/market/chat/stream. The user message and the
+ *       reply are stored once the answer is complete; the `done` event
+ *       includes both.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               input:
+ *                 type: string
+ *               context:
+ *                 type: object
+ *             required:
+ *               - input
+ *     responses:
+ *       200:
+ *         description: text/event-stream of token, tool_start, tool_end, done and error events
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/conversations/:id/messages/stream', authenticate, async (req, res) => {
+  const { input, context } = req.body;
+
+  if (!input) {
+    return res.status(400).json({
+      success: false,
+      error: 'Input is required'
+    });
+  }
+
+  let conversation;
+  let history;
+  try {
+    conversation = await findConversation(req, res);
+    if (!conversation) return;
+
+    history = await conversationService.getAgentHistory(conversation.id);
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load conversation'
+    });
+  }
+
+  const { response, send } = await streamAgentResponse(res, withContext(input, context), history, agentOptions(req));
+
+  if (response !== null) {
+    try {
+      const message = await conversationService.addMessage(conversation.id, 'user', input);
+      const reply = await conversationService.addMessage(conversation.id, 'assistant', response);
+
+      send('done', {
+        response,
+        conversationId: conversation.id,
+        message,
+        reply,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error saving conversation messages:', error);
+      send('error', { error: 'Failed to save conversation' });
+    }
+  }
+  res.end();
+});
+
+module.exports = router;
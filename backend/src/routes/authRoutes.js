@@ -2,7 +2,9 @@ const express = require('express');
 const authService = require('../auth/authService');
 const rbac = require('../auth/rbac');
 const { authenticate, authorize, adminOnly } = require('../middleware/auth');
-const { safeJsonArray } = require('../utils/jsonHelpers');
+const { safeJsonArray, safeJsonObject } = require('../utils/jsonHelpers');
+const { CURRENCY_CODES } = require('../schemas/apiSchemas');
+const cityPremiumService = require('../services/cityPremiumService');
 
 const router = express.Router();
 
@@ -200,6 +202,35 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/stream-ticket:
+ *   post:
+ *     summary: Get a single-use ticket for opening an authenticated price stream connection
+ *     description: Pass it as ?ticket= on the WebSocket URL within 30 seconds; it works once
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ticket and its expiry
+ */
+router.post('/stream-ticket', authenticate, async (req, res) => {
+  try {
+    const { ticket, expiresAt } = await authService.createStreamTicket(req.user.id);
+
+    res.json({
+      success: true,
+      data: { ticket, expiresAt: expiresAt.toISOString() },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue stream ticket'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/me:
@@ -414,29 +445,52 @@ router.get('/admin/permissions', adminOnly, async (req, res) => {
  *               currency:
  *                 type: string
  *                 enum: [INR, USD, EUR]
+ *                 description: Default currency for prices, the price stream and the AI assistant
+ *               city:
+ *                 type: string
+ *                 nullable: true
+ *                 description: City from /api/metals/cities whose premiums apply to live prices and the AI assistant; null for national prices
  *               notifications:
  *                 type: boolean
  *     responses:
  *       200:
  *         description: Preferences updated successfully
+ *       400:
+ *         description: Unsupported currency or city
  */
 router.put('/preferences', authenticate, async (req, res) => {
   try {
-    const { theme, currency, notifications } = req.body;
+    const { theme, currency, city, notifications } = req.body;
     const userId = req.user.id;
+
+    if (currency && !CURRENCY_CODES[currency]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported currency: ${currency}. Supported currencies: ${Object.keys(CURRENCY_CODES).join(', ')}`
+      });
+    }
+
+    const cityRecord = city ? await cityPremiumService.getCity(city) : null;
+    if (city && !cityRecord) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported city: ${city}`
+      });
+    }
     
     // Get current preferences
     const currentUser = await req.app.locals.db('users')
       .where('id', userId)
       .first();
     
-    const currentPreferences = currentUser.preferences || {};
+    const currentPreferences = safeJsonObject(currentUser.preferences);
     
     // Update preferences
     const updatedPreferences = {
       ...currentPreferences,
       ...(theme && { theme }),
       ...(currency && { currency }),
+      ...(city !== undefined && { city: cityRecord ? cityRecord.id : null }),
       ...(notifications !== undefined && { notifications })
     };
     
@@ -6,6 +6,19 @@ const { authenticate, authorize, adminOnly, optionalAuth } = require('../middlew
 const dataSyncService = require('../services/dataSync');
 const bulkDataSyncService = require('../services/bulkDataSync');
 const aiInsightsService = require('../services/aiInsightsService');
+const insightCacheService = require('../services/insightCacheService');
+const alertService = require('../services/alertService');
+const chartService = require('../services/chartService');
+const fxService = require('../services/fxService');
+const retailPricingService = require('../services/retailPricingService');
+const cityPremiumService = require('../services/cityPremiumService');
+const priceValidationService = require('../services/priceValidationService');
+const provenanceService = require('../services/provenanceService');
+const priceImportService = require('../services/priceImportService');
+const exportService = require('../services/exportService');
+const providerGuardService = require('../services/providerGuardService');
+const { safeJsonObject } = require('../utils/jsonHelpers');
+const { DB_PROVIDER, hasProvider, getProviderNames } = require('../services/providers');
 const router = express.Router();
 
 // Metal mappings for backwards compatibility
@@ -24,12 +37,76 @@ const CURRENCIES = {
 
 // Use imported METALS from service
 
+/**
+ * Currency for a price request: ?currency=, the user's saved preference or
+ * the base currency. Sends a 400 and returns null for unsupported currencies.
+ */
+function resolveRequestCurrency(req, res) {
+  const currency = fxService.resolveCurrency(req.query.currency, req.user);
+
+  if (!currency) {
+    res.status(400).json({
+      success: false,
+      error: `Unsupported currency: ${req.query.currency}. Supported currencies: ${fxService.getSupportedCurrencies().join(', ')}`
+    });
+  }
+
+  return currency;
+}
+
+/**
+ * City whose premiums apply to a price request: ?city=, else the user's saved
+ * city; `national` (or no city) means the national price. Resolves to
+ * { city } with city null for national prices, or sends a 400 and resolves to
+ * null for unknown cities.
+ */
+async function resolveRequestCity(req, res) {
+  const requested = req.query.city;
+
+  if (requested === 'national') {
+    return { city: null };
+  }
+
+  if (requested) {
+    const city = await cityPremiumService.getCity(requested);
+    if (!city) {
+      const cities = await cityPremiumService.listCities();
+      res.status(400).json({
+        success: false,
+        error: `Unknown city: ${requested}. Supported cities: ${cities.map(known => known.id).join(', ') || 'none'}`
+      });
+      return null;
+    }
+    return { city };
+  }
+
+  // A saved city whose premiums were removed falls back to national prices
+  const preferred = safeJsonObject(req.user?.preferences).city;
+  return { city: preferred ? await cityPremiumService.getCity(preferred) : null };
+}
+
 /**
  * @swagger
  * /api/metals/live:
  *   get:
  *     summary: Get live prices for all supported metals
- *     description: Returns real-time price data for gold, silver, platinum, and palladium
+ *     description: |
+ *       Returns real-time price data for gold, silver, platinum, and palladium.
+ *       Prices are stored in the base currency and converted with the latest
+ *       stored FX rate; converted prices include `conversion`. With a city,
+ *       each metal includes `city` and the applied `cityPremium`.
+ *     parameters:
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: City whose premium applies, e.g. chennai (default the user's saved city; `national` for the national price)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [INR, USD, EUR]
+ *         description: Currency to price in (default the user's saved currency preference, else the base currency)
  *     responses:
  *       200:
  *         description: Live price data for all metals
@@ -49,13 +126,25 @@ const CURRENCIES = {
  */
 router.get('/live', optionalAuth, async (req, res) => {
   try {
-    const response = await metalpricerService.getAllLivePrices('INR');
+    const currency = resolveRequestCurrency(req, res);
+    if (!currency) return;
+
+    const location = await resolveRequestCity(req, res);
+    if (!location) return;
+
+    const response = await fxService.getAllLivePrices(currency);
     
     if (response.success) {
+      const data = location.city
+        ? await cityPremiumService.applyPremiums(response.data, location.city)
+        : response.data;
+
       res.json({
         success: true,
         timestamp: response.timestamp,
-        data: response.data
+        currency,
+        city: location.city,
+        data
       });
     } else {
       res.status(500).json({
@@ -85,6 +174,17 @@ router.get('/live', optionalAuth, async (req, res) => {
  *           enum: [gold, silver, platinum, palladium]
  *         required: true
  *         description: The metal to get price for
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [INR, USD, EUR]
+ *         description: Currency to price in (default the user's saved currency preference, else the base currency)
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: City whose premium applies, e.g. chennai (default the user's saved city; `national` for the national price)
  *     responses:
  *       200:
  *         description: Live price data for the specified metal
@@ -93,7 +193,7 @@ router.get('/live', optionalAuth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/PriceData'
  */
-router.get('/:metal/live', async (req, res) => {
+router.get('/:metal/live', optionalAuth, async (req, res) => {
   try {
     const { metal } = req.params;
     
@@ -104,15 +204,27 @@ router.get('/:metal/live', async (req, res) => {
       });
     }
 
+    const currency = resolveRequestCurrency(req, res);
+    if (!currency) return;
+
+    const location = await resolveRequestCity(req, res);
+    if (!location) return;
+
     const metalSymbol = METALS[metal];
-    const response = await metalpricerService.getLivePrice(metalSymbol, 'INR');
+    const response = await fxService.getLivePrice(metalSymbol, currency);
     
     if (response.success) {
+      const data = location.city
+        ? await cityPremiumService.applyPremium(response.data, metalSymbol, location.city)
+        : response.data;
+
       res.json({
         success: true,
         timestamp: response.timestamp,
         metal,
-        data: response.data
+        currency,
+        city: location.city,
+        data
       });
     } else {
       res.status(500).json({
@@ -149,11 +261,17 @@ router.get('/:metal/live', async (req, res) => {
  *           format: date
  *         required: true
  *         description: Date in YYYY-MM-DD format
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [INR, USD, EUR]
+ *         description: Currency to price in (default the user's saved currency preference, else the base currency)
  *     responses:
  *       200:
- *         description: Historical price data for the specified metal and date
+ *         description: Historical price data for the specified metal and date, converted at that date's FX rate
  */
-router.get('/:metal/historical/:date', async (req, res) => {
+router.get('/:metal/historical/:date', optionalAuth, async (req, res) => {
   try {
     const { metal, date } = req.params;
     
@@ -173,11 +291,14 @@ router.get('/:metal/historical/:date', async (req, res) => {
       });
     }
 
+    const currency = resolveRequestCurrency(req, res);
+    if (!currency) return;
+
     // Format date for GoldAPI (remove hyphens)
     const formattedDate = date.replace(/-/g, '');
     
     // Fetch historical data using our service
-    const response = await metalpricerService.getHistoricalPrice(METALS[metal], 'INR', formattedDate);
+    const response = await fxService.getHistoricalPrice(METALS[metal], currency, formattedDate);
     
     if (!response.success) {
       return res.status(404).json({
@@ -194,6 +315,7 @@ router.get('/:metal/historical/:date', async (req, res) => {
       success: true,
       date,
       metal,
+      currency,
       data
     });
   } catch (error) {
@@ -209,7 +331,14 @@ router.get('/:metal/historical/:date', async (req, res) => {
  * @swagger
  * /api/metals/{metal}/chart/{period}:
  *   get:
- *     summary: Get chart data for a specific metal and time period
+ *     summary: Get OHLC candles for a specific metal and time period
+ *     description: |
+ *       Aggregates stored prices into UTC-aligned candles (1H: 1m, 4H: 5m, 1D: 1h,
+ *       1W: 4h, 1M/3M/1Y: 1d). Empty buckets repeat the previous close and are
+ *       marked `filled`; buckets before the first known price are omitted.
+ *       `meta.insufficientData` is true when fewer than two candles have real prices.
+ *       Candles in other currencies than the base are converted with the FX rate
+ *       in effect at each candle.
  *     parameters:
  *       - in: path
  *         name: metal
@@ -225,11 +354,19 @@ router.get('/:metal/historical/:date', async (req, res) => {
  *           enum: [1H, 4H, 1D, 1W, 1M, 3M, 1Y]
  *         required: true
  *         description: Time period for chart data
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [INR, USD, EUR]
+ *         description: Currency to price in (default the user's saved currency preference, else the base currency)
  *     responses:
  *       200:
- *         description: Chart data for the specified metal and period
+ *         description: OHLC candles for the specified metal and period
+ *       400:
+ *         description: Unsupported metal or period
  */
-router.get('/:metal/chart/:period', async (req, res) => {
+router.get('/:metal/chart/:period', optionalAuth, async (req, res) => {
   try {
     const { metal, period } = req.params;
     
@@ -240,61 +377,42 @@ router.get('/:metal/chart/:period', async (req, res) => {
       });
     }
 
-    // Generate chart data with current market price as baseline
-    const generateChartData = async (period) => {
-      const data = [];
-      
-      // Get current market price for baseline
-      let basePrice;
-      try {
-        const response = await metalpricerService.getLivePrice(METALS[metal], 'INR');
-        basePrice = response.success ? response.data.price : (metal === 'gold' ? 5400 : metal === 'silver' ? 82 : metal === 'platinum' ? 2890 : 1890);
-      } catch (error) {
-        basePrice = metal === 'gold' ? 5400 : metal === 'silver' ? 82 : metal === 'platinum' ? 2890 : 1890;
-      }
-      
-      let points, timeUnit;
-      switch (period) {
-        case '1H': points = 60; timeUnit = 'minute'; break;
-        case '4H': points = 240; timeUnit = 'minute'; break;
-        case '1D': points = 24; timeUnit = 'hour'; break;
-        case '1W': points = 7; timeUnit = 'day'; break;
-        case '1M': points = 30; timeUnit = 'day'; break;
-        case '3M': points = 90; timeUnit = 'day'; break;
-        case '1Y': points = 365; timeUnit = 'day'; break;
-        default: points = 24; timeUnit = 'hour';
-      }
-      
-      for (let i = 0; i < points; i++) {
-        const variation = (Math.random() - 0.5) * (basePrice * 0.02);
-        const price = basePrice + variation + (Math.sin(i / 10) * basePrice * 0.01);
-        
-        const timestamp = new Date();
-        if (timeUnit === 'minute') {
-          timestamp.setMinutes(timestamp.getMinutes() - (points - i));
-        } else if (timeUnit === 'hour') {
-          timestamp.setHours(timestamp.getHours() - (points - i));
-        } else if (timeUnit === 'day') {
-          timestamp.setDate(timestamp.getDate() - (points - i));
-        }
-        
-        data.push({
-          timestamp: timestamp.toISOString(),
-          price: Math.round(price * 100) / 100,
-          volume: Math.round(Math.random() * 1000000)
-        });
-      }
-      
-      return data;
-    };
+    if (!chartService.isSupportedPeriod(period)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported period: ${period}. Supported periods: ${chartService.getSupportedPeriods().join(', ')}`
+      });
+    }
+
+    const currency = resolveRequestCurrency(req, res);
+    if (!currency) return;
 
-    const chartData = await generateChartData(period);
+    const baseCurrency = fxService.getBaseCurrency();
+    let { candles, meta } = await chartService.getCandles(METALS[metal], baseCurrency, period);
+
+    if (currency !== baseCurrency) {
+      const converted = await fxService.convertSeries(candles, baseCurrency, currency, {
+        fields: ['open', 'high', 'low', 'close']
+      });
+
+      // Without stored rates, chart whatever was stored in the currency itself
+      if (converted) {
+        candles = converted;
+      } else {
+        ({ candles, meta } = await chartService.getCandles(METALS[metal], currency, period));
+      }
+    }
     
     res.json({
       success: true,
       metal,
       period,
-      data: chartData
+      currency,
+      data: candles,
+      meta,
+      ...(meta.insufficientData && {
+        message: `Not enough stored price data for ${metal} over ${period}`
+      })
     });
   } catch (error) {
     console.error(`Error fetching chart data:`, error);
@@ -305,22 +423,177 @@ router.get('/:metal/chart/:period', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/metals/retail-price:
+ *   get:
+ *     summary: Itemised retail price of jewellery for a weight and purity
+ *     description: |
+ *       Starts from the stored spot price and adds import duty, wastage, making
+ *       charges and GST using the retail rate set in effect at the quote time.
+ *       Pass `at` to reproduce an earlier quote: the spot price and rates of
+ *       that time are used.
+ *     parameters:
+ *       - in: query
+ *         name: metal
+ *         schema:
+ *           type: string
+ *           enum: [gold, silver, platinum, palladium]
+ *         required: true
+ *       - in: query
+ *         name: weight
+ *         schema:
+ *           type: number
+ *         required: true
+ *         description: Weight in grams
+ *       - in: query
+ *         name: purity
+ *         schema:
+ *           type: string
+ *         description: Karat (22, 22k) or fineness (0.916, 916). Defaults to 22k gold, 925 silver, 950 platinum and palladium
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           enum: [INR, USD, EUR]
+ *         description: Currency to price in (default the user's saved currency preference, else the base currency)
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Quote time to reproduce (default now)
+ *     responses:
+ *       200:
+ *         description: Quote with spot price, rate set, breakdown, taxable value and total
+ *       400:
+ *         description: Invalid metal, weight, purity, currency or time
+ *       404:
+ *         description: No stored spot price (or FX rate) for the quote time
+ */
+router.get('/retail-price', optionalAuth, async (req, res) => {
+  try {
+    const { metal, weight, purity, at } = req.query;
+
+    if (!METALS[metal]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported metal: ${metal}. Supported metals: ${Object.keys(METALS).join(', ')}`
+      });
+    }
+
+    const grams = parseFloat(weight);
+    if (!(grams > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weight in grams is required'
+      });
+    }
+
+    const parsedPurity = retailPricingService.parsePurity(purity, METALS[metal]);
+    if (!parsedPurity) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid purity: ${purity}. Use a karat (22, 22k) or fineness (0.916, 916)`
+      });
+    }
+
+    const quoteTime = at ? new Date(at) : null;
+    if (quoteTime && (isNaN(quoteTime.getTime()) || quoteTime > new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid quote time. Use a past ISO 8601 date or date-time'
+      });
+    }
+
+    const currency = resolveRequestCurrency(req, res);
+    if (!currency) return;
+
+    const quote = await retailPricingService.quote({
+      metal: METALS[metal],
+      weight: grams,
+      purity: parsedPurity,
+      currency,
+      at: quoteTime
+    });
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: `No stored ${metal} price${currency !== fxService.getBaseCurrency() ? ' or FX rate' : ''} for ${quoteTime ? quoteTime.toISOString() : 'now'}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Error calculating retail price:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate retail price'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/cities:
+ *   get:
+ *     summary: Cities with price premiums, for the city selector
+ *     description: |
+ *       Each city lists its premium per metal: `percentage` of the national
+ *       price, or `per_gram` of fine metal in the base currency.
+ *     responses:
+ *       200:
+ *         description: Cities sorted by name
+ */
+router.get('/cities', async (req, res) => {
+  try {
+    const cities = await cityPremiumService.listCities();
+
+    res.json({
+      success: true,
+      baseCurrency: fxService.getBaseCurrency(),
+      cities
+    });
+  } catch (error) {
+    console.error('Error fetching cities:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cities'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/ai/assistant:
  *   get:
  *     summary: Get AI assistant insights for dashboard card
+ *     description: |
+ *       Two insights validated against AssistantInsightsSchema (title, description,
+ *       sentiment, metal, confidence, supportingNumbers). `source` is `model`, or
+ *       `fallback` with a `reason` when the model output could not be validated.
+ *       Served from the ai_insights store; `meta` gives when they were generated,
+ *       when they expire and what triggered the generation.
  *     responses:
  *       200:
  *         description: AI-generated insights for the assistant card
  */
 router.get('/ai/assistant', async (req, res) => {
   try {
-    const insights = await aiInsightsService.generateAssistantInsights();
+    const insight = await insightCacheService.getInsights('assistant');
     
     res.json({
       success: true,
-      data: insights,
+      data: insight.payload,
+      meta: {
+        generatedAt: insight.generatedAt,
+        expiresAt: insight.expiresAt,
+        trigger: insight.trigger
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -337,17 +610,27 @@ router.get('/ai/assistant', async (req, res) => {
  * /api/ai/market-insights:
  *   get:
  *     summary: Get AI-generated market insights for dashboard
+ *     description: |
+ *       Three insights, a recommendation and the overall sentiment, validated
+ *       against MarketInsightsSchema. `source` is `model`, or `fallback` with a
+ *       `reason` when the model output could not be validated. Served from the
+ *       ai_insights store like /api/ai/assistant.
  *     responses:
  *       200:
  *         description: AI-generated market insights and trends
  */
 router.get('/ai/market-insights', async (req, res) => {
   try {
-    const insights = await aiInsightsService.generateMarketInsights();
+    const insight = await insightCacheService.getInsights('market');
     
     res.json({
       success: true,
-      data: insights,
+      data: insight.payload,
+      meta: {
+        generatedAt: insight.generatedAt,
+        expiresAt: insight.expiresAt,
+        trigger: insight.trigger
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -383,7 +666,7 @@ router.get('/ai/market-insights', async (req, res) => {
  *       200:
  *         description: AI response to user query
  */
-router.post('/ai/chat', async (req, res) => {
+router.post('/ai/chat', optionalAuth, async (req, res) => {
   try {
     const { query, context = {} } = req.body;
     
@@ -451,7 +734,10 @@ router.post('/ai/insights', async (req, res) => {
     const enhancedQuery = `${query}. Context: Currently analyzing ${metal || 'precious metals'} market data. ${context ? `Additional context: ${JSON.stringify(context)}` : ''}`;
     
     // Get AI response
-    const aiResponse = await swarnaAIAgent(enhancedQuery, []);
+    const aiResponse = await swarnaAIAgent(enhancedQuery, [], {
+      currency: fxService.resolveCurrency(undefined, req.user),
+      city: safeJsonObject(req.user?.preferences).city || null
+    });
     
     res.json({
       success: true,
@@ -469,804 +755,2548 @@ router.post('/ai/insights', async (req, res) => {
 });
 
 /**
- * @swagger
- * /api/alerts:
- *   post:
- *     summary: Create a price alert
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               metal:
- *                 type: string
- *                 enum: [gold, silver, platinum, palladium]
- *               type:
- *                 type: string
- *                 enum: [above, below]
- *               targetPrice:
- *                 type: number
- *               email:
- *                 type: string
- *                 format: email
- *             required:
- *               - metal
- *               - type
- *               - targetPrice
- *     responses:
- *       200:
- *         description: Alert created successfully
+ * Validate alert fields from a request body.
+ * Returns an error message, or null when the fields are valid.
  */
-router.post('/alerts', async (req, res) => {
-  try {
-    const { metal, type, targetPrice, email } = req.body;
-    
-    if (!METALS[metal]) {
-      return res.status(400).json({
-        success: false,
-        error: `Unsupported metal: ${metal}`
-      });
-    }
+const validateAlertFields = ({ metal, type, targetPrice, currency }, isUpdate = false) => {
+  if ((!isUpdate || metal !== undefined) && !METALS[metal]) {
+    return `Unsupported metal: ${metal}`;
+  }
 
-    if (!['above', 'below'].includes(type)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Alert type must be "above" or "below"'
-      });
-    }
+  if ((!isUpdate || type !== undefined) && !['above', 'below'].includes(type)) {
+    return 'Alert type must be "above" or "below"';
+  }
 
-    if (!targetPrice || typeof targetPrice !== 'number') {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid target price is required'
-      });
-    }
+  if ((!isUpdate || targetPrice !== undefined) && (typeof targetPrice !== 'number' || !(targetPrice > 0))) {
+    return 'Valid target price is required';
+  }
 
-    // In a real implementation, this would be stored in a database
-    const alert = {
-      id: Date.now().toString(),
-      metal,
-      type,
-      targetPrice,
-      email,
-      isActive: true,
-      createdAt: new Date().toISOString()
-    };
+  if (currency !== undefined && !CURRENCIES[currency]) {
+    return `Unsupported currency: ${currency}`;
+  }
 
-    res.json({
-      success: true,
-      message: 'Alert created successfully',
-      alert
-    });
-  } catch (error) {
-    console.error('Error creating alert:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create alert'
-    });
+  return null;
+};
+
+/**
+ * Parse an export range bound: YYYY-MM-DD (a whole UTC day) or ISO 8601.
+ * Returns null when invalid.
+ */
+const parseExportDate = (value, endOfDay) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const day = new Date(`${value}T00:00:00Z`);
+    if (isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value) return null;
+    return endOfDay ? new Date(day.getTime() + 24 * 60 * 60 * 1000) : day;
+  }
+  const date = new Date(value);
+  return typeof value === 'string' && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Validate an export request's query.
+ * Returns { error } or { options } with metal symbols and Date bounds.
+ */
+const parseExportRequest = (query, user) => {
+  const {
+    metals = Object.keys(METALS).join(','),
+    currencies = fxService.resolveCurrency(undefined, user),
+    granularity = 'daily',
+    format = 'csv'
+  } = query;
+
+  const metalList = String(metals).split(',').map(metal => metal.trim()).filter(Boolean);
+  if (metalList.length === 0 || metalList.some(metal => !METALS[metal])) {
+    return { error: `metals must be a comma-separated list of: ${Object.keys(METALS).join(', ')}` };
   }
-});
+
+  const currencyList = [...new Set(String(currencies).split(',').map(currency => currency.trim().toUpperCase()).filter(Boolean))];
+  const unsupported = currencyList.filter(currency => !fxService.getSupportedCurrencies().includes(currency));
+  if (currencyList.length === 0 || unsupported.length > 0) {
+    return { error: `Unsupported currency: ${unsupported.join(', ') || currencies}. Supported currencies: ${fxService.getSupportedCurrencies().join(', ')}` };
+  }
+
+  if (!exportService.getGranularities().includes(granularity)) {
+    return { error: `granularity must be one of: ${exportService.getGranularities().join(', ')}` };
+  }
+  if (!exportService.getFormats().includes(format)) {
+    return { error: `format must be one of: ${exportService.getFormats().join(', ')}` };
+  }
+
+  const to = query.to === undefined ? new Date() : parseExportDate(query.to, true);
+  const from = query.from === undefined
+    ? (to && new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000))
+    : parseExportDate(query.from, false);
+  if (!from || !to) {
+    return { error: 'from and to must be dates (YYYY-MM-DD) or ISO 8601 date-times' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  return {
+    options: {
+      metals: [...new Set(metalList.map(metal => METALS[metal]))],
+      currencies: currencyList,
+      from,
+      to,
+      granularity,
+      format
+    }
+  };
+};
 
 /**
  * @swagger
- * components:
- *   schemas:
- *     PriceData:
- *       type: object
- *       properties:
- *         price:
- *           type: number
- *           description: Current price per ounce in INR
- *         price_gram_24k:
- *           type: number
- *           description: Price per gram for 24K gold (gold only)
- *         price_gram_22k:
- *           type: number
- *           description: Price per gram for 22K gold (gold only)
- *         price_gram_18k:
- *           type: number
- *           description: Price per gram for 18K gold (gold only)
- *         high:
- *           type: number
- *           description: 24-hour high price
- *         low:
- *           type: number
- *           description: 24-hour low price
- *         open:
- *           type: number
- *           description: Opening price
- *         close:
- *           type: number
- *           description: Previous close price
- *         change:
- *           type: number
- *           description: Price change from previous close
- *         changePercent:
- *           type: number
- *           description: Percentage change from previous close
- *         timestamp:
+ * /api/metals/export:
+ *   get:
+ *     summary: Export price history as CSV, JSON Lines or XLSX
+ *     description: |
+ *       Streams raw prices or the hourly or daily OHLC rollups as a file
+ *       download. Prices are converted from the base currency with the rate
+ *       in effect at each row's time. Requires the export_data permission;
+ *       every export is recorded in the user's activity.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: metals
+ *         schema:
  *           type: string
- *           format: date-time
- *           description: Timestamp of the price data
+ *         description: Comma-separated metals (gold, silver, platinum, palladium); all by default
+ *       - in: query
+ *         name: currencies
+ *         schema:
+ *           type: string
+ *         description: Comma-separated currencies; the user's currency by default
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Range start, YYYY-MM-DD or ISO 8601; 30 days before to by default
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Range end, YYYY-MM-DD (inclusive) or ISO 8601 (exclusive); now by default
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [raw, hourly, daily]
+ *           default: daily
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, xlsx]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *       400:
+ *         description: Invalid parameters, an export over EXPORT_MAX_ROWS, or no exchange rate for a currency
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Missing the export_data permission
+ */
+router.get('/export', authenticate, authorize('export_data'), async (req, res) => {
+  const { error: validationError, options } = parseExportRequest(req.query, req.user);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  const request = { ipAddress: req.ip, userAgent: req.get('User-Agent') };
+  let prepared;
+  try {
+    prepared = await exportService.prepare(options);
+  } catch (error) {
+    if (error.code === 'EXPORT_TOO_LARGE' || error.code === 'EXPORT_NO_RATE') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error preparing export:', error);
+    return res.status(500).json({ success: false, error: 'Failed to export prices' });
+  }
+
+  res.setHeader('Content-Type', prepared.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${prepared.filename}"`);
+
+  const stats = { rows: 0 };
+  try {
+    await exportService.write(prepared, res, stats);
+    await exportService.recordExport(req.user, request, options, { status: 'completed', rows: stats.rows });
+  } catch (error) {
+    // The response is destroyed with the stream, so a failed download is
+    // cut off rather than mistaken for a complete file
+    const aborted = error.code === 'ERR_STREAM_PREMATURE_CLOSE';
+    if (!aborted) console.error('Error streaming export:', error);
+    await exportService.recordExport(req.user, request, options, {
+      status: aborted ? 'aborted' : 'failed',
+      rows: stats.rows,
+      error: aborted ? null : error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/alerts:
+ *   get:
+ *     summary: List the current user's price alerts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return active alerts
+ *     responses:
+ *       200:
+ *         description: Price alerts owned by the user
+ */
+router.get('/alerts', authenticate, authorize('set_price_alerts'), async (req, res) => {
+  try {
+    const alerts = await alertService.getUserAlerts(req.user.id, {
+      activeOnly: req.query.active === 'true'
+    });
+
+    res.json({
+      success: true,
+      alerts
+    });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alerts'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/alerts:
+ *   post:
+ *     summary: Create a price alert
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               metal:
+ *                 type: string
+ *                 enum: [gold, silver, platinum, palladium]
+ *               type:
+ *                 type: string
+ *                 enum: [above, below]
+ *               targetPrice:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *                 enum: [INR, USD, EUR]
+ *                 default: INR
+ *               repeat:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Re-arm the alert after the price crosses back instead of deactivating it
+ *               note:
+ *                 type: string
+ *             required:
+ *               - metal
+ *               - type
+ *               - targetPrice
+ *     responses:
+ *       201:
+ *         description: Alert created successfully
+ */
+router.post('/alerts', authenticate, authorize('set_price_alerts'), async (req, res) => {
+  try {
+    const { metal, type, targetPrice, currency = 'INR', repeat = false, note } = req.body;
+    
+    const validationError = validateAlertFields({ metal, type, targetPrice, currency });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const alert = await alertService.createAlert(req.user.id, {
+      metal: METALS[metal],
+      currency,
+      condition: type,
+      targetPrice,
+      repeat,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert created successfully',
+      alert
+    });
+  } catch (error) {
+    console.error('Error creating alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create alert'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/alerts/triggers:
+ *   get:
+ *     summary: Get the trigger history of the current user's alerts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Recorded alert triggers
+ */
+router.get('/alerts/triggers', authenticate, authorize('set_price_alerts'), async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const triggers = await alertService.getTriggerHistory(req.user.id, null, parseInt(limit));
+
+    res.json({
+      success: true,
+      triggers
+    });
+  } catch (error) {
+    console.error('Error fetching alert triggers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert triggers'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/alerts/{id}:
+ *   get:
+ *     summary: Get a price alert with its trigger history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The price alert
+ *       404:
+ *         description: Alert not found
+ */
+router.get('/alerts/:id', authenticate, authorize('set_price_alerts'), async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const alert = await alertService.getAlert(req.user.id, alertId);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    const triggers = await alertService.getTriggerHistory(req.user.id, alertId);
+
+    res.json({
+      success: true,
+      alert,
+      triggers
+    });
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/alerts/{id}:
+ *   put:
+ *     summary: Update a price alert
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [above, below]
+ *               targetPrice:
+ *                 type: number
+ *               repeat:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Alert updated successfully
+ *       404:
+ *         description: Alert not found
+ */
+router.put('/alerts/:id', authenticate, authorize('set_price_alerts'), async (req, res) => {
+  try {
+    const { type, targetPrice, repeat, isActive, note } = req.body;
+
+    const validationError = validateAlertFields({ type, targetPrice }, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const alert = await alertService.updateAlert(req.user.id, parseInt(req.params.id), {
+      condition: type,
+      targetPrice,
+      repeat,
+      isActive,
+      note
+    });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert updated successfully',
+      alert
+    });
+  } catch (error) {
+    console.error('Error updating alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update alert'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/alerts/{id}:
+ *   delete:
+ *     summary: Delete a price alert
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Alert deleted successfully
+ *       404:
+ *         description: Alert not found
+ */
+router.delete('/alerts/:id', authenticate, authorize('set_price_alerts'), async (req, res) => {
+  try {
+    const deleted = await alertService.deleteAlert(req.user.id, parseInt(req.params.id));
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alert'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceData:
+ *       type: object
+ *       properties:
+ *         price:
+ *           type: number
+ *           description: Current price per ounce in INR
+ *         price_gram_24k:
+ *           type: number
+ *           description: Price per gram for 24K gold (gold only)
+ *         price_gram_22k:
+ *           type: number
+ *           description: Price per gram for 22K gold (gold only)
+ *         price_gram_18k:
+ *           type: number
+ *           description: Price per gram for 18K gold (gold only)
+ *         high:
+ *           type: number
+ *           description: 24-hour high price
+ *         low:
+ *           type: number
+ *           description: 24-hour low price
+ *         open:
+ *           type: number
+ *           description: Opening price
+ *         close:
+ *           type: number
+ *           description: Previous close price
+ *         change:
+ *           type: number
+ *           description: Price change from previous close
+ *         changePercent:
+ *           type: number
+ *           description: Percentage change from previous close
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp of the price data
+ */
+
+/**
+ * @swagger
+ * /api/admin/provider/switch:
+ *   post:
+ *     summary: Switch primary API provider and its fallback chain (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 description: Any registered provider name, or "db" for DB-only mode
+ *               fallbacks:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Ordered fallback providers (defaults to all other registered providers)
+ *             required:
+ *               - provider
+ *     responses:
+ *       200:
+ *         description: Provider switched successfully
+ *       400:
+ *         description: Unknown provider
+ */
+router.post('/admin/provider/switch', adminOnly, async (req, res) => {
+  try {
+    const { provider, fallbacks = [] } = req.body;
+    
+    if (provider !== DB_PROVIDER && !hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid provider. Must be one of: ${[...getProviderNames(), DB_PROVIDER].join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(fallbacks) || fallbacks.some(name => !hasProvider(name))) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid fallbacks. Must be a list of: ${getProviderNames().join(', ')}`
+      });
+    }
+    
+    metalpricerService.switchProvider(provider, fallbacks);
+    
+    let message = `Switched to ${provider} provider`;
+    if (provider === DB_PROVIDER) {
+      message = 'Switched to DB-only mode - no external API calls will be made';
+    }
+    
+    res.json({
+      success: true,
+      message,
+      provider,
+      chain: metalpricerService.getProviderChain(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error switching provider:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to switch provider'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/provider/health:
+ *   get:
+ *     summary: Check health of all API providers (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Health status of all providers
+ */
+router.get('/admin/provider/health', adminOnly, async (req, res) => {
+  try {
+    const providers = getProviderNames();
+    const healthChecks = await Promise.all(
+      providers.map(provider => metalpricerService.healthCheck(provider))
+    );
+    
+    res.json({
+      success: true,
+      data: {
+        primary: metalpricerService.primaryProvider,
+        fallback: metalpricerService.fallbackProvider,
+        chain: metalpricerService.getProviderChain(),
+        health: healthChecks
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error checking provider health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check provider health'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/provider/status:
+ *   get:
+ *     summary: Get current API provider configuration, price cache statistics, circuit breakers and quotas (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current provider configuration
+ */
+router.get('/admin/provider/status', adminOnly, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        primary: metalpricerService.primaryProvider,
+        fallback: metalpricerService.fallbackProvider,
+        ...metalpricerService.getProviderInfo(),
+        retryCount: metalpricerService.retryCount,
+        retryDelay: metalpricerService.retryDelay,
+        health: await metalpricerService.getProviderHealth()
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting provider status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get provider status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/provider/warnings:
+ *   get:
+ *     summary: Warnings about providers - opened circuit breakers and nearly used up quotas (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *         description: Hours to look back
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Warnings, newest first
+ *       400:
+ *         description: Invalid hours or provider
+ */
+router.get('/admin/provider/warnings', adminOnly, async (req, res) => {
+  try {
+    const { hours = 24, provider } = req.query;
+    const lookback = parseInt(hours);
+
+    if (!(lookback > 0) || lookback > 24 * 90) {
+      return res.status(400).json({
+        success: false,
+        error: 'hours must be a positive integer of at most 2160 (90 days)'
+      });
+    }
+    if (provider && !hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid provider. Must be one of: ${getProviderNames().join(', ')}`
+      });
+    }
+
+    const warnings = await providerGuardService.getWarnings({
+      hours: lookback,
+      provider: provider || null
+    });
+
+    res.json({
+      success: true,
+      data: { warnings },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting provider warnings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get provider warnings'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/convert:
+ *   get:
+ *     summary: Convert currency amounts using MetalPriceAPI
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Source currency/metal
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Target currency/metal
+ *       - in: query
+ *         name: amount
+ *         schema:
+ *           type: number
+ *         required: true
+ *         description: Amount to convert
+ *     responses:
+ *       200:
+ *         description: Conversion result
+ */
+router.get('/convert', async (req, res) => {
+  try {
+    const { from, to, amount } = req.query;
+    
+    if (!from || !to || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: from, to, amount'
+      });
+    }
+
+    const response = await metalpricerService.convertPrice(from, to, parseFloat(amount));
+    
+    if (response.success) {
+      res.json({
+        success: true,
+        timestamp: response.timestamp,
+        data: response.data
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: response.error?.message || 'Failed to convert price'
+      });
+    }
+  } catch (error) {
+    console.error('Error converting price:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to convert price'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/timeframe:
+ *   get:
+ *     summary: Get exchange rates for a specific time period
+ *     parameters:
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Start date (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: End date (YYYY-MM-DD)
+ *       - in: query
+ *         name: base
+ *         schema:
+ *           type: string
+ *           default: INR
+ *         description: Base currency
+ *       - in: query
+ *         name: currencies
+ *         schema:
+ *           type: string
+ *           default: XAU,XAG,XPT,XPD
+ *         description: Comma-separated list of currencies
+ *     responses:
+ *       200:
+ *         description: Timeframe data
+ */
+router.get('/timeframe', async (req, res) => {
+  try {
+    const { start_date, end_date, base = 'INR', currencies = 'XAU,XAG,XPT,XPD' } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: start_date, end_date'
+      });
+    }
+
+    const response = await metalpricerService.getTimeframeData(start_date, end_date, base, currencies);
+    
+    if (response.success) {
+      res.json({
+        success: true,
+        timestamp: response.timestamp,
+        data: response.data
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: response.error?.message || 'Failed to get timeframe data'
+      });
+    }
+  } catch (error) {
+    console.error('Error getting timeframe data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get timeframe data'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/change:
+ *   get:
+ *     summary: Get currency change parameters (margin, percentage)
+ *     description: Served from the stored change data for the same base and dates in DB-only mode, or when every provider fails.
+ *     parameters:
+ *       - in: query
+ *         name: base
+ *         schema:
+ *           type: string
+ *           default: INR
+ *         description: Base currency
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Start date (YYYY-MM-DD)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: End date (YYYY-MM-DD)
+ *       - in: query
+ *         name: currencies
+ *         schema:
+ *           type: string
+ *           default: XAU,XAG,XPT,XPD
+ *         description: Comma-separated list of currencies
+ *     responses:
+ *       200:
+ *         description: Change data
+ */
+router.get('/change', async (req, res) => {
+  try {
+    const { base = 'INR', start_date, end_date, currencies = 'XAU,XAG,XPT,XPD' } = req.query;
+    
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: start_date, end_date'
+      });
+    }
+
+    const response = await metalpricerService.getChangeData(base, start_date, end_date, currencies);
+    
+    if (response.success) {
+      res.json({
+        success: true,
+        timestamp: response.timestamp,
+        data: response.data
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: response.error?.message || 'Failed to get change data'
+      });
+    }
+  } catch (error) {
+    console.error('Error getting change data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get change data'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/carat:
+ *   get:
+ *     summary: Get gold prices by carat
+ *     description: Served from the stored carat rates in DB-only mode, or when every provider fails.
+ *     responses:
+ *       200:
+ *         description: Carat data
+ */
+router.get('/carat', async (req, res) => {
+  try {
+    const response = await metalpricerService.getCaratData();
+    
+    if (response.success) {
+      res.json({
+        success: true,
+        timestamp: response.timestamp,
+        data: response.data
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: response.error?.message || 'Failed to get carat data'
+      });
+    }
+  } catch (error) {
+    console.error('Error getting carat data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get carat data'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metals/symbols:
+ *   get:
+ *     summary: Get list of all supported currencies and metals
+ *     description: Served from the stored symbols in DB-only mode, or when every provider fails.
+ *     responses:
+ *       200:
+ *         description: Symbols data
+ */
+router.get('/symbols', async (req, res) => {
+  try {
+    const response = await metalpricerService.getSymbols();
+    
+    if (response.success) {
+      res.json({
+        success: true,
+        timestamp: response.timestamp,
+        data: response.data
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: response.error?.message || 'Failed to get symbols'
+      });
+    }
+  } catch (error) {
+    console.error('Error getting symbols:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get symbols'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Get API usage statistics (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         description: Filter by provider
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: number
+ *           default: 24
+ *         description: Hours to look back
+ *     responses:
+ *       200:
+ *         description: API statistics
+ */
+router.get('/admin/stats', adminOnly, async (req, res) => {
+  try {
+    const { provider, hours = 24 } = req.query;
+    const response = await metalpricerService.getAPIStats(provider, parseInt(hours));
+    
+    if (response.success) {
+      res.json({
+        success: true,
+        timestamp: response.timestamp,
+        stats: response.data
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: response.error?.message || 'Failed to get API stats'
+      });
+    }
+  } catch (error) {
+    console.error('Error getting API stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get API stats'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/cleanup:
+ *   post:
+ *     summary: Clean up old data (admin only)
+ *     description: |
+ *       Rolls prices up into the hourly and daily OHLC tables, then purges
+ *       raw prices and API logs older than daysToKeep and rollups past their
+ *       retention (PRICE_HOURLY_RETENTION_DAYS, PRICE_DAILY_RETENTION_DAYS).
+ *       API logs of the current month are kept for provider quotas.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               daysToKeep:
+ *                 type: number
+ *                 description: Raw price retention in days (default PRICE_RAW_RETENTION_DAYS, 30)
+ *     responses:
+ *       200:
+ *         description: Cleanup completed, with the buckets rolled up and rows deleted per level
+ *       400:
+ *         description: Invalid daysToKeep
+ */
+router.post('/admin/cleanup', adminOnly, async (req, res) => {
+  try {
+    const { daysToKeep } = req.body;
+
+    if (daysToKeep !== undefined && !(Number.isInteger(daysToKeep) && daysToKeep > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'daysToKeep must be a positive integer'
+      });
+    }
+
+    const response = await metalpricerService.cleanOldData(daysToKeep);
+    
+    if (response.success) {
+      const { retention, rolledUp, deleted } = response.data.cleaned;
+      res.json({
+        success: true,
+        message: `Cleaned up data older than ${retention.rawDays} days`,
+        retention,
+        rolledUp,
+        deleted,
+        timestamp: response.timestamp
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: response.error?.message || 'Failed to clean up data'
+      });
+    }
+  } catch (error) {
+    console.error('Error cleaning up data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clean up data'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/sync/status:
+ *   get:
+ *     summary: Get data sync service status
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data sync service status
+ */
+router.get('/admin/sync/status', adminOnly, (req, res) => {
+  try {
+    const stats = dataSyncService.getStats();
+    res.json({
+      success: true,
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting sync status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sync status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/sync/trigger:
+ *   post:
+ *     summary: Manually trigger data sync
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data sync triggered successfully
+ */
+router.post('/admin/sync/trigger', adminOnly, async (req, res) => {
+  try {
+    await dataSyncService.triggerManualSync();
+    res.json({
+      success: true,
+      message: 'Data sync triggered successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error triggering sync:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to trigger sync'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/sync/interval:
+ *   post:
+ *     summary: Update data sync interval
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               interval:
+ *                 type: string
+ *                 description: Cron expression for sync interval
+ *             required:
+ *               - interval
+ *     responses:
+ *       200:
+ *         description: Sync interval updated successfully
+ */
+router.post('/admin/sync/interval', adminOnly, (req, res) => {
+  try {
+    const { interval } = req.body;
+    
+    if (!interval) {
+      return res.status(400).json({
+        success: false,
+        error: 'Interval is required'
+      });
+    }
+    
+    dataSyncService.updateSyncInterval(interval);
+    
+    res.json({
+      success: true,
+      message: 'Sync interval updated successfully',
+      interval,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating sync interval:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to update sync interval'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/sync/health:
+ *   get:
+ *     summary: Get data sync service health
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data sync service health check
+ */
+router.get('/admin/sync/health', adminOnly, async (req, res) => {
+  try {
+    const health = await dataSyncService.healthCheck();
+    res.json({
+      success: true,
+      data: health,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error checking sync health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check sync health'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/bulk-sync/trigger:
+ *   post:
+ *     summary: Manually trigger bulk data sync (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Bulk sync triggered successfully
+ */
+router.post('/admin/bulk-sync/trigger', adminOnly, async (req, res) => {
+  try {
+    // Run bulk sync in background
+    bulkDataSyncService.performBulkSync().catch(error => {
+      console.error('Background bulk sync failed:', error);
+    });
+    
+    res.json({
+      success: true,
+      message: 'Bulk data sync initiated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error triggering bulk sync:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to trigger bulk sync'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/bulk-sync/status:
+ *   get:
+ *     summary: Get bulk sync service status
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Bulk sync service status
+ */
+router.get('/admin/bulk-sync/status', adminOnly, async (req, res) => {
+  try {
+    const status = await bulkDataSyncService.getStatus();
+    res.json({
+      success: true,
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting bulk sync status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get bulk sync status'
+    });
+  }
+});
+
+/**
+ * Validate a backfill request body.
+ * Returns an error message, or null when the fields are valid.
  */
+function validateBackfillRequest({ startDate, endDate, metals, currency }) {
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  const isDate = value => typeof value === 'string' && dateRegex.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+
+  if (!isDate(startDate) || !isDate(endDate)) {
+    return 'startDate and endDate are required in YYYY-MM-DD format';
+  }
+  if (startDate > endDate) {
+    return 'startDate must not be after endDate';
+  }
+  if (endDate > new Date().toISOString().slice(0, 10)) {
+    return 'endDate must not be in the future';
+  }
+  if (metals !== undefined && (!Array.isArray(metals) || metals.length === 0 || metals.some(metal => !METALS[metal]))) {
+    return `metals must be a non-empty array of: ${Object.keys(METALS).join(', ')}`;
+  }
+  if (currency !== undefined && !fxService.getSupportedCurrencies().includes(currency)) {
+    return `Unsupported currency: ${currency}. Supported currencies: ${fxService.getSupportedCurrencies().join(', ')}`;
+  }
+  return null;
+}
 
 /**
  * @swagger
- * /api/admin/provider/switch:
+ * /api/admin/bulk-sync/backfill:
  *   post:
- *     summary: Switch primary API provider
+ *     summary: Backfill historical daily prices for a date range (admin only)
+ *     description: The range is split into chunks the providers accept in one request. Progress is checkpointed per chunk, and unfinished backfills resume after a restart.
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [startDate, endDate]
  *             properties:
- *               provider:
+ *               startDate:
  *                 type: string
- *                 enum: [goldapi, metalpriceapi, db]
- *             required:
- *               - provider
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               metals:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [gold, silver, platinum, palladium]
+ *                 description: Defaults to all metals
+ *               currency:
+ *                 type: string
+ *                 description: Defaults to the base currency
  *     responses:
- *       200:
- *         description: Provider switched successfully
+ *       202:
+ *         description: Backfill queued
+ *       400:
+ *         description: Invalid date range, metals or currency
  */
-router.post('/admin/provider/switch', async (req, res) => {
+router.post('/admin/bulk-sync/backfill', adminOnly, async (req, res) => {
   try {
-    const { provider } = req.body;
-    
-    if (!['goldapi', 'metalpriceapi', 'db'].includes(provider)) {
+    const validationError = validateBackfillRequest(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid provider. Must be goldapi, metalpriceapi, or db'
+        error: validationError
       });
     }
-    
-    metalpricerService.switchProvider(provider);
-    
-    let message = `Switched to ${provider} provider`;
-    if (provider === 'db') {
-      message = 'Switched to DB-only mode - no external API calls will be made';
-    }
-    
-    res.json({
+
+    const { startDate, endDate, metals = Object.keys(METALS), currency = fxService.getBaseCurrency() } = req.body;
+    const job = await bulkDataSyncService.createBackfill({
+      startDate,
+      endDate,
+      metals: metals.map(metal => METALS[metal]),
+      currency
+    }, req.user.id);
+
+    res.status(202).json({
       success: true,
-      message,
-      provider,
+      message: 'Backfill queued',
+      data: job,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error switching provider:', error);
+    console.error('Error queueing backfill:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to switch provider'
+      error: 'Failed to queue backfill'
     });
   }
 });
 
 /**
  * @swagger
- * /api/admin/provider/health:
+ * /api/admin/bulk-sync/backfills/{id}:
  *   get:
- *     summary: Check health of all API providers
+ *     summary: Get a backfill with its per-chunk progress (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Health status of all providers
+ *         description: Backfill with its chunks
+ *       404:
+ *         description: Backfill not found
  */
-router.get('/admin/provider/health', async (req, res) => {
+router.get('/admin/bulk-sync/backfills/:id', adminOnly, async (req, res) => {
   try {
-    const providers = ['goldapi', 'metalpriceapi'];
-    const healthChecks = await Promise.all(
-      providers.map(provider => metalpricerService.healthCheck(provider))
-    );
-    
+    const job = await bulkDataSyncService.getBackfill(parseInt(req.params.id) || 0);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: {
-        primary: metalpricerService.primaryProvider,
-        fallback: metalpricerService.fallbackProvider,
-        health: healthChecks
-      },
+      data: job,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error checking provider health:', error);
+    console.error('Error getting backfill:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to check provider health'
+      error: 'Failed to get backfill'
     });
   }
 });
 
 /**
  * @swagger
- * /api/admin/provider/status:
- *   get:
- *     summary: Get current API provider configuration
+ * /api/admin/bulk-sync/backfills/{id}/retry:
+ *   post:
+ *     summary: Retry a failed or cancelled backfill (admin only)
+ *     description: Failed chunks are retried with fresh attempts; completed chunks are skipped.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Current provider configuration
+ *         description: Backfill queued again
+ *       404:
+ *         description: Backfill not found
+ *       409:
+ *         description: Backfill is not failed or cancelled
  */
-router.get('/admin/provider/status', async (req, res) => {
+router.post('/admin/bulk-sync/backfills/:id/retry', adminOnly, async (req, res) => {
   try {
+    const job = await bulkDataSyncService.retryBackfill(parseInt(req.params.id) || 0);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: {
-        primary: metalpricerService.primaryProvider,
-        fallback: metalpricerService.fallbackProvider,
-        retryCount: metalpricerService.retryCount,
-        retryDelay: metalpricerService.retryDelay
-      },
+      message: 'Backfill queued for retry',
+      data: job,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error getting provider status:', error);
+    if (error.code === 'BACKFILL_NOT_RETRYABLE') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error retrying backfill:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get provider status'
+      error: 'Failed to retry backfill'
     });
   }
 });
 
 /**
  * @swagger
- * /api/metals/convert:
- *   get:
- *     summary: Convert currency amounts using MetalPriceAPI
+ * /api/admin/bulk-sync/backfills/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending or running backfill (admin only)
+ *     description: A running backfill stops after its current chunk. Completed chunks are kept.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: from
- *         schema:
- *           type: string
- *         required: true
- *         description: Source currency/metal
- *       - in: query
- *         name: to
- *         schema:
- *           type: string
+ *       - in: path
+ *         name: id
  *         required: true
- *         description: Target currency/metal
- *       - in: query
- *         name: amount
  *         schema:
- *           type: number
- *         required: true
- *         description: Amount to convert
+ *           type: integer
  *     responses:
  *       200:
- *         description: Conversion result
+ *         description: Backfill cancelled
+ *       404:
+ *         description: Backfill not found
+ *       409:
+ *         description: Backfill has already finished
  */
-router.get('/convert', async (req, res) => {
+router.post('/admin/bulk-sync/backfills/:id/cancel', adminOnly, async (req, res) => {
   try {
-    const { from, to, amount } = req.query;
-    
-    if (!from || !to || !amount) {
-      return res.status(400).json({
+    const job = await bulkDataSyncService.cancelBackfill(parseInt(req.params.id) || 0);
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        error: 'Missing required parameters: from, to, amount'
+        error: 'Backfill not found'
       });
     }
 
-    const response = await metalpricerService.convertPrice(from, to, parseFloat(amount));
-    
-    if (response.success) {
-      res.json({
-        success: true,
-        timestamp: response.timestamp,
-        data: response.data
-      });
-    } else {
-      res.status(500).json({
+    res.json({
+      success: true,
+      message: 'Backfill cancelled',
+      data: job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === 'BACKFILL_FINISHED') {
+      return res.status(409).json({
         success: false,
-        error: response.error?.message || 'Failed to convert price'
+        error: error.message
       });
     }
-  } catch (error) {
-    console.error('Error converting price:', error);
+    console.error('Error cancelling backfill:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to convert price'
+      error: 'Failed to cancel backfill'
     });
   }
 });
 
 /**
  * @swagger
- * /api/metals/timeframe:
+ * /api/admin/price-quarantine:
  *   get:
- *     summary: Get exchange rates for a specific time period
+ *     summary: List live prices held back by the ingest checks (admin only)
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: start_date
- *         schema:
- *           type: string
- *           format: date
- *         required: true
- *         description: Start date (YYYY-MM-DD)
- *       - in: query
- *         name: end_date
+ *         name: status
  *         schema:
  *           type: string
- *           format: date
- *         required: true
- *         description: End date (YYYY-MM-DD)
+ *           enum: [pending, approved, rejected, confirmed, all]
+ *           default: pending
  *       - in: query
- *         name: base
+ *         name: metal
  *         schema:
  *           type: string
- *           default: INR
- *         description: Base currency
+ *           enum: [gold, silver, platinum, palladium]
  *       - in: query
- *         name: currencies
+ *         name: limit
  *         schema:
- *           type: string
- *           default: XAU,XAG,XPT,XPD
- *         description: Comma-separated list of currencies
+ *           type: integer
+ *           default: 50
  *     responses:
  *       200:
- *         description: Timeframe data
+ *         description: Quarantined prices, newest first
+ *       400:
+ *         description: Invalid status or metal
  */
-router.get('/timeframe', async (req, res) => {
+router.get('/admin/price-quarantine', adminOnly, async (req, res) => {
   try {
-    const { start_date, end_date, base = 'INR', currencies = 'XAU,XAG,XPT,XPD' } = req.query;
-    
-    if (!start_date || !end_date) {
+    const { status = 'pending', metal, limit = 50 } = req.query;
+
+    if (status !== 'all' && !priceValidationService.getQuarantineStatuses().includes(status)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required parameters: start_date, end_date'
+        error: `Invalid status. Use one of: ${priceValidationService.getQuarantineStatuses().join(', ')}, all`
+      });
+    }
+    if (metal && !METALS[metal]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid metal. Supported metals: ${Object.keys(METALS).join(', ')}`
       });
     }
 
-    const response = await metalpricerService.getTimeframeData(start_date, end_date, base, currencies);
-    
-    if (response.success) {
-      res.json({
-        success: true,
-        timestamp: response.timestamp,
-        data: response.data
+    const entries = await priceValidationService.listQuarantine({
+      status,
+      metal: metal ? METALS[metal] : null,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing quarantined prices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list quarantined prices'
+    });
+  }
+});
+
+/**
+ * Approve or reject a quarantined price
+ */
+const reviewQuarantinedPrice = (decision) => async (req, res) => {
+  try {
+    const { note = null } = req.body || {};
+    if (note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'note must be a string'
       });
-    } else {
-      res.status(500).json({
+    }
+
+    const id = parseInt(req.params.id) || 0;
+    const entry = decision === 'approve'
+      ? await priceValidationService.approve(id, req.user.id, note)
+      : await priceValidationService.reject(id, req.user.id, note);
+
+    if (!entry) {
+      return res.status(404).json({
         success: false,
-        error: response.error?.message || 'Failed to get timeframe data'
+        error: 'Quarantined price not found'
       });
     }
+
+    res.json({
+      success: true,
+      data: entry,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Error getting timeframe data:', error);
+    if (error.code === 'QUARANTINE_REVIEWED') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`Error trying to ${decision} quarantined price:`, error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get timeframe data'
+      error: `Failed to ${decision} quarantined price`
     });
   }
-});
+};
+
+/**
+ * @swagger
+ * /api/admin/price-quarantine/{id}/approve:
+ *   post:
+ *     summary: Approve a quarantined price (admin only)
+ *     description: The price is stored and served like any other, and its hour and day are rolled up again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Price approved
+ *       404:
+ *         description: Quarantined price not found
+ *       409:
+ *         description: Already reviewed
+ */
+router.post('/admin/price-quarantine/:id/approve', adminOnly, reviewQuarantinedPrice('approve'));
+
+/**
+ * @swagger
+ * /api/admin/price-quarantine/{id}/reject:
+ *   post:
+ *     summary: Reject a quarantined price (admin only)
+ *     description: The price is kept for the record and never served.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Price rejected
+ *       404:
+ *         description: Quarantined price not found
+ *       409:
+ *         description: Already reviewed
+ */
+router.post('/admin/price-quarantine/:id/reject', adminOnly, reviewQuarantinedPrice('reject'));
 
 /**
  * @swagger
- * /api/metals/change:
+ * /api/admin/price-discrepancies:
  *   get:
- *     summary: Get currency change parameters (margin, percentage)
+ *     summary: Report of disagreements between providers (admin only)
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: base
- *         schema:
- *           type: string
- *           default: INR
- *         description: Base currency
- *       - in: query
- *         name: start_date
+ *         name: hours
  *         schema:
- *           type: string
- *           format: date
- *         required: true
- *         description: Start date (YYYY-MM-DD)
+ *           type: integer
+ *           default: 24
+ *         description: Hours to look back
  *       - in: query
- *         name: end_date
+ *         name: metal
  *         schema:
  *           type: string
- *           format: date
- *         required: true
- *         description: End date (YYYY-MM-DD)
+ *           enum: [gold, silver, platinum, palladium]
  *       - in: query
- *         name: currencies
+ *         name: currency
  *         schema:
  *           type: string
- *           default: XAU,XAG,XPT,XPD
- *         description: Comma-separated list of currencies
  *     responses:
  *       200:
- *         description: Change data
+ *         description: Discrepancies summarized per metal and provider pair, with the most recent ones
+ *       400:
+ *         description: Invalid hours, metal or currency
  */
-router.get('/change', async (req, res) => {
+router.get('/admin/price-discrepancies', adminOnly, async (req, res) => {
   try {
-    const { base = 'INR', start_date, end_date, currencies = 'XAU,XAG,XPT,XPD' } = req.query;
-    
-    if (!start_date || !end_date) {
+    const { hours = 24, metal, currency } = req.query;
+    const lookback = parseInt(hours);
+
+    if (!(lookback > 0) || lookback > 24 * 90) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required parameters: start_date, end_date'
+        error: 'hours must be a positive integer of at most 2160 (90 days)'
       });
     }
-
-    const response = await metalpricerService.getChangeData(base, start_date, end_date, currencies);
-    
-    if (response.success) {
-      res.json({
-        success: true,
-        timestamp: response.timestamp,
-        data: response.data
-      });
-    } else {
-      res.status(500).json({
+    if (metal && !METALS[metal]) {
+      return res.status(400).json({
         success: false,
-        error: response.error?.message || 'Failed to get change data'
+        error: `Invalid metal. Supported metals: ${Object.keys(METALS).join(', ')}`
       });
     }
-  } catch (error) {
-    console.error('Error getting change data:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get change data'
-    });
-  }
-});
-
-/**
- * @swagger
- * /api/metals/carat:
- *   get:
- *     summary: Get gold prices by carat
- *     responses:
- *       200:
- *         description: Carat data
- */
-router.get('/carat', async (req, res) => {
-  try {
-    const response = await metalpricerService.getCaratData();
-    
-    if (response.success) {
-      res.json({
-        success: true,
-        timestamp: response.timestamp,
-        data: response.data
-      });
-    } else {
-      res.status(500).json({
+    if (currency && !fxService.getSupportedCurrencies().includes(currency)) {
+      return res.status(400).json({
         success: false,
-        error: response.error?.message || 'Failed to get carat data'
+        error: `Unsupported currency: ${currency}. Supported currencies: ${fxService.getSupportedCurrencies().join(', ')}`
       });
     }
+
+    const report = await priceValidationService.getDiscrepancyReport({
+      hours: lookback,
+      metal: metal ? METALS[metal] : null,
+      currency: currency || null
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Error getting carat data:', error);
+    console.error('Error building price discrepancy report:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get carat data'
+      error: 'Failed to build price discrepancy report'
     });
   }
 });
 
 /**
  * @swagger
- * /api/metals/symbols:
+ * /api/admin/prices/{id}/trace:
  *   get:
- *     summary: Get list of all supported currencies and metals
+ *     summary: Trace a stored price back to its source payload (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: metal_prices row id
  *     responses:
  *       200:
- *         description: Symbols data
+ *         description: The price with its raw payload, mapper version, fetch time and sync run
+ *       400:
+ *         description: Invalid id
+ *       404:
+ *         description: Price not found
  */
-router.get('/symbols', async (req, res) => {
+router.get('/admin/prices/:id/trace', adminOnly, async (req, res) => {
   try {
-    const response = await metalpricerService.getSymbols();
-    
-    if (response.success) {
-      res.json({
-        success: true,
-        timestamp: response.timestamp,
-        data: response.data
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: response.error?.message || 'Failed to get symbols'
-      });
+    const id = parseInt(req.params.id);
+    if (!(id > 0)) {
+      return res.status(400).json({ success: false, error: 'Invalid price id' });
     }
+
+    const trace = await provenanceService.traceById(id);
+    if (!trace) {
+      return res.status(404).json({ success: false, error: 'Price not found' });
+    }
+
+    res.json({
+      success: true,
+      data: trace,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Error getting symbols:', error);
+    console.error('Error tracing price:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get symbols'
+      error: 'Failed to trace price'
     });
   }
 });
 
 /**
  * @swagger
- * /api/admin/stats:
+ * /api/admin/price-trace:
  *   get:
- *     summary: Get API usage statistics (admin only)
+ *     summary: Trace a served price back to its source payload (admin only)
+ *     description: |
+ *       Finds the stored prices of a metal at the timestamp a price was served
+ *       with. Prices served in another currency than the base currency were
+ *       converted from the base-currency row, which is traced together with
+ *       the exchange rate applied at that time.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: provider
+ *         name: metal
+ *         required: true
  *         schema:
  *           type: string
- *         description: Filter by provider
+ *           enum: [gold, silver, platinum, palladium]
  *       - in: query
- *         name: hours
+ *         name: timestamp
+ *         required: true
  *         schema:
- *           type: number
- *           default: 24
- *         description: Hours to look back
+ *           type: string
+ *         description: Timestamp of the served price (unix seconds or ISO 8601)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency the price was served in (defaults to the base currency)
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: API statistics
+ *         description: Traces of the matching stored prices
+ *       400:
+ *         description: Invalid metal, currency or timestamp
+ *       404:
+ *         description: No stored price at that timestamp
  */
-router.get('/admin/stats', adminOnly, async (req, res) => {
+router.get('/admin/price-trace', adminOnly, async (req, res) => {
   try {
-    const { provider, hours = 24 } = req.query;
-    const response = await metalpricerService.getAPIStats(provider, parseInt(hours));
-    
-    if (response.success) {
-      res.json({
-        success: true,
-        timestamp: response.timestamp,
-        stats: response.data
+    const { metal, timestamp, provider } = req.query;
+    const baseCurrency = fxService.getBaseCurrency();
+    const currency = req.query.currency || baseCurrency;
+
+    if (!METALS[metal]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid metal. Supported metals: ${Object.keys(METALS).join(', ')}`
       });
-    } else {
-      res.status(500).json({
+    }
+    if (!fxService.getSupportedCurrencies().includes(currency)) {
+      return res.status(400).json({
         success: false,
-        error: response.error?.message || 'Failed to get API stats'
+        error: `Unsupported currency: ${currency}. Supported currencies: ${fxService.getSupportedCurrencies().join(', ')}`
+      });
+    }
+
+    const at = /^\d+$/.test(timestamp || '') ? new Date(parseInt(timestamp) * 1000) : new Date(timestamp);
+    if (!timestamp || isNaN(at.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'timestamp must be unix seconds or an ISO 8601 date-time'
+      });
+    }
+
+    const query = { metal: METALS[metal], timestamp: at, provider: provider || null };
+    let traces = await provenanceService.traceAt({ ...query, currency });
+    let conversion = null;
+
+    // Other currencies are usually served converted from the base currency
+    if (traces.length === 0 && currency !== baseCurrency) {
+      traces = await provenanceService.traceAt({ ...query, currency: baseCurrency });
+      if (traces.length > 0) {
+        const fx = await fxService.getRate(baseCurrency, currency, { at });
+        conversion = {
+          from: baseCurrency,
+          to: currency,
+          rate: fx ? fx.rate : null,
+          rateTimestamp: fx ? fx.timestamp : null
+        };
+      }
+    }
+
+    if (traces.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No stored ${metal} price at ${at.toISOString()}`
       });
     }
+
+    res.json({
+      success: true,
+      data: { traces, conversion },
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Error getting API stats:', error);
+    console.error('Error tracing served price:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get API stats'
+      error: 'Failed to trace price'
     });
   }
 });
 
+// Routes with uploads, mounted before the app's body parsers: they parse
+// their bodies themselves, after authentication and with larger limits
+const uploadRoutes = express.Router();
+
+const importBody = [
+  express.json({ limit: priceImportService.getMaxBytes() }),
+  express.text({ type: ['text/csv', 'application/csv'], limit: priceImportService.getMaxBytes() })
+];
+
+const parseFlag = (value, defaultValue) =>
+  value === undefined ? defaultValue : value === true || value === 'true';
+
 /**
  * @swagger
- * /api/admin/cleanup:
+ * /api/admin/import/prices:
  *   post:
- *     summary: Clean up old data (admin only)
+ *     summary: Import a historical price series from CSV or JSON (admin only)
+ *     description: |
+ *       Rows are validated against the metal_prices constraints and stored as
+ *       historical prices with provider `import`. Dry runs (the default) only
+ *       report the rows that would be inserted, the conflicts with earlier
+ *       imports and the invalid rows. Send CSV as text/csv with the options in
+ *       the query (mapping as mapping[field]=column), or a JSON body with the
+ *       options and either rows or csv.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
- *       required: false
+ *       required: true
  *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               daysToKeep:
- *                 type: number
- *                 default: 30
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               csv:
+ *                 type: string
+ *               mapping:
+ *                 type: object
+ *                 description: Column of each field (date, metal, currency, price, open, high, low, close, change, changePercent, ask, bid, priceGram24k, priceGram22k, priceGram18k)
+ *               metal:
+ *                 type: string
+ *                 description: Metal of every row, when there is no metal column
+ *               currency:
+ *                 type: string
+ *                 description: Currency of every row, when there is no currency column
+ *               dateFormat:
+ *                 type: string
+ *                 enum: [iso, DD/MM/YYYY, MM/DD/YYYY]
+ *               delimiter:
+ *                 type: string
+ *                 default: ","
+ *               onConflict:
+ *                 type: string
+ *                 enum: [skip, overwrite]
+ *                 default: skip
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *               skipInvalid:
+ *                 type: boolean
+ *                 default: false
+ *               filename:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Cleanup completed
+ *         description: Import report (a preview for dry runs)
+ *       400:
+ *         description: Invalid options or unreadable upload, or invalid rows without skipInvalid (the report is in data)
+ *       413:
+ *         description: Upload larger than IMPORT_MAX_BYTES
+ *       500:
+ *         description: Storing failed; the import is stored whole or not at all, so no rows were stored
  */
-router.post('/admin/cleanup', adminOnly, async (req, res) => {
+uploadRoutes.post('/admin/import/prices', adminOnly, importBody, async (req, res) => {
   try {
-    const { daysToKeep = 30 } = req.body;
-    const response = await metalpricerService.cleanOldData(parseInt(daysToKeep));
-    
-    if (response.success) {
-      res.json({
-        success: true,
-        message: `Cleaned up data older than ${daysToKeep} days`,
-        timestamp: response.timestamp
+    const isCsvBody = typeof req.body === 'string';
+    const source = isCsvBody ? req.query : { ...req.query, ...req.body };
+    const content = isCsvBody ? req.body : source.csv !== undefined ? source.csv : source.rows;
+
+    if (content === undefined || content === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Send CSV as text/csv, or a JSON body with rows or csv'
       });
-    } else {
-      res.status(500).json({
+    }
+
+    const options = {
+      format: source.format || (isCsvBody || source.csv !== undefined ? 'csv' : 'json'),
+      mapping: source.mapping,
+      metal: source.metal,
+      currency: source.currency,
+      dateFormat: source.dateFormat,
+      delimiter: source.delimiter,
+      onConflict: source.onConflict,
+      filename: typeof source.filename === 'string' ? source.filename : null,
+      dryRun: parseFlag(source.dryRun, true),
+      skipInvalid: parseFlag(source.skipInvalid, false)
+    };
+
+    const validationError = priceImportService.validateOptions(options);
+    if (validationError) {
+      return res.status(400).json({
         success: false,
-        error: response.error?.message || 'Failed to clean up data'
+        error: validationError
       });
     }
+
+    const report = await priceImportService.importPrices(content, options, req.user.id);
+
+    res.json({
+      success: true,
+      message: report.dryRun
+        ? `Dry run: ${report.summary.toStore} of ${report.summary.rows} row(s) would be stored`
+        : `Stored ${report.summary.stored} of ${report.summary.rows} row(s)`,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Error cleaning up data:', error);
+    if (error.code === 'IMPORT_INVALID') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        data: error.report
+      });
+    }
+    if (error.code === 'IMPORT_FAILED') {
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error importing prices:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to clean up data'
+      error: 'Failed to import prices'
     });
   }
 });
 
+/**
+ * Validate retail rate set fields from a request body.
+ * Returns an error message, or null when the fields are valid.
+ */
+const validateRetailRateFields = ({ metal, importDutyPercent, gstPercent, makingChargeType, makingChargeValue, wastagePercent, effectiveFrom }) => {
+  if (metal !== undefined && metal !== null && !METALS[metal]) {
+    return `Unsupported metal: ${metal}`;
+  }
+
+  const percents = { importDutyPercent, gstPercent };
+  if (wastagePercent !== undefined) percents.wastagePercent = wastagePercent;
+
+  for (const [field, value] of Object.entries(percents)) {
+    if (typeof value !== 'number' || value < 0 || value > 100) {
+      return `${field} must be a number between 0 and 100`;
+    }
+  }
+
+  if (!retailPricingService.getMakingChargeTypes().includes(makingChargeType)) {
+    return `makingChargeType must be one of: ${retailPricingService.getMakingChargeTypes().join(', ')}`;
+  }
+
+  if (typeof makingChargeValue !== 'number' || makingChargeValue < 0 ||
+      (makingChargeType === 'percentage' && makingChargeValue > 100)) {
+    return 'makingChargeValue must be a non-negative number (at most 100 for percentage)';
+  }
+
+  if (effectiveFrom !== undefined) {
+    const date = new Date(effectiveFrom);
+    // Backdating would change quotes that were already given
+    if (isNaN(date.getTime()) || date < new Date(Date.now() - 60 * 1000)) {
+      return 'effectiveFrom must be a date-time that is not in the past';
+    }
+  }
+
+  return null;
+};
+
 /**
  * @swagger
- * /api/admin/sync/status:
+ * /api/metals/admin/retail-rates:
  *   get:
- *     summary: Get data sync service status
+ *     summary: List retail pricing rate sets, newest effective date first
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: metal
+ *         schema:
+ *           type: string
+ *           enum: [gold, silver, platinum, palladium]
+ *         description: Only rate sets for this metal (rate sets for every metal are excluded)
  *     responses:
  *       200:
- *         description: Data sync service status
+ *         description: Stored rate sets and the defaults used when none is in effect
  */
-router.get('/admin/sync/status', adminOnly, (req, res) => {
+router.get('/admin/retail-rates', adminOnly, async (req, res) => {
   try {
-    const stats = dataSyncService.getStats();
+    const { metal } = req.query;
+
+    if (metal !== undefined && !METALS[metal]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported metal: ${metal}`
+      });
+    }
+
+    const rates = await retailPricingService.listRates({ metal: METALS[metal] });
+
     res.json({
       success: true,
-      data: stats,
-      timestamp: new Date().toISOString()
+      rates
     });
   } catch (error) {
-    console.error('Error getting sync status:', error);
+    console.error('Error fetching retail rates:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get sync status'
+      error: 'Failed to fetch retail rates'
     });
   }
 });
 
 /**
  * @swagger
- * /api/admin/sync/trigger:
+ * /api/metals/admin/retail-rates:
  *   post:
- *     summary: Manually trigger data sync
+ *     summary: Add a retail pricing rate set
+ *     description: |
+ *       Rate sets are never edited in place. A new set takes effect at
+ *       `effectiveFrom` (default now, never in the past) and applies to quotes
+ *       from then on; earlier quotes keep the set that was in effect.
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               metal:
+ *                 type: string
+ *                 enum: [gold, silver, platinum, palladium]
+ *                 description: Omit to apply to every metal
+ *               importDutyPercent:
+ *                 type: number
+ *               gstPercent:
+ *                 type: number
+ *               makingChargeType:
+ *                 type: string
+ *                 enum: [percentage, per_gram]
+ *               makingChargeValue:
+ *                 type: number
+ *                 description: Percent of the landed metal value, or base currency per gram
+ *               wastagePercent:
+ *                 type: number
+ *                 default: 0
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *             required:
+ *               - importDutyPercent
+ *               - gstPercent
+ *               - makingChargeType
+ *               - makingChargeValue
  *     responses:
- *       200:
- *         description: Data sync triggered successfully
+ *       201:
+ *         description: Rate set created
+ *       400:
+ *         description: Invalid fields
  */
-router.post('/admin/sync/trigger', adminOnly, async (req, res) => {
+router.post('/admin/retail-rates', adminOnly, async (req, res) => {
   try {
-    await dataSyncService.triggerManualSync();
-    res.json({
+    const { metal, importDutyPercent, gstPercent, makingChargeType, makingChargeValue, wastagePercent, effectiveFrom, note } = req.body;
+
+    const validationError = validateRetailRateFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const rates = await retailPricingService.createRateSet({
+      metal: metal ? METALS[metal] : null,
+      importDutyPercent,
+      gstPercent,
+      makingChargeType,
+      makingChargeValue,
+      wastagePercent,
+      effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : undefined,
+      note
+    }, req.user.id);
+
+    res.status(201).json({
       success: true,
-      message: 'Data sync triggered successfully',
-      timestamp: new Date().toISOString()
+      message: 'Retail rate set created successfully',
+      rates
     });
   } catch (error) {
-    console.error('Error triggering sync:', error);
+    console.error('Error creating retail rates:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to trigger sync'
+      error: 'Failed to create retail rates'
     });
   }
 });
 
 /**
  * @swagger
- * /api/admin/sync/interval:
- *   post:
- *     summary: Update data sync interval
+ * /api/metals/admin/retail-rates/{id}:
+ *   delete:
+ *     summary: Delete a retail rate set that has not taken effect yet
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               interval:
- *                 type: string
- *                 description: Cron expression for sync interval
- *             required:
- *               - interval
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
  *     responses:
  *       200:
- *         description: Sync interval updated successfully
+ *         description: Rate set deleted
+ *       404:
+ *         description: Rate set not found
+ *       409:
+ *         description: Rate set is already in effect and may have been quoted
  */
-router.post('/admin/sync/interval', adminOnly, (req, res) => {
+router.delete('/admin/retail-rates/:id', adminOnly, async (req, res) => {
   try {
-    const { interval } = req.body;
-    
-    if (!interval) {
-      return res.status(400).json({
+    const rates = await retailPricingService.getRateSet(parseInt(req.params.id));
+
+    if (!rates) {
+      return res.status(404).json({
         success: false,
-        error: 'Interval is required'
+        error: 'Retail rate set not found'
       });
     }
-    
-    dataSyncService.updateSyncInterval(interval);
-    
+
+    if (new Date(rates.effectiveFrom) <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        error: 'Retail rate set is already in effect; add a new rate set instead'
+      });
+    }
+
+    await retailPricingService.deleteRateSet(rates.id);
+
     res.json({
       success: true,
-      message: 'Sync interval updated successfully',
-      interval,
-      timestamp: new Date().toISOString()
+      message: 'Retail rate set deleted successfully'
     });
   } catch (error) {
-    console.error('Error updating sync interval:', error);
+    console.error('Error deleting retail rates:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to update sync interval'
+      error: 'Failed to delete retail rates'
     });
   }
 });
 
 /**
  * @swagger
- * /api/admin/sync/health:
+ * /api/metals/admin/city-premiums:
  *   get:
- *     summary: Get data sync service health
+ *     summary: List city price premiums
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Data sync service health check
+ *         description: Premiums per city and metal
  */
-router.get('/admin/sync/health', adminOnly, async (req, res) => {
+router.get('/admin/city-premiums', adminOnly, async (req, res) => {
   try {
-    const health = await dataSyncService.healthCheck();
+    const premiums = await cityPremiumService.loadPremiums();
+
     res.json({
       success: true,
-      data: health,
-      timestamp: new Date().toISOString()
+      premiums
     });
   } catch (error) {
-    console.error('Error checking sync health:', error);
+    console.error('Error fetching city premiums:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to check sync health'
+      error: 'Failed to fetch city premiums'
     });
   }
 });
 
 /**
  * @swagger
- * /api/admin/bulk-sync/trigger:
- *   post:
- *     summary: Manually trigger bulk data sync (admin only)
+ * /api/metals/admin/city-premiums/{city}/{metal}:
+ *   put:
+ *     summary: Set a city's premium for a metal
+ *     description: Creates the city if it has no premiums yet. Takes effect within a minute on every instance.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: city
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: City slug, e.g. chennai or new-delhi
+ *       - in: path
+ *         name: metal
+ *         schema:
+ *           type: string
+ *           enum: [gold, silver, platinum, palladium]
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cityName:
+ *                 type: string
+ *                 description: Display name (defaults to the existing name)
+ *               premiumType:
+ *                 type: string
+ *                 enum: [percentage, per_gram]
+ *               premiumValue:
+ *                 type: number
+ *                 description: Percent of the national price, or base currency per gram of fine metal; negative for a discount
+ *               note:
+ *                 type: string
+ *             required:
+ *               - premiumType
+ *               - premiumValue
  *     responses:
  *       200:
- *         description: Bulk sync triggered successfully
+ *         description: Premium saved
+ *       400:
+ *         description: Invalid city, metal or premium
  */
-router.post('/admin/bulk-sync/trigger', adminOnly, async (req, res) => {
+router.put('/admin/city-premiums/:city/:metal', adminOnly, async (req, res) => {
   try {
-    // Run bulk sync in background
-    bulkDataSyncService.performBulkSync().catch(error => {
-      console.error('Background bulk sync failed:', error);
-    });
-    
+    const { metal } = req.params;
+    const city = cityPremiumService.toCitySlug(req.params.city);
+    const { premiumType, premiumValue, note } = req.body;
+
+    if (!city || city !== req.params.city) {
+      return res.status(400).json({
+        success: false,
+        error: 'City must be a lowercase slug, e.g. chennai or new-delhi'
+      });
+    }
+
+    if (!METALS[metal]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported metal: ${metal}`
+      });
+    }
+
+    if (!cityPremiumService.getPremiumTypes().includes(premiumType)) {
+      return res.status(400).json({
+        success: false,
+        error: `premiumType must be one of: ${cityPremiumService.getPremiumTypes().join(', ')}`
+      });
+    }
+
+    if (typeof premiumValue !== 'number' || !Number.isFinite(premiumValue) ||
+        (premiumType === 'percentage' && Math.abs(premiumValue) >= 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'premiumValue must be a number (between -100 and 100 for percentage)'
+      });
+    }
+
+    const existing = await cityPremiumService.getCity(city);
+    const cityName = req.body.cityName || existing?.name;
+    if (!cityName) {
+      return res.status(400).json({
+        success: false,
+        error: 'cityName is required for a new city'
+      });
+    }
+
+    const premium = await cityPremiumService.upsertPremium({
+      city,
+      cityName,
+      metal: METALS[metal],
+      premiumType,
+      premiumValue,
+      note
+    }, req.user.id);
+
     res.json({
       success: true,
-      message: 'Bulk data sync initiated successfully',
-      timestamp: new Date().toISOString()
+      message: 'City premium saved successfully',
+      premium
     });
   } catch (error) {
-    console.error('Error triggering bulk sync:', error);
+    console.error('Error saving city premium:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to trigger bulk sync'
+      error: 'Failed to save city premium'
     });
   }
 });
 
 /**
  * @swagger
- * /api/admin/bulk-sync/status:
- *   get:
- *     summary: Get bulk sync service status
+ * /api/metals/admin/city-premiums/{city}/{metal}:
+ *   delete:
+ *     summary: Remove a city's premium for a metal
+ *     description: A city without premiums is no longer offered; users who saved it get national prices.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: city
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: metal
+ *         schema:
+ *           type: string
+ *           enum: [gold, silver, platinum, palladium]
+ *         required: true
  *     responses:
  *       200:
- *         description: Bulk sync service status
+ *         description: Premium removed
+ *       404:
+ *         description: Premium not found
  */
-router.get('/admin/bulk-sync/status', adminOnly, (req, res) => {
+router.delete('/admin/city-premiums/:city/:metal', adminOnly, async (req, res) => {
   try {
-    const status = bulkDataSyncService.getStatus();
+    const { city, metal } = req.params;
+    const deleted = METALS[metal] && await cityPremiumService.deletePremium(city, METALS[metal]);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'City premium not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: status,
-      timestamp: new Date().toISOString()
+      message: 'City premium removed successfully'
     });
   } catch (error) {
-    console.error('Error getting bulk sync status:', error);
+    console.error('Error removing city premium:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get bulk sync status'
+      error: 'Failed to remove city premium'
     });
   }
 });
@@ -1276,6 +3306,7 @@ router.get('/admin/bulk-sync/status', adminOnly, (req, res) => {
  * /api/metals/historical-chart/{metal}:
  *   get:
  *     summary: Get historical chart data for a specific metal from database
+ *     description: Bucket closes at a resolution for the range (5 minutes up to 2 days, hourly up to 90 days, daily beyond), including prices that only survive in the hourly and daily rollups.
  *     parameters:
  *       - in: path
  *         name: metal
@@ -1356,4 +3387,90 @@ router.get('/admin/ai/health', adminOnly, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/admin/ai/insights:
+ *   get:
+ *     summary: Get the stored AI dashboard insights with their input snapshots
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Latest stored assistant and market insights
+ */
+router.get('/admin/ai/insights', adminOnly, async (req, res) => {
+  try {
+    const [assistant, market] = await Promise.all([
+      insightCacheService.getLatest('assistant'),
+      insightCacheService.getLatest('market')
+    ]);
+
+    res.json({
+      success: true,
+      data: { assistant, market },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching stored AI insights:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stored AI insights'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/ai/insights/regenerate:
+ *   post:
+ *     summary: Regenerate the stored AI dashboard insights
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [assistant, market]
+ *                 description: Regenerate one kind only; both when omitted
+ *     responses:
+ *       200:
+ *         description: Newly stored insights
+ *       400:
+ *         description: Unsupported kind
+ */
+router.post('/admin/ai/insights/regenerate', adminOnly, async (req, res) => {
+  try {
+    const { kind } = req.body || {};
+
+    if (kind && !insightCacheService.isSupportedKind(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported insight kind: ${kind}`
+      });
+    }
+
+    const insights = kind
+      ? [await insightCacheService.regenerate(kind, 'admin')]
+      : await insightCacheService.regenerateAll('admin');
+
+    res.json({
+      success: true,
+      message: 'AI insights regenerated successfully',
+      data: insights,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error regenerating AI insights:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate AI insights'
+    });
+  }
+});
+
+module.exports = router;
+module.exports.uploadRoutes = uploadRoutes;
@@ -222,8 +222,11 @@ const StandardErrorSchema = {
       type: 'object',
       properties: {
         message: { type: 'string' },
-        primaryError: { type: 'string' },
-        fallbackError: { type: 'string' }
+        errors: {
+          type: 'object',
+          description: 'Error message per provider that was tried, keyed by provider name',
+          additionalProperties: { type: 'string' }
+        }
       },
       required: ['message']
     }
@@ -335,9 +338,14 @@ const APIMappingConfig = {
 
 /**
  * Data Transformation Rules
+ *
+ * Bump a rule's version whenever its mapping changes: it is stored with every
+ * price as mapper_version, so a price can be traced to the mapping that
+ * produced it.
  */
 const TransformationRules = {
   metalpriceapi: {
+    version: 1,
     // Transform MetalPriceAPI response to standard format
     transformToStandard: (response, metal, currency) => {
       const rate = response.rates[metal];
@@ -371,6 +379,7 @@ const TransformationRules = {
     }
   },
   goldapi: {
+    version: 1,
     // Transform GoldAPI response to standard format
     transformToStandard: (response) => {
       return {
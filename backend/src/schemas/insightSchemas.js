@@ -0,0 +1,71 @@
+// JSON Schema definitions for AI-generated insights
+
+const SENTIMENTS = ['bullish', 'bearish', 'neutral'];
+const INSIGHT_METALS = ['gold', 'silver', 'platinum', 'palladium', 'market'];
+
+/**
+ * A figure backing an insight, e.g. { label: '7d change', value: 1.2, unit: '%' }
+ */
+const SupportingNumberSchema = {
+  type: 'object',
+  properties: {
+    label: { type: 'string', minLength: 1, maxLength: 40 },
+    value: { type: 'number' },
+    unit: { type: 'string', maxLength: 10 }
+  },
+  required: ['label', 'value'],
+  additionalProperties: false
+};
+
+/**
+ * A single insight
+ */
+const InsightSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 40 },
+    description: { type: 'string', minLength: 1, maxLength: 160 },
+    sentiment: { type: 'string', enum: SENTIMENTS },
+    metal: { type: 'string', enum: INSIGHT_METALS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    supportingNumbers: { type: 'array', items: SupportingNumberSchema, maxItems: 4 }
+  },
+  required: ['title', 'description', 'sentiment', 'metal', 'confidence', 'supportingNumbers'],
+  additionalProperties: false
+};
+
+/**
+ * AI assistant card: two short insights
+ */
+const AssistantInsightsSchema = {
+  type: 'object',
+  properties: {
+    insights: { type: 'array', items: InsightSchema, minItems: 2, maxItems: 2 }
+  },
+  required: ['insights'],
+  additionalProperties: false
+};
+
+/**
+ * Dashboard market insights: three insights, a recommendation and the
+ * overall market sentiment
+ */
+const MarketInsightsSchema = {
+  type: 'object',
+  properties: {
+    insights: { type: 'array', items: InsightSchema, minItems: 3, maxItems: 3 },
+    aiRecommendation: { type: 'string', minLength: 1, maxLength: 240 },
+    sentiment: { type: 'string', enum: SENTIMENTS }
+  },
+  required: ['insights', 'aiRecommendation', 'sentiment'],
+  additionalProperties: false
+};
+
+module.exports = {
+  SENTIMENTS,
+  INSIGHT_METALS,
+  SupportingNumberSchema,
+  InsightSchema,
+  AssistantInsightsSchema,
+  MarketInsightsSchema
+};
@@ -2,19 +2,25 @@
  * AI Insights Service
  * 
  * This service generates AI-powered market insights and recommendations
- * using Vertex AI and real market data from the database.
+ * using the configured chat model (Vertex AI, or the offline fake model)
+ * and real market data from the database.
  * 
  * @author SwarnaAI Backend Team
  */
 
-const { ChatVertexAI } = require('@langchain/google-vertexai');
-const { loadCredentials } = require('../utils/googleCreds');
+const { createChatModel, getModelProviderName } = require('../ai/models');
 const dataService = require('./dataService');
 const metalpricerService = require('./apiAbstraction');
 const { createLogger } = require('../utils/logger');
+const { extractJson } = require('../utils/jsonHelpers');
+const { validateSchema, repairToSchema } = require('../utils/schemaValidator');
+const { AssistantInsightsSchema, MarketInsightsSchema } = require('../schemas/insightSchemas');
 
 const logger = createLogger('AIInsights');
 
+// Model calls per insight request: the first attempt plus retries on invalid output
+const MAX_ATTEMPTS = parseInt(process.env.AI_INSIGHTS_MAX_ATTEMPTS) || 2;
+
 class AIInsightsService {
   constructor() {
     this.model = null;
@@ -22,25 +28,19 @@ class AIInsightsService {
   }
 
   /**
-   * Initialize the Vertex AI model
+   * Initialize the chat model from the configured provider
    */
   async initialize() {
     if (this.initialized) return;
 
     try {
-      const authClient = await loadCredentials();
-      this.model = new ChatVertexAI({
+      this.model = createChatModel({
         temperature: 0.3,
-        model: process.env.MODEL || 'gemini-2.5-flash',
-        project: process.env.PROJECT_ID,
-        location: process.env.LOCATION,
-        credentials: loadCredentials(),
-        authClient,
         maxTokens: 1000
       });
       
       this.initialized = true;
-      logger.info('AI Insights service initialized successfully');
+      logger.info(`AI Insights service initialized with ${getModelProviderName()} model`);
     } catch (error) {
       logger.error('Failed to initialize AI Insights service:', error);
       throw error;
@@ -48,51 +48,92 @@ class AIInsightsService {
   }
 
   /**
-   * Generate AI assistant insights based on current market data
+   * Generate AI assistant insights based on current market data.
+   * The result's `source` is 'model' or 'fallback'.
+   *
+   * @param {Object} currentData - Market data from getCurrentMarketData(), fetched if omitted
    */
-  async generateAssistantInsights() {
+  async generateAssistantInsights(currentData = null) {
     try {
       await this.initialize();
 
       // Get current market data
-      const marketData = await this.getCurrentMarketData();
+      const marketData = currentData || await this.getCurrentMarketData();
       if (!marketData) {
-        return this.getDefaultInsights();
+        return this.getDefaultInsights('Market data unavailable');
       }
 
       const prompt = this.buildAssistantPrompt(marketData);
-      const response = await this.model.invoke(prompt);
-      
-      return this.parseAssistantResponse(response.content);
+      const { data, attempts } = await this.generateStructured(prompt, AssistantInsightsSchema);
+
+      return { ...data, source: 'model', attempts };
     } catch (error) {
       logger.error('Error generating assistant insights:', error);
-      return this.getDefaultInsights();
+      return this.getDefaultInsights(error.message);
     }
   }
 
   /**
-   * Generate market insights for the dashboard
+   * Generate market insights for the dashboard.
+   * The result's `source` is 'model' or 'fallback'.
+   *
+   * @param {Object} comprehensiveData - Market data from getComprehensiveMarketData(), fetched if omitted
    */
-  async generateMarketInsights() {
+  async generateMarketInsights(comprehensiveData = null) {
     try {
       await this.initialize();
 
       // Get comprehensive market data
-      const marketData = await this.getComprehensiveMarketData();
+      const marketData = comprehensiveData || await this.getComprehensiveMarketData();
       if (!marketData) {
-        return this.getDefaultMarketInsights();
+        return this.getDefaultMarketInsights('Market data unavailable');
       }
 
       const prompt = this.buildMarketInsightsPrompt(marketData);
-      const response = await this.model.invoke(prompt);
-      
-      return this.parseMarketInsightsResponse(response.content);
+      const { data, attempts } = await this.generateStructured(prompt, MarketInsightsSchema);
+
+      return { ...data, source: 'model', attempts };
     } catch (error) {
       logger.error('Error generating market insights:', error);
-      return this.getDefaultMarketInsights();
+      return this.getDefaultMarketInsights(error.message);
     }
   }
 
+  /**
+   * Ask the model for JSON matching a schema. Invalid output is repaired
+   * where the fix is unambiguous, otherwise the model is asked again with
+   * the validation errors, up to MAX_ATTEMPTS calls.
+   *
+   * @param {string} prompt - Prompt describing the task and the schema
+   * @param {Object} schema - JSON Schema the output must match
+   * @returns {Promise<{data: Object, attempts: number}>} Validated output
+   */
+  async generateStructured(prompt, schema) {
+    let currentPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const response = await this.model.invoke(currentPrompt);
+      const raw = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+
+      const parsed = extractJson(raw);
+      if (parsed === null) {
+        errors = ['Response is not valid JSON'];
+      } else {
+        const data = repairToSchema(schema, parsed);
+        errors = validateSchema(schema, data);
+        if (errors.length === 0) {
+          return { data, attempts: attempt };
+        }
+      }
+
+      logger.warn(`Invalid structured output (attempt ${attempt}/${MAX_ATTEMPTS}): ${errors.slice(0, 5).join('; ')}`);
+      currentPrompt = this.buildRetryPrompt(prompt, raw, errors);
+    }
+
+    throw new Error(`Model output failed validation: ${errors.slice(0, 5).join('; ')}`);
+  }
+
   /**
    * Generate AI response to user questions
    */
@@ -282,11 +323,11 @@ Current Market Data:
 - Gold: ₹${goldPrice} (${goldChange > 0 ? '+' : ''}${goldChange}%)
 - Silver: ₹${silverPrice} (${silverChange > 0 ? '+' : ''}${silverChange}%)
 
-Format your response as exactly 2 bullet points:
-• [Insight about gold with specific percentage or price movement]
-• [Insight about silver with market context]
+The first insight is about gold, the second about silver with market context.
+Keep each description under 80 characters. Focus on momentum, trends, and actionable observations.
+Use only the figures above in supportingNumbers, and set confidence between 0 and 1.
 
-Keep each insight under 80 characters. Focus on momentum, trends, and actionable observations.`;
+${this.buildSchemaInstructions(AssistantInsightsSchema)}`;
   }
 
   /**
@@ -300,24 +341,40 @@ Keep each insight under 80 characters. Focus on momentum, trends, and actionable
     return `As a precious metals market analyst, provide 3 market insights and 1 AI recommendation.
 
 Market Data:
+- Gold: ₹${marketData.gold?.price || 'N/A'} (${marketData.gold?.changePercent || 0}%)
+- Silver: ₹${marketData.silver?.price || 'N/A'} (${marketData.silver?.changePercent || 0}%)
 - Gold trend: ${goldTrend?.trend || 'neutral'} (${goldTrend?.changePercent?.toFixed(2) || 0}% over 7 days)
 - Silver trend: ${silverTrend?.trend || 'neutral'} (${silverTrend?.changePercent?.toFixed(2) || 0}% over 7 days)
 - Volume: ${volume?.level || 'medium'} - ${volume?.description || 'Moderate activity'}
 
-Format your response as:
-INSIGHT1_TITLE
-INSIGHT1_DESCRIPTION
+Keep titles under 20 characters and descriptions under 50 characters.
+Use only the figures above in supportingNumbers, and set confidence between 0 and 1.
+Set the top-level sentiment to the overall market direction.
+
+${this.buildSchemaInstructions(MarketInsightsSchema)}`;
+  }
+
+  /**
+   * Output format instructions shared by the structured prompts
+   */
+  buildSchemaInstructions(schema) {
+    return `Respond with a single JSON object and nothing else (no markdown, no commentary), matching this JSON Schema:
+${JSON.stringify(schema)}`;
+  }
 
-INSIGHT2_TITLE  
-INSIGHT2_DESCRIPTION
+  /**
+   * Ask the model to correct output that failed validation
+   */
+  buildRetryPrompt(prompt, previousOutput, errors) {
+    return `${prompt}
 
-INSIGHT3_TITLE
-INSIGHT3_DESCRIPTION
+Your previous response was invalid:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
 
-AI_RECOMMENDATION
-RECOMMENDATION_TEXT
+Previous response:
+${previousOutput}
 
-Keep titles under 20 characters and descriptions under 50 characters.`;
+Return the corrected JSON object only.`;
   }
 
   /**
@@ -338,85 +395,48 @@ Provide a helpful, accurate response in 2-3 sentences. Include specific prices a
 Always end with: "This is AI-generated analysis. Consult a financial advisor for investment decisions."`;
   }
 
-  /**
-   * Parse AI assistant response
-   */
-  parseAssistantResponse(response) {
-    try {
-      const lines = response.split('\n').filter(line => line.trim().startsWith('•'));
-      const insights = lines.slice(0, 2).map(line => line.replace('•', '').trim());
-      
-      return {
-        insights: insights.length === 2 ? insights : [
-          "Gold prices showing market movement based on current data",
-          "Silver displaying typical precious metal characteristics"
-        ]
-      };
-    } catch (error) {
-      logger.error('Error parsing assistant response:', error);
-      return this.getDefaultInsights();
-    }
-  }
-
-  /**
-   * Parse market insights response
-   */
-  parseMarketInsightsResponse(response) {
-    try {
-      const sections = response.split('\n\n');
-      const insights = [];
-      let aiRecommendation = "Consider dollar-cost averaging for long-term positions.";
-
-      for (let i = 0; i < Math.min(3, sections.length - 1); i++) {
-        const lines = sections[i].split('\n');
-        if (lines.length >= 2) {
-          insights.push({
-            title: lines[0].trim(),
-            description: lines[1].trim()
-          });
-        }
-      }
-
-      // Extract AI recommendation
-      const lastSection = sections[sections.length - 1];
-      if (lastSection.includes('AI_RECOMMENDATION') || lastSection.includes('RECOMMENDATION')) {
-        const lines = lastSection.split('\n');
-        aiRecommendation = lines[lines.length - 1].trim();
-      }
-
-      return {
-        insights: insights.length === 3 ? insights : this.getDefaultMarketInsights().insights,
-        aiRecommendation
-      };
-    } catch (error) {
-      logger.error('Error parsing market insights response:', error);
-      return this.getDefaultMarketInsights();
-    }
-  }
-
   /**
    * Get default insights when AI is unavailable
    */
-  getDefaultInsights() {
+  getDefaultInsights(reason = null) {
     return {
       insights: [
-        "💡 Gold prices are tracking market sentiment and global factors",
-        "📊 Silver showing typical precious metal correlation patterns"
-      ]
+        this.buildDefaultInsight('gold', 'Gold Watch', '💡 Gold prices are tracking market sentiment and global factors'),
+        this.buildDefaultInsight('silver', 'Silver Watch', '📊 Silver showing typical precious metal correlation patterns')
+      ],
+      source: 'fallback',
+      reason
     };
   }
 
   /**
    * Get default market insights
    */
-  getDefaultMarketInsights() {
+  getDefaultMarketInsights(reason = null) {
     return {
       insights: [
-        { title: "Market Trend", description: "Precious metals showing steady movement" },
-        { title: "Price Action", description: "Current levels within normal ranges" },
-        { title: "Volume Analysis", description: "Trading activity at expected levels" }
+        this.buildDefaultInsight('market', 'Market Trend', 'Precious metals showing steady movement'),
+        this.buildDefaultInsight('market', 'Price Action', 'Current levels within normal ranges'),
+        this.buildDefaultInsight('market', 'Volume Analysis', 'Trading activity at expected levels')
       ],
-      aiRecommendation: "Monitor market conditions and consider diversified approach to precious metals investing."
+      aiRecommendation: "Monitor market conditions and consider diversified approach to precious metals investing.",
+      sentiment: 'neutral',
+      source: 'fallback',
+      reason
+    };
+  }
+
+  /**
+   * Static insight in the same shape as model output
+   */
+  buildDefaultInsight(metal, title, description) {
+    return {
+      title,
+      description,
+      sentiment: 'neutral',
+      metal,
+      confidence: 0,
+      supportingNumbers: []
     };
   }
 
@@ -426,9 +446,9 @@ Always end with: "This is AI-generated analysis. Consult a financial advisor for
   async healthCheck() {
     try {
       await this.initialize();
-      return { status: 'healthy', model: this.model?.modelName || 'unknown' };
+      return { status: 'healthy', provider: getModelProviderName(), model: this.model?.modelName || 'unknown' };
     } catch (error) {
-      return { status: 'unhealthy', error: error.message };
+      return { status: 'unhealthy', provider: getModelProviderName(), error: error.message };
     }
   }
 }
@@ -0,0 +1,274 @@
+/**
+ * Price Alert Service
+ *
+ * Stores user price alerts and evaluates them whenever new prices arrive,
+ * either from the scheduled data sync or from the WebSocket price stream.
+ *
+ * Features:
+ * - CRUD for per-user alerts (above/below a target price)
+ * - One-shot alerts are deactivated after they trigger
+ * - Repeating alerts are re-armed once the price crosses back over the target
+ * - Every trigger is recorded in price_alert_triggers
+ * - 'triggered' events for pushing notifications to the owner's connections
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const EventEmitter = require('events');
+const db = require('../db/connection');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('PriceAlerts');
+
+class AlertService extends EventEmitter {
+  constructor() {
+    super();
+    // Evaluations from the sync and the stream run one after another
+    this.evaluationQueue = Promise.resolve();
+  }
+
+  /**
+   * Create an alert for a user
+   */
+  async createAlert(userId, alertData) {
+    const { metal, currency = 'INR', condition, targetPrice, repeat = false, note = null } = alertData;
+
+    const [alert] = await db('price_alerts').insert({
+      user_id: userId,
+      metal,
+      currency,
+      condition,
+      target_price: targetPrice,
+      repeat: Boolean(repeat),
+      note,
+      is_active: true,
+      is_armed: true
+    }).returning('*');
+
+    logger.info(`Created alert ${alert.id} for user ${userId}: ${metal} ${condition} ${targetPrice}`);
+    return this.formatAlert(alert);
+  }
+
+  /**
+   * List alerts owned by a user
+   */
+  async getUserAlerts(userId, { activeOnly = false } = {}) {
+    const query = db('price_alerts')
+      .where('user_id', userId)
+      .orderBy('created_at', 'desc');
+
+    if (activeOnly) {
+      query.where('is_active', true);
+    }
+
+    const alerts = await query;
+    return alerts.map(alert => this.formatAlert(alert));
+  }
+
+  /**
+   * Get a single alert, scoped to its owner
+   */
+  async getAlert(userId, alertId) {
+    const alert = await db('price_alerts')
+      .where({ id: alertId, user_id: userId })
+      .first();
+
+    return alert ? this.formatAlert(alert) : null;
+  }
+
+  /**
+   * Update an alert. Changing the target or condition re-arms it.
+   */
+  async updateAlert(userId, alertId, updates) {
+    const { condition, targetPrice, repeat, isActive, note } = updates;
+    const updateData = {};
+
+    if (condition !== undefined) updateData.condition = condition;
+    if (targetPrice !== undefined) updateData.target_price = targetPrice;
+    if (repeat !== undefined) updateData.repeat = Boolean(repeat);
+    if (isActive !== undefined) updateData.is_active = Boolean(isActive);
+    if (note !== undefined) updateData.note = note;
+
+    if (condition !== undefined || targetPrice !== undefined || isActive === true) {
+      updateData.is_armed = true;
+    }
+
+    updateData.updated_at = new Date();
+
+    const [alert] = await db('price_alerts')
+      .where({ id: alertId, user_id: userId })
+      .update(updateData)
+      .returning('*');
+
+    return alert ? this.formatAlert(alert) : null;
+  }
+
+  /**
+   * Delete an alert
+   */
+  async deleteAlert(userId, alertId) {
+    const deleted = await db('price_alerts')
+      .where({ id: alertId, user_id: userId })
+      .del();
+
+    return deleted > 0;
+  }
+
+  /**
+   * Get the trigger history for a user, optionally for one alert
+   */
+  async getTriggerHistory(userId, alertId = null, limit = 50) {
+    const query = db('price_alert_triggers')
+      .where('user_id', userId)
+      .orderBy('triggered_at', 'desc')
+      .limit(limit);
+
+    if (alertId) {
+      query.where('alert_id', alertId);
+    }
+
+    const triggers = await query;
+    return triggers.map(trigger => ({
+      id: trigger.id,
+      alertId: trigger.alert_id,
+      price: parseFloat(trigger.price),
+      targetPrice: parseFloat(trigger.target_price),
+      source: trigger.source,
+      triggeredAt: trigger.triggered_at
+    }));
+  }
+
+  /**
+   * Check whether a price satisfies an alert condition
+   */
+  isConditionMet(condition, price, targetPrice) {
+    return condition === 'above' ? price >= targetPrice : price <= targetPrice;
+  }
+
+  /**
+   * Evaluate all active alerts against a batch of new prices.
+   *
+   * @param {Array<{metal: string, currency: string, price: number}>} prices - Latest prices by metal symbol
+   * @param {string} source - Where the prices came from (sync, stream)
+   * @returns {Promise<Array>} Triggered alerts
+   */
+  evaluateAlerts(prices, source = 'sync') {
+    const run = this.evaluationQueue.then(() => this.runEvaluation(prices, source));
+    this.evaluationQueue = run.catch(() => []);
+    return run;
+  }
+
+  /**
+   * Evaluate a single batch of prices
+   */
+  async runEvaluation(prices, source) {
+    const validPrices = (prices || []).filter(p => p && p.metal && p.currency && Number.isFinite(p.price));
+    if (validPrices.length === 0) {
+      return [];
+    }
+
+    const triggered = [];
+
+    try {
+      for (const { metal, currency, price } of validPrices) {
+        const alerts = await db('price_alerts')
+          .where({ metal, currency, is_active: true });
+
+        for (const alert of alerts) {
+          const targetPrice = parseFloat(alert.target_price);
+          const conditionMet = this.isConditionMet(alert.condition, price, targetPrice);
+
+          if (!alert.is_armed) {
+            // Repeating alerts re-arm once the price is back on the other side
+            if (!conditionMet) {
+              await db('price_alerts')
+                .where('id', alert.id)
+                .update({ is_armed: true, updated_at: new Date() });
+            }
+            continue;
+          }
+
+          if (conditionMet) {
+            triggered.push(await this.recordTrigger(alert, price, source));
+          }
+        }
+      }
+
+      if (triggered.length > 0) {
+        logger.info(`${triggered.length} price alert(s) triggered from ${source}`);
+      }
+    } catch (error) {
+      logger.error('Error evaluating price alerts:', error);
+    }
+
+    return triggered;
+  }
+
+  /**
+   * Record a trigger, deactivate or disarm the alert, and notify listeners
+   */
+  async recordTrigger(alert, price, source) {
+    const triggeredAt = new Date();
+
+    const updatedAlert = await db.transaction(async (trx) => {
+      await trx('price_alert_triggers').insert({
+        alert_id: alert.id,
+        user_id: alert.user_id,
+        price,
+        target_price: alert.target_price,
+        source,
+        triggered_at: triggeredAt
+      });
+
+      const [row] = await trx('price_alerts')
+        .where('id', alert.id)
+        .update({
+          is_active: Boolean(alert.repeat),
+          is_armed: false,
+          trigger_count: trx.raw('trigger_count + 1'),
+          last_triggered_at: triggeredAt,
+          updated_at: triggeredAt
+        })
+        .returning('*');
+
+      return row;
+    });
+
+    const event = {
+      userId: alert.user_id,
+      alert: this.formatAlert(updatedAlert),
+      price,
+      source,
+      triggeredAt: triggeredAt.toISOString()
+    };
+
+    this.emit('triggered', event);
+    return event;
+  }
+
+  /**
+   * Shape a database row for API responses
+   */
+  formatAlert(alert) {
+    return {
+      id: alert.id,
+      metal: alert.metal,
+      currency: alert.currency,
+      type: alert.condition,
+      targetPrice: parseFloat(alert.target_price),
+      repeat: alert.repeat,
+      isActive: alert.is_active,
+      isArmed: alert.is_armed,
+      triggerCount: alert.trigger_count || 0,
+      lastTriggeredAt: alert.last_triggered_at,
+      note: alert.note,
+      createdAt: alert.created_at,
+      updatedAt: alert.updated_at
+    };
+  }
+}
+
+// Export singleton instance
+const alertService = new AlertService();
+
+module.exports = alertService;
@@ -1,52 +1,82 @@
 // API Abstraction Layer for Metal Price APIs
-const axios = require('axios');
+const os = require('os');
 const dotenv = require('dotenv');
-const { 
-  METAL_SYMBOLS, 
-  CURRENCY_CODES, 
-  APIMappingConfig, 
-  TransformationRules 
-} = require('../schemas/apiSchemas');
+const { METAL_SYMBOLS } = require('../schemas/apiSchemas');
+const {
+  DB_PROVIDER,
+  getProvider,
+  hasProvider,
+  getProviderNames,
+  supports,
+  describeProviders
+} = require('./providers');
+const { attachSource, getSource } = require('./providers/source');
 const dataService = require('./dataService');
+const referenceDataService = require('./referenceDataService');
+const priceValidationService = require('./priceValidationService');
+const provenanceService = require('./provenanceService');
+const providerGuardService = require('./providerGuardService');
+const SingleFlightCache = require('../utils/singleFlightCache');
 
 dotenv.config();
 
 // Constants
-const TROY_OUNCE_GRAMS = 31.1035;
-const SUPPORTED_METALS = ['XAU', 'XAG', 'XPT', 'XPD'];
-const METAL_NAMES = {
-  'XAU': 'gold',
-  'XAG': 'silver', 
-  'XPT': 'platinum',
-  'XPD': 'palladium'
+const SUPPORTED_METALS = Object.keys(METAL_SYMBOLS);
+
+/**
+ * Parse a non-negative integer from the environment; 0 is kept
+ */
+const parseCount = (value, fallback) => {
+  const count = parseInt(value, 10);
+  return Number.isInteger(count) && count >= 0 ? count : fallback;
 };
 
-// API Configuration
-const API_CONFIGS = {
-  goldapi: {
-    baseUrl: 'https://www.goldapi.io/api',
-    apiKey: process.env.GOLDAPI_KEY,
-    timeout: parseInt(process.env.API_TIMEOUT) || 10000,
-    headers: {
-      'x-access-token': process.env.GOLDAPI_KEY
-    }
-  },
-  metalpriceapi: {
-    baseUrl: 'https://api.metalpriceapi.com/v1',
-    apiKey: process.env.METALPRICEAPI_KEY || '',
-    timeout: parseInt(process.env.API_TIMEOUT) || 10000,
-    headers: {}
+// In-memory price cache, in front of the database cache (CACHE_TTL)
+const PRICE_CACHE_TTL_MS = parseCount(process.env.PRICE_CACHE_TTL_SECONDS, 30) * 1000;
+const PRICE_CACHE_HISTORICAL_TTL_MS = parseCount(process.env.PRICE_CACHE_HISTORICAL_TTL_SECONDS, 3600) * 1000;
+const PRICE_CACHE_MAX_ENTRIES = parseCount(process.env.PRICE_CACHE_MAX_ENTRIES, 1000);
+
+// Cache invalidations are sent to other instances at most this often
+const INVALIDATION_PUBLISH_MS = 100;
+
+/**
+ * Parse a comma-separated provider list from the environment
+ */
+const parseProviderList = (value) => (value || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+/**
+ * Build an ordered provider chain: the primary provider followed by its
+ * fallbacks. Without explicit fallbacks every other registered provider is
+ * used, in registration order. DB-only mode is a chain of just 'db'.
+ */
+const buildProviderChain = (primary, fallbacks = []) => {
+  if (primary === DB_PROVIDER) {
+    return [DB_PROVIDER];
   }
+
+  const candidates = fallbacks.length > 0 ? fallbacks : getProviderNames();
+  const chain = [primary];
+  for (const name of candidates) {
+    if (name === primary || name === DB_PROVIDER || chain.includes(name)) continue;
+    if (!hasProvider(name)) {
+      console.warn(`⚠️  Ignoring unknown fallback provider: ${name}`);
+      continue;
+    }
+    chain.push(name);
+  }
+  return chain;
 };
 
-// Get primary and fallback providers
+// Get primary provider and fallback chain
 const PRIMARY_PROVIDER = process.env.PRIMARY_API_PROVIDER || 'metalpriceapi';
-const FALLBACK_PROVIDER = PRIMARY_PROVIDER === 'goldapi' ? 'metalpriceapi' : 'goldapi';
-const DB_ONLY_MODE = PRIMARY_PROVIDER === 'db';
+const FALLBACK_PROVIDERS = parseProviderList(process.env.FALLBACK_API_PROVIDERS);
 
 // Debug logging
 console.log('🏗️  Feature Flag - API Provider:', PRIMARY_PROVIDER);
-console.log('🏗️  DB-only mode:', DB_ONLY_MODE);
+console.log('🏗️  DB-only mode:', PRIMARY_PROVIDER === DB_PROVIDER);
 
 /**
  * Standard internal data structure for metal prices
@@ -59,310 +89,335 @@ const createStandardResponse = (success, data = null, error = null) => ({
 });
 
 /**
- * GoldAPI Data Mapper with Schema-Based Transformation
+ * Main API Abstraction Service
  */
-class GoldAPIMapper {
-  static async fetchLivePrice(metal, currency = 'INR') {
-    const config = API_CONFIGS.goldapi;
-    const url = `${config.baseUrl}/${metal}/${currency}`;
-    
-    // Add debug logging to track API calls
-    console.log(`🌐 GoldAPI: Making API call to ${url}`);
-    console.log(`🌐 DB_ONLY_MODE status: ${DB_ONLY_MODE}`);
-    
-    try {
-      const response = await axios.get(url, {
-        headers: config.headers,
-        timeout: config.timeout
-      });
-      
-      // Use schema-based transformation
-      return TransformationRules.goldapi.transformToStandard(response.data);
-    } catch (error) {
-      throw new Error(`GoldAPI Error: ${error.message}`);
+class MetalPriceService {
+  constructor() {
+    let primary = PRIMARY_PROVIDER;
+    if (primary !== DB_PROVIDER && !hasProvider(primary)) {
+      primary = getProviderNames()[0];
+      console.warn(`⚠️  Unknown primary provider ${PRIMARY_PROVIDER}, using ${primary}`);
     }
+
+    this.providerChain = buildProviderChain(primary, FALLBACK_PROVIDERS);
+    this.retryCount = parseInt(process.env.API_RETRY_COUNT) || 3;
+    this.retryDelay = parseInt(process.env.API_RETRY_DELAY) || 1000;
+
+    // Concurrent requests for the same price share one lookup; only
+    // successful responses are kept
+    this.cache = new SingleFlightCache({
+      ttlMs: PRICE_CACHE_TTL_MS,
+      maxEntries: PRICE_CACHE_MAX_ENTRIES,
+      cacheable: response => Boolean(response && response.success)
+    });
+    dataService.on('pricesChanged', ({ metal, currency }) => {
+      // Prices a cached lookup stores are the ones it returns: it stays
+      // cacheable, and other instances fetch theirs themselves
+      if (this.cache.isLoading()) {
+        this.dropCached([`${metal}:${currency}`]);
+        return;
+      }
+      this.invalidateCache(metal, currency);
+    });
+
+    // Invalidations reach the caches of other instances through the price fan-out
+    this.fanout = null;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    // "metal:currency" tags (null for all) waiting to be published together
+    this.pendingInvalidations = null;
+    this.handleFanoutEvent = this.handleFanoutEvent.bind(this);
   }
 
-  static async fetchHistoricalPrice(metal, currency = 'INR', date) {
-    const config = API_CONFIGS.goldapi;
-    const url = `${config.baseUrl}/${metal}/${currency}/${date}`;
-    
-    try {
-      const response = await axios.get(url, {
-        headers: config.headers,
-        timeout: config.timeout
-      });
-      
-      // Use schema-based transformation
-      return TransformationRules.goldapi.transformToStandard(response.data);
-    } catch (error) {
-      throw new Error(`GoldAPI Historical Error: ${error.message}`);
-    }
+  get primaryProvider() {
+    return this.providerChain[0];
   }
-}
 
-/**
- * MetalPriceAPI Data Mapper with Schema-Based Transformation
- */
-class MetalPriceAPIMapper {
-  static async fetchLivePrice(metal, currency = 'INR') {
-    const config = API_CONFIGS.metalpriceapi;
-    const url = `${config.baseUrl}/latest`;
-    
-    // Add debug logging to track API calls
-    console.log(`🌐 MetalPriceAPI: Making API call to ${url}`);
-    console.log(`🌐 DB_ONLY_MODE status: ${DB_ONLY_MODE}`);
-    
+  get fallbackProvider() {
+    return this.providerChain[1] || null;
+  }
+
+  get fallbackProviders() {
+    return this.providerChain.slice(1);
+  }
+
+  /**
+   * Whether all data is served from the database
+   */
+  isDbOnly() {
+    return this.primaryProvider === DB_PROVIDER;
+  }
+
+  /**
+   * Get a copy of the current provider chain
+   */
+  getProviderChain() {
+    return [...this.providerChain];
+  }
+
+  /**
+   * Get provider module for given provider
+   */
+  getMapper(provider) {
+    return getProvider(provider);
+  }
+
+  /**
+   * Providers in the chain that support a capability, in fallback order
+   */
+  getProvidersFor(capability) {
+    return this.providerChain.filter(name => supports(name, capability));
+  }
+
+  /**
+   * Retry logic with exponential backoff; failures shouldRetry(error)
+   * rejects are thrown at once
+   */
+  async retry(fn, retries = this.retryCount, shouldRetry = () => true) {
     try {
-      const response = await axios.get(url, {
-        params: {
-          api_key: config.apiKey,
-          base: currency,
-          currencies: metal
-        },
-        timeout: config.timeout
-      });
-      
-      if (!response.data.success) {
-        throw new Error(response.data.error?.message || 'API request failed');
+      return await fn();
+    } catch (error) {
+      if (retries <= 0 || !shouldRetry(error)) {
+        throw error;
       }
       
-      // Use schema-based transformation
-      return TransformationRules.metalpriceapi.transformToStandard(response.data, metal, currency);
-    } catch (error) {
-      throw new Error(`MetalPriceAPI Error: ${error.message}`);
+      console.log(`API call failed, retrying in ${this.retryDelay}ms. Retries left: ${retries}`);
+      await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+      return this.retry(fn, retries - 1, shouldRetry);
     }
   }
 
-  static async fetchHistoricalPrice(metal, currency = 'INR', date) {
-    const config = API_CONFIGS.metalpriceapi;
-    const url = `${config.baseUrl}/${date}`;
-    
+  /**
+   * Make one provider call: every call, retries included, is logged to
+   * api_logs and counted by providerGuardService, whose breakers and quotas
+   * are worked out from those logs
+   */
+  async callProvider(name, operation, params, fn, logResponse = true) {
+    const startTime = Date.now();
     try {
-      const response = await axios.get(url, {
-        params: {
-          api_key: config.apiKey,
-          base: currency,
-          currencies: metal
-        },
-        timeout: config.timeout
-      });
-      
-      if (!response.data.success) {
-        throw new Error(response.data.error?.message || 'API request failed');
-      }
-      
-      // Use schema-based transformation
-      return TransformationRules.metalpriceapi.transformToStandard(response.data, metal, currency);
+      const result = await fn();
+
+      await dataService.logAPICall(
+        name,
+        operation,
+        'GET',
+        params,
+        logResponse ? result : null,
+        200,
+        true,
+        Date.now() - startTime
+      );
+      await providerGuardService.record(name, { success: true, status: 200 });
+
+      return result;
     } catch (error) {
-      throw new Error(`MetalPriceAPI Historical Error: ${error.message}`);
+      await dataService.logAPICall(
+        name,
+        operation,
+        'GET',
+        params,
+        null,
+        error.status || null,
+        false,
+        Date.now() - startTime,
+        error.message
+      );
+      await providerGuardService.record(name, { success: false, status: error.status || null });
+
+      throw error;
     }
   }
 
-  static async fetchAllLivePrices(currency = 'INR') {
-    const config = API_CONFIGS.metalpriceapi;
-    const url = `${config.baseUrl}/latest`;
-    
-    try {
-      const response = await axios.get(url, {
-        params: {
-          api_key: config.apiKey,
-          base: currency,
-          currencies: SUPPORTED_METALS.join(',')
-        },
-        timeout: config.timeout
-      });
-      
-      if (!response.data.success) {
-        throw new Error(response.data.error?.message || 'API request failed');
+  /**
+   * Run an operation against every provider that supports the capability,
+   * in chain order, until one succeeds. Each call is logged to api_logs.
+   * Providers with an open circuit breaker or a used up quota are skipped;
+   * when that leaves none, the error has code PROVIDERS_UNAVAILABLE and
+   * callers serve from the database.
+   *
+   * @param {string} capability - Capability the providers must declare
+   * @param {string} operation - Operation name used for logging
+   * @param {Object} params - Request parameters used for logging
+   * @param {Function} call - Receives the provider module and performs the request
+   * @param {Object} options - { persist(result, providerName), logResponse,
+   *   providers (names to try instead of the configured chain) }
+   * @returns {Promise<{provider: string, result: *}>}
+   */
+  async runProviderChain(capability, operation, params, call, options = {}) {
+    const { persist = null, logResponse = true } = options;
+    const providers = options.providers
+      ? options.providers.filter(name => supports(name, capability))
+      : this.getProvidersFor(capability);
+
+    if (providers.length === 0) {
+      const error = new Error(`No configured provider supports ${capability}`);
+      error.providerErrors = {};
+      throw error;
+    }
+
+    const providerErrors = {};
+    let skipped = 0;
+
+    for (const name of providers) {
+      const admission = await providerGuardService.admit(name);
+      if (!admission.allowed) {
+        providerErrors[name] = admission.reason;
+        skipped++;
+        continue;
       }
-      
-      const results = {};
-      for (const metal of SUPPORTED_METALS) {
-        if (response.data.rates[metal]) {
-          results[METAL_NAMES[metal]] = TransformationRules.metalpriceapi.transformToStandard(response.data, metal, currency);
+
+      try {
+        const provider = getProvider(name);
+        // A half-open breaker lets a single trial call through
+        const result = await this.retry(
+          () => this.callProvider(name, operation, params, () => call(provider), logResponse),
+          admission.trial ? 0 : this.retryCount,
+          error => providerGuardService.canRetry(name, error)
+        );
+
+        // Save to database for future fallback
+        if (persist) {
+          await persist(result, name);
         }
+
+        return { provider: name, result };
+      } catch (error) {
+        console.error(`Provider ${name} failed for ${operation}:`, error.message);
+        providerErrors[name] = error.message;
       }
-      
-      return results;
-    } catch (error) {
-      throw new Error(`MetalPriceAPI All Prices Error: ${error.message}`);
     }
-  }
 
-  // Additional endpoints for MetalPriceAPI features
-  static async fetchConvertPrice(from, to, amount) {
-    const config = API_CONFIGS.metalpriceapi;
-    const url = `${config.baseUrl}/convert`;
-    
-    try {
-      const response = await axios.get(url, {
-        params: {
-          api_key: config.apiKey,
-          from,
-          to,
-          amount
-        },
-        timeout: config.timeout
-      });
-      
-      if (!response.data.success) {
-        throw new Error(response.data.error?.message || 'API request failed');
-      }
-      
-      return response.data;
-    } catch (error) {
-      throw new Error(`MetalPriceAPI Convert Error: ${error.message}`);
+    const error = new Error(skipped === providers.length
+      ? `No provider is available for ${operation}: all are over quota or have an open circuit`
+      : `All providers failed for ${operation}`);
+    if (skipped === providers.length) {
+      error.code = 'PROVIDERS_UNAVAILABLE';
     }
+    error.providerErrors = providerErrors;
+    throw error;
   }
 
-  static async fetchTimeframeData(startDate, endDate, base = 'INR', currencies = 'XAU,XAG,XPT,XPD') {
-    const config = API_CONFIGS.metalpriceapi;
-    const url = `${config.baseUrl}/timeframe`;
-    
-    try {
-      const response = await axios.get(url, {
-        params: {
-          api_key: config.apiKey,
-          start_date: startDate,
-          end_date: endDate,
-          base,
-          currencies
-        },
-        timeout: config.timeout
-      });
-      
-      if (!response.data.success) {
-        throw new Error(response.data.error?.message || 'API request failed');
+  /**
+   * Validate and store live prices from a provider. Throws when any was
+   * quarantined, so the chain moves on to the next provider and, failing
+   * that, serves the last accepted prices from the database.
+   * options.syncRunId links the prices to the sync run that fetched them.
+   */
+  async persistLivePrices(prices, provider, options = {}) {
+    const quarantined = [];
+    for (const priceData of prices) {
+      const result = await priceValidationService.ingest(priceData, provider, { syncRunId: options.syncRunId });
+      if (result.quarantined) {
+        quarantined.push(`${priceData.metal}/${priceData.currency}`);
       }
-      
-      return response.data;
-    } catch (error) {
-      throw new Error(`MetalPriceAPI Timeframe Error: ${error.message}`);
     }
-  }
 
-  static async fetchChangeData(base = 'INR', startDate, endDate, currencies = 'XAU,XAG,XPT,XPD') {
-    const config = API_CONFIGS.metalpriceapi;
-    const url = `${config.baseUrl}/change`;
-    
-    try {
-      const response = await axios.get(url, {
-        params: {
-          api_key: config.apiKey,
-          base,
-          start_date: startDate,
-          end_date: endDate,
-          currencies
-        },
-        timeout: config.timeout
-      });
-      
-      if (!response.data.success) {
-        throw new Error(response.data.error?.message || 'API request failed');
-      }
-      
-      return response.data;
-    } catch (error) {
-      throw new Error(`MetalPriceAPI Change Error: ${error.message}`);
+    if (quarantined.length > 0) {
+      const error = new Error(`Price quarantined for ${quarantined.join(', ')}`);
+      error.code = 'PRICE_QUARANTINED';
+      throw error;
     }
   }
 
-  static async fetchCaratData() {
-    const config = API_CONFIGS.metalpriceapi;
-    const url = `${config.baseUrl}/carat`;
-    
-    try {
-      const response = await axios.get(url, {
-        params: {
-          api_key: config.apiKey
-        },
-        timeout: config.timeout
-      });
-      
-      if (!response.data.success) {
-        throw new Error(response.data.error?.message || 'API request failed');
-      }
-      
-      return response.data;
-    } catch (error) {
-      throw new Error(`MetalPriceAPI Carat Error: ${error.message}`);
+  /**
+   * Serve a price lookup from the in-memory cache, or run it once for all
+   * concurrent callers. Syncs (options.syncRunId) always run their own
+   * lookup, so the prices they store are linked to their run.
+   */
+  cached(key, tags, options, load, ttlMs = PRICE_CACHE_TTL_MS) {
+    if (options.syncRunId) {
+      return load();
     }
+    return this.cache.get(key, load, { ttlMs, tags });
   }
 
-  static async fetchSymbols() {
-    const config = API_CONFIGS.metalpriceapi;
-    const url = `${config.baseUrl}/symbols`;
-    
-    try {
-      const response = await axios.get(url, {
-        params: {
-          api_key: config.apiKey
-        },
-        timeout: config.timeout
-      });
-      
-      if (!response.data.success) {
-        throw new Error(response.data.error?.message || 'API request failed');
-      }
-      
-      return response.data;
-    } catch (error) {
-      throw new Error(`MetalPriceAPI Symbols Error: ${error.message}`);
+  /**
+   * Drop cached prices of a metal and currency, or all cached prices, here
+   * and on the other instances sharing the fan-out
+   *
+   * @returns {number} Entries dropped here
+   */
+  invalidateCache(metal = null, currency = null) {
+    const tag = metal && currency ? `${metal}:${currency}` : null;
+    if (this.fanout) {
+      this.queueInvalidation(tag);
     }
+    return this.dropCached(tag && [tag]);
   }
-}
 
-/**
- * Main API Abstraction Service
- */
-class MetalPriceService {
-  constructor() {
-    this.primaryProvider = PRIMARY_PROVIDER;
-    this.fallbackProvider = FALLBACK_PROVIDER;
-    this.retryCount = parseInt(process.env.API_RETRY_COUNT) || 3;
-    this.retryDelay = parseInt(process.env.API_RETRY_DELAY) || 1000;
+  /**
+   * Drop cached prices with any of the tags, or all with none
+   */
+  dropCached(tags) {
+    if (!tags) {
+      return this.cache.clear();
+    }
+    return tags.reduce((dropped, tag) => dropped + this.cache.invalidateTag(tag), 0);
   }
 
   /**
-   * Get mapper instance for given provider
+   * Publish the invalidations of INVALIDATION_PUBLISH_MS together, so a
+   * backfill storing rows one by one does not send an event per row
    */
-  getMapper(provider) {
-    switch (provider) {
-      case 'goldapi':
-        return GoldAPIMapper;
-      case 'metalpriceapi':
-        return MetalPriceAPIMapper;
-      default:
-        throw new Error(`Unsupported provider: ${provider}`);
+  queueInvalidation(tag) {
+    if (!this.pendingInvalidations) {
+      this.pendingInvalidations = new Set();
+      setTimeout(() => {
+        const tags = this.pendingInvalidations.has(null) ? null : [...this.pendingInvalidations];
+        this.pendingInvalidations = null;
+        if (this.fanout) {
+          this.fanout.publish({ type: 'cache.invalidate', tags, instanceId: this.instanceId });
+        }
+      }, INVALIDATION_PUBLISH_MS).unref();
     }
+    this.pendingInvalidations.add(tag);
   }
 
   /**
-   * Retry logic with exponential backoff
+   * Send cache invalidations through a price fan-out adapter and apply those
+   * of other instances; null stops
    */
-  async retry(fn, retries = this.retryCount) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (retries <= 0) {
-        throw error;
-      }
-      
-      console.log(`API call failed, retrying in ${this.retryDelay}ms. Retries left: ${retries}`);
-      await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-      return this.retry(fn, retries - 1);
+  useFanout(fanout) {
+    if (this.fanout) {
+      this.fanout.off('event', this.handleFanoutEvent);
+    }
+    this.fanout = fanout;
+    if (fanout) {
+      fanout.on('event', this.handleFanoutEvent);
+    }
+  }
+
+  handleFanoutEvent(event) {
+    if (event.type === 'cache.invalidate' && event.instanceId !== this.instanceId) {
+      this.dropCached(event.tags);
     }
   }
 
   /**
-   * Fetch live price with database fallback
+   * In-memory price cache hit/miss statistics
    */
-  async getLivePrice(metal, currency = 'INR') {
-    const startTime = Date.now();
-    
+  getCacheStats() {
+    return {
+      ...this.cache.getStats(),
+      historicalTtlMs: PRICE_CACHE_HISTORICAL_TTL_MS
+    };
+  }
+
+  /**
+   * Fetch live price with database fallback. options.syncRunId links a
+   * fetched price to the sync run that asked for it.
+   */
+  async getLivePrice(metal, currency = 'INR', options = {}) {
+    return this.cached(
+      `live:${metal}:${currency}`,
+      [`${metal}:${currency}`],
+      options,
+      () => this.loadLivePrice(metal, currency, options)
+    );
+  }
+
+  async loadLivePrice(metal, currency, options) {
     // If in DB-only mode, skip API calls entirely
-    if (DB_ONLY_MODE) {
+    if (this.isDbOnly()) {
       console.log(`🏦 DB-only mode: Fetching ${metal}/${currency} from database`);
       const dbData = await dataService.getLatestPriceFromDB(metal, currency);
       if (dbData) {
@@ -385,92 +440,27 @@ class MetalPriceService {
     }
 
     try {
-      // Try primary provider
-      const primaryMapper = this.getMapper(this.primaryProvider);
-      const result = await this.retry(() => primaryMapper.fetchLivePrice(metal, currency));
-      
-      // Save to database for future fallback
-      await dataService.savePriceData(result, this.primaryProvider);
-      
-      // Log successful API call
-      await dataService.logAPICall(
-        this.primaryProvider,
+      const { result } = await this.runProviderChain(
+        'live',
         'fetchLivePrice',
-        'GET',
         { metal, currency },
-        result,
-        200,
-        true,
-        Date.now() - startTime
+        provider => provider.fetchLivePrice(metal, currency),
+        { persist: (data, provider) => this.persistLivePrices([data], provider, options) }
       );
       
       return createStandardResponse(true, result);
-    } catch (primaryError) {
-      console.error(`Primary API (${this.primaryProvider}) failed:`, primaryError.message);
-      
-      // Log failed primary API call
-      await dataService.logAPICall(
-        this.primaryProvider,
-        'fetchLivePrice',
-        'GET',
-        { metal, currency },
-        null,
-        null,
-        false,
-        Date.now() - startTime,
-        primaryError.message
-      );
-      
-      try {
-        // Try fallback provider
-        const fallbackMapper = this.getMapper(this.fallbackProvider);
-        const result = await this.retry(() => fallbackMapper.fetchLivePrice(metal, currency));
-        
-        // Save to database
-        await dataService.savePriceData(result, this.fallbackProvider);
-        
-        // Log successful fallback API call
-        await dataService.logAPICall(
-          this.fallbackProvider,
-          'fetchLivePrice',
-          'GET',
-          { metal, currency },
-          result,
-          200,
-          true,
-          Date.now() - startTime
-        );
-        
-        return createStandardResponse(true, result);
-      } catch (fallbackError) {
-        console.error(`Fallback API (${this.fallbackProvider}) failed:`, fallbackError.message);
-        
-        // Log failed fallback API call
-        await dataService.logAPICall(
-          this.fallbackProvider,
-          'fetchLivePrice',
-          'GET',
-          { metal, currency },
-          null,
-          null,
-          false,
-          Date.now() - startTime,
-          fallbackError.message
-        );
-        
-        // Try database fallback
-        const dbData = await dataService.getLatestPriceFromDB(metal, currency);
-        if (dbData) {
-          console.log(`🏦 Using database fallback for ${metal}/${currency}`);
-          return createStandardResponse(true, dbData);
-        }
-        
-        return createStandardResponse(false, null, {
-          message: 'All providers failed including database fallback',
-          primaryError: primaryError.message,
-          fallbackError: fallbackError.message
-        });
+    } catch (error) {
+      // Try database fallback
+      const dbData = await dataService.getLatestPriceFromDB(metal, currency);
+      if (dbData) {
+        console.log(`🏦 Using database fallback for ${metal}/${currency}`);
+        return createStandardResponse(true, dbData);
       }
+      
+      return createStandardResponse(false, null, {
+        message: 'All providers failed including database fallback',
+        errors: error.providerErrors || { service: error.message }
+      });
     }
   }
 
@@ -478,10 +468,19 @@ class MetalPriceService {
    * Fetch historical price with database fallback
    */
   async getHistoricalPrice(metal, currency = 'INR', date) {
-    const startTime = Date.now();
-    
+    const day = date instanceof Date ? date.toISOString() : String(date);
+    return this.cached(
+      `historical:${metal}:${currency}:${day}`,
+      [`${metal}:${currency}`],
+      {},
+      () => this.loadHistoricalPrice(metal, currency, date),
+      PRICE_CACHE_HISTORICAL_TTL_MS
+    );
+  }
+
+  async loadHistoricalPrice(metal, currency, date) {
     // If in DB-only mode, skip API calls entirely
-    if (DB_ONLY_MODE) {
+    if (this.isDbOnly()) {
       console.log(`🏦 DB-only mode: Fetching historical ${metal}/${currency} for ${date} from database`);
       const dbData = await dataService.getHistoricalPriceFromDB(metal, currency, date);
       if (dbData) {
@@ -501,96 +500,42 @@ class MetalPriceService {
     }
 
     try {
-      // Try primary provider
-      const primaryMapper = this.getMapper(this.primaryProvider);
-      const result = await this.retry(() => primaryMapper.fetchHistoricalPrice(metal, currency, date));
-      
-      // Save to database for future use
-      await dataService.saveHistoricalPriceData(result, this.primaryProvider, date);
-      
-      // Log successful API call
-      await dataService.logAPICall(
-        this.primaryProvider,
+      const { result } = await this.runProviderChain(
+        'historical',
         'fetchHistoricalPrice',
-        'GET',
         { metal, currency, date },
-        result,
-        200,
-        true,
-        Date.now() - startTime
+        provider => provider.fetchHistoricalPrice(metal, currency, date),
+        {
+          persist: async (data, provider) => dataService.saveHistoricalPriceData(
+            data, provider, date, await provenanceService.resolve(data)
+          )
+        }
       );
       
       return createStandardResponse(true, result);
-    } catch (primaryError) {
-      console.error(`Primary API (${this.primaryProvider}) failed:`, primaryError.message);
-      
-      // Log failed primary API call
-      await dataService.logAPICall(
-        this.primaryProvider,
-        'fetchHistoricalPrice',
-        'GET',
-        { metal, currency, date },
-        null,
-        null,
-        false,
-        Date.now() - startTime,
-        primaryError.message
-      );
-      
-      try {
-        // Try fallback provider
-        const fallbackMapper = this.getMapper(this.fallbackProvider);
-        const result = await this.retry(() => fallbackMapper.fetchHistoricalPrice(metal, currency, date));
-        
-        // Save to database
-        await dataService.saveHistoricalPriceData(result, this.fallbackProvider, date);
-        
-        // Log successful fallback API call
-        await dataService.logAPICall(
-          this.fallbackProvider,
-          'fetchHistoricalPrice',
-          'GET',
-          { metal, currency, date },
-          result,
-          200,
-          true,
-          Date.now() - startTime
-        );
-        
-        return createStandardResponse(true, result);
-      } catch (fallbackError) {
-        console.error(`Fallback API (${this.fallbackProvider}) failed:`, fallbackError.message);
-        
-        // Log failed fallback API call
-        await dataService.logAPICall(
-          this.fallbackProvider,
-          'fetchHistoricalPrice',
-          'GET',
-          { metal, currency, date },
-          null,
-          null,
-          false,
-          Date.now() - startTime,
-          fallbackError.message
-        );
-        
-        return createStandardResponse(false, null, {
-          message: 'Both primary and fallback APIs failed',
-          primaryError: primaryError.message,
-          fallbackError: fallbackError.message
-        });
-      }
+    } catch (error) {
+      return createStandardResponse(false, null, {
+        message: 'All providers failed',
+        errors: error.providerErrors || { service: error.message }
+      });
     }
   }
 
   /**
-   * Fetch all live prices with database fallback
+   * Fetch all live prices with database fallback; options as for getLivePrice
    */
-  async getAllLivePrices(currency = 'INR') {
-    const startTime = Date.now();
-    
+  async getAllLivePrices(currency = 'INR', options = {}) {
+    return this.cached(
+      `all:${currency}`,
+      SUPPORTED_METALS.map(metal => `${metal}:${currency}`),
+      options,
+      () => this.loadAllLivePrices(currency, options)
+    );
+  }
+
+  async loadAllLivePrices(currency, options) {
     // If in DB-only mode, skip API calls entirely
-    if (DB_ONLY_MODE) {
+    if (this.isDbOnly()) {
       console.log(`🏦 DB-only mode: Fetching all metals/${currency} from database`);
       const dbData = await dataService.getAllLatestPricesFromDB(currency);
       if (dbData && Object.keys(dbData).length > 0) {
@@ -613,28 +558,16 @@ class MetalPriceService {
     }
 
     try {
-      // If primary is MetalPriceAPI, use batch endpoint
-      if (this.primaryProvider === 'metalpriceapi') {
-        const mapper = this.getMapper('metalpriceapi');
-        const result = await this.retry(() => mapper.fetchAllLivePrices(currency));
-        
-        // Save each metal price to database
-        for (const metalName in result) {
-          if (result[metalName]) {
-            await dataService.savePriceData(result[metalName], this.primaryProvider);
-          }
-        }
-        
-        // Log successful API call
-        await dataService.logAPICall(
-          this.primaryProvider,
+      // If the primary provider has a batch endpoint, use it
+      if (supports(this.primaryProvider, 'batch')) {
+        const { result } = await this.runProviderChain(
+          'batch',
           'fetchAllLivePrices',
-          'GET',
           { currency },
-          result,
-          200,
-          true,
-          Date.now() - startTime
+          provider => provider.fetchAllLivePrices(currency),
+          {
+            persist: (data, provider) => this.persistLivePrices(Object.values(data).filter(Boolean), provider, options)
+          }
         );
         
         return createStandardResponse(true, result);
@@ -644,9 +577,9 @@ class MetalPriceService {
       const results = {};
       for (const metal of SUPPORTED_METALS) {
         try {
-          const response = await this.getLivePrice(metal, currency);
+          const response = await this.getLivePrice(metal, currency, options);
           if (response.success) {
-            results[METAL_NAMES[metal]] = response.data;
+            results[METAL_SYMBOLS[metal]] = response.data;
           }
         } catch (error) {
           console.error(`Failed to fetch ${metal} price:`, error.message);
@@ -666,7 +599,8 @@ class MetalPriceService {
       
       return createStandardResponse(false, null, {
         message: 'Failed to fetch all live prices from APIs and database',
-        error: error.message
+        error: error.message,
+        errors: error.providerErrors
       });
     }
   }
@@ -676,8 +610,33 @@ class MetalPriceService {
    */
   async healthCheck(provider) {
     try {
-      const mapper = this.getMapper(provider);
-      await mapper.fetchLivePrice('XAU', 'INR');
+      if (!supports(provider, 'live')) {
+        return {
+          provider,
+          status: 'unsupported',
+          error: `Provider ${provider} does not support live prices`,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      // Checks count against the quota too, so they respect breakers and quotas
+      const admission = await providerGuardService.admit(provider);
+      if (!admission.allowed) {
+        return {
+          provider,
+          status: 'unavailable',
+          error: admission.reason,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      await this.callProvider(
+        provider,
+        'healthCheck',
+        { metal: 'XAU', currency: 'INR' },
+        () => getProvider(provider).fetchLivePrice('XAU', 'INR'),
+        false
+      );
       return { provider, status: 'healthy', timestamp: new Date().toISOString() };
     } catch (error) {
       return { 
@@ -690,34 +649,71 @@ class MetalPriceService {
   }
 
   /**
-   * Switch primary provider
+   * Switch primary provider, optionally with an explicit fallback chain
    */
-  switchProvider(newProvider) {
-    if (newProvider === 'db') {
-      this.primaryProvider = 'db';
-      this.fallbackProvider = null;
+  switchProvider(newProvider, fallbacks = []) {
+    if (newProvider === DB_PROVIDER) {
+      this.providerChain = [DB_PROVIDER];
+      this.invalidateCache();
       console.log('Switched to DB-only mode - no API calls will be made');
-    } else if (!API_CONFIGS[newProvider]) {
+      return;
+    }
+
+    if (!hasProvider(newProvider)) {
       throw new Error(`Unsupported provider: ${newProvider}`);
-    } else {
-      this.primaryProvider = newProvider;
-      this.fallbackProvider = newProvider === 'goldapi' ? 'metalpriceapi' : 'goldapi';
-      console.log(`Switched to primary provider: ${newProvider}, fallback: ${this.fallbackProvider}`);
     }
+
+    const unknown = fallbacks.filter(name => name !== DB_PROVIDER && !hasProvider(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unsupported fallback provider(s): ${unknown.join(', ')}`);
+    }
+
+    this.providerChain = buildProviderChain(newProvider, fallbacks);
+    this.invalidateCache();
+    console.log(`Switched to primary provider: ${newProvider}, fallbacks: ${this.fallbackProviders.join(', ') || 'none'}`);
+  }
+
+  /**
+   * Circuit breaker and quota state of every registered provider, and the
+   * providers of the chain that are called now. With none, prices are
+   * served from the database until a breaker closes or a quota resets.
+   */
+  async getProviderHealth() {
+    const providers = await providerGuardService.getStatus(getProviderNames());
+    const available = this.providerChain.filter(name => providers[name] && providers[name].admitted);
+
+    return {
+      settings: providerGuardService.getSettings(),
+      providers,
+      availableChain: available,
+      servingFromDb: this.isDbOnly() || available.length === 0
+    };
+  }
+
+  /**
+   * Describe registered providers and the active chain
+   */
+  getProviderInfo() {
+    return {
+      chain: this.getProviderChain(),
+      dbOnly: this.isDbOnly(),
+      providers: describeProviders(),
+      cache: this.getCacheStats()
+    };
   }
 
   /**
-   * Additional MetalPriceAPI-specific methods
+   * Capability-based methods (convert, timeframe, change, carat, symbols)
    */
   async convertPrice(from, to, amount) {
     try {
-      if (this.primaryProvider === 'metalpriceapi') {
-        const mapper = this.getMapper('metalpriceapi');
-        const result = await this.retry(() => mapper.fetchConvertPrice(from, to, amount));
-        return createStandardResponse(true, result);
-      } else {
-        throw new Error('Convert functionality only available with MetalPriceAPI');
-      }
+      const { result } = await this.runProviderChain(
+        'convert',
+        'fetchConvertPrice',
+        { from, to, amount },
+        provider => provider.fetchConvertPrice(from, to, amount)
+      );
+      return createStandardResponse(true, result);
     } catch (error) {
       return createStandardResponse(false, null, {
         message: 'Failed to convert price',
@@ -726,15 +722,21 @@ class MetalPriceService {
     }
   }
 
-  async getTimeframeData(startDate, endDate, base = 'INR', currencies = 'XAU,XAG,XPT,XPD') {
+  /**
+   * Daily rates for a date range. options.providers overrides the chain, so
+   * backfills can reach a provider in DB-only mode; data includes the provider.
+   */
+  async getTimeframeData(startDate, endDate, base = 'INR', currencies = 'XAU,XAG,XPT,XPD', options = {}) {
     try {
-      if (this.primaryProvider === 'metalpriceapi') {
-        const mapper = this.getMapper('metalpriceapi');
-        const result = await this.retry(() => mapper.fetchTimeframeData(startDate, endDate, base, currencies));
-        return createStandardResponse(true, result);
-      } else {
-        throw new Error('Timeframe functionality only available with MetalPriceAPI');
-      }
+      const { provider, result } = await this.runProviderChain(
+        'timeframe',
+        'fetchTimeframeData',
+        { startDate, endDate, base, currencies },
+        provider => provider.fetchTimeframeData(startDate, endDate, base, currencies),
+        { logResponse: false, providers: options.providers }
+      );
+      // The copy keeps the raw response, for backfilled prices' provenance
+      return createStandardResponse(true, attachSource({ ...result, provider }, getSource(result)));
     } catch (error) {
       return createStandardResponse(false, null, {
         message: 'Failed to get timeframe data',
@@ -743,52 +745,140 @@ class MetalPriceService {
     }
   }
 
-  async getChangeData(base = 'INR', startDate, endDate, currencies = 'XAU,XAG,XPT,XPD') {
+  /**
+   * Read reference data (symbols, carat, change) from the database: in
+   * DB-only mode, and as the fallback when every provider fails
+   */
+  async getStoredReferenceData(load, description, error = null) {
     try {
-      if (this.primaryProvider === 'metalpriceapi') {
-        const mapper = this.getMapper('metalpriceapi');
-        const result = await this.retry(() => mapper.fetchChangeData(base, startDate, endDate, currencies));
-        return createStandardResponse(true, result);
-      } else {
-        throw new Error('Change data functionality only available with MetalPriceAPI');
+      const stored = await load();
+      if (stored) {
+        return createStandardResponse(true, { ...stored, provider: DB_PROVIDER });
       }
+    } catch (dbError) {
+      console.error(`Failed to read stored ${description}:`, dbError.message);
+    }
+
+    return createStandardResponse(false, null, error
+      ? { message: `Failed to get ${description}`, error: error.message }
+      : { message: `No ${description} found in database` });
+  }
+
+  /**
+   * Persist hook for reference data; a storage failure must not fail the fetch
+   */
+  persistReferenceData(save, description) {
+    return (data, provider) => save(data, provider).catch(error => {
+      console.error(`Failed to store ${description}:`, error.message);
+    });
+  }
+
+  /**
+   * Change data for a period. options.providers fetches from those providers
+   * even in DB-only mode, for the bulk sync.
+   */
+  async getChangeData(base = 'INR', startDate, endDate, currencies = 'XAU,XAG,XPT,XPD', options = {}) {
+    const loadStored = () => referenceDataService.getChanges(base, startDate, endDate, currencies.split(','));
+
+    if (this.isDbOnly() && !options.providers) {
+      console.log(`🏦 DB-only mode: Fetching change data for ${base} ${startDate}..${endDate} from database`);
+      return this.getStoredReferenceData(loadStored, 'change data');
+    }
+
+    try {
+      const { provider, result } = await this.runProviderChain(
+        'change',
+        'fetchChangeData',
+        { base, startDate, endDate, currencies },
+        provider => provider.fetchChangeData(base, startDate, endDate, currencies),
+        {
+          logResponse: false,
+          providers: options.providers,
+          persist: this.persistReferenceData((data, name) => referenceDataService.saveChanges(data, name), 'change data')
+        }
+      );
+      return createStandardResponse(true, { ...result, provider });
     } catch (error) {
-      return createStandardResponse(false, null, {
-        message: 'Failed to get change data',
-        error: error.message
-      });
+      return this.getStoredReferenceData(loadStored, 'change data', error);
     }
   }
 
-  async getCaratData() {
+  /**
+   * Gold rates by carat. options.providers fetches from those providers even
+   * in DB-only mode, for the bulk sync.
+   */
+  async getCaratData(options = {}) {
+    const loadStored = () => referenceDataService.getCaratRates();
+
+    if (this.isDbOnly() && !options.providers) {
+      console.log('🏦 DB-only mode: Fetching carat data from database');
+      return this.getStoredReferenceData(loadStored, 'carat data');
+    }
+
     try {
-      if (this.primaryProvider === 'metalpriceapi') {
-        const mapper = this.getMapper('metalpriceapi');
-        const result = await this.retry(() => mapper.fetchCaratData());
-        return createStandardResponse(true, result);
-      } else {
-        throw new Error('Carat data functionality only available with MetalPriceAPI');
-      }
+      const { provider, result } = await this.runProviderChain(
+        'carat',
+        'fetchCaratData',
+        {},
+        provider => provider.fetchCaratData(),
+        {
+          logResponse: false,
+          providers: options.providers,
+          persist: this.persistReferenceData((data, name) => referenceDataService.saveCaratRates(data, name), 'carat data')
+        }
+      );
+      return createStandardResponse(true, { ...result, provider });
     } catch (error) {
-      return createStandardResponse(false, null, {
-        message: 'Failed to get carat data',
-        error: error.message
-      });
+      return this.getStoredReferenceData(loadStored, 'carat data', error);
     }
   }
 
-  async getSymbols() {
+  /**
+   * Supported currency and metal symbols. options.providers fetches from
+   * those providers even in DB-only mode, for the bulk sync.
+   */
+  async getSymbols(options = {}) {
+    const loadStored = () => referenceDataService.getSymbols();
+
+    if (this.isDbOnly() && !options.providers) {
+      console.log('🏦 DB-only mode: Fetching symbols from database');
+      return this.getStoredReferenceData(loadStored, 'symbols');
+    }
+
     try {
-      if (this.primaryProvider === 'metalpriceapi') {
-        const mapper = this.getMapper('metalpriceapi');
-        const result = await this.retry(() => mapper.fetchSymbols());
-        return createStandardResponse(true, result);
-      } else {
-        throw new Error('Symbols functionality only available with MetalPriceAPI');
-      }
+      const { provider, result } = await this.runProviderChain(
+        'symbols',
+        'fetchSymbols',
+        {},
+        provider => provider.fetchSymbols(),
+        {
+          logResponse: false,
+          providers: options.providers,
+          persist: this.persistReferenceData((data, name) => referenceDataService.saveSymbols(data, name), 'symbols')
+        }
+      );
+      return createStandardResponse(true, { ...result, provider });
+    } catch (error) {
+      return this.getStoredReferenceData(loadStored, 'symbols', error);
+    }
+  }
+
+  /**
+   * Exchange rates from a base currency, e.g. getFxRates('INR', ['USD', 'EUR'])
+   * -> { base, rates: { USD, EUR }, timestamp, provider }
+   */
+  async getFxRates(base, currencies) {
+    try {
+      const { provider, result } = await this.runProviderChain(
+        'fx',
+        'fetchFxRates',
+        { base, currencies },
+        provider => provider.fetchFxRates(base, currencies)
+      );
+      return createStandardResponse(true, { ...result, provider });
     } catch (error) {
       return createStandardResponse(false, null, {
-        message: 'Failed to get symbols',
+        message: 'Failed to get FX rates',
         error: error.message
       });
     }
@@ -810,11 +900,14 @@ class MetalPriceService {
   }
 
   /**
-   * Clean old data
+   * Clean old data, downsampling prices before they are purged
    */
-  async cleanOldData(daysToKeep = 30) {
+  async cleanOldData(daysToKeep) {
     try {
       const result = await dataService.cleanOldData(daysToKeep);
+      if (!result) {
+        return createStandardResponse(false, null, { message: 'Failed to clean old data' });
+      }
       return createStandardResponse(true, { cleaned: result });
     } catch (error) {
       return createStandardResponse(false, null, {
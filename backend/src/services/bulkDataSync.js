@@ -8,24 +8,65 @@
  * - Fetch and store 1-year timeframe data
  * - Fetch symbols data
  * - Fetch carat data
- * - Store change data and conversion rates
+ * - Store symbols, carat and change data (in metal_symbols, carat_rates and
+ *   price_changes, through the API abstraction's persistence)
  * - Batch processing with rate limiting
+ * - Every bulk sync and backfill chunk is recorded as a sync run, and the
+ *   prices it stores link to it and to the raw payload they came from
+ * - Checkpointed historical backfills: a date range is split into chunks
+ *   no longer than the providers' timeframe limit, and each chunk's progress
+ *   is kept in backfill_chunks so a backfill resumes after a crash or restart
+ * 
+ * Backfills run one job at a time per instance. The running instance holds
+ * the job through locked_by and refreshes heartbeat_at after every chunk; a
+ * job whose heartbeat is older than the lease is taken over by the next
+ * instance that looks, including the same process after a restart.
  * 
  * @author SwarnaAI Backend Team
  */
 
+const os = require('os');
+const db = require('../db/connection');
 const metalpricerService = require('./apiAbstraction');
 const dataService = require('./dataService');
+const priceRollupService = require('./priceRollupService');
+const fxService = require('./fxService');
+const provenanceService = require('./provenanceService');
+const { getProvider, supports } = require('./providers');
+const { METAL_SYMBOLS, TransformationRules } = require('../schemas/apiSchemas');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('BulkDataSync');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chunk size when no provider declares a timeframe limit
+const DEFAULT_CHUNK_DAYS = 365;
+
+const BACKFILL_MAX_ATTEMPTS = parseInt(process.env.BACKFILL_MAX_ATTEMPTS) || 3;
+const BACKFILL_LEASE_MS = parseInt(process.env.BACKFILL_LEASE_MS) || 5 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// pg returns DATE columns as local-midnight Dates
+const toDateString = (value) => {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const startOfDate = (date) => new Date(`${date}T00:00:00Z`);
+
 class BulkDataSyncService {
   constructor() {
     this.metals = ['XAU', 'XAG', 'XPT', 'XPD'];
     this.currency = 'INR';
     this.batchDelay = parseInt(process.env.BATCH_DELAY) || 1000; // 1 second between batches
     this.isRunning = false;
+    this.backfillRunning = false;
+    this.takeoverTimer = null;
   }
 
   /**
@@ -39,6 +80,7 @@ class BulkDataSyncService {
 
     this.isRunning = true;
     const startTime = Date.now();
+    const syncRunId = await provenanceService.startRun('bulk_sync');
     
     try {
       logger.info('Starting bulk data synchronization...');
@@ -48,7 +90,7 @@ class BulkDataSyncService {
       await this.delay();
 
       // 2. Fetch latest prices for all metals
-      await this.fetchAndStoreLatestPrices();
+      await this.fetchAndStoreLatestPrices(syncRunId);
       await this.delay();
 
       // 3. Fetch 1-year timeframe data
@@ -64,9 +106,11 @@ class BulkDataSyncService {
 
       const duration = Date.now() - startTime;
       logger.info(`Bulk data sync completed in ${duration}ms`);
+      await provenanceService.finishRun(syncRunId, { stats: { duration } });
 
     } catch (error) {
       logger.error('Bulk data sync failed:', error);
+      await provenanceService.finishRun(syncRunId, { status: 'failed', error: error.message });
     } finally {
       this.isRunning = false;
     }
@@ -79,10 +123,8 @@ class BulkDataSyncService {
     try {
       logger.info('Fetching symbols data...');
       
-      const response = await metalpricerService.getSymbols();
+      const response = await metalpricerService.getSymbols({ providers: this.getSyncProviders('symbols') });
       if (response.success) {
-        // Store symbols data in a new table or as JSON
-        await this.storeSymbolsData(response.data);
         logger.info('Symbols data stored successfully');
       } else {
         logger.error('Failed to fetch symbols:', response.error);
@@ -95,11 +137,11 @@ class BulkDataSyncService {
   /**
    * Fetch and store latest prices
    */
-  async fetchAndStoreLatestPrices() {
+  async fetchAndStoreLatestPrices(syncRunId = null) {
     try {
       logger.info('Fetching latest prices for all metals...');
       
-      const response = await metalpricerService.getAllLivePrices(this.currency);
+      const response = await metalpricerService.getAllLivePrices(this.currency, { syncRunId });
       if (response.success) {
         logger.info('Latest prices stored successfully');
       } else {
@@ -111,36 +153,24 @@ class BulkDataSyncService {
   }
 
   /**
-   * Fetch and store 1-year timeframe data
+   * Backfill 1-year timeframe data as a checkpointed backfill job
    */
   async fetchAndStoreTimeframeData() {
     try {
-      logger.info('Fetching 1-year timeframe data...');
-      
       const endDate = new Date();
       const startDate = new Date();
       startDate.setFullYear(endDate.getFullYear() - 1);
 
-      const startDateStr = this.formatDate(startDate);
-      const endDateStr = this.formatDate(endDate);
-
-      logger.info(`Fetching timeframe data from ${startDateStr} to ${endDateStr}`);
-
-      const response = await metalpricerService.getTimeframeData(
-        startDateStr, 
-        endDateStr, 
-        this.currency, 
-        this.metals.join(',')
-      );
+      const job = await this.createBackfill({
+        startDate: this.formatDate(startDate),
+        endDate: this.formatDate(endDate),
+        metals: this.metals,
+        currency: this.currency
+      });
 
-      if (response.success) {
-        await this.storeTimeframeData(response.data);
-        logger.info('1-year timeframe data stored successfully');
-      } else {
-        logger.error('Failed to fetch timeframe data:', response.error);
-      }
+      logger.info(`1-year timeframe data queued as backfill ${job.id}`);
     } catch (error) {
-      logger.error('Error fetching timeframe data:', error);
+      logger.error('Error queueing timeframe data backfill:', error);
     }
   }
 
@@ -151,9 +181,8 @@ class BulkDataSyncService {
     try {
       logger.info('Fetching carat data...');
       
-      const response = await metalpricerService.getCaratData();
+      const response = await metalpricerService.getCaratData({ providers: this.getSyncProviders('carat') });
       if (response.success) {
-        await this.storeCaratData(response.data);
         logger.info('Carat data stored successfully');
       } else {
         logger.error('Failed to fetch carat data:', response.error);
@@ -181,11 +210,11 @@ class BulkDataSyncService {
         this.currency,
         startDateStr,
         endDateStr,
-        this.metals.join(',')
+        this.metals.join(','),
+        { providers: this.getSyncProviders('change') }
       );
 
       if (response.success) {
-        await this.storeChangeData(response.data);
         logger.info('Change data stored successfully');
       } else {
         logger.error('Failed to fetch change data:', response.error);
@@ -196,300 +225,551 @@ class BulkDataSyncService {
   }
 
   /**
-   * Store symbols data
+   * Store timeframe data as historical prices, one row per metal and day.
+   * Daily rates go through the provider's transformation, like live rates.
+   *
+   * @param {Object} timeframeData - Timeframe response ({ rates: { date: { XAU: rate } } })
+   * @param {Object} [options] - { provider, metals, currency, provenance }
+   * @returns {Promise<number>} Rows stored
+   * @throws When a row cannot be stored
    */
-  async storeSymbolsData(symbolsData) {
-    try {
-      // Store as JSON in a dedicated field or create a symbols table
-      const db = require('../db/connection');
-      
-      await db.raw(`
-        INSERT INTO api_logs (
-          provider, endpoint, method, request_params, response_data, 
-          status_code, success, response_time_ms, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON CONFLICT DO NOTHING
-      `, [
-        'metalpriceapi',
-        'symbols',
-        'STORE',
-        JSON.stringify({}),
-        JSON.stringify(symbolsData),
-        200,
-        true,
-        0,
-        new Date()
-      ]);
-
-      logger.info('Symbols data stored in api_logs for reference');
-    } catch (error) {
-      logger.error('Error storing symbols data:', error);
+  async storeTimeframeData(timeframeData, options = {}) {
+    const {
+      provider = 'metalpriceapi',
+      metals = this.metals,
+      currency = this.currency,
+      provenance = {}
+    } = options;
+
+    if (!timeframeData.rates) {
+      logger.warn('No rates data in timeframe response');
+      return 0;
+    }
+
+    const { transformToStandard } = TransformationRules[provider];
+    let storedCount = 0;
+    let failedCount = 0;
+
+    // Process each date in the timeframe
+    for (const date in timeframeData.rates) {
+      const dayRates = timeframeData.rates[date];
+      const timestamp = Math.floor(startOfDate(date).getTime() / 1000);
+
+      // Process each metal for this date
+      for (const metal of metals) {
+        if (dayRates[metal]) {
+          const priceData = transformToStandard({ rates: dayRates, timestamp }, metal, currency);
+          const saved = await dataService.saveHistoricalPriceData(priceData, provider, date, provenance);
+          saved ? storedCount++ : failedCount++;
+        }
+      }
     }
+
+    if (failedCount > 0) {
+      throw new Error(`Failed to store ${failedCount} of ${storedCount + failedCount} historical prices`);
+    }
+
+    logger.info(`Stored ${storedCount} historical price records from timeframe data`);
+    return storedCount;
   }
 
   /**
-   * Store timeframe data
+   * Get historical data for charts (1 year): the close of each bucket at the
+   * resolution for the range (daily beyond 90 days), read from the rollups
+   * where raw prices have been purged
    */
-  async storeTimeframeData(timeframeData) {
+  async getHistoricalDataForCharts(metal, currency = 'INR', days = 365) {
     try {
-      if (!timeframeData.rates) {
-        logger.warn('No rates data in timeframe response');
-        return;
-      }
+      const endDate = new Date();
+      const startDate = new Date();
+      startDate.setDate(endDate.getDate() - days);
 
-      let storedCount = 0;
-      
-      // Process each date in the timeframe
-      for (const date in timeframeData.rates) {
-        const dayRates = timeframeData.rates[date];
-        
-        // Process each metal for this date
-        for (const metal of this.metals) {
-          if (dayRates[metal]) {
-            const priceData = {
-              metal: metal,
-              currency: this.currency,
-              price: dayRates[metal],
-              price_gram_24k: null,
-              price_gram_22k: null,
-              price_gram_18k: null,
-              high: null,
-              low: null,
-              open: null,
-              close: null,
-              change: null,
-              changePercent: null,
-              ask: null,
-              bid: null,
-              symbol: metal,
-              exchange: 'metalpriceapi',
-              timestamp: Math.floor(new Date(date).getTime() / 1000)
-            };
-
-            await dataService.saveHistoricalPriceData(priceData, 'metalpriceapi', date);
-            storedCount++;
-          }
-        }
-      }
+      const { points } = await priceRollupService.getSeries(metal, currency, startDate, endDate);
 
-      logger.info(`Stored ${storedCount} historical price records from timeframe data`);
+      return points.map(point => ({
+        timestamp: Math.floor(new Date(point.timestamp).getTime() / 1000),
+        price: point.close,
+        date: point.timestamp.split('T')[0]
+      }));
     } catch (error) {
-      logger.error('Error storing timeframe data:', error);
+      logger.error('Error getting historical data for charts:', error);
+      return [];
     }
   }
 
   /**
-   * Store carat data
+   * Test conversion functionality
    */
-  async storeCaratData(caratData) {
+  async testConversion(from = 'USD', to = 'XAU', amount = 100) {
     try {
-      // Store carat data in api_logs for reference
-      const db = require('../db/connection');
+      logger.info(`Testing conversion: ${amount} ${from} to ${to}`);
       
-      await db.raw(`
-        INSERT INTO api_logs (
-          provider, endpoint, method, request_params, response_data, 
-          status_code, success, response_time_ms, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON CONFLICT DO NOTHING
-      `, [
-        'metalpriceapi',
-        'carat',
-        'STORE',
-        JSON.stringify({}),
-        JSON.stringify(caratData),
-        200,
-        true,
-        0,
-        new Date()
-      ]);
-
-      logger.info('Carat data stored in api_logs for reference');
+      const response = await metalpricerService.convertPrice(from, to, amount);
+      if (response.success) {
+        logger.info('Conversion test successful:', response.data);
+        return response.data;
+      } else {
+        logger.error('Conversion test failed:', response.error);
+        return null;
+      }
     } catch (error) {
-      logger.error('Error storing carat data:', error);
+      logger.error('Error testing conversion:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Utility: Format date as YYYY-MM-DD
+   */
+  formatDate(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Utility: Add delay between API calls
+   */
+  async delay(ms = this.batchDelay) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Providers the bulk sync fetches a capability from: those of the chain,
+   * or the sync provider in DB-only mode
+   */
+  getSyncProviders(capability) {
+    if (metalpricerService.isDbOnly()) {
+      return [process.env.SYNC_API_PROVIDER || 'metalpriceapi'];
+    }
+    return metalpricerService.getProvidersFor(capability);
+  }
+
+  /**
+   * Providers a backfill fetches from
+   */
+  getBackfillProviders() {
+    return this.getSyncProviders('timeframe');
+  }
+
+  /**
+   * Chunk size that every backfill provider accepts in one request;
+   * BACKFILL_CHUNK_DAYS can lower it
+   */
+  getBackfillChunkDays() {
+    const limits = this.getBackfillProviders()
+      .filter(name => supports(name, 'timeframe'))
+      .map(name => getProvider(name).timeframeMaxDays || DEFAULT_CHUNK_DAYS);
+    const providerDays = Math.min(DEFAULT_CHUNK_DAYS, ...limits);
+    const configuredDays = parseInt(process.env.BACKFILL_CHUNK_DAYS);
+
+    return configuredDays > 0 ? Math.min(configuredDays, providerDays) : providerDays;
+  }
+
+  /**
+   * Queue a backfill of daily prices and start it in the background
+   *
+   * @param {Object} params - { startDate, endDate (YYYY-MM-DD, inclusive), metals (symbols), currency }
+   * @param {number|null} userId - Admin who requested it
+   * @returns {Promise<Object>} The formatted job with its chunks
+   */
+  async createBackfill({ startDate, endDate, metals, currency = fxService.getBaseCurrency() }, userId = null) {
+    const chunkDays = this.getBackfillChunkDays();
+    const chunks = [];
+
+    for (let start = startDate; start <= endDate; start = addDays(start, chunkDays)) {
+      const end = addDays(start, chunkDays - 1);
+      chunks.push({
+        chunk_index: chunks.length,
+        start_date: start,
+        end_date: end < endDate ? end : endDate
+      });
     }
+
+    const jobId = await db.transaction(async trx => {
+      const [job] = await trx('backfill_jobs').insert({
+        metals: metals.join(','),
+        currency,
+        start_date: startDate,
+        end_date: endDate,
+        chunk_days: chunkDays,
+        created_by: userId
+      }).returning('id');
+
+      const id = job.id ?? job;
+      await trx('backfill_chunks').insert(chunks.map(chunk => ({ ...chunk, job_id: id })));
+      return id;
+    });
+
+    logger.info(`Backfill ${jobId} queued: ${metals.join(',')}/${currency} ${startDate} to ${endDate} in ${chunks.length} chunk(s) of ${chunkDays} day(s)`);
+
+    this.runBackfills();
+    return this.getBackfill(jobId);
   }
 
   /**
-   * Store change data
+   * Run queued backfills, and stale ones left by a stopped instance, until
+   * none is left. Never rejects; failures are recorded on the chunks.
    */
-  async storeChangeData(changeData) {
+  async runBackfills() {
+    if (this.backfillRunning) return;
+    this.backfillRunning = true;
+
     try {
-      // Store change data in api_logs for reference and analysis
-      const db = require('../db/connection');
-      
-      await db.raw(`
-        INSERT INTO api_logs (
-          provider, endpoint, method, request_params, response_data, 
-          status_code, success, response_time_ms, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON CONFLICT DO NOTHING
-      `, [
-        'metalpriceapi',
-        'change',
-        'STORE',
-        JSON.stringify({ period: '1year' }),
-        JSON.stringify(changeData),
-        200,
-        true,
-        0,
-        new Date()
-      ]);
-
-      logger.info('Change data stored in api_logs for reference');
+      let job;
+      while ((job = await this.claimBackfill())) {
+        await this.processBackfill(job);
+      }
     } catch (error) {
-      logger.error('Error storing change data:', error);
+      logger.error('Backfill runner failed:', error);
+    } finally {
+      this.backfillRunning = false;
     }
+
+    await this.scheduleBackfillTakeover();
+  }
+
+  /**
+   * Resume unfinished backfills after a restart
+   */
+  resumeBackfills() {
+    return this.runBackfills();
   }
 
   /**
-   * Get stored symbols data
+   * While another instance holds a running job, check again once its lease
+   * could have expired, in case that instance has stopped
    */
-  async getStoredSymbols() {
+  async scheduleBackfillTakeover() {
     try {
-      const db = require('../db/connection');
-      
-      const result = await db('api_logs')
-        .select('response_data')
-        .where({
-          provider: 'metalpriceapi',
-          endpoint: 'symbols',
-          success: true
-        })
-        .orderBy('created_at', 'desc')
-        .first();
+      if (this.takeoverTimer) return;
+
+      const held = await db('backfill_jobs').where('status', 'running').first('id');
+      if (!held) return;
 
-      return result ? JSON.parse(result.response_data) : null;
+      this.takeoverTimer = setTimeout(() => {
+        this.takeoverTimer = null;
+        this.runBackfills();
+      }, BACKFILL_LEASE_MS);
+      this.takeoverTimer.unref();
     } catch (error) {
-      logger.error('Error getting stored symbols:', error);
-      return null;
+      logger.error('Failed to schedule backfill takeover:', error);
     }
   }
 
   /**
-   * Get stored carat data
+   * Take the oldest pending job, or a running one whose heartbeat is stale
    */
-  async getStoredCaratData() {
-    try {
-      const db = require('../db/connection');
-      
-      const result = await db('api_logs')
-        .select('response_data')
-        .where({
-          provider: 'metalpriceapi',
-          endpoint: 'carat',
-          success: true
-        })
-        .orderBy('created_at', 'desc')
+  async claimBackfill() {
+    const result = await db.raw(`
+      UPDATE backfill_jobs
+      SET status = 'running', locked_by = ?, heartbeat_at = NOW(),
+        started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM backfill_jobs
+        WHERE status = 'pending'
+          OR (status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < ?))
+        ORDER BY id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [INSTANCE_ID, new Date(Date.now() - BACKFILL_LEASE_MS)]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Work through a claimed job's pending chunks in order
+   */
+  async processBackfill(job) {
+    const metals = job.metals.split(',');
+    const providers = this.getBackfillProviders();
+
+    // A chunk still marked running was interrupted with its previous runner
+    const interrupted = await db('backfill_chunks')
+      .where({ job_id: job.id, status: 'running' })
+      .update({ status: 'pending', updated_at: new Date() });
+
+    logger.info(`Backfill ${job.id} ${interrupted > 0 || job.heartbeat_at ? 'resumed' : 'started'} on ${INSTANCE_ID}`);
+
+    while (true) {
+      const current = await db('backfill_jobs').where('id', job.id).first();
+      if (current.status !== 'running' || current.locked_by !== INSTANCE_ID) {
+        logger.info(`Backfill ${job.id} stopped: ${current.status === 'running' ? `taken over by ${current.locked_by}` : current.status}`);
+        return;
+      }
+
+      const chunk = await db('backfill_chunks')
+        .where({ job_id: job.id, status: 'pending' })
+        .orderBy('chunk_index', 'asc')
         .first();
+      if (!chunk) break;
 
-      return result ? JSON.parse(result.response_data) : null;
-    } catch (error) {
-      logger.error('Error getting stored carat data:', error);
-      return null;
+      const stored = await this.processBackfillChunk(job, chunk, metals, providers);
+
+      await db('backfill_jobs')
+        .where({ id: job.id, locked_by: INSTANCE_ID })
+        .update({ heartbeat_at: new Date(), updated_at: new Date() });
+
+      // Respect provider rate limits; back off further after a failure
+      await this.delay(stored ? this.batchDelay : this.batchDelay * (chunk.attempts + 1) * 2);
     }
+
+    const failed = await db('backfill_chunks')
+      .where({ job_id: job.id, status: 'failed' })
+      .count('* as count')
+      .first();
+    const failedChunks = parseInt(failed.count);
+
+    await db('backfill_jobs')
+      .where({ id: job.id, locked_by: INSTANCE_ID, status: 'running' })
+      .update({
+        status: failedChunks > 0 ? 'failed' : 'completed',
+        error: failedChunks > 0 ? `${failedChunks} chunk(s) failed after ${BACKFILL_MAX_ATTEMPTS} attempts` : null,
+        locked_by: null,
+        finished_at: new Date(),
+        updated_at: new Date()
+      });
+
+    logger.info(`Backfill ${job.id} ${failedChunks > 0 ? `finished with ${failedChunks} failed chunk(s)` : 'completed'}`);
   }
 
   /**
-   * Get stored change data
+   * Fetch, store and roll up one chunk, recording the outcome on its row
+   *
+   * @returns {Promise<boolean>} Whether the chunk completed
    */
-  async getStoredChangeData() {
+  async processBackfillChunk(job, chunk, metals, providers) {
+    const startDate = toDateString(chunk.start_date);
+    const endDate = toDateString(chunk.end_date);
+    const attempts = chunk.attempts + 1;
+    const syncRunId = await provenanceService.startRun('backfill', `job ${job.id} chunk ${chunk.chunk_index}`);
+
+    await db('backfill_chunks')
+      .where('id', chunk.id)
+      .update({ status: 'running', attempts, started_at: new Date(), updated_at: new Date() });
+
     try {
-      const db = require('../db/connection');
-      
-      const result = await db('api_logs')
-        .select('response_data')
-        .where({
-          provider: 'metalpriceapi',
-          endpoint: 'change',
-          success: true
-        })
-        .orderBy('created_at', 'desc')
-        .first();
+      const response = await metalpricerService.getTimeframeData(
+        startDate,
+        endDate,
+        job.currency,
+        metals.join(','),
+        { providers }
+      );
+
+      if (!response.success) {
+        throw new Error(response.error?.error || response.error?.message || 'Failed to fetch timeframe data');
+      }
 
-      return result ? JSON.parse(result.response_data) : null;
+      const stored = await this.storeTimeframeData(response.data, {
+        provider: response.data.provider,
+        metals,
+        currency: job.currency,
+        provenance: await provenanceService.resolve(response.data, { syncRunId })
+      });
+
+      // Backfilled days are older than the rollups' latest buckets
+      const range = { from: startOfDate(startDate), to: startOfDate(addDays(endDate, 1)) };
+      await priceRollupService.rollupRange('hourly', range);
+      await priceRollupService.rollupRange('daily', range);
+
+      await db('backfill_chunks')
+        .where('id', chunk.id)
+        .update({
+          status: 'completed',
+          records_stored: stored,
+          error: null,
+          completed_at: new Date(),
+          updated_at: new Date()
+        });
+
+      await provenanceService.finishRun(syncRunId, { stats: { stored } });
+
+      logger.info(`Backfill ${job.id} chunk ${chunk.chunk_index} (${startDate} to ${endDate}): stored ${stored} price(s)`);
+      return true;
     } catch (error) {
-      logger.error('Error getting stored change data:', error);
-      return null;
+      const failed = attempts >= BACKFILL_MAX_ATTEMPTS;
+
+      await db('backfill_chunks')
+        .where('id', chunk.id)
+        .update({
+          status: failed ? 'failed' : 'pending',
+          error: error.message,
+          updated_at: new Date()
+        });
+      await provenanceService.finishRun(syncRunId, { status: 'failed', error: error.message });
+
+      logger.warn(`Backfill ${job.id} chunk ${chunk.chunk_index} failed (attempt ${attempts}/${BACKFILL_MAX_ATTEMPTS}): ${error.message}`);
+      return false;
     }
   }
 
   /**
-   * Get historical data for charts (1 year)
+   * Queue the unfinished chunks of a failed or cancelled job again
+   *
+   * @returns {Promise<Object|null>} The job, or null when not found
+   * @throws {Error} with code BACKFILL_NOT_RETRYABLE for other jobs
    */
-  async getHistoricalDataForCharts(metal, currency = 'INR', days = 365) {
-    try {
-      const db = require('../db/connection');
-      
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(endDate.getDate() - days);
+  async retryBackfill(id) {
+    const job = await db('backfill_jobs').where('id', id).first();
+    if (!job) return null;
+
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      const error = new Error(`Backfill ${id} is ${job.status}; only failed or cancelled backfills can be retried`);
+      error.code = 'BACKFILL_NOT_RETRYABLE';
+      throw error;
+    }
 
-      const results = await db('metal_prices')
-        .select('price', 'price_timestamp')
-        .where({
-          metal: metal,
-          currency: currency
-        })
-        .where('price_timestamp', '>=', startDate)
-        .where('price_timestamp', '<=', endDate)
-        .orderBy('price_timestamp', 'asc');
-
-      return results.map(row => ({
-        timestamp: Math.floor(row.price_timestamp.getTime() / 1000),
-        price: parseFloat(row.price),
-        date: row.price_timestamp.toISOString().split('T')[0]
-      }));
-    } catch (error) {
-      logger.error('Error getting historical data for charts:', error);
-      return [];
+    await db.transaction(async trx => {
+      await trx('backfill_chunks')
+        .where('job_id', id)
+        .whereIn('status', ['failed', 'running'])
+        .update({ status: 'pending', attempts: 0, updated_at: new Date() });
+      await trx('backfill_jobs')
+        .where('id', id)
+        .update({ status: 'pending', error: null, locked_by: null, finished_at: null, updated_at: new Date() });
+    });
+
+    logger.info(`Backfill ${id} queued for retry`);
+    this.runBackfills();
+    return this.getBackfill(id);
+  }
+
+  /**
+   * Cancel a pending or running job; the runner stops after its current chunk
+   *
+   * @returns {Promise<Object|null>} The job, or null when not found
+   * @throws {Error} with code BACKFILL_FINISHED when the job has already finished
+   */
+  async cancelBackfill(id) {
+    const job = await db('backfill_jobs').where('id', id).first();
+    if (!job) return null;
+
+    if (!['pending', 'running'].includes(job.status)) {
+      const error = new Error(`Backfill ${id} has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}`);
+      error.code = 'BACKFILL_FINISHED';
+      throw error;
     }
+
+    await db('backfill_jobs')
+      .where('id', id)
+      .update({ status: 'cancelled', locked_by: null, finished_at: new Date(), updated_at: new Date() });
+
+    logger.info(`Backfill ${id} cancelled`);
+    return this.getBackfill(id);
   }
 
   /**
-   * Test conversion functionality
+   * Chunk counts and stored rows per job
    */
-  async testConversion(from = 'USD', to = 'XAU', amount = 100) {
-    try {
-      logger.info(`Testing conversion: ${amount} ${from} to ${to}`);
-      
-      const response = await metalpricerService.convertPrice(from, to, amount);
-      if (response.success) {
-        logger.info('Conversion test successful:', response.data);
-        return response.data;
-      } else {
-        logger.error('Conversion test failed:', response.error);
-        return null;
+  async getBackfillProgress(jobIds) {
+    const rows = await db('backfill_chunks')
+      .select('job_id', 'status')
+      .count('* as count')
+      .sum('records_stored as records')
+      .whereIn('job_id', jobIds)
+      .groupBy('job_id', 'status');
+
+    const progress = new Map();
+    rows.forEach(row => {
+      if (!progress.has(row.job_id)) {
+        progress.set(row.job_id, { totalChunks: 0, pending: 0, running: 0, completed: 0, failed: 0, recordsStored: 0 });
       }
-    } catch (error) {
-      logger.error('Error testing conversion:', error);
-      return null;
-    }
+      const entry = progress.get(row.job_id);
+      entry[row.status] = parseInt(row.count);
+      entry.totalChunks += parseInt(row.count);
+      entry.recordsStored += parseInt(row.records) || 0;
+    });
+
+    return progress;
   }
 
   /**
-   * Utility: Format date as YYYY-MM-DD
+   * A backfill job with its progress and, optionally, its chunks
    */
-  formatDate(date) {
-    return date.toISOString().split('T')[0];
+  async getBackfill(id, { withChunks = true } = {}) {
+    const job = await db('backfill_jobs').where('id', id).first();
+    if (!job) return null;
+
+    const progress = await this.getBackfillProgress([job.id]);
+    const formatted = this.formatBackfill(job, progress.get(job.id));
+
+    if (withChunks) {
+      const chunks = await db('backfill_chunks').where('job_id', id).orderBy('chunk_index', 'asc');
+      formatted.chunks = chunks.map(chunk => this.formatBackfillChunk(chunk));
+    }
+
+    return formatted;
   }
 
   /**
-   * Utility: Add delay between API calls
+   * Most recent backfill jobs with their progress
    */
-  async delay() {
-    return new Promise(resolve => setTimeout(resolve, this.batchDelay));
+  async listBackfills(limit = 10) {
+    const jobs = await db('backfill_jobs').orderBy('id', 'desc').limit(limit);
+    const progress = await this.getBackfillProgress(jobs.map(job => job.id));
+
+    return jobs.map(job => this.formatBackfill(job, progress.get(job.id)));
+  }
+
+  formatBackfill(job, progress = { totalChunks: 0, pending: 0, running: 0, completed: 0, failed: 0, recordsStored: 0 }) {
+    return {
+      id: job.id,
+      metals: job.metals.split(',').map(symbol => METAL_SYMBOLS[symbol] || symbol),
+      currency: job.currency,
+      startDate: toDateString(job.start_date),
+      endDate: toDateString(job.end_date),
+      chunkDays: job.chunk_days,
+      status: job.status,
+      error: job.error,
+      lockedBy: job.locked_by,
+      progress: {
+        totalChunks: progress.totalChunks,
+        completedChunks: progress.completed,
+        failedChunks: progress.failed,
+        pendingChunks: progress.pending + progress.running,
+        percent: progress.totalChunks > 0 ? Math.round((progress.completed / progress.totalChunks) * 100) : 0,
+        recordsStored: progress.recordsStored
+      },
+      createdBy: job.created_by,
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      heartbeatAt: job.heartbeat_at,
+      finishedAt: job.finished_at
+    };
+  }
+
+  formatBackfillChunk(chunk) {
+    return {
+      index: chunk.chunk_index,
+      startDate: toDateString(chunk.start_date),
+      endDate: toDateString(chunk.end_date),
+      status: chunk.status,
+      attempts: chunk.attempts,
+      recordsStored: chunk.records_stored,
+      error: chunk.error,
+      startedAt: chunk.started_at,
+      completedAt: chunk.completed_at
+    };
   }
 
   /**
-   * Get sync status
+   * Get sync status, with the most recent backfills
    */
-  getStatus() {
+  async getStatus() {
     return {
       isRunning: this.isRunning,
       supportedMetals: this.metals,
       currency: this.currency,
-      batchDelay: this.batchDelay
+      batchDelay: this.batchDelay,
+      backfill: {
+        running: this.backfillRunning,
+        instance: INSTANCE_ID,
+        providers: this.getBackfillProviders(),
+        chunkDays: this.getBackfillChunkDays(),
+        maxAttempts: BACKFILL_MAX_ATTEMPTS,
+        jobs: await this.listBackfills()
+      }
     };
   }
 }
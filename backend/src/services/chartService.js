@@ -0,0 +1,141 @@
+/**
+ * Chart Service
+ *
+ * Aggregates stored prices into OHLC candles for the dashboard chart
+ * periods. Rows come from metal_prices and, for hourly and longer candles,
+ * from the hourly and daily rollups that outlive purged raw rows.
+ *
+ * Candles are aligned to UTC multiples of the bucket size. Gaps are filled
+ * as follows:
+ * - A bucket without rows repeats the previous close as a flat candle
+ *   (open = high = low = close) and is marked `filled: true`
+ * - Before the first stored row in the window, the last price before the
+ *   window is carried forward; if there is none, those buckets are omitted
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const priceRollupService = require('./priceRollupService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ChartService');
+
+// Period -> bucket size and number of candles in the window
+const CHART_PERIODS = {
+  '1H': { interval: '1m', bucketSeconds: 60, buckets: 60 },
+  '4H': { interval: '5m', bucketSeconds: 5 * 60, buckets: 48 },
+  '1D': { interval: '1h', bucketSeconds: 60 * 60, buckets: 24 },
+  '1W': { interval: '4h', bucketSeconds: 4 * 60 * 60, buckets: 42 },
+  '1M': { interval: '1d', bucketSeconds: 24 * 60 * 60, buckets: 30 },
+  '3M': { interval: '1d', bucketSeconds: 24 * 60 * 60, buckets: 90 },
+  '1Y': { interval: '1d', bucketSeconds: 24 * 60 * 60, buckets: 365 }
+};
+
+// Fewer candles backed by real rows than this is reported as insufficient
+const MIN_OBSERVED_CANDLES = 2;
+
+class ChartService {
+  /**
+   * Check whether a chart period is supported
+   */
+  isSupportedPeriod(period) {
+    return Object.prototype.hasOwnProperty.call(CHART_PERIODS, period);
+  }
+
+  /**
+   * Supported chart periods, shortest first
+   */
+  getSupportedPeriods() {
+    return Object.keys(CHART_PERIODS);
+  }
+
+  /**
+   * Get the time window for a period, ending with the current (partial) bucket
+   */
+  getWindow(period, now = new Date()) {
+    const { bucketSeconds, buckets } = CHART_PERIODS[period];
+    const bucketMs = bucketSeconds * 1000;
+    const end = Math.floor(now.getTime() / bucketMs) * bucketMs + bucketMs;
+    const start = end - buckets * bucketMs;
+
+    return { from: new Date(start), to: new Date(end), bucketMs };
+  }
+
+  /**
+   * Aggregate stored prices into OHLC candles for a period
+   *
+   * @param {string} metal - Metal symbol (XAU, XAG, XPT, XPD)
+   * @param {string} currency - Currency code
+   * @param {string} period - One of CHART_PERIODS
+   * @returns {Promise<{candles: Array, meta: Object}>}
+   */
+  async getCandles(metal, currency, period) {
+    if (!this.isSupportedPeriod(period)) {
+      throw new Error(`Unsupported period: ${period}`);
+    }
+
+    const { interval, bucketSeconds, buckets } = CHART_PERIODS[period];
+    const { from, to, bucketMs } = this.getWindow(period);
+
+    const rows = await priceRollupService.getOhlc(metal, currency, from, to, bucketSeconds);
+    const rowsByBucket = new Map(rows.map(row => [row.bucket, row]));
+
+    // Last known price before the window seeds the leading gap
+    let previousClose = await priceRollupService.getCloseBefore(metal, currency, from);
+    const candles = [];
+    let observedCandles = 0;
+
+    for (let time = from.getTime(); time < to.getTime(); time += bucketMs) {
+      const row = rowsByBucket.get(time);
+
+      if (row) {
+        const candle = {
+          timestamp: new Date(time).toISOString(),
+          open: row.open,
+          high: row.high,
+          low: row.low,
+          close: row.close,
+          samples: row.samples,
+          filled: false
+        };
+        candles.push(candle);
+        previousClose = candle.close;
+        observedCandles++;
+      } else if (previousClose !== null) {
+        candles.push({
+          timestamp: new Date(time).toISOString(),
+          open: previousClose,
+          high: previousClose,
+          low: previousClose,
+          close: previousClose,
+          samples: 0,
+          filled: true
+        });
+      }
+    }
+
+    const insufficientData = observedCandles < MIN_OBSERVED_CANDLES;
+    if (insufficientData) {
+      logger.warn(`Insufficient chart data for ${metal}/${currency} ${period}: ${observedCandles} candle(s) with prices`);
+    }
+
+    return {
+      candles,
+      meta: {
+        interval,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        expectedCandles: buckets,
+        observedCandles,
+        filledCandles: candles.length - observedCandles,
+        gapFill: 'previous_close',
+        insufficientData
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const chartService = new ChartService();
+
+module.exports = chartService;
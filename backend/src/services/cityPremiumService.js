@@ -0,0 +1,267 @@
+/**
+ * City Premium Service
+ *
+ * Jewellers in different Indian cities quote different rates on top of the
+ * national price. city_premiums holds a premium per city and metal, which is
+ * applied to national prices for the REST price routes and the AI agent.
+ *
+ * Features:
+ * - Premiums are a percentage of the price or an amount per gram of fine
+ *   metal (base currency, converted with the FX rate for other currencies);
+ *   either may be negative for cities that trade at a discount
+ * - Per-gram premiums scale with purity: a 22k gram gets 22/24 of it
+ * - The table is small and read on every price request, so it is kept in
+ *   memory and re-read at most once a minute or after an admin change
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const db = require('../db/connection');
+const fxService = require('./fxService');
+const { METAL_SYMBOLS } = require('../schemas/apiSchemas');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('CityPremiums');
+
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+const PREMIUM_TYPES = ['percentage', 'per_gram'];
+
+// Price fields scaled by a percentage premium
+const PRICE_FIELDS = ['price', 'high', 'low', 'open', 'close', 'ask', 'bid', 'change'];
+
+// Per-ounce fields a per-gram premium is added to; change is an offset and stays
+const OUNCE_FIELDS = ['price', 'high', 'low', 'open', 'close', 'ask', 'bid'];
+
+// Per-gram fields and their purity
+const GRAM_FIELDS = {
+  price_gram_24k: 1,
+  price_gram_22k: 22 / 24,
+  price_gram_18k: 18 / 24
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Normalize a city name or slug ("New Delhi" -> "new-delhi")
+ */
+function toCitySlug(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+class CityPremiumService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  getPremiumTypes() {
+    return PREMIUM_TYPES;
+  }
+
+  toCitySlug(value) {
+    return toCitySlug(value);
+  }
+
+  /**
+   * All premium rows, from memory when fresh
+   */
+  async loadPremiums() {
+    if (this.cache && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const rows = await db('city_premiums').orderBy(['city', 'metal']);
+    this.cache = rows.map(row => this.formatPremium(row));
+    this.loadedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Cities with at least one premium, with their premiums per metal
+   *
+   * @returns {Promise<Array<{id: string, name: string, premiums: Object}>>}
+   */
+  async listCities() {
+    const premiums = await this.loadPremiums();
+    const cities = new Map();
+
+    premiums.forEach(premium => {
+      if (!cities.has(premium.city)) {
+        cities.set(premium.city, { id: premium.city, name: premium.cityName, premiums: {} });
+      }
+      cities.get(premium.city).premiums[premium.metal] = {
+        type: premium.premiumType,
+        value: premium.premiumValue
+      };
+    });
+
+    return [...cities.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Look up a city by slug or name
+   *
+   * @returns {Promise<{id: string, name: string}|null>}
+   */
+  async getCity(value) {
+    const slug = toCitySlug(value);
+    if (!slug) return null;
+
+    const premium = (await this.loadPremiums()).find(row => row.city === slug);
+    return premium ? { id: premium.city, name: premium.cityName } : null;
+  }
+
+  /**
+   * First known city named in free text, e.g. "gold price in Chennai"
+   */
+  async findCityInText(text) {
+    const normalized = ` ${toCitySlug(text).replace(/-/g, ' ')} `;
+    const cities = await this.listCities();
+
+    const match = cities
+      .map(city => ({ city, index: normalized.indexOf(` ${city.id.replace(/-/g, ' ')} `) }))
+      .filter(({ index }) => index !== -1)
+      .sort((a, b) => a.index - b.index)[0];
+
+    return match ? { id: match.city.id, name: match.city.name } : null;
+  }
+
+  /**
+   * Premium for a city and metal symbol, or null when none is stored
+   */
+  async getPremium(city, metal) {
+    const premiums = await this.loadPremiums();
+    return premiums.find(row => row.city === city && row.metal === METAL_SYMBOLS[metal]) || null;
+  }
+
+  /**
+   * Apply a city's premium to one price record
+   *
+   * @param {Object} priceData - Price record (PriceData) with `currency`
+   * @param {string} metal - Metal symbol (XAU)
+   * @param {{id: string, name: string}} city - City from getCity
+   * @returns {Promise<Object>} Adjusted record with `city` and `cityPremium` (null when the city has no premium for the metal)
+   */
+  async applyPremium(priceData, metal, city) {
+    const premium = await this.getPremium(city.id, metal);
+    const adjusted = { ...priceData, city: { id: city.id, name: city.name }, cityPremium: null };
+
+    if (!premium || premium.premiumValue === 0) {
+      return adjusted;
+    }
+
+    if (premium.premiumType === 'percentage') {
+      const factor = 1 + premium.premiumValue / 100;
+      [...PRICE_FIELDS, ...Object.keys(GRAM_FIELDS)].forEach(field => {
+        const value = parseFloat(priceData[field]);
+        if (Number.isFinite(value)) adjusted[field] = round(value * factor);
+      });
+
+      adjusted.cityPremium = { type: 'percentage', value: premium.premiumValue };
+      return adjusted;
+    }
+
+    // Per-gram premiums are stored in the base currency
+    const baseCurrency = fxService.getBaseCurrency();
+    const currency = priceData.currency || baseCurrency;
+    const fx = await fxService.getRate(baseCurrency, currency);
+    if (!fx) {
+      logger.warn(`No ${baseCurrency}/${currency} rate for the ${city.id} premium; serving the national price`);
+      return adjusted;
+    }
+
+    const perGram = premium.premiumValue * fx.rate;
+
+    OUNCE_FIELDS.forEach(field => {
+      const value = parseFloat(priceData[field]);
+      if (Number.isFinite(value)) adjusted[field] = round(value + perGram * GRAMS_PER_TROY_OUNCE);
+    });
+    Object.entries(GRAM_FIELDS).forEach(([field, purity]) => {
+      const value = parseFloat(priceData[field]);
+      if (Number.isFinite(value)) adjusted[field] = round(value + perGram * purity);
+    });
+
+    adjusted.cityPremium = { type: 'per_gram', value: round(perGram) };
+    return adjusted;
+  }
+
+  /**
+   * Apply a city's premiums to a map of prices keyed by metal name ({ gold: PriceData })
+   */
+  async applyPremiums(prices, city) {
+    const metalSymbols = Object.fromEntries(
+      Object.entries(METAL_SYMBOLS).map(([symbol, name]) => [name, symbol])
+    );
+    const adjusted = {};
+
+    for (const [name, priceData] of Object.entries(prices)) {
+      adjusted[name] = priceData && metalSymbols[name]
+        ? await this.applyPremium(priceData, metalSymbols[name], city)
+        : priceData;
+    }
+
+    return adjusted;
+  }
+
+  /**
+   * Create or replace the premium of a city for a metal
+   */
+  async upsertPremium({ city, cityName, metal, premiumType, premiumValue, note = null }, userId) {
+    const [row] = await db('city_premiums')
+      .insert({
+        city,
+        city_name: cityName,
+        metal,
+        premium_type: premiumType,
+        premium_value: premiumValue,
+        note,
+        updated_by: userId
+      })
+      .onConflict(['city', 'metal'])
+      .merge({
+        city_name: cityName,
+        premium_type: premiumType,
+        premium_value: premiumValue,
+        note,
+        updated_by: userId,
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    this.invalidate();
+    logger.info(`City premium ${city}/${metal} set to ${premiumValue} (${premiumType}) by user ${userId}`);
+    return this.formatPremium(row);
+  }
+
+  async deletePremium(city, metal) {
+    const deleted = await db('city_premiums').where({ city, metal }).del();
+    this.invalidate();
+    return deleted > 0;
+  }
+
+  formatPremium(row) {
+    return {
+      id: row.id,
+      city: row.city,
+      cityName: row.city_name,
+      metal: METAL_SYMBOLS[row.metal] || row.metal,
+      premiumType: row.premium_type,
+      premiumValue: parseFloat(row.premium_value),
+      note: row.note,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton instance
+const cityPremiumService = new CityPremiumService();
+
+module.exports = cityPremiumService;
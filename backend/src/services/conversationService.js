@@ -0,0 +1,222 @@
+/**
+ * Conversation Service
+ *
+ * Persists AI assistant threads per user so conversations survive reloads and
+ * the agent's history comes from the server rather than from the client.
+ *
+ * Features:
+ * - CRUD for per-user conversation threads
+ * - Message storage with an estimated token count per message
+ * - Token-budgeted history: the newest messages that fit the budget are
+ *   handed to the agent, older ones are left out of the model's context
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const db = require('../db/connection');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('Conversations');
+
+const DEFAULT_TITLE = 'New conversation';
+const MAX_TITLE_LENGTH = 60;
+
+// Tokens of previous messages passed to the agent with each turn
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.AI_HISTORY_TOKEN_BUDGET) || 3000;
+
+// Upper bound on rows read when building history, whatever the budget
+const MAX_HISTORY_MESSAGES = 200;
+
+class ConversationService {
+  /**
+   * Rough token estimate (~4 characters per token)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * List a user's conversations, most recently active first
+   */
+  async listConversations(userId) {
+    const conversations = await db('conversations')
+      .where('user_id', userId)
+      .orderByRaw('coalesce(last_message_at, created_at) desc');
+
+    return conversations.map(conversation => this.formatConversation(conversation));
+  }
+
+  /**
+   * Create a conversation for a user
+   */
+  async createConversation(userId, title = null) {
+    const [conversation] = await db('conversations').insert({
+      user_id: userId,
+      title: this.normalizeTitle(title) || DEFAULT_TITLE
+    }).returning('*');
+
+    logger.info(`Created conversation ${conversation.id} for user ${userId}`);
+    return this.formatConversation(conversation);
+  }
+
+  /**
+   * Get a single conversation, scoped to its owner
+   */
+  async getConversation(userId, conversationId) {
+    const conversation = await db('conversations')
+      .where({ id: conversationId, user_id: userId })
+      .first();
+
+    return conversation ? this.formatConversation(conversation) : null;
+  }
+
+  /**
+   * Rename a conversation
+   */
+  async renameConversation(userId, conversationId, title) {
+    const [conversation] = await db('conversations')
+      .where({ id: conversationId, user_id: userId })
+      .update({ title: this.normalizeTitle(title), updated_at: new Date() })
+      .returning('*');
+
+    return conversation ? this.formatConversation(conversation) : null;
+  }
+
+  /**
+   * Delete a conversation and its messages
+   */
+  async deleteConversation(userId, conversationId) {
+    const deleted = await db('conversations')
+      .where({ id: conversationId, user_id: userId })
+      .del();
+
+    return deleted > 0;
+  }
+
+  /**
+   * Get the messages of a conversation in chronological order
+   */
+  async getMessages(conversationId) {
+    const messages = await db('conversation_messages')
+      .where('conversation_id', conversationId)
+      .orderBy('id', 'asc');
+
+    return messages.map(message => this.formatMessage(message));
+  }
+
+  /**
+   * Append a message and update the conversation's activity. The first user
+   * message also names a conversation that still has the default title.
+   */
+  async addMessage(conversationId, role, content) {
+    const now = new Date();
+
+    return db.transaction(async (trx) => {
+      const [message] = await trx('conversation_messages').insert({
+        conversation_id: conversationId,
+        role,
+        content,
+        token_count: this.estimateTokens(content),
+        created_at: now
+      }).returning('*');
+
+      const conversation = await trx('conversations')
+        .where('id', conversationId)
+        .first();
+
+      const updateData = {
+        message_count: trx.raw('message_count + 1'),
+        last_message_at: now,
+        updated_at: now
+      };
+
+      if (role === 'user' && conversation.title === DEFAULT_TITLE) {
+        updateData.title = this.normalizeTitle(content);
+      }
+
+      await trx('conversations')
+        .where('id', conversationId)
+        .update(updateData);
+
+      return this.formatMessage(message);
+    });
+  }
+
+  /**
+   * Build the agent's chat history from stored messages, keeping the newest
+   * messages whose estimated tokens fit within the budget.
+   *
+   * @param {number} conversationId - Conversation to load
+   * @param {number} tokenBudget - Maximum estimated tokens of history
+   * @returns {Promise<Array<{sender: string, text: string}>>} History in createMemory format
+   */
+  async getAgentHistory(conversationId, tokenBudget = HISTORY_TOKEN_BUDGET) {
+    const newestFirst = await db('conversation_messages')
+      .select('role', 'content', 'token_count')
+      .where('conversation_id', conversationId)
+      .orderBy('id', 'desc')
+      .limit(MAX_HISTORY_MESSAGES);
+
+    const selected = [];
+    let usedTokens = 0;
+
+    for (const message of newestFirst) {
+      const tokens = message.token_count || this.estimateTokens(message.content);
+      if (usedTokens + tokens > tokenBudget) break;
+
+      usedTokens += tokens;
+      selected.push(message);
+    }
+
+    if (selected.length < newestFirst.length) {
+      logger.info(`Trimmed conversation ${conversationId} history to ${selected.length} message(s), ~${usedTokens} tokens`);
+    }
+
+    return selected.reverse().map(message => ({
+      sender: message.role === 'user' ? 'user' : 'ai',
+      text: message.content
+    }));
+  }
+
+  /**
+   * Collapse whitespace and cap title length
+   */
+  normalizeTitle(title) {
+    const normalized = (title || '').replace(/\s+/g, ' ').trim();
+    if (normalized.length <= MAX_TITLE_LENGTH) {
+      return normalized;
+    }
+    return `${normalized.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…`;
+  }
+
+  /**
+   * Shape a conversation row for API responses
+   */
+  formatConversation(conversation) {
+    return {
+      id: conversation.id,
+      title: conversation.title,
+      messageCount: conversation.message_count || 0,
+      lastMessageAt: conversation.last_message_at,
+      createdAt: conversation.created_at,
+      updatedAt: conversation.updated_at
+    };
+  }
+
+  /**
+   * Shape a message row for API responses
+   */
+  formatMessage(message) {
+    return {
+      id: message.id,
+      role: message.role,
+      content: message.content,
+      createdAt: message.created_at
+    };
+  }
+}
+
+// Export singleton instance
+const conversationService = new ConversationService();
+
+module.exports = conversationService;
@@ -1,12 +1,20 @@
+const EventEmitter = require('events');
 const db = require('../db/connection');
+const priceRollupService = require('./priceRollupService');
+const provenanceService = require('./provenanceService');
+const providerGuardService = require('./providerGuardService');
 
-class DataService {
+// Emits 'pricesChanged' ({ metal, currency, historical }) after a price is
+// saved, so in-memory caches of prices can drop what it makes stale
+class DataService extends EventEmitter {
   constructor() {
+    super();
     this.CACHE_TTL = parseInt(process.env.CACHE_TTL) || 300; // 5 minutes default
   }
 
-  // Save metal price data to database
-  async savePriceData(priceData, provider) {
+  // Save metal price data to database, with its provenance columns
+  // (payload_id, mapper_version, fetched_at, sync_run_id) when known
+  async savePriceData(priceData, provider, provenance = {}) {
     try {
       const dataToInsert = {
         metal: priceData.metal,
@@ -27,7 +35,8 @@ class DataService {
         exchange: priceData.exchange,
         provider: provider,
         price_timestamp: new Date(priceData.timestamp * 1000), // Convert to proper timestamp
-        is_historical: false
+        is_historical: false,
+        ...this.provenanceColumns(provenance)
       };
 
       // Use INSERT ON CONFLICT to avoid duplicates
@@ -35,8 +44,9 @@ class DataService {
         INSERT INTO metal_prices (
           metal, currency, price, price_gram_24k, price_gram_22k, price_gram_18k,
           high, low, open, close, change, change_percent, ask, bid, symbol, 
-          exchange, provider, price_timestamp, is_historical
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          exchange, provider, price_timestamp, is_historical,
+          payload_id, mapper_version, fetched_at, sync_run_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT (metal, currency, price_timestamp, provider) 
         DO UPDATE SET
           price = EXCLUDED.price,
@@ -51,6 +61,10 @@ class DataService {
           change_percent = EXCLUDED.change_percent,
           ask = EXCLUDED.ask,
           bid = EXCLUDED.bid,
+          payload_id = COALESCE(EXCLUDED.payload_id, metal_prices.payload_id),
+          mapper_version = COALESCE(EXCLUDED.mapper_version, metal_prices.mapper_version),
+          fetched_at = COALESCE(EXCLUDED.fetched_at, metal_prices.fetched_at),
+          sync_run_id = COALESCE(EXCLUDED.sync_run_id, metal_prices.sync_run_id),
           updated_at = CURRENT_TIMESTAMP
       `, [
         dataToInsert.metal,
@@ -71,9 +85,14 @@ class DataService {
         dataToInsert.exchange,
         dataToInsert.provider,
         dataToInsert.price_timestamp,
-        dataToInsert.is_historical
+        dataToInsert.is_historical,
+        dataToInsert.payload_id,
+        dataToInsert.mapper_version,
+        dataToInsert.fetched_at,
+        dataToInsert.sync_run_id
       ]);
 
+      this.emit('pricesChanged', { metal: priceData.metal, currency: priceData.currency, historical: false });
       return true;
     } catch (error) {
       console.error('Error saving price data:', error);
@@ -81,40 +100,37 @@ class DataService {
     }
   }
 
-  // Save historical price data
-  async saveHistoricalPriceData(priceData, provider, date) {
+  // Save historical price data, with its provenance columns when known.
+  // Fields missing from priceData keep their stored values on conflict.
+  async saveHistoricalPriceData(priceData, provider, date, provenance = {}) {
     try {
-      const dataToInsert = {
-        metal: priceData.metal,
-        currency: priceData.currency,
-        price: priceData.price,
-        price_gram_24k: priceData.price_gram_24k,
-        price_gram_22k: priceData.price_gram_22k,
-        price_gram_18k: priceData.price_gram_18k,
-        high: priceData.high,
-        low: priceData.low,
-        open: priceData.open,
-        close: priceData.close,
-        change: priceData.change,
-        change_percent: priceData.changePercent,
-        ask: priceData.ask,
-        bid: priceData.bid,
-        symbol: priceData.symbol,
-        exchange: priceData.exchange,
-        provider: provider,
-        price_timestamp: new Date(date),
-        is_historical: true
-      };
+      const dataToInsert = this.historicalRow(priceData, provider, date, provenance);
 
       await db.raw(`
         INSERT INTO metal_prices (
           metal, currency, price, price_gram_24k, price_gram_22k, price_gram_18k,
           high, low, open, close, change, change_percent, ask, bid, symbol, 
-          exchange, provider, price_timestamp, is_historical
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          exchange, provider, price_timestamp, is_historical,
+          payload_id, mapper_version, fetched_at, sync_run_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT (metal, currency, price_timestamp, provider) 
         DO UPDATE SET
           price = EXCLUDED.price,
+          price_gram_24k = COALESCE(EXCLUDED.price_gram_24k, metal_prices.price_gram_24k),
+          price_gram_22k = COALESCE(EXCLUDED.price_gram_22k, metal_prices.price_gram_22k),
+          price_gram_18k = COALESCE(EXCLUDED.price_gram_18k, metal_prices.price_gram_18k),
+          high = COALESCE(EXCLUDED.high, metal_prices.high),
+          low = COALESCE(EXCLUDED.low, metal_prices.low),
+          open = COALESCE(EXCLUDED.open, metal_prices.open),
+          close = COALESCE(EXCLUDED.close, metal_prices.close),
+          change = COALESCE(EXCLUDED.change, metal_prices.change),
+          change_percent = COALESCE(EXCLUDED.change_percent, metal_prices.change_percent),
+          ask = COALESCE(EXCLUDED.ask, metal_prices.ask),
+          bid = COALESCE(EXCLUDED.bid, metal_prices.bid),
+          payload_id = COALESCE(EXCLUDED.payload_id, metal_prices.payload_id),
+          mapper_version = COALESCE(EXCLUDED.mapper_version, metal_prices.mapper_version),
+          fetched_at = COALESCE(EXCLUDED.fetched_at, metal_prices.fetched_at),
+          sync_run_id = COALESCE(EXCLUDED.sync_run_id, metal_prices.sync_run_id),
           updated_at = CURRENT_TIMESTAMP
       `, [
         dataToInsert.metal,
@@ -135,9 +151,14 @@ class DataService {
         dataToInsert.exchange,
         dataToInsert.provider,
         dataToInsert.price_timestamp,
-        dataToInsert.is_historical
+        dataToInsert.is_historical,
+        dataToInsert.payload_id,
+        dataToInsert.mapper_version,
+        dataToInsert.fetched_at,
+        dataToInsert.sync_run_id
       ]);
 
+      this.emit('pricesChanged', { metal: priceData.metal, currency: priceData.currency, historical: true });
       return true;
     } catch (error) {
       console.error('Error saving historical price data:', error);
@@ -145,6 +166,69 @@ class DataService {
     }
   }
 
+  // Save many historical prices in one transaction, a batch of rows per
+  // statement, with the conflict handling of saveHistoricalPriceData.
+  // Either every price is stored or none is; errors are thrown.
+  async saveHistoricalPrices(prices, provider, provenance = {}, batchSize = 1000) {
+    // Fields missing from a row keep their stored values on conflict
+    const merge = { price: db.raw('EXCLUDED.price'), updated_at: db.raw('CURRENT_TIMESTAMP') };
+    for (const column of [
+      'price_gram_24k', 'price_gram_22k', 'price_gram_18k', 'high', 'low', 'open', 'close',
+      'change', 'change_percent', 'ask', 'bid', 'payload_id', 'mapper_version', 'fetched_at', 'sync_run_id'
+    ]) {
+      merge[column] = db.raw('COALESCE(EXCLUDED.??, metal_prices.??)', [column, column]);
+    }
+
+    await db.transaction(async trx => {
+      for (let i = 0; i < prices.length; i += batchSize) {
+        const rows = prices
+          .slice(i, i + batchSize)
+          .map(({ priceData, date }) => this.historicalRow(priceData, provider, date, provenance));
+        await trx('metal_prices')
+          .insert(rows)
+          .onConflict(['metal', 'currency', 'price_timestamp', 'provider'])
+          .merge(merge);
+      }
+    });
+
+    const changed = new Map(prices.map(({ priceData }) => [`${priceData.metal}|${priceData.currency}`, priceData]));
+    for (const { metal, currency } of changed.values()) {
+      this.emit('pricesChanged', { metal, currency, historical: true });
+    }
+    return prices.length;
+  }
+
+  // metal_prices row of a historical price
+  historicalRow(priceData, provider, date, provenance = {}) {
+    return {
+      metal: priceData.metal,
+      currency: priceData.currency,
+      price: priceData.price,
+      price_gram_24k: priceData.price_gram_24k,
+      price_gram_22k: priceData.price_gram_22k,
+      price_gram_18k: priceData.price_gram_18k,
+      high: priceData.high,
+      low: priceData.low,
+      open: priceData.open,
+      close: priceData.close,
+      change: priceData.change,
+      change_percent: priceData.changePercent,
+      ask: priceData.ask,
+      bid: priceData.bid,
+      symbol: priceData.symbol,
+      exchange: priceData.exchange,
+      provider: provider,
+      price_timestamp: new Date(date),
+      is_historical: true,
+      ...this.provenanceColumns(provenance)
+    };
+  }
+
+  // Provenance columns of a price row; unknown ones are null
+  provenanceColumns({ payload_id = null, mapper_version = null, fetched_at = null, sync_run_id = null } = {}) {
+    return { payload_id, mapper_version, fetched_at, sync_run_id };
+  }
+
   // Get latest price from database (fallback)
   async getLatestPriceFromDB(metal, currency = 'INR') {
     try {
@@ -300,6 +384,58 @@ class DataService {
     }
   }
 
+  // Get the last stored price at or before a point in time (live or historical rows)
+  async getPriceAtOrBefore(metal, currency = 'INR', date) {
+    try {
+      const result = await db('metal_prices')
+        .select('price', 'price_timestamp', 'provider')
+        .where({
+          metal: metal,
+          currency: currency
+        })
+        .where('price_timestamp', '<=', date)
+        .orderBy('price_timestamp', 'desc')
+        .first();
+
+      if (!result) {
+        return null;
+      }
+
+      return {
+        metal,
+        currency,
+        price: parseFloat(result.price),
+        timestamp: Math.floor(result.price_timestamp.getTime() / 1000),
+        provider: result.provider
+      };
+    } catch (error) {
+      console.error('Error getting price at date from DB:', error);
+      return null;
+    }
+  }
+
+  // Get the last stored price of each UTC day in a range, oldest first
+  async getDailyCloses(metal, currency = 'INR', startDate, endDate) {
+    try {
+      const results = await db.raw(`
+        SELECT DISTINCT ON (DATE(price_timestamp))
+          TO_CHAR(DATE(price_timestamp), 'YYYY-MM-DD') AS day, price
+        FROM metal_prices
+        WHERE metal = ? AND currency = ?
+          AND price_timestamp >= ? AND price_timestamp <= ?
+        ORDER BY DATE(price_timestamp), price_timestamp DESC
+      `, [metal, currency, startDate, endDate]);
+
+      return results.rows.map(row => ({
+        date: row.day,
+        price: parseFloat(row.price)
+      }));
+    } catch (error) {
+      console.error('Error getting daily closes from DB:', error);
+      return [];
+    }
+  }
+
   // Check if cached data is fresh
   async isCacheValid(metal, currency = 'INR', isHistorical = false) {
     try {
@@ -382,32 +518,27 @@ class DataService {
     }
   }
 
-  // Clean old data
-  async cleanOldData(daysToKeep = 30) {
+  // Clean old data: prices are rolled up into hourly/daily OHLC before raw
+  // rows older than daysToKeep (default: the raw retention) are purged
+  async cleanOldData(daysToKeep = priceRollupService.getRetention().rawDays) {
     try {
-      const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
-      
-      // Clean old non-historical price data (keep only latest for each metal/currency)
-      await db.raw(`
-        DELETE FROM metal_prices 
-        WHERE is_historical = false 
-        AND price_timestamp < ? 
-        AND id NOT IN (
-          SELECT DISTINCT ON (metal, currency) id
-          FROM metal_prices
-          WHERE is_historical = false
-          ORDER BY metal, currency, price_timestamp DESC
-        )
-      `, [cutoffDate]);
+      const retention = await priceRollupService.applyRetention({ rawDays: daysToKeep });
 
-      // Clean old API logs
-      const deletedLogs = await db('api_logs')
-        .where('created_at', '<', cutoffDate)
-        .del();
+      // Clean old API logs, and payloads no kept price refers to
+      // (0 days keeps everything, as for prices). Provider quotas are
+      // counted from the logs, so those of the current quota period stay.
+      const cutoff = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+      const logCutoff = new Date(Math.min(cutoff.getTime(), providerGuardService.getQuotaPeriodStart().getTime()));
+      const deletedLogs = daysToKeep > 0
+        ? await db('api_logs').where('created_at', '<', logCutoff).del()
+        : 0;
+      const deletedPayloads = daysToKeep > 0
+        ? await provenanceService.purgePayloads(cutoff)
+        : 0;
 
-      console.log(`✅ Cleaned ${deletedLogs} old API logs`);
+      console.log(`✅ Cleaned ${deletedLogs} old API logs and ${deletedPayloads} provider payloads`);
       
-      return true;
+      return { ...retention, deleted: { ...retention.deleted, apiLogs: deletedLogs, payloads: deletedPayloads } };
     } catch (error) {
       console.error('Error cleaning old data:', error);
       return false;
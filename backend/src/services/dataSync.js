@@ -10,6 +10,12 @@
  * - Comprehensive error handling and logging
  * - Graceful shutdown handling
  * - API rate limiting compliance
+ * - Hourly/daily price rollups after every sync and a scheduled retention
+ *   run that downsamples before it purges
+ * - Every sync is recorded in sync_runs and linked from the prices it stored
+ * - With several instances only the price fan-out leader runs the scheduled
+ *   syncs and retention, so providers are polled, alerts evaluated and
+ *   insights regenerated once per cycle
  * 
  * @author SwarnaAI Backend Team
  */
@@ -17,6 +23,11 @@
 const cron = require('node-cron');
 const metalpricerService = require('./apiAbstraction');
 const dataService = require('./dataService');
+const alertService = require('./alertService');
+const insightCacheService = require('./insightCacheService');
+const fxService = require('./fxService');
+const priceRollupService = require('./priceRollupService');
+const provenanceService = require('./provenanceService');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('DataSync');
@@ -26,13 +37,17 @@ class DataSyncService {
     this.syncInterval = process.env.DATA_SYNC_INTERVAL || '0 0 * * *'; // Default: daily at midnight
     this.isRunning = false;
     this.currentTask = null;
+    this.retentionSchedule = process.env.PRICE_RETENTION_SCHEDULE || '30 0 * * *'; // Default: daily at 00:30
+    this.retentionTask = null;
+    // Whether this instance runs scheduled work; see start()
+    this.isLeader = () => true;
     this.retryAttempts = parseInt(process.env.DATA_SYNC_RETRY_ATTEMPTS) || 3;
     this.retryDelay = parseInt(process.env.DATA_SYNC_RETRY_DELAY) || 5000; // 5 seconds
     this.maxRetryDelay = parseInt(process.env.DATA_SYNC_MAX_RETRY_DELAY) || 300000; // 5 minutes
     
     // Metals to sync
     this.metals = ['XAU', 'XAG', 'XPT', 'XPD'];
-    this.currency = 'INR';
+    this.currency = fxService.getBaseCurrency();
     
     // Sync statistics
     this.stats = {
@@ -45,8 +60,13 @@ class DataSyncService {
 
   /**
    * Start the data sync scheduler
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.isLeader] - Whether this instance runs the
+   *   scheduled syncs and retention now, e.g. the price fan-out's isLeader;
+   *   always by default
    */
-  start() {
+  start({ isLeader = () => true } = {}) {
     if (this.isRunning) {
       logger.warn('Data sync scheduler is already running');
       return;
@@ -58,13 +78,31 @@ class DataSyncService {
       return;
     }
 
+    this.isLeader = isLeader;
+
     this.currentTask = cron.schedule(this.syncInterval, async () => {
+      if (!this.isLeader()) {
+        logger.debug('Skipping scheduled sync: another instance is the leader');
+        return;
+      }
       await this.performSync();
     }, {
       scheduled: true,
       timezone: process.env.TIMEZONE || 'UTC'
     });
 
+    if (cron.validate(this.retentionSchedule)) {
+      this.retentionTask = cron.schedule(this.retentionSchedule, async () => {
+        if (!this.isLeader()) return;
+        await this.applyRetention();
+      }, {
+        scheduled: true,
+        timezone: process.env.TIMEZONE || 'UTC'
+      });
+    } else {
+      logger.error(`Invalid retention cron expression: ${this.retentionSchedule}`);
+    }
+
     this.isRunning = true;
     logger.info(`Data sync scheduler started with interval: ${this.syncInterval}`);
     
@@ -80,6 +118,10 @@ class DataSyncService {
       this.currentTask.stop();
       this.currentTask = null;
     }
+    if (this.retentionTask) {
+      this.retentionTask.stop();
+      this.retentionTask = null;
+    }
     this.isRunning = false;
     logger.info('Data sync scheduler stopped');
   }
@@ -88,6 +130,11 @@ class DataSyncService {
    * Perform initial sync if database has no recent data
    */
   async performInitialSyncIfNeeded() {
+    if (!this.isLeader()) {
+      logger.info('Another instance is the leader, skipping initial sync');
+      return;
+    }
+
     try {
       // Check if we have recent data (within last 24 hours)
       const hasRecentData = await this.hasRecentData();
@@ -134,10 +181,12 @@ class DataSyncService {
     const startTime = Date.now();
     let successCount = 0;
     let errorCount = 0;
+    const syncedPrices = [];
+    const syncRunId = await provenanceService.startRun('sync');
 
     try {
       // Temporarily switch to API mode for sync
-      const originalProvider = metalpricerService.primaryProvider;
+      const originalChain = metalpricerService.getProviderChain();
       const syncProvider = process.env.SYNC_API_PROVIDER || 'metalpriceapi';
       
       logger.info(`Switching to ${syncProvider} for data sync`);
@@ -146,7 +195,8 @@ class DataSyncService {
       // Sync all metals
       for (const metal of this.metals) {
         try {
-          await this.syncMetalData(metal);
+          const priceData = await this.syncMetalData(metal, 1, syncRunId);
+          syncedPrices.push(priceData);
           successCount++;
           logger.info(`Successfully synced ${metal} data`);
         } catch (error) {
@@ -155,9 +205,23 @@ class DataSyncService {
         }
       }
 
-      // Restore original provider
-      logger.info(`Restoring original provider: ${originalProvider}`);
-      metalpricerService.switchProvider(originalProvider);
+      // Store exchange rates so prices can be served in other currencies
+      await this.syncFxRates();
+
+      // Restore original provider chain
+      logger.info(`Restoring original provider chain: ${originalChain.join(' -> ')}`);
+      metalpricerService.switchProvider(originalChain[0], originalChain.slice(1));
+
+      // Fold the new prices into the hourly and daily rollups
+      await this.rollupPrices();
+
+      // Check user price alerts against the freshly synced prices
+      await alertService.evaluateAlerts(syncedPrices, 'sync');
+
+      // Regenerate the stored AI dashboard insights once per sync cycle
+      if (successCount > 0) {
+        await this.refreshInsights();
+      }
 
       // Update statistics
       this.stats.lastSync = new Date();
@@ -170,23 +234,29 @@ class DataSyncService {
 
       // Log sync statistics
       await this.logSyncStats(successCount, errorCount, duration);
+      await provenanceService.finishRun(syncRunId, {
+        status: successCount > 0 ? 'completed' : 'failed',
+        stats: { successCount, errorCount, duration },
+        error: errorCount > 0 ? `${errorCount} metals failed to sync` : null
+      });
 
     } catch (error) {
       logger.error('Data sync failed:', error);
       this.stats.errorCount++;
+      await provenanceService.finishRun(syncRunId, { status: 'failed', error: error.message });
     }
   }
 
   /**
    * Sync data for a specific metal with retry logic
    */
-  async syncMetalData(metal, attempt = 1) {
+  async syncMetalData(metal, attempt = 1, syncRunId = null) {
     try {
-      const response = await metalpricerService.getLivePrice(metal, this.currency);
+      // A fetched price is validated and stored by the provider chain,
+      // linked to the sync run
+      const response = await metalpricerService.getLivePrice(metal, this.currency, { syncRunId });
       
       if (response.success) {
-        // Save to database
-        await dataService.savePriceData(response.data, 'sync');
         return response.data;
       } else {
         throw new Error(response.error?.message || 'Failed to fetch price data');
@@ -197,13 +267,61 @@ class DataSyncService {
         logger.warn(`Sync failed for ${metal} (attempt ${attempt}/${this.retryAttempts}), retrying in ${delay}ms...`);
         
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.syncMetalData(metal, attempt + 1);
+        return this.syncMetalData(metal, attempt + 1, syncRunId);
       } else {
         throw error;
       }
     }
   }
 
+  /**
+   * Fetch and store exchange rates from the sync currency
+   */
+  async syncFxRates() {
+    try {
+      const stored = await fxService.syncRates();
+      logger.info(`Synced ${stored} FX rate(s) from ${this.currency}`);
+    } catch (error) {
+      logger.error('Failed to sync FX rates:', error.message);
+    }
+  }
+
+  /**
+   * Update the hourly and daily price rollups
+   */
+  async rollupPrices() {
+    try {
+      await priceRollupService.rollupRecent();
+    } catch (error) {
+      logger.error('Failed to roll up prices:', error.message);
+    }
+  }
+
+  /**
+   * Downsample and purge prices past their retention, and old API logs
+   */
+  async applyRetention() {
+    try {
+      const result = await dataService.cleanOldData();
+      if (!result) {
+        logger.error('Scheduled price retention failed');
+      }
+    } catch (error) {
+      logger.error('Scheduled price retention failed:', error.message);
+    }
+  }
+
+  /**
+   * Regenerate stored AI insights from the freshly synced prices
+   */
+  async refreshInsights() {
+    try {
+      await insightCacheService.regenerateAll('sync');
+    } catch (error) {
+      logger.error('Failed to regenerate AI insights after sync:', error);
+    }
+  }
+
   /**
    * Log sync statistics to database
    */
@@ -241,6 +359,8 @@ class DataSyncService {
       ...this.stats,
       isRunning: this.isRunning,
       syncInterval: this.syncInterval,
+      retentionSchedule: this.retentionSchedule,
+      retention: priceRollupService.getRetention(),
       nextSync: this.currentTask ? this.currentTask.nextDate() : null
     };
   }
@@ -0,0 +1,284 @@
+/**
+ * Export Service
+ *
+ * Streams price history out as files: raw prices, or the hourly or daily
+ * OHLC rollups, for chosen metals, currencies and a date range.
+ *
+ * Features:
+ * - CSV, JSON Lines or XLSX (written by utils/xlsxStream, no spreadsheet
+ *   library)
+ * - Rows are streamed from the database with knex's query streams and
+ *   written as they arrive, so a range of any length is exported with
+ *   constant memory
+ * - Prices are stored in the base currency; other currencies are converted
+ *   with the exchange rate in effect at each row's time, as in charts
+ * - Exports larger than EXPORT_MAX_ROWS are refused before they start
+ * - Every export is recorded in user_activity, with its outcome
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const db = require('../db/connection');
+const fxService = require('./fxService');
+const authService = require('../auth/authService');
+const XlsxStream = require('../utils/xlsxStream');
+const { METAL_SYMBOLS } = require('../schemas/apiSchemas');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('Export');
+
+// Most rows one export may hold
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS) || 1000000;
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Table and columns each granularity is read from
+const GRANULARITIES = {
+  raw: {
+    table: 'metal_prices',
+    timeColumn: 'price_timestamp',
+    fields: ['price', 'open', 'high', 'low', 'close', 'provider']
+  },
+  hourly: {
+    table: 'metal_prices_hourly',
+    timeColumn: 'bucket_start',
+    fields: ['open', 'high', 'low', 'close', 'samples']
+  },
+  daily: {
+    table: 'metal_prices_daily',
+    timeColumn: 'bucket_start',
+    fields: ['open', 'high', 'low', 'close', 'samples']
+  }
+};
+
+// Fields that are amounts of money, converted into the requested currency
+const AMOUNT_FIELDS = ['price', 'open', 'high', 'low', 'close'];
+
+const NUMBER_FIELDS = [...AMOUNT_FIELDS, 'samples'];
+
+const CSV_SPECIAL = /[",\r\n]/;
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return CSV_SPECIAL.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class ExportService {
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  getGranularities() {
+    return Object.keys(GRANULARITIES);
+  }
+
+  getMaxRows(format) {
+    return format === 'xlsx' ? Math.min(EXPORT_MAX_ROWS, XlsxStream.MAX_ROWS) : EXPORT_MAX_ROWS;
+  }
+
+  /**
+   * Columns of an export, in order
+   */
+  getColumns(granularity) {
+    return [
+      { key: 'timestamp', header: 'timestamp', type: 'date' },
+      { key: 'metal', header: 'metal' },
+      { key: 'currency', header: 'currency' },
+      ...GRANULARITIES[granularity].fields.map(field => ({
+        key: field,
+        header: field,
+        type: NUMBER_FIELDS.includes(field) ? 'number' : 'string'
+      }))
+    ];
+  }
+
+  /**
+   * Rows of the base currency that match an export
+   */
+  baseQuery({ metals, from, to, granularity }) {
+    const { table, timeColumn } = GRANULARITIES[granularity];
+    return db(table)
+      .where('currency', fxService.getBaseCurrency())
+      .whereIn('metal', metals)
+      .where(timeColumn, '>=', from)
+      .where(timeColumn, '<', to);
+  }
+
+  /**
+   * Check an export can run: its size, and a rate for every currency
+   *
+   * @param {Object} options - { metals (symbols), currencies, from, to, granularity, format }
+   * @returns {Promise<Object>} The export, ready to write
+   * @throws {Error} with code EXPORT_TOO_LARGE or EXPORT_NO_RATE
+   */
+  async prepare(options) {
+    const { currencies, from, to, granularity, format } = options;
+
+    const { count } = await this.baseQuery(options).count('* as count').first();
+    const rows = parseInt(count) * currencies.length;
+    const maxRows = this.getMaxRows(format);
+    if (rows > maxRows) {
+      const error = new Error(`The export would hold ${rows} rows; at most ${maxRows} are exported at once. Narrow the range or use a coarser granularity`);
+      error.code = 'EXPORT_TOO_LARGE';
+      throw error;
+    }
+
+    const baseCurrency = fxService.getBaseCurrency();
+    const converters = {};
+    for (const currency of currencies) {
+      converters[currency] = await fxService.getConverter(baseCurrency, currency, from, to);
+      if (!converters[currency]) {
+        const error = new Error(`No ${baseCurrency}/${currency} exchange rate is stored for the range`);
+        error.code = 'EXPORT_NO_RATE';
+        throw error;
+      }
+    }
+
+    const range = `${from.toISOString().slice(0, 10)}_${new Date(to.getTime() - 1).toISOString().slice(0, 10)}`;
+    return {
+      options,
+      rows,
+      converters,
+      contentType: FORMATS[format].contentType,
+      filename: `metal-prices-${granularity}-${range}.${FORMATS[format].extension}`
+    };
+  }
+
+  /**
+   * Rows of an export, one per stored row and currency, oldest first
+   */
+  toRecords({ options, converters }, stats) {
+    const { fields } = GRANULARITIES[options.granularity];
+
+    return new Transform({
+      objectMode: true,
+      transform(row, encoding, callback) {
+        const timestamp = new Date(row.timestamp);
+
+        for (const currency of options.currencies) {
+          const record = {
+            timestamp: timestamp.toISOString(),
+            metal: METAL_SYMBOLS[row.metal] || row.metal,
+            currency
+          };
+
+          for (const field of fields) {
+            const value = row[field];
+            if (value === null || value === undefined) {
+              record[field] = null;
+            } else if (AMOUNT_FIELDS.includes(field)) {
+              record[field] = converters[currency](parseFloat(value), timestamp);
+            } else {
+              record[field] = NUMBER_FIELDS.includes(field) ? Number(value) : value;
+            }
+          }
+
+          stats.rows++;
+          this.push(record);
+        }
+        callback();
+      }
+    });
+  }
+
+  /**
+   * Serializer of records into the export's format
+   */
+  formatter(format, columns) {
+    if (format === 'xlsx') {
+      return new XlsxStream(columns, { sheetName: 'Prices' });
+    }
+
+    let headerWritten = format !== 'csv';
+    return new Transform({
+      writableObjectMode: true,
+      transform(record, encoding, callback) {
+        if (format === 'jsonl') {
+          return callback(null, `${JSON.stringify(record)}\n`);
+        }
+
+        let line = columns.map(column => csvValue(record[column.key])).join(',') + '\r\n';
+        if (!headerWritten) {
+          line = columns.map(column => csvValue(column.header)).join(',') + '\r\n' + line;
+          headerWritten = true;
+        }
+        callback(null, line);
+      },
+      flush(callback) {
+        // An empty CSV export still has its header
+        callback(null, headerWritten ? null : columns.map(column => csvValue(column.header)).join(',') + '\r\n');
+      }
+    });
+  }
+
+  /**
+   * Stream a prepared export into a writable, e.g. the HTTP response. The
+   * output is destroyed when the export fails.
+   *
+   * @param {Object} [stats] - Counts rows as they are written, also when it fails
+   * @returns {Promise<{rows: number}>} stats
+   */
+  async write(prepared, output, stats = { rows: 0 }) {
+    const { granularity, format } = prepared.options;
+    const { timeColumn, fields } = GRANULARITIES[granularity];
+
+    const source = this.baseQuery(prepared.options)
+      .select('metal', `${timeColumn} as timestamp`, ...fields)
+      .orderBy([{ column: timeColumn }, { column: 'metal' }])
+      .stream();
+
+    await pipeline(
+      source,
+      this.toRecords(prepared, stats),
+      this.formatter(format, this.getColumns(granularity)),
+      output
+    );
+
+    return stats;
+  }
+
+  /**
+   * Record an export in user_activity
+   *
+   * @param {Object} user - Exporting user
+   * @param {Object} request - { ipAddress, userAgent }
+   * @param {Object} options - Export options
+   * @param {Object} outcome - { status: completed|failed|aborted, rows, error }
+   */
+  async recordExport(user, { ipAddress = null, userAgent = null }, options, { status, rows = 0, error = null }) {
+    const { metals, currencies, from, to, granularity, format } = options;
+
+    await authService.logUserActivity(
+      user.id,
+      'data_export',
+      `Exported ${rows} ${granularity} price row(s) as ${format} (${status})`,
+      ipAddress,
+      userAgent,
+      {
+        metals: metals.map(metal => METAL_SYMBOLS[metal]),
+        currencies,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        granularity,
+        format,
+        rows,
+        status,
+        error
+      }
+    );
+
+    if (status !== 'completed') {
+      logger.warn(`Export by user ${user.id} ${status} after ${rows} row(s)${error ? `: ${error}` : ''}`);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ExportService();
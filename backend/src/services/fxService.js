@@ -0,0 +1,433 @@
+/**
+ * FX Service
+ *
+ * Keeps currency exchange rates in fx_rates and converts stored metal prices
+ * into any supported currency, so prices are fetched and stored once in the
+ * base currency instead of once per currency.
+ *
+ * Features:
+ * - Rates from the base currency to every other supported currency are
+ *   fetched and stored during each data sync
+ * - Conversions use the latest stored rate for live prices and the rate in
+ *   effect at the price's timestamp for historical prices and charts
+ * - When no rate is stored yet, prices are fetched in the requested
+ *   currency from the providers directly
+ * - Resolves the currency of a request from the query, the user's saved
+ *   preference or the base currency
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const db = require('../db/connection');
+const metalpricerService = require('./apiAbstraction');
+const { CURRENCY_CODES } = require('../schemas/apiSchemas');
+const { safeJsonObject } = require('../utils/jsonHelpers');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('FX');
+
+// Currency metal prices are synced and stored in
+const BASE_CURRENCY = CURRENCY_CODES[process.env.PRICE_BASE_CURRENCY] ? process.env.PRICE_BASE_CURRENCY : 'INR';
+
+// Price fields that are amounts of money; percentages and metadata are kept
+const AMOUNT_FIELDS = [
+  'price', 'price_gram_24k', 'price_gram_22k', 'price_gram_18k',
+  'high', 'low', 'open', 'close', 'change', 'ask', 'bid'
+];
+
+// Latest rates are re-read from the table at most this often
+const LATEST_TTL_MS = 60 * 1000;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Normalize a timestamp in seconds, milliseconds, ISO string or Date
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return new Date(value < 1e12 ? value * 1000 : value);
+  return new Date(value);
+}
+
+/**
+ * Rate in effect at a time: the last one at or before it, or the first one
+ * after it when the time predates every stored rate
+ */
+function rateAt(timeline, time) {
+  // Binary search for the last entry at or before the time
+  let low = 0;
+  let high = timeline.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (timeline[middle].time <= time) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return timeline[low].rate;
+}
+
+class FxService {
+  constructor() {
+    this.baseCurrency = BASE_CURRENCY;
+    // quote currency -> { value, checkedAt }
+    this.latest = new Map();
+  }
+
+  getBaseCurrency() {
+    return this.baseCurrency;
+  }
+
+  getSupportedCurrencies() {
+    return Object.keys(CURRENCY_CODES);
+  }
+
+  /**
+   * Currency for a request: the requested one if given, else the user's
+   * saved preference, else the base currency
+   *
+   * @param {string} [requested] - Currency from the query or message
+   * @param {Object} [user] - User with preferences
+   * @returns {string|null} Currency code, or null if the requested one is not supported
+   */
+  resolveCurrency(requested, user = null) {
+    if (requested !== undefined && requested !== null && requested !== '') {
+      const code = String(requested).toUpperCase();
+      return CURRENCY_CODES[code] ? code : null;
+    }
+
+    const preferred = safeJsonObject(user?.preferences).currency;
+    return CURRENCY_CODES[preferred] ? preferred : this.baseCurrency;
+  }
+
+  /**
+   * Fetch rates from the base currency to every other supported currency
+   * and store them
+   *
+   * @returns {Promise<number>} Number of rates stored
+   */
+  async syncRates() {
+    const quotes = this.getSupportedCurrencies().filter(code => code !== this.baseCurrency);
+    if (quotes.length === 0) return 0;
+
+    const response = await metalpricerService.getFxRates(this.baseCurrency, quotes);
+    if (!response.success) {
+      throw new Error(response.error?.error || 'Failed to fetch FX rates');
+    }
+
+    return this.saveRates(response.data, response.data.provider);
+  }
+
+  /**
+   * Store rates returned by a provider
+   *
+   * @param {Object} data - { base, rates: { USD: 0.012 }, timestamp }
+   * @param {string} source - Provider name
+   * @returns {Promise<number>} Number of rates stored
+   */
+  async saveRates(data, source) {
+    const rateTimestamp = data.timestamp ? toDate(data.timestamp) : new Date();
+    const rows = Object.entries(data.rates || {})
+      .filter(([quote, rate]) => CURRENCY_CODES[quote] && quote !== data.base && Number.isFinite(rate) && rate > 0)
+      .map(([quote, rate]) => ({
+        base_currency: data.base,
+        quote_currency: quote,
+        rate,
+        source,
+        rate_timestamp: rateTimestamp
+      }));
+
+    if (rows.length === 0) return 0;
+
+    await db('fx_rates')
+      .insert(rows)
+      .onConflict(['base_currency', 'quote_currency', 'rate_timestamp'])
+      .ignore();
+
+    this.latest.clear();
+    logger.info(`Stored ${rows.length} FX rate(s) from ${data.base} at ${rateTimestamp.toISOString()}`);
+    return rows.length;
+  }
+
+  /**
+   * Rate from the base currency to a quote currency
+   *
+   * @param {string} quote - Quote currency
+   * @param {*} [at] - Point in time; latest rate when omitted
+   * @returns {Promise<{rate: number, timestamp: string|null}|null>}
+   */
+  async getBaseRate(quote, at = null) {
+    if (quote === this.baseCurrency) {
+      return { rate: 1, timestamp: null };
+    }
+
+    if (!at) {
+      const cached = this.latest.get(quote);
+      if (cached && Date.now() - cached.checkedAt < LATEST_TTL_MS) {
+        return cached.value;
+      }
+    }
+
+    const when = at ? toDate(at) : new Date();
+    const rates = () => db('fx_rates')
+      .select('rate', 'rate_timestamp')
+      .where({ base_currency: this.baseCurrency, quote_currency: quote });
+
+    const row = await rates().where('rate_timestamp', '<=', when).orderBy('rate_timestamp', 'desc').first()
+      || await rates().where('rate_timestamp', '>', when).orderBy('rate_timestamp', 'asc').first();
+
+    const value = row
+      ? { rate: parseFloat(row.rate), timestamp: new Date(row.rate_timestamp).toISOString() }
+      : null;
+
+    if (!at) {
+      this.latest.set(quote, { value, checkedAt: Date.now() });
+    }
+
+    return value;
+  }
+
+  /**
+   * Rate between two currencies, crossed through the base currency
+   *
+   * @param {string} from - Currency converted from
+   * @param {string} to - Currency converted to
+   * @param {Object} [options] - { at } point in time; latest rate when omitted
+   * @returns {Promise<{rate: number, timestamp: string|null}|null>} Null when no rate is stored
+   */
+  async getRate(from, to, { at = null } = {}) {
+    if (from === to) {
+      return { rate: 1, timestamp: null };
+    }
+
+    const [fromRate, toRate] = await Promise.all([
+      this.getBaseRate(from, at),
+      this.getBaseRate(to, at)
+    ]);
+    if (!fromRate || !toRate) return null;
+
+    // Report the older of the two rates, i.e. how stale the conversion is
+    const timestamps = [fromRate.timestamp, toRate.timestamp].filter(Boolean).sort();
+
+    return {
+      rate: toRate.rate / fromRate.rate,
+      timestamp: timestamps[0] || null
+    };
+  }
+
+  /**
+   * Convert one price record into another currency. The record's own
+   * `currency` (base currency when missing) is converted from.
+   *
+   * @param {Object} priceData - Price record (PriceData, stream price or DB row)
+   * @param {string} to - Target currency
+   * @param {Object} [options] - { at } rate time; latest rate when omitted
+   * @returns {Promise<Object|null>} Converted record with `conversion`, or null when no rate is stored
+   */
+  async convertPrice(priceData, to, { at = null } = {}) {
+    const from = priceData.currency || this.baseCurrency;
+    if (from === to) return priceData;
+
+    const fx = await this.getRate(from, to, { at });
+    if (!fx) return null;
+
+    const converted = {
+      ...priceData,
+      currency: to,
+      conversion: { from, rate: fx.rate, rateTimestamp: fx.timestamp }
+    };
+
+    AMOUNT_FIELDS.forEach(field => {
+      const value = parseFloat(priceData[field]);
+      if (Number.isFinite(value)) {
+        converted[field] = round(value * fx.rate);
+      }
+    });
+
+    return converted;
+  }
+
+  /**
+   * Convert a map of price records (e.g. { gold: PriceData, ... })
+   *
+   * @returns {Promise<Object|null>} Null when any record has no rate
+   */
+  async convertPrices(prices, to, options = {}) {
+    const converted = {};
+
+    for (const [key, priceData] of Object.entries(prices)) {
+      if (!priceData) continue;
+
+      const result = await this.convertPrice(priceData, to, options);
+      if (!result) return null;
+      converted[key] = result;
+    }
+
+    return converted;
+  }
+
+  /**
+   * Stored rates from the base currency to a quote currency over a window,
+   * including the last rate before it, oldest first
+   *
+   * @returns {Promise<Array<{time: number, rate: number}>|null>} Null when no rate is stored
+   */
+  async getRateTimeline(quote, start, end) {
+    if (quote === this.baseCurrency) {
+      return [{ time: 0, rate: 1 }];
+    }
+
+    const rates = () => db('fx_rates')
+      .select('rate', 'rate_timestamp')
+      .where({ base_currency: this.baseCurrency, quote_currency: quote });
+
+    const [previous, inWindow] = await Promise.all([
+      rates().where('rate_timestamp', '<=', start).orderBy('rate_timestamp', 'desc').first(),
+      rates().where('rate_timestamp', '>', start).where('rate_timestamp', '<=', end).orderBy('rate_timestamp', 'asc')
+    ]);
+
+    let rows = [...(previous ? [previous] : []), ...inWindow];
+    if (rows.length === 0) {
+      const next = await rates().where('rate_timestamp', '>', end).orderBy('rate_timestamp', 'asc').first();
+      rows = next ? [next] : [];
+    }
+    if (rows.length === 0) return null;
+
+    return rows.map(row => ({
+      time: new Date(row.rate_timestamp).getTime(),
+      rate: parseFloat(row.rate)
+    }));
+  }
+
+  /**
+   * Convert a time series (chart candles, daily closes) point by point with
+   * the rate in effect at each point
+   *
+   * @param {Array<Object>} points - Series, oldest first
+   * @param {string} from - Currency of the series
+   * @param {string} to - Target currency
+   * @param {Object} options - { fields: amount fields to convert, timeOf(point) -> Date|string|number }
+   * @returns {Promise<Array<Object>|null>} Null when no rate is stored
+   */
+  async convertSeries(points, from, to, { fields, timeOf = point => point.timestamp }) {
+    if (from === to || points.length === 0) return points;
+
+    const start = toDate(timeOf(points[0]));
+    const end = toDate(timeOf(points[points.length - 1]));
+
+    const [fromTimeline, toTimeline] = await Promise.all([
+      this.getRateTimeline(from, start, end),
+      this.getRateTimeline(to, start, end)
+    ]);
+    if (!fromTimeline || !toTimeline) return null;
+
+    return points.map(point => {
+      const time = toDate(timeOf(point)).getTime();
+      const rate = rateAt(toTimeline, time) / rateAt(fromTimeline, time);
+      const converted = { ...point };
+
+      fields.forEach(field => {
+        if (Number.isFinite(point[field])) {
+          converted[field] = round(point[field] * rate);
+        }
+      });
+
+      return converted;
+    });
+  }
+
+  /**
+   * Converter for many amounts over a time range, e.g. a streamed export:
+   * the rates of the range are read once
+   *
+   * @param {string} from - Currency of the amounts
+   * @param {string} to - Target currency
+   * @param {Date} start - Range start
+   * @param {Date} end - Range end
+   * @returns {Promise<Function|null>} (amount, time) -> converted amount, with the
+   *   rate in effect at the time; null when no rate is stored
+   */
+  async getConverter(from, to, start, end) {
+    if (from === to) return amount => amount;
+
+    const [fromTimeline, toTimeline] = await Promise.all([
+      this.getRateTimeline(from, start, end),
+      this.getRateTimeline(to, start, end)
+    ]);
+    if (!fromTimeline || !toTimeline) return null;
+
+    return (amount, time) => {
+      const at = toDate(time).getTime();
+      return round(amount * rateAt(toTimeline, at) / rateAt(fromTimeline, at));
+    };
+  }
+
+  /**
+   * Fetch a response in the base currency and convert it, falling back to
+   * fetching the requested currency when it cannot be converted
+   *
+   * @param {string} currency - Requested currency
+   * @param {Function} fetch - (currency) -> standard response ({ success, data })
+   * @param {Function} convert - (data) -> converted data or null
+   */
+  async fetchInCurrency(currency, fetch, convert) {
+    if (currency === this.baseCurrency) {
+      return fetch(currency);
+    }
+
+    const response = await fetch(this.baseCurrency);
+    if (response.success && response.data) {
+      try {
+        const data = await convert(response.data);
+        if (data) {
+          return { ...response, data };
+        }
+      } catch (error) {
+        logger.warn(`Could not convert ${this.baseCurrency} prices to ${currency}: ${error.message}`);
+      }
+    }
+
+    // No stored rate yet: ask the providers for the currency directly
+    logger.debug(`No ${this.baseCurrency}/${currency} rate available, fetching ${currency} prices directly`);
+    return fetch(currency);
+  }
+
+  /**
+   * Live price of a metal in any supported currency
+   */
+  async getLivePrice(metal, currency = this.baseCurrency) {
+    return this.fetchInCurrency(
+      currency,
+      code => metalpricerService.getLivePrice(metal, code),
+      data => this.convertPrice(data, currency)
+    );
+  }
+
+  /**
+   * Live prices of all metals in any supported currency
+   */
+  async getAllLivePrices(currency = this.baseCurrency) {
+    return this.fetchInCurrency(
+      currency,
+      code => metalpricerService.getAllLivePrices(code),
+      data => this.convertPrices(data, currency)
+    );
+  }
+
+  /**
+   * Historical price of a metal, converted at the rate of that date
+   */
+  async getHistoricalPrice(metal, currency = this.baseCurrency, date) {
+    return this.fetchInCurrency(
+      currency,
+      code => metalpricerService.getHistoricalPrice(metal, code, date),
+      data => this.convertPrice(data, currency, { at: data.timestamp || new Date() })
+    );
+  }
+}
+
+// Export singleton instance
+const fxService = new FxService();
+
+module.exports = fxService;
@@ -0,0 +1,302 @@
+/**
+ * Insight Cache Service
+ *
+ * Stores AI dashboard insights in ai_insights so they are generated once and
+ * served to every user, instead of calling the model on each dashboard load.
+ *
+ * Features:
+ * - Insights are regenerated after every data sync, when a price moves past
+ *   a threshold since the last generation, or on admin request
+ * - Each row keeps the input snapshot it was generated from and an expiry;
+ *   expired or missing insights are generated on demand
+ * - Concurrent requests for the same kind share a single generation
+ * - Fallback results expire quickly so the model is retried soon
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const db = require('../db/connection');
+const aiInsightsService = require('./aiInsightsService');
+const { getModelProviderName } = require('../ai/models');
+const { safeJsonObject } = require('../utils/jsonHelpers');
+const { METAL_SYMBOLS } = require('../schemas/apiSchemas');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('InsightCache');
+
+const INSIGHT_KINDS = ['assistant', 'market'];
+
+const MINUTE = 60 * 1000;
+
+// How long model insights are served before being regenerated on demand
+const INSIGHT_TTL_MS = (parseInt(process.env.AI_INSIGHTS_TTL_MINUTES) || 24 * 60) * MINUTE;
+
+// Fallback results are retried sooner
+const FALLBACK_TTL_MS = (parseInt(process.env.AI_INSIGHTS_FALLBACK_TTL_MINUTES) || 10) * MINUTE;
+
+// Price move since the last generation that triggers a regeneration
+const PRICE_THRESHOLD_PERCENT = parseFloat(process.env.AI_INSIGHTS_PRICE_THRESHOLD_PERCENT) || 1;
+
+// Minimum gap between threshold-triggered regenerations of the same kind
+const MIN_THRESHOLD_INTERVAL_MS = (parseInt(process.env.AI_INSIGHTS_MIN_REGENERATE_MINUTES) || 15) * MINUTE;
+
+// Stored rows older than this are deleted after each generation
+const HISTORY_DAYS = parseInt(process.env.AI_INSIGHTS_HISTORY_DAYS) || 30;
+
+// Other instances may regenerate; re-read the table at most this often
+const MEMORY_TTL_MS = MINUTE;
+
+class InsightCacheService {
+  constructor() {
+    // kind -> { insight, checkedAt }
+    this.latest = new Map();
+    // kind -> in-flight generation promise
+    this.pending = new Map();
+  }
+
+  /**
+   * Check whether a kind of insight is supported
+   */
+  isSupportedKind(kind) {
+    return INSIGHT_KINDS.includes(kind);
+  }
+
+  /**
+   * Serve stored insights, generating them if none are stored or they expired
+   *
+   * @param {string} kind - assistant or market
+   * @returns {Promise<Object>} Stored insight (see formatInsight)
+   */
+  async getInsights(kind) {
+    try {
+      const insight = await this.getLatest(kind);
+
+      if (insight && new Date(insight.expiresAt) > new Date()) {
+        return insight;
+      }
+
+      return await this.regenerate(kind, 'on_demand');
+    } catch (error) {
+      // Without the store, still answer from the service directly
+      logger.error(`Insight store unavailable, generating ${kind} insights without caching:`, error.message);
+      const now = new Date();
+      const payload = await this.runGeneration(kind);
+      return {
+        id: null,
+        kind,
+        payload,
+        inputSnapshot: null,
+        source: payload.source,
+        modelProvider: getModelProviderName(),
+        attempts: payload.attempts || 0,
+        trigger: 'on_demand',
+        generatedAt: now,
+        expiresAt: now
+      };
+    }
+  }
+
+  /**
+   * Latest stored insight of a kind, from memory when recently read
+   */
+  async getLatest(kind) {
+    const cached = this.latest.get(kind);
+    if (cached && Date.now() - cached.checkedAt < MEMORY_TTL_MS) {
+      return cached.insight;
+    }
+
+    const row = await db('ai_insights')
+      .where('kind', kind)
+      .orderBy('generated_at', 'desc')
+      .first();
+
+    const insight = row ? this.formatInsight(row) : null;
+    this.latest.set(kind, { insight, checkedAt: Date.now() });
+    return insight;
+  }
+
+  /**
+   * Generate and store insights of one kind. Concurrent calls for the same
+   * kind share the generation already in progress.
+   *
+   * @param {string} kind - assistant or market
+   * @param {string} trigger - sync, threshold, admin or on_demand
+   * @returns {Promise<Object>} The stored insight
+   */
+  regenerate(kind, trigger) {
+    if (this.pending.has(kind)) {
+      return this.pending.get(kind);
+    }
+
+    const run = this.generate(kind, trigger).finally(() => this.pending.delete(kind));
+    this.pending.set(kind, run);
+    return run;
+  }
+
+  /**
+   * Regenerate every kind of insight
+   */
+  async regenerateAll(trigger) {
+    const results = [];
+    for (const kind of INSIGHT_KINDS) {
+      results.push(await this.regenerate(kind, trigger));
+    }
+    return results;
+  }
+
+  async generate(kind, trigger) {
+    const startTime = Date.now();
+
+    const marketData = await this.getMarketData(kind);
+    const payload = await this.runGeneration(kind, marketData);
+    const generatedAt = new Date();
+    const ttl = payload.source === 'model' ? INSIGHT_TTL_MS : FALLBACK_TTL_MS;
+
+    const [row] = await db('ai_insights').insert({
+      kind,
+      payload: JSON.stringify(payload),
+      input_snapshot: JSON.stringify(this.buildSnapshot(marketData)),
+      source: payload.source,
+      model_provider: getModelProviderName(),
+      attempts: payload.attempts || 0,
+      trigger,
+      generated_at: generatedAt,
+      expires_at: new Date(generatedAt.getTime() + ttl)
+    }).returning('*');
+
+    const insight = this.formatInsight(row);
+    this.latest.set(kind, { insight, checkedAt: Date.now() });
+
+    logger.info(`Generated ${kind} insights (${payload.source}, trigger: ${trigger}) in ${Date.now() - startTime}ms`);
+
+    await this.pruneHistory();
+    return insight;
+  }
+
+  /**
+   * Market data the given kind of insight is generated from
+   */
+  getMarketData(kind) {
+    return kind === 'market'
+      ? aiInsightsService.getComprehensiveMarketData()
+      : aiInsightsService.getCurrentMarketData();
+  }
+
+  /**
+   * Ask AIInsightsService for insights; always resolves, with a fallback
+   * result if the model fails
+   */
+  runGeneration(kind, marketData = null) {
+    return kind === 'market'
+      ? aiInsightsService.generateMarketInsights(marketData)
+      : aiInsightsService.generateAssistantInsights(marketData);
+  }
+
+  /**
+   * Regenerate insights whose input prices moved past the threshold.
+   * Called with every batch of new prices (e.g. from the price stream).
+   *
+   * @param {Array<{metal: string, currency: string, price: number}>} prices - Latest prices by metal symbol
+   * @returns {Promise<Array<string>>} Kinds that were regenerated
+   */
+  async checkPriceThreshold(prices) {
+    const regenerated = [];
+
+    try {
+      for (const kind of INSIGHT_KINDS) {
+        const insight = await this.getLatest(kind);
+        if (!insight || this.pending.has(kind)) continue;
+        if (Date.now() - new Date(insight.generatedAt).getTime() < MIN_THRESHOLD_INTERVAL_MS) continue;
+
+        const moved = this.findPriceMove(insight.inputSnapshot, prices);
+        if (moved) {
+          logger.info(`${moved.metal} moved ${moved.changePercent.toFixed(2)}% since ${kind} insights were generated`);
+          await this.regenerate(kind, 'threshold');
+          regenerated.push(kind);
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking insight price threshold:', error);
+    }
+
+    return regenerated;
+  }
+
+  /**
+   * First metal whose price moved past the threshold since the snapshot
+   */
+  findPriceMove(snapshot, prices) {
+    for (const { metal, currency, price } of prices || []) {
+      const name = METAL_SYMBOLS[metal];
+      const previous = snapshot?.prices?.[name];
+      if (!previous || currency !== 'INR' || !Number.isFinite(price) || !previous.price) continue;
+
+      const changePercent = ((price - previous.price) / previous.price) * 100;
+      if (Math.abs(changePercent) >= PRICE_THRESHOLD_PERCENT) {
+        return { metal: name, changePercent };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The parts of the market data the insights were generated from
+   */
+  buildSnapshot(marketData) {
+    if (!marketData) return null;
+
+    const prices = {};
+    for (const name of Object.values(METAL_SYMBOLS)) {
+      const data = marketData[name];
+      if (data && data.price) {
+        prices[name] = {
+          price: data.price,
+          changePercent: data.changePercent || 0,
+          timestamp: data.timestamp || null
+        };
+      }
+    }
+
+    return {
+      prices,
+      trends: marketData.trends || null,
+      volume: marketData.volume || null,
+      capturedAt: marketData.timestamp || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Delete stored insights past the history window
+   */
+  async pruneHistory() {
+    try {
+      const cutoff = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * MINUTE);
+      await db('ai_insights').where('generated_at', '<', cutoff).del();
+    } catch (error) {
+      logger.error('Failed to prune insight history:', error);
+    }
+  }
+
+  /**
+   * Shape a stored row
+   */
+  formatInsight(row) {
+    return {
+      id: row.id,
+      kind: row.kind,
+      payload: safeJsonObject(row.payload),
+      inputSnapshot: safeJsonObject(row.input_snapshot, null),
+      source: row.source,
+      modelProvider: row.model_provider,
+      attempts: row.attempts,
+      trigger: row.trigger,
+      generatedAt: row.generated_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+// Export singleton instance
+const insightCacheService = new InsightCacheService();
+
+module.exports = insightCacheService;
@@ -0,0 +1,658 @@
+/**
+ * Price Import Service
+ *
+ * Loads historical price series that analysts hold in spreadsheets into
+ * metal_prices. Uploads are CSV or JSON; a column mapping says which column
+ * holds which field. Every import is analyzed first, and only stored when
+ * it is not a dry run.
+ *
+ * Features:
+ * - CSV (quoted fields, any single-character delimiter) or JSON rows
+ * - Column mapping with defaults matching column names case-insensitively;
+ *   metal and currency come from a column or apply to the whole file
+ * - Rows are validated against the metal_prices constraints: required fields,
+ *   known metals and currencies, decimal precision, dates not in the future
+ *   and one row per metal, currency and time
+ * - Dry runs preview the inserts, the conflicts with earlier imports and the
+ *   invalid rows without storing anything
+ * - Rows are stored as historical prices with provider `import`, in batches
+ *   within one transaction, so an import is stored whole or not at all; the
+ *   imported range is then rolled up
+ * - The upload is kept in provider_payloads and the import recorded as a
+ *   sync run, so imported prices can be traced like fetched ones
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const db = require('../db/connection');
+const dataService = require('./dataService');
+const priceRollupService = require('./priceRollupService');
+const provenanceService = require('./provenanceService');
+const fxService = require('./fxService');
+const { METAL_SYMBOLS } = require('../schemas/apiSchemas');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('PriceImport');
+
+const IMPORT_PROVIDER = 'import';
+
+// Stored as the mapper version of imported prices; bump when the row mapping changes
+const IMPORT_MAPPER_VERSION = 'import@1';
+
+// Largest upload accepted, as a body-parser limit
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || '10mb';
+
+// Most rows one upload may hold
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 100000;
+
+// Rows listed per section of a report
+const REPORT_LIMIT = 100;
+
+// Existing rows are looked up this many keys at a time
+const LOOKUP_BATCH_SIZE = 500;
+
+// Rows stored per insert statement
+const STORE_BATCH_SIZE = 1000;
+
+const CONFLICT_MODES = ['skip', 'overwrite'];
+const DATE_FORMATS = ['iso', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields a column can be mapped to, with their metal_prices column limits
+ * (decimal precision and scale)
+ */
+const FIELDS = {
+  date: { required: true, aliases: ['timestamp', 'time'] },
+  metal: {},
+  currency: {},
+  price: { required: true, column: 'price', precision: 15, scale: 6, positive: true },
+  open: { column: 'open', precision: 15, scale: 6, positive: true },
+  high: { column: 'high', precision: 15, scale: 6, positive: true },
+  low: { column: 'low', precision: 15, scale: 6, positive: true },
+  close: { column: 'close', precision: 15, scale: 6, positive: true },
+  change: { column: 'change', precision: 15, scale: 6 },
+  changePercent: { column: 'changePercent', precision: 8, scale: 4, aliases: ['change_percent'] },
+  ask: { column: 'ask', precision: 15, scale: 6, positive: true },
+  bid: { column: 'bid', precision: 15, scale: 6, positive: true },
+  priceGram24k: { column: 'price_gram_24k', precision: 15, scale: 6, positive: true, aliases: ['price_gram_24k'] },
+  priceGram22k: { column: 'price_gram_22k', precision: 15, scale: 6, positive: true, aliases: ['price_gram_22k'] },
+  priceGram18k: { column: 'price_gram_18k', precision: 15, scale: 6, positive: true, aliases: ['price_gram_18k'] }
+};
+
+const METALS_BY_NAME = Object.fromEntries(
+  Object.entries(METAL_SYMBOLS).map(([symbol, name]) => [name, symbol])
+);
+
+/**
+ * Error for an upload that cannot be imported as given
+ */
+function importError(message, code = 'IMPORT_INVALID', report = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.report = report;
+  return error;
+}
+
+/**
+ * Parse CSV text into rows of column values keyed by the header row, with
+ * the line each row starts on (the header is line 1)
+ */
+function parseCsv(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  // Strip a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = '';
+      recordLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw importError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  // Blank lines carry no row
+  const lines = records.filter(({ values }) => values.some(value => value.trim() !== ''));
+  if (lines.length === 0) {
+    throw importError('CSV is empty');
+  }
+
+  const columns = lines[0].values.map(column => column.trim());
+  const body = lines.slice(1);
+  return {
+    columns,
+    rows: body.map(({ values }) =>
+      Object.fromEntries(columns.map((column, index) => [column, values[index]]))
+    ),
+    rowNumbers: body.map(({ line }) => line)
+  };
+}
+
+/**
+ * Rows of a JSON upload: an array of objects, or { rows } / { data }.
+ * Rows are numbered from 1.
+ */
+function parseJsonRows(input) {
+  const rows = Array.isArray(input) ? input : input && (input.rows || input.data);
+  if (!Array.isArray(rows)) {
+    throw importError('JSON must be an array of rows, or an object with a rows array');
+  }
+  if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw importError('Every JSON row must be an object');
+  }
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return { columns, rows, rowNumbers: rows.map((row, index) => index + 1) };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * A number from a cell, allowing thousands separators ("1,234.56")
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value).trim().replace(/[,\s_]/g, '');
+  return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(cleaned) ? Number(cleaned) : NaN;
+}
+
+/**
+ * Whether a day exists; Date.UTC rolls e.g. 31/02 over into March
+ */
+function isCalendarDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * A date from a cell: unix seconds, ISO 8601, or day and month in the given order
+ */
+function parseDate(value, dateFormat) {
+  if (typeof value === 'number' || /^\d{9,10}$/.test(String(value).trim())) {
+    return new Date(Number(value) * 1000);
+  }
+
+  const text = String(value).trim();
+
+  if (dateFormat !== 'iso') {
+    const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) return null;
+
+    const [day, month] = (dateFormat === 'DD/MM/YYYY' ? [match[1], match[2]] : [match[2], match[1]]).map(Number);
+    const year = Number(match[3]);
+    return isCalendarDay(year, month, day) ? new Date(Date.UTC(year, month - 1, day)) : null;
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text) ||
+      !isCalendarDay(...text.slice(0, 10).split('-').map(Number))) {
+    return null;
+  }
+  // Dates and times without an offset are UTC, like the providers' prices
+  const iso = text.length === 10 ? `${text}T00:00:00` : text.replace(' ', 'T');
+  const date = new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(iso) ? iso : `${iso}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+class PriceImportService {
+  getMaxBytes() {
+    return IMPORT_MAX_BYTES;
+  }
+
+  getConflictModes() {
+    return [...CONFLICT_MODES];
+  }
+
+  getDateFormats() {
+    return [...DATE_FORMATS];
+  }
+
+  /**
+   * Check import options. Returns an error message, or null when they are valid.
+   */
+  validateOptions({ format, mapping, metal, currency, onConflict, dateFormat, delimiter }) {
+    if (!['csv', 'json'].includes(format)) {
+      return 'format must be csv or json';
+    }
+    if (mapping !== undefined && (!mapping || typeof mapping !== 'object' || Array.isArray(mapping))) {
+      return 'mapping must be an object of field: column';
+    }
+    for (const [field, column] of Object.entries(mapping || {})) {
+      if (!FIELDS[field]) {
+        return `Unknown mapping field: ${field}. Fields: ${Object.keys(FIELDS).join(', ')}`;
+      }
+      if (typeof column !== 'string' || column.trim() === '') {
+        return `mapping.${field} must be a column name`;
+      }
+    }
+    if (metal !== undefined && !this.resolveMetal(metal)) {
+      return `Unsupported metal: ${metal}`;
+    }
+    if (currency !== undefined && !fxService.getSupportedCurrencies().includes(currency)) {
+      return `Unsupported currency: ${currency}. Supported currencies: ${fxService.getSupportedCurrencies().join(', ')}`;
+    }
+    if (onConflict !== undefined && !CONFLICT_MODES.includes(onConflict)) {
+      return `onConflict must be one of: ${CONFLICT_MODES.join(', ')}`;
+    }
+    if (dateFormat !== undefined && !DATE_FORMATS.includes(dateFormat)) {
+      return `dateFormat must be one of: ${DATE_FORMATS.join(', ')}`;
+    }
+    if (delimiter !== undefined && (typeof delimiter !== 'string' || delimiter.length !== 1 || delimiter === '"')) {
+      return 'delimiter must be a single character other than "';
+    }
+    return null;
+  }
+
+  /**
+   * Metal symbol from a symbol or name, e.g. XAU or gold
+   */
+  resolveMetal(value) {
+    const text = String(value).trim();
+    if (METAL_SYMBOLS[text.toUpperCase()]) return text.toUpperCase();
+    return METALS_BY_NAME[text.toLowerCase()] || null;
+  }
+
+  /**
+   * Column of each field: the mapping, else a column named like the field
+   *
+   * @throws {Error} with code IMPORT_INVALID when a mapped column is missing
+   */
+  resolveMapping(columns, mapping = {}) {
+    const byName = new Map(columns.map(column => [column.toLowerCase(), column]));
+    const resolved = {};
+
+    for (const [field, spec] of Object.entries(FIELDS)) {
+      if (mapping[field] !== undefined) {
+        if (!columns.includes(mapping[field])) {
+          throw importError(`Mapped column not found: ${mapping[field]} (for ${field}). Columns: ${columns.join(', ')}`);
+        }
+        resolved[field] = mapping[field];
+        continue;
+      }
+
+      const name = [field, ...(spec.aliases || [])].find(candidate => byName.has(candidate.toLowerCase()));
+      if (name) resolved[field] = byName.get(name.toLowerCase());
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Parse an upload into rows, their numbers (CSV lines, or JSON positions)
+   * and the field each column maps to
+   *
+   * @param {string|Object|Array} content - CSV text, or JSON rows
+   * @param {Object} options - { format, mapping, metal, currency, delimiter }
+   */
+  parse(content, { format, mapping, metal, currency, delimiter = ',' }) {
+    let parsed;
+    if (format === 'csv') {
+      if (typeof content !== 'string') {
+        throw importError('CSV uploads must be sent as text/csv, or as a csv string in a JSON body');
+      }
+      parsed = parseCsv(content, delimiter);
+    } else {
+      let rows = content;
+      if (typeof content === 'string') {
+        try {
+          rows = JSON.parse(content);
+        } catch (error) {
+          throw importError(`Invalid JSON: ${error.message}`);
+        }
+      }
+      parsed = parseJsonRows(rows);
+    }
+
+    if (parsed.rows.length === 0) {
+      throw importError('The upload has no rows');
+    }
+    if (parsed.rows.length > IMPORT_MAX_ROWS) {
+      throw importError(`The upload has ${parsed.rows.length} rows; at most ${IMPORT_MAX_ROWS} are imported at once`);
+    }
+
+    const columns = this.resolveMapping(parsed.columns, mapping);
+    const missing = ['date', 'price'].filter(field => !columns[field]);
+    if (!columns.metal && !metal) missing.push('metal');
+    if (!columns.currency && !currency) missing.push('currency');
+    if (missing.length > 0) {
+      throw importError(`No column for: ${missing.join(', ')}. Map them, or give metal and currency for the whole file`);
+    }
+
+    return { rows: parsed.rows, rowNumbers: parsed.rowNumbers, columns };
+  }
+
+  /**
+   * Validate one row against the metal_prices constraints
+   *
+   * @returns {{ priceData: Object, timestamp: Date } | { errors: Object[] }}
+   */
+  validateRow(row, columns, { metal, currency, dateFormat = 'iso' }) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, column: columns[field] || null, message });
+    const cell = field => columns[field] ? row[columns[field]] : undefined;
+
+    const timestamp = isBlank(cell('date')) ? null : parseDate(cell('date'), dateFormat);
+    if (isBlank(cell('date'))) {
+      fail('date', 'date is required');
+    } else if (!timestamp) {
+      fail('date', `Invalid date: ${cell('date')} (expected ${dateFormat === 'iso' ? 'YYYY-MM-DD, ISO 8601 or unix seconds' : dateFormat})`);
+    } else if (timestamp.getTime() > Date.now()) {
+      fail('date', 'date must not be in the future');
+    }
+
+    const metalValue = isBlank(cell('metal')) ? metal : cell('metal');
+    const symbol = isBlank(metalValue) ? null : this.resolveMetal(metalValue);
+    if (isBlank(metalValue)) {
+      fail('metal', 'metal is required');
+    } else if (!symbol) {
+      fail('metal', `Unsupported metal: ${metalValue}`);
+    }
+
+    const currencyValue = String(isBlank(cell('currency')) ? currency || '' : cell('currency')).trim().toUpperCase();
+    if (!currencyValue) {
+      fail('currency', 'currency is required');
+    } else if (!fxService.getSupportedCurrencies().includes(currencyValue)) {
+      fail('currency', `Unsupported currency: ${currencyValue}`);
+    }
+
+    const priceData = {
+      metal: symbol,
+      currency: currencyValue,
+      timestamp: timestamp ? Math.floor(timestamp.getTime() / 1000) : null
+    };
+
+    for (const [field, spec] of Object.entries(FIELDS)) {
+      if (!spec.column) continue;
+
+      const value = cell(field);
+      if (isBlank(value)) {
+        if (spec.required) fail(field, `${field} is required`);
+        continue;
+      }
+
+      const number = parseNumber(value);
+      // decimal(precision, scale) holds fewer than 10^(precision - scale)
+      const limit = Math.pow(10, spec.precision - spec.scale);
+      if (!Number.isFinite(number)) {
+        fail(field, `${field} is not a number: ${value}`);
+      } else if (spec.positive && number <= 0) {
+        fail(field, `${field} must be positive`);
+      } else if (Math.abs(number) >= limit) {
+        fail(field, `${field} must be less than ${limit} in absolute value`);
+      } else {
+        priceData[spec.column] = number;
+      }
+    }
+
+    if (priceData.high !== undefined && priceData.low !== undefined && priceData.high < priceData.low) {
+      fail('high', 'high must not be below low');
+    }
+
+    return errors.length > 0 ? { errors } : { priceData, timestamp };
+  }
+
+  /**
+   * Existing imported rows for the given keys, as a map of key to price
+   */
+  async findExisting(entries) {
+    const existing = new Map();
+
+    for (let i = 0; i < entries.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = entries.slice(i, i + LOOKUP_BATCH_SIZE);
+      const rows = await db('metal_prices')
+        .select('id', 'metal', 'currency', 'price', 'price_timestamp')
+        .where('provider', IMPORT_PROVIDER)
+        .whereIn(
+          ['metal', 'currency', 'price_timestamp'],
+          batch.map(entry => [entry.priceData.metal, entry.priceData.currency, entry.timestamp])
+        );
+
+      for (const row of rows) {
+        existing.set(
+          `${row.metal}|${row.currency}|${new Date(row.price_timestamp).getTime()}`,
+          { id: row.id, price: parseFloat(row.price) }
+        );
+      }
+    }
+
+    return existing;
+  }
+
+  /**
+   * Validate an upload and sort its rows into inserts, conflicts and errors
+   *
+   * @param {string|Object|Array} content - CSV text, or JSON rows
+   * @param {Object} options - { format, mapping, metal, currency, dateFormat, delimiter }
+   */
+  async analyze(content, options) {
+    const { rows, rowNumbers, columns } = this.parse(content, options);
+    const inserts = [];
+    const conflicts = [];
+    const errors = [];
+    const seen = new Map();
+
+    rows.forEach((row, index) => {
+      const rowNumber = rowNumbers[index];
+      const result = this.validateRow(row, columns, options);
+      if (result.errors) {
+        errors.push({ row: rowNumber, errors: result.errors });
+        return;
+      }
+
+      // The unique key of metal_prices, within the upload
+      const key = `${result.priceData.metal}|${result.priceData.currency}|${result.timestamp.getTime()}`;
+      if (seen.has(key)) {
+        errors.push({
+          row: rowNumber,
+          errors: [{ field: 'date', column: columns.date, message: `Duplicate of row ${seen.get(key)} (same metal, currency and date)` }]
+        });
+        return;
+      }
+      seen.set(key, rowNumber);
+      inserts.push({ row: rowNumber, key, ...result });
+    });
+
+    const existing = inserts.length > 0 ? await this.findExisting(inserts) : new Map();
+    const newRows = [];
+    for (const entry of inserts) {
+      if (existing.has(entry.key)) {
+        conflicts.push({ ...entry, existing: existing.get(entry.key) });
+      } else {
+        newRows.push(entry);
+      }
+    }
+
+    return { total: rows.length, columns, inserts: newRows, conflicts, errors };
+  }
+
+  /**
+   * Import an upload. A dry run only reports what an import would do.
+   *
+   * @param {string|Object|Array} content - CSV text, or JSON rows
+   * @param {Object} options - { format, mapping, metal, currency, dateFormat,
+   *   delimiter, dryRun (default true), onConflict (skip|overwrite), skipInvalid, filename }
+   * @param {number} [userId] - Importing admin
+   * @returns {Promise<Object>} Import report
+   * @throws {Error} with code IMPORT_INVALID when the upload cannot be read, or
+   *   has invalid rows and skipInvalid is not set (error.report holds the report),
+   *   or IMPORT_FAILED when the rows could not be stored (none were)
+   */
+  async importPrices(content, options, userId = null) {
+    const { dryRun = true, onConflict = 'skip', skipInvalid = false } = options;
+    const analysis = await this.analyze(content, options);
+    const toStore = onConflict === 'overwrite'
+      ? [...analysis.inserts, ...analysis.conflicts]
+      : analysis.inserts;
+
+    if (dryRun) {
+      return this.formatReport(analysis, { dryRun, onConflict, toStore });
+    }
+
+    if (analysis.errors.length > 0 && !skipInvalid) {
+      throw importError(
+        `${analysis.errors.length} row(s) are invalid; fix them, or set skipInvalid to import the valid rows`,
+        'IMPORT_INVALID',
+        this.formatReport(analysis, { dryRun, onConflict, toStore })
+      );
+    }
+
+    const stats = await this.store(toStore, content, options, userId);
+    return this.formatReport(analysis, { dryRun, onConflict, toStore, ...stats });
+  }
+
+  /**
+   * Store validated rows as historical prices and roll their range up.
+   * The rows are stored in one transaction: when it fails, none are.
+   */
+  async store(entries, content, options, userId) {
+    const { format, mapping = {}, metal = null, currency = null, filename = null } = options;
+    const uploadedAt = new Date();
+    const syncRunId = await provenanceService.startRun(
+      'import',
+      `${filename || `${format} upload`} by user ${userId}`.slice(0, 100)
+    );
+
+    let payloadId = null;
+    try {
+      payloadId = await provenanceService.recordPayload({
+        provider: IMPORT_PROVIDER,
+        endpoint: `${format} upload`,
+        params: { filename, mapping, metal, currency, dateFormat: options.dateFormat || 'iso' },
+        payload: content,
+        fetchedAt: uploadedAt
+      });
+    } catch (error) {
+      logger.error('Failed to record the uploaded file:', error);
+    }
+
+    const provenance = {
+      payload_id: payloadId,
+      mapper_version: IMPORT_MAPPER_VERSION,
+      fetched_at: uploadedAt,
+      sync_run_id: syncRunId
+    };
+
+    let stored = 0;
+    try {
+      stored = await dataService.saveHistoricalPrices(
+        entries.map(entry => ({ priceData: entry.priceData, date: entry.timestamp })),
+        IMPORT_PROVIDER,
+        provenance,
+        STORE_BATCH_SIZE
+      );
+    } catch (error) {
+      logger.error(`Failed to store the import of user ${userId}:`, error);
+      await provenanceService.finishRun(syncRunId, { status: 'failed', stats: { stored: 0 }, error: error.message });
+      throw importError(`Storing the import failed and none of its rows were stored (sync run ${syncRunId})`, 'IMPORT_FAILED');
+    }
+
+    let rollupError = null;
+    if (entries.length > 0) {
+      // Whole days around the imported prices
+      const times = entries.map(entry => entry.timestamp.getTime());
+      const first = times.reduce((min, time) => Math.min(min, time));
+      const last = times.reduce((max, time) => Math.max(max, time));
+      const range = {
+        from: new Date(first - (first % DAY_MS)),
+        to: new Date(last - (last % DAY_MS) + DAY_MS)
+      };
+      try {
+        await priceRollupService.rollupRange('hourly', range);
+        await priceRollupService.rollupRange('daily', range);
+      } catch (error) {
+        // The prices are stored; importing again with overwrite re-rolls the range
+        logger.error('Failed to roll up the imported range:', error);
+        rollupError = `Stored, but rolling up the imported range failed: ${error.message}`;
+      }
+    }
+
+    await provenanceService.finishRun(syncRunId, {
+      status: 'completed',
+      stats: { stored },
+      error: rollupError
+    });
+
+    logger.info(`Imported ${stored} price(s) by user ${userId}`);
+    return { stored, failed: 0, syncRunId, payloadId };
+  }
+
+  formatReport(analysis, { dryRun, onConflict, toStore, stored, failed, syncRunId, payloadId }) {
+    const formatEntry = entry => ({
+      row: entry.row,
+      metal: METAL_SYMBOLS[entry.priceData.metal],
+      currency: entry.priceData.currency,
+      date: entry.timestamp.toISOString(),
+      price: entry.priceData.price
+    });
+
+    const report = {
+      dryRun,
+      onConflict,
+      columns: analysis.columns,
+      summary: {
+        rows: analysis.total,
+        inserts: analysis.inserts.length,
+        conflicts: analysis.conflicts.length,
+        errors: analysis.errors.length,
+        toStore: toStore.length
+      },
+      inserts: analysis.inserts.slice(0, REPORT_LIMIT).map(formatEntry),
+      conflicts: analysis.conflicts.slice(0, REPORT_LIMIT).map(entry => ({
+        ...formatEntry(entry),
+        existingId: entry.existing.id,
+        existingPrice: entry.existing.price
+      })),
+      errors: analysis.errors.slice(0, REPORT_LIMIT)
+    };
+
+    if (!dryRun) {
+      report.summary.stored = stored;
+      report.summary.failed = failed;
+      report.syncRunId = syncRunId;
+      report.payloadId = payloadId;
+    }
+
+    return report;
+  }
+}
+
+// Export singleton instance
+module.exports = new PriceImportService();
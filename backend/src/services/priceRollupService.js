@@ -0,0 +1,371 @@
+/**
+ * Price Rollup Service
+ *
+ * Downsamples metal_prices into hourly and daily OHLC tables so long-range
+ * charts survive the purge of old raw rows, and reads price series from
+ * whichever table still holds each part of a requested range.
+ *
+ * Features:
+ * - Hourly buckets are rolled up from raw rows, daily buckets from hourly
+ *   ones; buckets are UTC-aligned and re-rolled while still open
+ * - Rollups run incrementally after every sync, from each series' latest
+ *   bucket, and always before a purge
+ * - Each level has its own retention in days (0 keeps it forever); raw
+ *   rows keep the latest row per metal/currency and historical rows
+ * - Reads stitch the tables together: daily before the first hourly
+ *   bucket, hourly up to the latest hourly bucket, raw rows after it
+ * - A re-roll never replaces a bucket with one built from fewer rows, so
+ *   re-rolling a range whose raw rows were purged keeps the stored buckets
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const db = require('../db/connection');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('PriceRollups');
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+const DAY_MS = DAY_SECONDS * 1000;
+
+// Rollup levels and the table each is built from
+const LEVELS = {
+  hourly: { table: 'metal_prices_hourly', unit: 'hour', source: 'raw' },
+  daily: { table: 'metal_prices_daily', unit: 'day', source: 'hourly' }
+};
+
+const SOURCES = {
+  raw: { table: 'metal_prices', timeColumn: 'price_timestamp' },
+  hourly: { table: 'metal_prices_hourly', timeColumn: 'bucket_start', bucketSeconds: HOUR_SECONDS },
+  daily: { table: 'metal_prices_daily', timeColumn: 'bucket_start', bucketSeconds: DAY_SECONDS }
+};
+
+// Series resolution by the length of the requested range
+const SERIES_RESOLUTIONS = [
+  { maxDays: 2, interval: '5m', bucketSeconds: 5 * 60 },
+  { maxDays: 90, interval: '1h', bucketSeconds: HOUR_SECONDS },
+  { maxDays: Infinity, interval: '1d', bucketSeconds: DAY_SECONDS }
+];
+
+const parseDays = (value, fallback) => {
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days >= 0 ? days : fallback;
+};
+
+const startOfUtcDay = (time) => new Date(Math.floor(time / DAY_MS) * DAY_MS);
+
+class PriceRollupService {
+  constructor() {
+    this.retention = {
+      rawDays: parseDays(process.env.PRICE_RAW_RETENTION_DAYS, 30),
+      hourlyDays: parseDays(process.env.PRICE_HOURLY_RETENTION_DAYS, 365),
+      dailyDays: parseDays(process.env.PRICE_DAILY_RETENTION_DAYS, 0)
+    };
+  }
+
+  getRetention() {
+    return { ...this.retention };
+  }
+
+  /**
+   * Roll the source rows of a time range up into a level's buckets
+   *
+   * @param {string} level - hourly or daily
+   * @param {Object} options - { from, to, metal, currency }; without a metal
+   *   and currency every series in the range is rolled up
+   * @returns {Promise<number>} Buckets written or updated
+   */
+  async rollupRange(level, { from, to, metal = null, currency = null }) {
+    const { table, unit, source } = LEVELS[level];
+    const bucketMs = (unit === 'hour' ? HOUR_SECONDS : DAY_SECONDS) * 1000;
+
+    // Whole buckets only, so a re-rolled bucket never loses earlier rows
+    const start = new Date(Math.floor(new Date(from).getTime() / bucketMs) * bucketMs);
+    const end = new Date(Math.ceil(new Date(to).getTime() / bucketMs) * bucketMs);
+
+    const aggregates = source === 'raw'
+      ? `(array_agg(price ORDER BY price_timestamp ASC))[1], MAX(price), MIN(price),
+         (array_agg(price ORDER BY price_timestamp DESC))[1], COUNT(*)`
+      : `(array_agg(open ORDER BY bucket_start ASC))[1], MAX(high), MIN(low),
+         (array_agg(close ORDER BY bucket_start DESC))[1], SUM(samples)`;
+    const { table: sourceTable, timeColumn } = SOURCES[source];
+    const seriesFilter = metal ? 'AND metal = ? AND currency = ?' : '';
+
+    const result = await db.raw(`
+      INSERT INTO ${table} (metal, currency, bucket_start, open, high, low, close, samples)
+      SELECT metal, currency,
+        date_trunc('${unit}', ${timeColumn} AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS bucket,
+        ${aggregates}
+      FROM ${sourceTable}
+      WHERE ${timeColumn} >= ? AND ${timeColumn} < ? ${seriesFilter}
+      GROUP BY metal, currency, bucket
+      ON CONFLICT (metal, currency, bucket_start) DO UPDATE SET
+        open = EXCLUDED.open,
+        high = EXCLUDED.high,
+        low = EXCLUDED.low,
+        close = EXCLUDED.close,
+        samples = EXCLUDED.samples,
+        updated_at = NOW()
+      WHERE EXCLUDED.samples >= ${table}.samples
+    `, [start, end, ...(metal ? [metal, currency] : [])]);
+
+    return result.rowCount || 0;
+  }
+
+  /**
+   * Roll up everything newer than each series' latest bucket of a level
+   */
+  async rollupLevel(level, to = new Date()) {
+    const { table, source } = LEVELS[level];
+    const { table: sourceTable, timeColumn } = SOURCES[source];
+
+    const series = await db(sourceTable)
+      .select('metal', 'currency')
+      .min(`${timeColumn} as first`)
+      .groupBy('metal', 'currency');
+
+    let written = 0;
+    for (const { metal, currency, first } of series) {
+      const latest = await db(table)
+        .where({ metal, currency })
+        .max('bucket_start as bucket_start')
+        .first();
+
+      written += await this.rollupRange(level, {
+        from: latest?.bucket_start || first,
+        to,
+        metal,
+        currency
+      });
+    }
+
+    return written;
+  }
+
+  /**
+   * Bring the hourly and then the daily rollups up to date
+   *
+   * @returns {Promise<{hourly: number, daily: number}>} Buckets written per level
+   */
+  async rollupRecent() {
+    const hourly = await this.rollupLevel('hourly');
+    const daily = await this.rollupLevel('daily');
+
+    logger.debug(`Rolled up ${hourly} hourly and ${daily} daily bucket(s)`);
+    return { hourly, daily };
+  }
+
+  /**
+   * Downsample, then purge each level past its retention
+   *
+   * @param {Object} [overrides] - { rawDays, hourlyDays, dailyDays } for this run
+   * @returns {Promise<Object>} { retention, rolledUp, deleted }
+   */
+  async applyRetention(overrides = {}) {
+    const retention = { ...this.retention };
+    Object.keys(retention).forEach(key => {
+      retention[key] = parseDays(overrides[key], retention[key]);
+    });
+
+    const rolledUp = await this.rollupRecent();
+    const now = Date.now();
+    const cutoff = (days) => startOfUtcDay(now - days * DAY_MS);
+    const deleted = { raw: 0, hourly: 0, daily: 0 };
+
+    if (retention.rawDays > 0) {
+      // Keep the latest live row per metal/currency and historical rows
+      const result = await db.raw(`
+        DELETE FROM metal_prices
+        WHERE is_historical = false
+        AND price_timestamp < ?
+        AND id NOT IN (
+          SELECT DISTINCT ON (metal, currency) id
+          FROM metal_prices
+          WHERE is_historical = false
+          ORDER BY metal, currency, price_timestamp DESC
+        )
+      `, [cutoff(retention.rawDays)]);
+      deleted.raw = result.rowCount || 0;
+    }
+
+    if (retention.hourlyDays > 0) {
+      deleted.hourly = await db('metal_prices_hourly')
+        .where('bucket_start', '<', cutoff(retention.hourlyDays))
+        .del();
+    }
+
+    if (retention.dailyDays > 0) {
+      deleted.daily = await db('metal_prices_daily')
+        .where('bucket_start', '<', cutoff(retention.dailyDays))
+        .del();
+    }
+
+    logger.info(`Retention applied: deleted ${deleted.raw} raw, ${deleted.hourly} hourly and ${deleted.daily} daily row(s)`);
+    return { retention, rolledUp, deleted };
+  }
+
+  /**
+   * Aggregate one table into buckets of a size
+   */
+  async queryBuckets(source, metal, currency, from, to, bucketSeconds) {
+    const { table, timeColumn } = SOURCES[source];
+    const query = db(table)
+      .select(db.raw(`floor(extract(epoch from ${timeColumn}) / ?) as bucket`, [bucketSeconds]))
+      .where({ metal, currency })
+      .where(timeColumn, '>=', from)
+      .where(timeColumn, '<', to)
+      .groupBy('bucket')
+      .orderBy('bucket', 'asc');
+
+    if (source === 'raw') {
+      query
+        .select(db.raw('(array_agg(price order by price_timestamp asc))[1] as open'))
+        .max('price as high')
+        .min('price as low')
+        .select(db.raw('(array_agg(price order by price_timestamp desc))[1] as close'))
+        .count('* as samples');
+    } else {
+      query
+        .select(db.raw('(array_agg(open order by bucket_start asc))[1] as open'))
+        .max('high as high')
+        .min('low as low')
+        .select(db.raw('(array_agg(close order by bucket_start desc))[1] as close'))
+        .sum('samples as samples');
+    }
+
+    const rows = await query;
+    return rows.map(row => ({
+      bucket: Number(row.bucket) * bucketSeconds * 1000,
+      open: parseFloat(row.open),
+      high: parseFloat(row.high),
+      low: parseFloat(row.low),
+      close: parseFloat(row.close),
+      samples: parseInt(row.samples)
+    }));
+  }
+
+  /**
+   * OHLC buckets for a range, read from the raw, hourly and daily tables
+   * where each still holds the data. Buckets shorter than an hour come from
+   * raw rows only, shorter than a day from raw and hourly rows.
+   *
+   * @param {string} metal - Metal symbol
+   * @param {string} currency - Currency code
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (exclusive)
+   * @param {number} bucketSeconds - Bucket size
+   * @returns {Promise<Array<{bucket: number, open: number, high: number, low: number, close: number, samples: number}>>}
+   *   Buckets with data, oldest first; bucket is the start time in ms
+   */
+  async getOhlc(metal, currency, from, to, bucketSeconds) {
+    const segments = [];
+
+    if (bucketSeconds < HOUR_SECONDS) {
+      segments.push({ source: 'raw', from, to });
+    } else {
+      const coverage = await db('metal_prices_hourly')
+        .where({ metal, currency })
+        .min('bucket_start as first')
+        .max('bucket_start as latest')
+        .first();
+
+      if (!coverage?.latest) {
+        segments.push({ source: 'raw', from, to });
+      } else {
+        // The latest hourly bucket may still be open, so raw rows serve it
+        const rawFrom = new Date(Math.max(from.getTime(), coverage.latest.getTime()));
+        const hourlyFrom = new Date(Math.max(from.getTime(), coverage.first.getTime()));
+
+        if (bucketSeconds >= DAY_SECONDS && from < hourlyFrom) {
+          segments.push({ source: 'daily', from, to: new Date(Math.min(hourlyFrom.getTime(), to.getTime())) });
+        }
+        if (hourlyFrom < rawFrom && hourlyFrom < to) {
+          segments.push({ source: 'hourly', from: hourlyFrom, to: new Date(Math.min(rawFrom.getTime(), to.getTime())) });
+        }
+        if (rawFrom < to) {
+          segments.push({ source: 'raw', from: rawFrom, to });
+        }
+      }
+    }
+
+    // Segments are in time order; a bucket split across two is merged
+    const buckets = new Map();
+    for (const segment of segments) {
+      const rows = await this.queryBuckets(segment.source, metal, currency, segment.from, segment.to, bucketSeconds);
+
+      rows.forEach(row => {
+        const earlier = buckets.get(row.bucket);
+        buckets.set(row.bucket, earlier
+          ? {
+            bucket: row.bucket,
+            open: earlier.open,
+            high: Math.max(earlier.high, row.high),
+            low: Math.min(earlier.low, row.low),
+            close: row.close,
+            samples: earlier.samples + row.samples
+          }
+          : row);
+      });
+    }
+
+    return [...buckets.values()].sort((a, b) => a.bucket - b.bucket);
+  }
+
+  /**
+   * Last known price before a time, from whichever table has the latest one
+   *
+   * @returns {Promise<number|null>}
+   */
+  async getCloseBefore(metal, currency, time) {
+    const [raw, hourly, daily] = await Promise.all([
+      db('metal_prices')
+        .select('price as close', 'price_timestamp as at')
+        .where({ metal, currency })
+        .where('price_timestamp', '<', time)
+        .orderBy('price_timestamp', 'desc')
+        .first(),
+      ...['hourly', 'daily'].map(source => {
+        const { table, bucketSeconds } = SOURCES[source];
+        // Only buckets that closed before the time
+        return db(table)
+          .select('close', 'bucket_start as at')
+          .where({ metal, currency })
+          .where('bucket_start', '<=', new Date(time.getTime() - bucketSeconds * 1000))
+          .orderBy('bucket_start', 'desc')
+          .first();
+      })
+    ]);
+
+    const latest = [raw, hourly, daily]
+      .filter(Boolean)
+      .sort((a, b) => b.at - a.at)[0];
+
+    return latest ? parseFloat(latest.close) : null;
+  }
+
+  /**
+   * Price series for a range at a resolution that suits its length: 5-minute
+   * buckets up to 2 days, hourly up to 90 days, daily beyond
+   *
+   * @returns {Promise<{interval: string, points: Array}>} Points oldest first
+   */
+  async getSeries(metal, currency, from, to) {
+    const days = (to.getTime() - from.getTime()) / DAY_MS;
+    const { interval, bucketSeconds } = SERIES_RESOLUTIONS.find(resolution => days <= resolution.maxDays);
+    const buckets = await this.getOhlc(metal, currency, from, to, bucketSeconds);
+
+    return {
+      interval,
+      points: buckets.map(({ bucket, ...ohlc }) => ({
+        timestamp: new Date(bucket).toISOString(),
+        ...ohlc
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+const priceRollupService = new PriceRollupService();
+
+module.exports = priceRollupService;
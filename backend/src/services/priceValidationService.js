@@ -0,0 +1,514 @@
+/**
+ * Price Validation Service
+ *
+ * Checks every live price a provider returns before it is stored in
+ * metal_prices, so a bad tick never reaches the charts, the AI insights or
+ * the price-move threshold.
+ *
+ * Features:
+ * - Rejects prices that are missing, not positive or too far in the future
+ * - Flags outliers: prices further than PRICE_ANOMALY_THRESHOLD_PERCENT from
+ *   the median of the series' recent accepted prices
+ * - Compares the price with the other providers' prices from around the same
+ *   time and records disagreements beyond PRICE_DISCREPANCY_THRESHOLD_PERCENT
+ *   in price_discrepancies
+ * - An outlier that another provider confirms is a real market move and is
+ *   accepted; a held-back price the new one confirms is released with it.
+ *   So is an outlier that PRICE_ANOMALY_CONFIRMATIONS held-back prices of
+ *   the series agree with, so a single provider's sustained move is not
+ *   held back for good
+ * - Other flagged prices are quarantined in price_quarantine for an admin to
+ *   approve or reject, and are not served
+ *
+ * When the checks themselves fail (e.g. a database error) the price is stored
+ * unchecked rather than lost.
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const db = require('../db/connection');
+const dataService = require('./dataService');
+const provenanceService = require('./provenanceService');
+const priceRollupService = require('./priceRollupService');
+const { METAL_SYMBOLS } = require('../schemas/apiSchemas');
+const { safeJsonArray, safeJsonObject } = require('../utils/jsonHelpers');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('PriceValidation');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Largest move from the recent median accepted without confirmation
+const ANOMALY_THRESHOLD_PERCENT = parseFloat(process.env.PRICE_ANOMALY_THRESHOLD_PERCENT) || 5;
+
+// Recent accepted prices an outlier is measured against
+const ANOMALY_LOOKBACK_MS = (parseInt(process.env.PRICE_ANOMALY_LOOKBACK_HOURS) || 24) * HOUR;
+const ANOMALY_SAMPLE_SIZE = 20;
+
+// Agreeing held-back prices within the lookback that make an outlier a sustained move
+const ANOMALY_CONFIRMATIONS = parseInt(process.env.PRICE_ANOMALY_CONFIRMATIONS) || 3;
+
+// Largest disagreement between providers before it is recorded
+const DISCREPANCY_THRESHOLD_PERCENT = parseFloat(process.env.PRICE_DISCREPANCY_THRESHOLD_PERCENT) || 1;
+
+// Prices of other providers within this window of a price are compared with it
+const DISCREPANCY_WINDOW_MS = (parseInt(process.env.PRICE_DISCREPANCY_WINDOW_MINUTES) || 30) * MINUTE;
+
+// Clock skew tolerated on provider timestamps
+const MAX_FUTURE_MS = 5 * MINUTE;
+
+const QUARANTINE_STATUSES = ['pending', 'approved', 'rejected', 'confirmed'];
+
+const deviationPercent = (price, reference) => ((price - reference) / reference) * 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+class PriceValidationService {
+  constructor() {
+    this.thresholds = {
+      anomalyPercent: ANOMALY_THRESHOLD_PERCENT,
+      anomalyLookbackHours: ANOMALY_LOOKBACK_MS / HOUR,
+      anomalyConfirmations: ANOMALY_CONFIRMATIONS,
+      discrepancyPercent: DISCREPANCY_THRESHOLD_PERCENT,
+      discrepancyWindowMinutes: DISCREPANCY_WINDOW_MS / MINUTE
+    };
+  }
+
+  getThresholds() {
+    return { ...this.thresholds };
+  }
+
+  /**
+   * Validate a live price and store it, or quarantine it
+   *
+   * @param {Object} priceData - Standardized price (timestamp in seconds)
+   * @param {string} provider - Provider it came from
+   * @param {Object} [options] - { syncRunId } for provenance
+   * @returns {Promise<{stored: boolean, quarantined: boolean, reasons: Object[]}>} Never rejects
+   */
+  async ingest(priceData, provider, options = {}) {
+    const provenance = await provenanceService.resolve(priceData, options);
+
+    let verdict;
+    try {
+      verdict = await this.validate(priceData, provider);
+    } catch (error) {
+      logger.error(`Failed to validate ${priceData.metal}/${priceData.currency} from ${provider}, storing it unchecked:`, error);
+      return { stored: await dataService.savePriceData(priceData, provider, provenance), quarantined: false, reasons: [] };
+    }
+
+    try {
+      await this.recordDiscrepancies(priceData, provider, verdict);
+    } catch (error) {
+      logger.error('Failed to record price discrepancies:', error);
+    }
+
+    if (verdict.quarantined) {
+      const summary = verdict.reasons.map(reason => reason.message).join('; ');
+      try {
+        const id = await this.quarantine(priceData, provider, verdict.reasons, provenance);
+        logger.warn(`Quarantined ${priceData.metal}/${priceData.currency} ${priceData.price} from ${provider} (#${id}): ${summary}`);
+      } catch (error) {
+        logger.error(`Failed to quarantine ${priceData.metal}/${priceData.currency} from ${provider} (${summary}), dropping it:`, error);
+      }
+      return { stored: false, quarantined: true, reasons: verdict.reasons };
+    }
+
+    const stored = await dataService.savePriceData(priceData, provider, provenance);
+    for (const entry of verdict.confirms) {
+      await this.releaseConfirmed(entry, provider);
+    }
+
+    return { stored, quarantined: false, reasons: verdict.reasons };
+  }
+
+  /**
+   * Run the checks on a price
+   *
+   * @returns {Promise<{quarantined: boolean, reasons: Object[], references: Object[], confirms: Object[]}>}
+   */
+  async validate(priceData, provider) {
+    const { metal, currency } = priceData;
+    const price = Number(priceData.price);
+    const time = new Date((priceData.timestamp || Date.now() / 1000) * 1000);
+
+    if (!Number.isFinite(price) || price <= 0) {
+      return {
+        quarantined: true,
+        reasons: [{ check: 'invalid_price', message: `Price ${priceData.price} is not a positive number` }],
+        references: [],
+        confirms: []
+      };
+    }
+
+    if (time.getTime() > Date.now() + MAX_FUTURE_MS) {
+      return {
+        quarantined: true,
+        reasons: [{ check: 'future_timestamp', message: `Timestamp ${time.toISOString()} is in the future` }],
+        references: [],
+        confirms: []
+      };
+    }
+
+    const reasons = [];
+    const references = await this.getProviderReferences(metal, currency, provider, time);
+    references.forEach(reference => {
+      reference.deviationPercent = deviationPercent(price, reference.price);
+    });
+
+    const recent = await this.getRecentPrices(metal, currency, time);
+    if (recent.length > 0) {
+      const reference = median(recent);
+      const deviation = deviationPercent(price, reference);
+
+      if (Math.abs(deviation) > ANOMALY_THRESHOLD_PERCENT) {
+        reasons.push({
+          check: 'outlier',
+          message: `${round(deviation)}% from the median of the last ${recent.length} price(s)`,
+          reference: round(reference),
+          deviationPercent: round(deviation)
+        });
+      }
+    }
+
+    if (reasons.length === 0) {
+      return { quarantined: false, reasons, references, confirms: [] };
+    }
+
+    // An outlier another provider agrees with is a real market move
+    const agreeing = references.filter(reference => Math.abs(reference.deviationPercent) <= DISCREPANCY_THRESHOLD_PERCENT);
+    const pending = (await this.getPendingPrices(metal, currency, time))
+      .filter(entry => Math.abs(deviationPercent(price, entry.price)) <= DISCREPANCY_THRESHOLD_PERCENT);
+    const pendingElsewhere = pending.filter(entry => entry.provider !== provider &&
+      Math.abs(new Date(entry.price_timestamp).getTime() - time.getTime()) <= DISCREPANCY_WINDOW_MS);
+
+    if (agreeing.length > 0 || pendingElsewhere.length > 0) {
+      const confirmedBy = [...agreeing, ...pendingElsewhere].map(reference => reference.provider);
+      reasons.push({ check: 'confirmed', message: `Confirmed by ${[...new Set(confirmedBy)].join(', ')}` });
+      return { quarantined: false, reasons, references, confirms: pendingElsewhere };
+    }
+
+    // As is one the series has kept returning
+    if (pending.length >= ANOMALY_CONFIRMATIONS) {
+      reasons.push({ check: 'sustained', message: `Sustained over ${pending.length + 1} prices` });
+      return { quarantined: false, reasons, references, confirms: pending };
+    }
+
+    return { quarantined: true, reasons, references, confirms: [] };
+  }
+
+  /**
+   * Recent accepted live prices of a series before a time, newest first
+   */
+  async getRecentPrices(metal, currency, time) {
+    const rows = await db('metal_prices')
+      .select('price')
+      .where({ metal, currency, is_historical: false })
+      .where('price_timestamp', '>=', new Date(time.getTime() - ANOMALY_LOOKBACK_MS))
+      .where('price_timestamp', '<=', time)
+      .orderBy('price_timestamp', 'desc')
+      .limit(ANOMALY_SAMPLE_SIZE);
+
+    return rows.map(row => parseFloat(row.price));
+  }
+
+  /**
+   * Each other provider's accepted live price closest to a time, within the window
+   */
+  async getProviderReferences(metal, currency, provider, time) {
+    const result = await db.raw(`
+      SELECT DISTINCT ON (provider) provider, price, price_timestamp
+      FROM metal_prices
+      WHERE metal = ? AND currency = ? AND is_historical = false
+        AND provider <> ?
+        AND price_timestamp BETWEEN ? AND ?
+      ORDER BY provider, ABS(EXTRACT(EPOCH FROM (price_timestamp - ?)))
+    `, [
+      metal, currency, provider,
+      new Date(time.getTime() - DISCREPANCY_WINDOW_MS), new Date(time.getTime() + DISCREPANCY_WINDOW_MS),
+      time
+    ]);
+
+    return result.rows.map(row => ({
+      provider: row.provider,
+      price: parseFloat(row.price),
+      timestamp: row.price_timestamp
+    }));
+  }
+
+  /**
+   * Quarantined prices of a series awaiting review within the lookback
+   */
+  async getPendingPrices(metal, currency, time) {
+    const rows = await db('price_quarantine')
+      .where({ metal, currency, status: 'pending' })
+      .whereNotNull('price')
+      .whereBetween('price_timestamp', [
+        new Date(time.getTime() - ANOMALY_LOOKBACK_MS),
+        new Date(time.getTime() + DISCREPANCY_WINDOW_MS)
+      ]);
+
+    return rows.map(row => ({ ...row, price: parseFloat(row.price) }));
+  }
+
+  /**
+   * Record the disagreements of a price with the other providers
+   */
+  async recordDiscrepancies(priceData, provider, verdict) {
+    const rows = verdict.references
+      .filter(reference => Math.abs(reference.deviationPercent) > DISCREPANCY_THRESHOLD_PERCENT)
+      .map(reference => ({
+        metal: priceData.metal,
+        currency: priceData.currency,
+        provider,
+        price: priceData.price,
+        price_timestamp: new Date(priceData.timestamp * 1000),
+        reference_provider: reference.provider,
+        reference_price: reference.price,
+        reference_timestamp: reference.timestamp,
+        deviation_percent: round(reference.deviationPercent),
+        quarantined: verdict.quarantined
+      }));
+
+    if (rows.length === 0) return 0;
+
+    await db('price_discrepancies').insert(rows);
+    logger.info(`${priceData.metal}/${priceData.currency} from ${provider} disagrees with ${rows.map(row => `${row.reference_provider} by ${row.deviation_percent}%`).join(', ')}`);
+    return rows.length;
+  }
+
+  /**
+   * Hold a price back for review
+   *
+   * @returns {Promise<number>} Quarantine entry id
+   */
+  async quarantine(priceData, provider, reasons, provenance = {}) {
+    const price = Number(priceData.price);
+    const [entry] = await db('price_quarantine').insert({
+      metal: priceData.metal,
+      currency: priceData.currency,
+      provider,
+      price: Number.isFinite(price) ? price : null,
+      price_timestamp: new Date((priceData.timestamp || Date.now() / 1000) * 1000),
+      price_data: JSON.stringify(priceData),
+      reasons: JSON.stringify(reasons),
+      ...dataService.provenanceColumns(provenance)
+    }).returning('id');
+
+    return entry.id ?? entry;
+  }
+
+  /**
+   * Store a held-back price a later price has confirmed
+   */
+  async releaseConfirmed(entry, confirmedBy) {
+    try {
+      const released = await this.review(entry.id, 'confirmed', null, `Confirmed by ${confirmedBy}`, pending => this.storeQuarantined(pending));
+      if (!released) return;
+
+      logger.info(`Released quarantined price #${entry.id} from ${entry.provider}, confirmed by ${confirmedBy}`);
+    } catch (error) {
+      if (error.code === 'QUARANTINE_REVIEWED') return; // An admin got to it first
+      logger.error(`Failed to release quarantined price #${entry.id}:`, error);
+    }
+  }
+
+  /**
+   * Store a quarantined price and roll its hour and day up again
+   */
+  async storeQuarantined(entry) {
+    const priceData = safeJsonObject(entry.price_data);
+    const stored = await dataService.savePriceData(priceData, entry.provider, entry);
+    if (!stored) {
+      throw new Error(`Failed to store quarantined price #${entry.id}`);
+    }
+
+    const time = new Date(entry.price_timestamp);
+    const hour = new Date(Math.floor(time.getTime() / HOUR) * HOUR);
+    const day = new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate()));
+    const series = { metal: entry.metal, currency: entry.currency };
+
+    await priceRollupService.rollupRange('hourly', { ...series, from: hour, to: new Date(hour.getTime() + HOUR) });
+    await priceRollupService.rollupRange('daily', { ...series, from: day, to: new Date(day.getTime() + 24 * HOUR) });
+  }
+
+  /**
+   * Quarantined prices, newest first
+   *
+   * @param {Object} options - { status (default pending; 'all' for every status), metal, limit }
+   */
+  async listQuarantine({ status = 'pending', metal = null, limit = 50 } = {}) {
+    const query = db('price_quarantine').orderBy('created_at', 'desc').limit(limit);
+    if (status !== 'all') query.where('status', status);
+    if (metal) query.where('metal', metal);
+
+    const rows = await query;
+    return rows.map(row => this.formatQuarantine(row));
+  }
+
+  /**
+   * Approve a pending quarantined price: store it as if it had passed
+   *
+   * @returns {Promise<Object|null>} The entry, or null when not found
+   * @throws {Error} with code QUARANTINE_REVIEWED when it is no longer pending
+   */
+  async approve(id, userId, note = null) {
+    return this.review(id, 'approved', userId, note, entry => this.storeQuarantined(entry));
+  }
+
+  /**
+   * Reject a pending quarantined price; it is kept for the record but never served
+   *
+   * @returns {Promise<Object|null>} The entry, or null when not found
+   * @throws {Error} with code QUARANTINE_REVIEWED when it is no longer pending
+   */
+  async reject(id, userId, note = null) {
+    return this.review(id, 'rejected', userId, note);
+  }
+
+  /**
+   * Move a pending entry to a reviewed status, then run action(entry) in the
+   * same transaction. The status changes first, so of concurrent reviews of
+   * an entry only one acts on it; a failing action leaves it pending.
+   *
+   * @returns {Promise<Object|null>} The entry, or null when not found
+   * @throws {Error} with code QUARANTINE_REVIEWED when it is no longer pending
+   */
+  async review(id, status, userId, note, action = null) {
+    const updated = await db.transaction(async trx => {
+      const [entry] = await trx('price_quarantine')
+        .where({ id, status: 'pending' })
+        .update({
+          status,
+          reviewed_by: userId,
+          reviewed_at: new Date(),
+          review_note: note,
+          updated_at: new Date()
+        })
+        .returning('*');
+
+      if (!entry) {
+        const current = await trx('price_quarantine').where('id', id).first();
+        if (!current) return null;
+
+        const error = new Error(`Quarantined price ${id} has already been ${current.status}`);
+        error.code = 'QUARANTINE_REVIEWED';
+        throw error;
+      }
+
+      if (action) await action(entry);
+      return entry;
+    });
+    if (!updated) return null;
+
+    if (userId) {
+      logger.info(`Quarantined price #${id} ${status} by user ${userId}`);
+    }
+    return this.formatQuarantine(updated);
+  }
+
+  /**
+   * Disagreements between providers over a period, summarized per series
+   * and provider pair
+   *
+   * @param {Object} options - { hours (default 24), metal, currency, limit (recent rows, default 100) }
+   */
+  async getDiscrepancyReport({ hours = 24, metal = null, currency = null, limit = 100 } = {}) {
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * HOUR);
+    const filter = query => {
+      query.where('created_at', '>=', from);
+      if (metal) query.where('metal', metal);
+      if (currency) query.where('currency', currency);
+    };
+
+    const summary = await db('price_discrepancies')
+      .select('metal', 'currency', 'provider', 'reference_provider')
+      .count('* as count')
+      .select(db.raw('COUNT(CASE WHEN quarantined THEN 1 END) as quarantined'))
+      .select(db.raw('AVG(ABS(deviation_percent)) as avg_deviation'))
+      .select(db.raw('MAX(ABS(deviation_percent)) as max_deviation'))
+      .max('created_at as last_seen_at')
+      .modify(filter)
+      .groupBy('metal', 'currency', 'provider', 'reference_provider')
+      .orderBy('count', 'desc');
+
+    const recent = await db('price_discrepancies')
+      .modify(filter)
+      .orderBy('created_at', 'desc')
+      .limit(limit);
+
+    const pending = await db('price_quarantine')
+      .where('status', 'pending')
+      .count('* as count')
+      .first();
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      thresholds: this.getThresholds(),
+      pendingQuarantine: parseInt(pending.count),
+      summary: summary.map(row => ({
+        metal: METAL_SYMBOLS[row.metal] || row.metal,
+        currency: row.currency,
+        provider: row.provider,
+        referenceProvider: row.reference_provider,
+        count: parseInt(row.count),
+        quarantined: parseInt(row.quarantined),
+        avgDeviationPercent: round(parseFloat(row.avg_deviation)),
+        maxDeviationPercent: round(parseFloat(row.max_deviation)),
+        lastSeenAt: row.last_seen_at
+      })),
+      discrepancies: recent.map(row => ({
+        id: row.id,
+        metal: METAL_SYMBOLS[row.metal] || row.metal,
+        currency: row.currency,
+        provider: row.provider,
+        price: parseFloat(row.price),
+        priceTimestamp: row.price_timestamp,
+        referenceProvider: row.reference_provider,
+        referencePrice: parseFloat(row.reference_price),
+        referenceTimestamp: row.reference_timestamp,
+        deviationPercent: parseFloat(row.deviation_percent),
+        quarantined: row.quarantined,
+        detectedAt: row.created_at
+      }))
+    };
+  }
+
+  getQuarantineStatuses() {
+    return [...QUARANTINE_STATUSES];
+  }
+
+  formatQuarantine(row) {
+    return {
+      id: row.id,
+      metal: METAL_SYMBOLS[row.metal] || row.metal,
+      currency: row.currency,
+      provider: row.provider,
+      price: row.price === null ? null : parseFloat(row.price),
+      priceTimestamp: row.price_timestamp,
+      reasons: safeJsonArray(row.reasons),
+      priceData: safeJsonObject(row.price_data),
+      payloadId: row.payload_id,
+      mapperVersion: row.mapper_version,
+      fetchedAt: row.fetched_at,
+      syncRunId: row.sync_run_id,
+      status: row.status,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      reviewNote: row.review_note,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PriceValidationService();
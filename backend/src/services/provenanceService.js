@@ -0,0 +1,281 @@
+/**
+ * Provenance Service
+ *
+ * Records where every stored price came from: the raw provider payload it
+ * was mapped from (stored once per distinct payload in provider_payloads),
+ * the TransformationRules version that mapped it, when it was fetched and
+ * the sync run that fetched it. Admins trace a served price back to all of
+ * these.
+ *
+ * Features:
+ * - Payloads are deduplicated by a SHA-256 of provider, endpoint and body;
+ *   refetching the same payload only bumps its fetch count
+ * - Sync runs (scheduled syncs, bulk syncs, backfill chunks) are recorded in
+ *   sync_runs with their outcome
+ * - Traces replay the mapping on the stored payload, so a wrong number can
+ *   be told apart from a wrong payload
+ * - Payloads no price refers to any more are purged with old raw prices
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const db = require('../db/connection');
+const { getSource } = require('./providers/source');
+const { METAL_SYMBOLS, TransformationRules } = require('../schemas/apiSchemas');
+const { safeJsonObject } = require('../utils/jsonHelpers');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('Provenance');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Source object -> payload id, so a batch payload is stored once for all its prices
+const payloadIds = new WeakMap();
+
+/**
+ * JSON with object keys sorted, so equal payloads hash equally
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class ProvenanceService {
+  /**
+   * Mapping version a provider's prices are produced with, e.g. metalpriceapi@1
+   */
+  getMapperVersion(provider) {
+    const rule = TransformationRules[provider];
+    return rule ? `${provider}@${rule.version || 0}` : null;
+  }
+
+  /**
+   * Store a raw payload, or count another fetch of an identical one
+   *
+   * @param {Object} source - { provider, endpoint, params, payload, fetchedAt }
+   * @returns {Promise<number>} Payload id
+   */
+  async recordPayload({ provider, endpoint, params = {}, payload, fetchedAt = new Date() }) {
+    const hash = crypto.createHash('sha256')
+      .update(canonicalJson({ provider, endpoint, payload }))
+      .digest('hex');
+
+    const [row] = await db('provider_payloads')
+      .insert({
+        provider,
+        endpoint,
+        request_params: JSON.stringify(params),
+        payload: JSON.stringify(payload),
+        payload_hash: hash,
+        first_fetched_at: fetchedAt,
+        last_fetched_at: fetchedAt
+      })
+      .onConflict('payload_hash')
+      .merge({
+        last_fetched_at: fetchedAt,
+        fetch_count: db.raw('provider_payloads.fetch_count + 1')
+      })
+      .returning('id');
+
+    return row.id ?? row;
+  }
+
+  /**
+   * Provenance columns for a price returned by a provider. Never rejects:
+   * without a recorded payload the price is still stored, with what is known.
+   *
+   * @param {Object} priceData - Standardized price from a provider
+   * @param {Object} [options] - { syncRunId }
+   * @returns {Promise<Object>} { payload_id, mapper_version, fetched_at, sync_run_id }
+   */
+  async resolve(priceData, { syncRunId = null } = {}) {
+    const source = getSource(priceData);
+    const provenance = {
+      payload_id: null,
+      mapper_version: source ? this.getMapperVersion(source.provider) : null,
+      fetched_at: source ? source.fetchedAt : null,
+      sync_run_id: syncRunId
+    };
+    if (!source) return provenance;
+
+    try {
+      if (!payloadIds.has(source)) {
+        payloadIds.set(source, this.recordPayload(source));
+      }
+      provenance.payload_id = await payloadIds.get(source);
+    } catch (error) {
+      payloadIds.delete(source);
+      logger.error(`Failed to record ${source.provider} ${source.endpoint} payload:`, error);
+    }
+
+    return provenance;
+  }
+
+  /**
+   * Record the start of a sync run
+   *
+   * @param {string} kind - sync, bulk_sync, backfill or import
+   * @param {string} [reference] - What the run works on
+   * @returns {Promise<number|null>} Run id, or null when it could not be recorded
+   */
+  async startRun(kind, reference = null) {
+    try {
+      const [row] = await db('sync_runs')
+        .insert({ kind, reference, instance: INSTANCE_ID })
+        .returning('id');
+      return row.id ?? row;
+    } catch (error) {
+      logger.error(`Failed to record ${kind} run:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Record the outcome of a sync run
+   */
+  async finishRun(id, { status = 'completed', stats = null, error = null } = {}) {
+    if (!id) return;
+
+    try {
+      await db('sync_runs')
+        .where('id', id)
+        .update({
+          status,
+          stats: stats ? JSON.stringify(stats) : null,
+          error,
+          finished_at: new Date()
+        });
+    } catch (dbError) {
+      logger.error(`Failed to record the end of sync run ${id}:`, dbError);
+    }
+  }
+
+  /**
+   * Trace a stored price by id
+   *
+   * @returns {Promise<Object|null>}
+   */
+  async traceById(id) {
+    const row = await db('metal_prices').where('id', id).first();
+    return row ? this.trace(row) : null;
+  }
+
+  /**
+   * Trace the stored prices of a metal at a timestamp, one per provider
+   *
+   * @param {Object} query - { metal (symbol), currency, timestamp (Date), provider }
+   * @returns {Promise<Object[]>}
+   */
+  async traceAt({ metal, currency, timestamp, provider = null }) {
+    const query = db('metal_prices')
+      .where({ metal, currency, price_timestamp: timestamp })
+      .orderBy('id', 'asc');
+    if (provider) query.where('provider', provider);
+
+    const rows = await query;
+    return Promise.all(rows.map(row => this.trace(row)));
+  }
+
+  /**
+   * A stored price with its payload, mapping and sync run
+   */
+  async trace(row) {
+    const payload = row.payload_id
+      ? await db('provider_payloads').where('id', row.payload_id).first()
+      : null;
+    const run = row.sync_run_id
+      ? await db('sync_runs').where('id', row.sync_run_id).first()
+      : null;
+
+    return {
+      price: {
+        id: row.id,
+        metal: METAL_SYMBOLS[row.metal] || row.metal,
+        symbol: row.metal,
+        currency: row.currency,
+        price: parseFloat(row.price),
+        provider: row.provider,
+        isHistorical: row.is_historical,
+        timestamp: row.price_timestamp,
+        storedAt: row.created_at,
+        updatedAt: row.updated_at
+      },
+      mapper: {
+        version: row.mapper_version,
+        current: payload ? this.getMapperVersion(payload.provider) : null,
+        replay: payload ? this.replay(payload, row) : null
+      },
+      fetchedAt: row.fetched_at,
+      payload: payload ? {
+        id: payload.id,
+        provider: payload.provider,
+        endpoint: payload.endpoint,
+        params: safeJsonObject(payload.request_params),
+        hash: payload.payload_hash,
+        firstFetchedAt: payload.first_fetched_at,
+        lastFetchedAt: payload.last_fetched_at,
+        fetchCount: payload.fetch_count,
+        body: safeJsonObject(payload.payload)
+      } : null,
+      syncRun: run ? {
+        id: run.id,
+        kind: run.kind,
+        reference: run.reference,
+        instance: run.instance,
+        status: run.status,
+        stats: safeJsonObject(run.stats, null),
+        error: run.error,
+        startedAt: run.started_at,
+        finishedAt: run.finished_at
+      } : null
+    };
+  }
+
+  /**
+   * Map a stored payload again with the current rules and compare the price.
+   * Null when the payload is not a single-price response (e.g. a timeframe).
+   */
+  replay(payload, row) {
+    const rule = TransformationRules[payload.provider];
+    if (!rule) return null;
+
+    try {
+      const mapped = rule.transformToStandard(safeJsonObject(payload.payload), row.metal, row.currency);
+      const price = Number(mapped.price);
+      if (!Number.isFinite(price)) return null;
+
+      return {
+        price,
+        matchesStored: Math.abs(price - parseFloat(row.price)) < 1e-6 * Math.max(1, Math.abs(price))
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Purge payloads last fetched before a time that no price refers to
+   *
+   * @returns {Promise<number>} Payloads deleted
+   */
+  async purgePayloads(before) {
+    const result = await db.raw(`
+      DELETE FROM provider_payloads p
+      WHERE p.last_fetched_at < ?
+        AND NOT EXISTS (SELECT 1 FROM metal_prices m WHERE m.payload_id = p.id)
+        AND NOT EXISTS (SELECT 1 FROM price_quarantine q WHERE q.payload_id = p.id)
+    `, [before]);
+
+    return result.rowCount || 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new ProvenanceService();
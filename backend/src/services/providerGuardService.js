@@ -0,0 +1,429 @@
+/**
+ * Provider Guard Service
+ *
+ * Keeps MetalPriceService from calling providers that are down or have used
+ * up their quota. Both are worked out from api_logs, where every provider
+ * call is logged, so all instances agree on them.
+ *
+ * Features:
+ * - A circuit breaker per provider. PROVIDER_BREAKER_FAILURES consecutive
+ *   failed calls within PROVIDER_BREAKER_WINDOW_MINUTES open it, as does a
+ *   single rate-limit response (HTTP 429). After
+ *   PROVIDER_BREAKER_COOLDOWN_SECONDS it is half-open and lets one trial call
+ *   through: success closes it, failure opens it again
+ * - Daily and monthly call quotas per provider (<PROVIDER>_DAILY_QUOTA,
+ *   <PROVIDER>_MONTHLY_QUOTA), counted in UTC days and months against logged
+ *   calls. Once PROVIDER_QUOTA_THRESHOLD_PERCENT of a quota is used the
+ *   provider is skipped until the period ends. dataService.cleanOldData
+ *   keeps the api_logs rows of the current month, so a cleanup never
+ *   lowers the count
+ * - Failures a retry cannot fix (rejected credentials, exhausted quota) are
+ *   not retried
+ * - Admin warnings in provider_warnings when a breaker opens, when
+ *   PROVIDER_QUOTA_WARNING_PERCENT of a quota is used and when the provider
+ *   is skipped for it, raised once per event across instances and emitted
+ *   as 'warning'
+ *
+ * When api_logs cannot be read, providers are let through rather than
+ * blocked.
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const EventEmitter = require('events');
+const db = require('../db/connection');
+const { safeJsonObject } = require('../utils/jsonHelpers');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ProviderGuard');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Consecutive failed calls that open a provider's breaker
+const BREAKER_FAILURES = parseInt(process.env.PROVIDER_BREAKER_FAILURES) || 5;
+
+// Failures older than this no longer count
+const BREAKER_WINDOW_MS = (parseInt(process.env.PROVIDER_BREAKER_WINDOW_MINUTES) || 10) * MINUTE;
+
+// Time an open breaker waits before a trial call
+const BREAKER_COOLDOWN_MS = (parseInt(process.env.PROVIDER_BREAKER_COOLDOWN_SECONDS) || 60) * SECOND;
+
+// Share of a quota after which a provider is skipped
+const QUOTA_THRESHOLD_PERCENT = parseFloat(process.env.PROVIDER_QUOTA_THRESHOLD_PERCENT) || 95;
+
+// Share of a quota after which admins are warned, ahead of the skip
+const QUOTA_WARNING_PERCENT = parseFloat(process.env.PROVIDER_QUOTA_WARNING_PERCENT) || 80;
+
+// How often api_logs is read again, to pick up other instances' calls
+const REFRESH_MS = 30 * SECOND;
+
+// A trial call not recorded by then no longer holds a half-open breaker
+const TRIAL_TIMEOUT_MS = 2 * MINUTE;
+
+// Responses that no retry fixes: rejected credentials or plan, exhausted quota
+const NON_RETRYABLE_STATUSES = [400, 401, 402, 403, 404, 429];
+
+const RATE_LIMITED_STATUS = 429;
+
+const QUOTA_PERIODS = ['daily', 'monthly'];
+
+const periodStart = (period, time) => (period === 'daily'
+  ? new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate()))
+  : new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), 1)));
+
+const periodEnd = (period, time) => {
+  const start = periodStart(period, time);
+  return period === 'daily'
+    ? new Date(start.getTime() + 24 * HOUR)
+    : new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+};
+
+const periodKey = (period, time) => periodStart(period, time).toISOString().slice(0, period === 'daily' ? 10 : 7);
+
+class ProviderGuardService extends EventEmitter {
+  constructor() {
+    super();
+    // provider -> { recent, used, loadedAt, refreshing, trialStartedAt }
+    this.states = new Map();
+    // Dedupe keys of warnings this instance raised
+    this.raised = new Set();
+  }
+
+  getSettings() {
+    return {
+      breakerFailures: BREAKER_FAILURES,
+      breakerWindowMinutes: BREAKER_WINDOW_MS / MINUTE,
+      breakerCooldownSeconds: BREAKER_COOLDOWN_MS / SECOND,
+      quotaThresholdPercent: QUOTA_THRESHOLD_PERCENT,
+      quotaWarningPercent: QUOTA_WARNING_PERCENT
+    };
+  }
+
+  /**
+   * Start of the longest quota period. api_logs rows from then on are
+   * counted for quotas, so cleanups must keep them.
+   */
+  getQuotaPeriodStart(now = new Date()) {
+    return periodStart('monthly', now);
+  }
+
+  /**
+   * Configured quotas of a provider; null when unlimited
+   */
+  getQuotas(provider) {
+    const prefix = provider.toUpperCase();
+    const parse = value => {
+      const limit = parseInt(value, 10);
+      return limit > 0 ? limit : null;
+    };
+    return {
+      daily: parse(process.env[`${prefix}_DAILY_QUOTA`]),
+      monthly: parse(process.env[`${prefix}_MONTHLY_QUOTA`])
+    };
+  }
+
+  getState(provider) {
+    if (!this.states.has(provider)) {
+      this.states.set(provider, {
+        recent: [], // Latest calls first: { success, status, at }
+        used: { daily: { key: null, count: 0 }, monthly: { key: null, count: 0 } },
+        loadedAt: 0,
+        refreshing: null,
+        trialStartedAt: 0
+      });
+    }
+    return this.states.get(provider);
+  }
+
+  /**
+   * Read a provider's recent calls and calls this period from api_logs
+   */
+  async refresh(provider, { force = false } = {}) {
+    const state = this.getState(provider);
+    if (!force && Date.now() - state.loadedAt < REFRESH_MS) return state;
+    if (state.refreshing) return state.refreshing;
+
+    state.refreshing = (async () => {
+      const now = new Date();
+      try {
+        const recent = await db('api_logs')
+          .select('success', 'status_code', 'created_at')
+          .where('provider', provider)
+          .where('created_at', '>=', new Date(now.getTime() - this.getWindowMs()))
+          .orderBy('created_at', 'desc')
+          .limit(BREAKER_FAILURES);
+
+        const counts = await db('api_logs')
+          .where('provider', provider)
+          .where('created_at', '>=', periodStart('monthly', now))
+          .select(db.raw('COUNT(*) as monthly'))
+          .select(db.raw('COUNT(CASE WHEN created_at >= ? THEN 1 END) as daily', [periodStart('daily', now)]))
+          .first();
+
+        state.recent = recent.map(row => ({
+          success: row.success,
+          status: row.status_code,
+          at: new Date(row.created_at)
+        }));
+        for (const period of QUOTA_PERIODS) {
+          state.used[period] = { key: periodKey(period, now), count: parseInt(counts[period]) || 0 };
+        }
+        state.loadedAt = Date.now();
+      } catch (error) {
+        // Try again on the next call rather than on every one
+        state.loadedAt = Date.now();
+        logger.error(`Failed to read ${provider} calls from api_logs:`, error);
+      } finally {
+        state.refreshing = null;
+      }
+      return state;
+    })();
+
+    return state.refreshing;
+  }
+
+  // Open breakers wait out their cooldown on failures the window still holds
+  getWindowMs() {
+    return Math.max(BREAKER_WINDOW_MS, BREAKER_COOLDOWN_MS);
+  }
+
+  /**
+   * Breaker state from a provider's recent calls
+   *
+   * @returns {Object} { state: closed|open|half-open, failures, lastFailureAt, retryAt }
+   */
+  circuitOf(state, now = Date.now()) {
+    const recent = state.recent.filter(call => now - call.at.getTime() < this.getWindowMs());
+    const firstSuccess = recent.findIndex(call => call.success);
+    const consecutive = recent.slice(0, firstSuccess === -1 ? recent.length : firstSuccess);
+
+    const tripped = consecutive.length >= BREAKER_FAILURES ||
+      consecutive.some(call => call.status === RATE_LIMITED_STATUS);
+    if (!tripped) {
+      return { state: 'closed', failures: consecutive.length, lastFailureAt: null, retryAt: null };
+    }
+
+    const lastFailureAt = consecutive[0].at;
+    const retryAt = new Date(lastFailureAt.getTime() + BREAKER_COOLDOWN_MS);
+    return {
+      state: now < retryAt.getTime() ? 'open' : 'half-open',
+      failures: consecutive.length,
+      lastFailureAt,
+      retryAt
+    };
+  }
+
+  /**
+   * Quota usage of a provider this day and month
+   *
+   * @returns {Object} { daily, monthly ({ limit, used, remaining, resetsAt } or null),
+   *   exhausted (period or null), warning (period past the warning share, or null) }
+   */
+  quotaOf(provider, state, now = new Date()) {
+    const quotas = this.getQuotas(provider);
+    const usage = { exhausted: null, warning: null };
+
+    for (const period of QUOTA_PERIODS) {
+      const limit = quotas[period];
+      if (!limit) {
+        usage[period] = null;
+        continue;
+      }
+
+      const counted = state.used[period];
+      const used = counted.key === periodKey(period, now) ? counted.count : 0;
+      usage[period] = {
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        resetsAt: periodEnd(period, now)
+      };
+      if (!usage.exhausted && used >= limit * QUOTA_THRESHOLD_PERCENT / 100) {
+        usage.exhausted = period;
+      }
+      if (!usage.warning && used >= limit * QUOTA_WARNING_PERCENT / 100) {
+        usage.warning = period;
+      }
+    }
+
+    return usage;
+  }
+
+  /**
+   * Whether a provider may be called now. A half-open breaker admits one
+   * trial call at a time; the caller must record() its outcome.
+   *
+   * @returns {Promise<Object>} { allowed, trial, code (CIRCUIT_OPEN or QUOTA_EXHAUSTED), reason }
+   */
+  async admit(provider) {
+    const state = await this.refresh(provider);
+
+    const quota = this.quotaOf(provider, state);
+    if (quota.exhausted) {
+      // Also when the quota was used up by another instance's calls
+      await this.warnQuota(provider, quota);
+      const { used, limit, resetsAt } = quota[quota.exhausted];
+      return {
+        allowed: false,
+        code: 'QUOTA_EXHAUSTED',
+        reason: `${provider} has used ${used} of its ${quota.exhausted} quota of ${limit} calls, until ${resetsAt.toISOString()}`
+      };
+    }
+
+    const circuit = this.circuitOf(state);
+    if (circuit.state === 'open') {
+      return {
+        allowed: false,
+        code: 'CIRCUIT_OPEN',
+        reason: `${provider} circuit open after ${circuit.failures} failed call(s), until ${circuit.retryAt.toISOString()}`
+      };
+    }
+    if (circuit.state === 'half-open') {
+      if (Date.now() - state.trialStartedAt < TRIAL_TIMEOUT_MS) {
+        return {
+          allowed: false,
+          code: 'CIRCUIT_OPEN',
+          reason: `${provider} circuit half-open, a trial call is in progress`
+        };
+      }
+      state.trialStartedAt = Date.now();
+      return { allowed: true, trial: true };
+    }
+
+    return { allowed: true, trial: false };
+  }
+
+  /**
+   * Whether a failed call may be retried: the failure is not one a retry
+   * cannot fix, and the provider is still admitted
+   */
+  canRetry(provider, error) {
+    if (NON_RETRYABLE_STATUSES.includes(error && error.status)) return false;
+
+    const state = this.getState(provider);
+    return this.circuitOf(state).state === 'closed' && !this.quotaOf(provider, state).exhausted;
+  }
+
+  /**
+   * Count a call that was logged to api_logs, and raise warnings for a
+   * breaker it opened or a quota it used up
+   *
+   * @param {string} provider
+   * @param {Object} outcome - { success, status }
+   */
+  async record(provider, { success, status = null }) {
+    const state = this.getState(provider);
+    const now = new Date();
+    const before = this.circuitOf(state, now.getTime());
+
+    state.recent.unshift({ success, status, at: now });
+    state.recent.length = Math.min(state.recent.length, BREAKER_FAILURES);
+    for (const period of QUOTA_PERIODS) {
+      const key = periodKey(period, now);
+      const counted = state.used[period];
+      state.used[period] = { key, count: counted.key === key ? counted.count + 1 : 1 };
+    }
+    state.trialStartedAt = 0;
+
+    const after = this.circuitOf(state, now.getTime());
+    if (before.state === 'half-open' && after.state === 'closed') {
+      logger.info(`${provider} circuit closed after a successful trial call`);
+    }
+    if (before.state === 'closed' && after.state === 'open') {
+      await this.raiseWarning(provider, 'circuit', `circuit:${provider}:${now.toISOString()}`,
+        `${provider} circuit opened after ${after.failures} failed call(s)${status ? ` (last HTTP ${status})` : ''}; calls resume with a trial at ${after.retryAt.toISOString()}`,
+        { failures: after.failures, status, retryAt: after.retryAt });
+    }
+
+    await this.warnQuota(provider, this.quotaOf(provider, state, now));
+  }
+
+  /**
+   * Warn once per period that a provider's quota is nearly used up, and
+   * once more when it is skipped for it
+   */
+  async warnQuota(provider, quota) {
+    if (quota.exhausted) {
+      const { used, limit, resetsAt } = quota[quota.exhausted];
+      await this.raiseWarning(provider, 'quota', `quota:${provider}:${quota.exhausted}:${periodKey(quota.exhausted, new Date())}`,
+        `${provider} has used ${used} of its ${quota.exhausted} quota of ${limit} calls; it is skipped until ${resetsAt.toISOString()}`,
+        { level: 'exhausted', period: quota.exhausted, used, limit, resetsAt });
+    } else if (quota.warning) {
+      const { used, limit, resetsAt } = quota[quota.warning];
+      await this.raiseWarning(provider, 'quota', `quota-warning:${provider}:${quota.warning}:${periodKey(quota.warning, new Date())}`,
+        `${provider} has used ${used} of its ${quota.warning} quota of ${limit} calls; it will be skipped from ${QUOTA_THRESHOLD_PERCENT}% until ${resetsAt.toISOString()}`,
+        { level: 'warning', period: quota.warning, used, limit, resetsAt });
+    }
+  }
+
+  /**
+   * Store an admin warning once per dedupe key and emit it
+   */
+  async raiseWarning(provider, kind, dedupeKey, message, details) {
+    if (this.raised.has(dedupeKey)) return;
+    if (this.raised.size >= 1000) this.raised.clear();
+    this.raised.add(dedupeKey);
+    logger.warn(message);
+
+    try {
+      const rows = await db('provider_warnings')
+        .insert({ provider, kind, message, details: JSON.stringify(details), dedupe_key: dedupeKey })
+        .onConflict('dedupe_key')
+        .ignore()
+        .returning('id');
+
+      if (rows.length > 0) {
+        this.emit('warning', { id: rows[0].id ?? rows[0], provider, kind, message, details, createdAt: new Date() });
+      }
+    } catch (error) {
+      logger.error(`Failed to record ${kind} warning for ${provider}:`, error);
+    }
+  }
+
+  /**
+   * Breaker and quota state of providers, for admin endpoints
+   *
+   * @param {string[]} providers
+   * @returns {Promise<Object>} provider -> { circuit, quota, admitted }
+   */
+  async getStatus(providers) {
+    const status = {};
+    for (const provider of providers) {
+      const state = await this.refresh(provider, { force: true });
+      const circuit = this.circuitOf(state);
+      const quota = this.quotaOf(provider, state);
+      status[provider] = {
+        circuit,
+        quota,
+        admitted: circuit.state !== 'open' && !quota.exhausted
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Warnings raised in the last hours, newest first
+   */
+  async getWarnings({ hours = 24, provider = null, limit = 100 } = {}) {
+    const query = db('provider_warnings')
+      .where('created_at', '>=', new Date(Date.now() - hours * HOUR))
+      .orderBy('created_at', 'desc')
+      .limit(limit);
+    if (provider) query.where('provider', provider);
+
+    const rows = await query;
+    return rows.map(row => ({
+      id: row.id,
+      provider: row.provider,
+      kind: row.kind,
+      message: row.message,
+      details: safeJsonObject(row.details, null),
+      createdAt: row.created_at
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new ProviderGuardService();
@@ -0,0 +1,24 @@
+/**
+ * Errors thrown by providers.
+ *
+ * Providers wrap failed requests with a message of their own, but keep the
+ * HTTP status of the response, so MetalPriceService can tell failures worth
+ * retrying (timeouts, server errors) from ones that are not (rejected
+ * credentials, exhausted quota).
+ */
+
+/**
+ * Error for a failed provider request
+ *
+ * @param {string} message
+ * @param {Error} [cause] - Error of the request, e.g. from axios
+ * @param {number} [status] - HTTP status, when the cause does not carry it
+ * @returns {Error} with status (null when no response was received)
+ */
+function providerError(message, cause = null, status = null) {
+  const error = new Error(message);
+  error.status = status || (cause && (cause.status || (cause.response && cause.response.status))) || null;
+  return error;
+}
+
+module.exports = { providerError };
@@ -0,0 +1,62 @@
+// GoldAPI.io price provider
+const axios = require('axios');
+const { TransformationRules } = require('../../schemas/apiSchemas');
+const { attachSource } = require('./source');
+const { providerError } = require('./errors');
+
+const config = {
+  baseUrl: 'https://www.goldapi.io/api',
+  apiKey: process.env.GOLDAPI_KEY,
+  timeout: parseInt(process.env.API_TIMEOUT) || 10000,
+  headers: {
+    'x-access-token': process.env.GOLDAPI_KEY
+  }
+};
+
+module.exports = {
+  name: 'goldapi',
+  description: 'GoldAPI.io live and historical spot prices',
+  capabilities: ['live', 'historical'],
+  config,
+  transformation: TransformationRules.goldapi,
+
+  async fetchLivePrice(metal, currency = 'INR') {
+    const url = `${config.baseUrl}/${metal}/${currency}`;
+    
+    console.log(`🌐 GoldAPI: Making API call to ${url}`);
+    
+    try {
+      const response = await axios.get(url, {
+        headers: config.headers,
+        timeout: config.timeout
+      });
+      
+      // Use schema-based transformation
+      return attachSource(
+        TransformationRules.goldapi.transformToStandard(response.data),
+        { provider: 'goldapi', endpoint: `/${metal}/${currency}`, params: {}, payload: response.data }
+      );
+    } catch (error) {
+      throw providerError(`GoldAPI Error: ${error.message}`, error);
+    }
+  },
+
+  async fetchHistoricalPrice(metal, currency = 'INR', date) {
+    const url = `${config.baseUrl}/${metal}/${currency}/${date}`;
+    
+    try {
+      const response = await axios.get(url, {
+        headers: config.headers,
+        timeout: config.timeout
+      });
+      
+      // Use schema-based transformation
+      return attachSource(
+        TransformationRules.goldapi.transformToStandard(response.data),
+        { provider: 'goldapi', endpoint: `/${metal}/${currency}/${date}`, params: {}, payload: response.data }
+      );
+    } catch (error) {
+      throw providerError(`GoldAPI Historical Error: ${error.message}`, error);
+    }
+  }
+};
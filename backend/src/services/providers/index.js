@@ -0,0 +1,146 @@
+/**
+ * Price Provider Registry
+ *
+ * Every external price source is a module in this directory that declares
+ * its name, the capabilities it supports and how its responses map into
+ * TransformationRules. MetalPriceService picks providers from this registry
+ * by capability, so adding a provider means adding a module and registering
+ * it here - the service core does not change.
+ *
+ * A provider module looks like:
+ *
+ *   module.exports = {
+ *     name: 'myprovider',
+ *     description: 'Short human readable description',
+ *     capabilities: ['live', 'historical'],
+ *     transformation: { transformToStandard: (response, metal, currency) => ({ ... }) },
+ *     fetchLivePrice: async (metal, currency) => standardPriceData,
+ *     fetchHistoricalPrice: async (metal, currency, date) => standardPriceData
+ *   };
+ *
+ * Providers with the timeframe capability may set timeframeMaxDays, the
+ * longest range a single request accepts; backfills split ranges to fit it.
+ *
+ * Price fetchers should attachSource() (./source) the raw response to the
+ * prices they return, so stored prices can be traced back to it. The mapping's
+ * version is read from transformation.version.
+ *
+ * Failed requests should throw providerError() (./errors) with the HTTP
+ * status, so failures a retry cannot fix are not retried.
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const { TransformationRules } = require('../../schemas/apiSchemas');
+
+// Capability name -> method the provider must implement for it
+const CAPABILITY_METHODS = {
+  live: 'fetchLivePrice',
+  historical: 'fetchHistoricalPrice',
+  batch: 'fetchAllLivePrices',
+  timeframe: 'fetchTimeframeData',
+  change: 'fetchChangeData',
+  convert: 'fetchConvertPrice',
+  carat: 'fetchCaratData',
+  symbols: 'fetchSymbols',
+  fx: 'fetchFxRates'
+};
+
+// Reserved name for serving everything from the database
+const DB_PROVIDER = 'db';
+
+const providers = new Map();
+
+/**
+ * Register a provider module
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+
+  if (provider.name === DB_PROVIDER) {
+    throw new Error(`Provider name "${DB_PROVIDER}" is reserved for DB-only mode`);
+  }
+
+  const capabilities = provider.capabilities || [];
+  for (const capability of capabilities) {
+    const method = CAPABILITY_METHODS[capability];
+    if (!method) {
+      throw new Error(`Provider ${provider.name} declares unknown capability: ${capability}`);
+    }
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`Provider ${provider.name} declares "${capability}" but does not implement ${method}()`);
+    }
+  }
+
+  // Make the provider's mapping available alongside the built-in rules
+  if (provider.transformation && !TransformationRules[provider.name]) {
+    TransformationRules[provider.name] = provider.transformation;
+  }
+
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Get a registered provider by name
+ */
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unsupported provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Check whether a provider is registered
+ */
+function hasProvider(name) {
+  return providers.has(name);
+}
+
+/**
+ * Names of all registered providers, in registration order
+ */
+function getProviderNames() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Check whether a provider supports a capability
+ */
+function supports(name, capability) {
+  const provider = providers.get(name);
+  return Boolean(provider && (provider.capabilities || []).includes(capability));
+}
+
+/**
+ * Summary of registered providers for admin endpoints
+ */
+function describeProviders() {
+  return getProviderNames().map(name => {
+    const provider = providers.get(name);
+    return {
+      name,
+      description: provider.description || null,
+      capabilities: provider.capabilities || []
+    };
+  });
+}
+
+// Built-in providers
+registerProvider(require('./goldapi'));
+registerProvider(require('./metalpriceapi'));
+
+module.exports = {
+  CAPABILITY_METHODS,
+  DB_PROVIDER,
+  registerProvider,
+  getProvider,
+  hasProvider,
+  getProviderNames,
+  supports,
+  describeProviders
+};
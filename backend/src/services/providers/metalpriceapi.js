@@ -0,0 +1,121 @@
+// MetalPriceAPI.com price provider
+const axios = require('axios');
+const { METAL_SYMBOLS, TransformationRules } = require('../../schemas/apiSchemas');
+const { attachSource } = require('./source');
+const { providerError } = require('./errors');
+
+const SUPPORTED_METALS = Object.keys(METAL_SYMBOLS);
+
+const config = {
+  baseUrl: 'https://api.metalpriceapi.com/v1',
+  apiKey: process.env.METALPRICEAPI_KEY || '',
+  timeout: parseInt(process.env.API_TIMEOUT) || 10000,
+  headers: {}
+};
+
+/**
+ * Perform a GET request and unwrap MetalPriceAPI's success flag
+ */
+async function request(path, params, errorLabel) {
+  try {
+    const response = await axios.get(`${config.baseUrl}${path}`, {
+      params: {
+        api_key: config.apiKey,
+        ...params
+      },
+      timeout: config.timeout
+    });
+    
+    if (!response.data.success) {
+      throw providerError(response.data.error?.message || 'API request failed', null, response.data.error?.statusCode);
+    }
+    
+    return response.data;
+  } catch (error) {
+    throw providerError(`MetalPriceAPI ${errorLabel} Error: ${error.message}`, error);
+  }
+}
+
+/**
+ * Map a rates response to a metal's standard price, keeping the response as its source
+ */
+function toStandard(data, metal, currency, source) {
+  return attachSource(TransformationRules.metalpriceapi.transformToStandard(data, metal, currency), source);
+}
+
+function sourceOf(data, endpoint, params) {
+  return { provider: 'metalpriceapi', endpoint, params, payload: data };
+}
+
+module.exports = {
+  name: 'metalpriceapi',
+  description: 'MetalPriceAPI.com rates, timeframes, conversion and carat data',
+  capabilities: ['live', 'historical', 'batch', 'timeframe', 'change', 'convert', 'carat', 'symbols', 'fx'],
+  timeframeMaxDays: 365, // Longest range one /timeframe request accepts
+  config,
+  transformation: TransformationRules.metalpriceapi,
+
+  async fetchLivePrice(metal, currency = 'INR') {
+    console.log(`🌐 MetalPriceAPI: Making API call to ${config.baseUrl}/latest`);
+    
+    const params = { base: currency, currencies: metal };
+    const data = await request('/latest', params, 'Live');
+    return toStandard(data, metal, currency, sourceOf(data, '/latest', params));
+  },
+
+  async fetchHistoricalPrice(metal, currency = 'INR', date) {
+    const params = { base: currency, currencies: metal };
+    const data = await request(`/${date}`, params, 'Historical');
+    return toStandard(data, metal, currency, sourceOf(data, `/${date}`, params));
+  },
+
+  async fetchAllLivePrices(currency = 'INR') {
+    const params = { base: currency, currencies: SUPPORTED_METALS.join(',') };
+    const data = await request('/latest', params, 'All Prices');
+    const source = sourceOf(data, '/latest', params);
+    
+    const results = {};
+    for (const metal of SUPPORTED_METALS) {
+      if (data.rates[metal]) {
+        results[METAL_SYMBOLS[metal]] = toStandard(data, metal, currency, source);
+      }
+    }
+    
+    return results;
+  },
+
+  async fetchConvertPrice(from, to, amount) {
+    return request('/convert', { from, to, amount }, 'Convert');
+  },
+
+  async fetchTimeframeData(startDate, endDate, base = 'INR', currencies = 'XAU,XAG,XPT,XPD') {
+    const params = { start_date: startDate, end_date: endDate, base, currencies };
+    const data = await request('/timeframe', params, 'Timeframe');
+    return attachSource(data, sourceOf(data, '/timeframe', params));
+  },
+
+  async fetchChangeData(base = 'INR', startDate, endDate, currencies = 'XAU,XAG,XPT,XPD') {
+    return request('/change', { base, start_date: startDate, end_date: endDate, currencies }, 'Change');
+  },
+
+  async fetchCaratData() {
+    return request('/carat', {}, 'Carat');
+  },
+
+  async fetchSymbols() {
+    return request('/symbols', {}, 'Symbols');
+  },
+
+  async fetchFxRates(base, currencies) {
+    const data = await request('/latest', { base, currencies: currencies.join(',') }, 'FX Rates');
+
+    const rates = {};
+    for (const currency of currencies) {
+      if (data.rates[currency]) {
+        rates[currency] = data.rates[currency];
+      }
+    }
+
+    return { base: data.base || base, rates, timestamp: data.timestamp };
+  }
+};
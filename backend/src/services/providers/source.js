@@ -0,0 +1,39 @@
+/**
+ * Raw responses behind the standardized data providers return.
+ *
+ * Providers attach the response a value was mapped from, so the price can be
+ * stored with its provenance. The source is kept outside the value itself and
+ * never ends up in API responses; copies of the value do not carry it.
+ */
+
+const sources = new WeakMap();
+
+/**
+ * Attach the raw response a standardized value was mapped from
+ *
+ * Values mapped from one response share its source object, so the response
+ * is stored once for all of them.
+ *
+ * @param {Object} data - Standardized value returned by the provider
+ * @param {Object|null} source - { provider, endpoint, params (without credentials), payload, fetchedAt }
+ * @returns {Object} data
+ */
+function attachSource(data, source) {
+  if (data && typeof data === 'object' && source) {
+    source.fetchedAt = source.fetchedAt || new Date();
+    sources.set(data, source);
+  }
+  return data;
+}
+
+/**
+ * Raw response a value was mapped from, or null
+ */
+function getSource(data) {
+  return data && typeof data === 'object' ? sources.get(data) || null : null;
+}
+
+module.exports = {
+  attachSource,
+  getSource
+};
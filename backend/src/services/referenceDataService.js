@@ -0,0 +1,194 @@
+/**
+ * Reference Data Service
+ *
+ * Stores the symbols, carat and change data the providers return in
+ * metal_symbols, carat_rates and price_changes, and reads it back in the
+ * providers' response shapes, so /symbols, /carat and /change can be served
+ * from the database in DB-only mode.
+ *
+ * Values are stored as the provider returned them: carat and change rates
+ * keep the provider's units, so a stored response matches a fetched one.
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const db = require('../db/connection');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ReferenceData');
+
+// Carat keys look like "24k" or "Carat 24K"
+const KARAT_PATTERN = /(\d{1,2})\s*k$/i;
+
+/**
+ * Normalize a timestamp in seconds, milliseconds or ISO string
+ */
+function toDate(value) {
+  if (!value) return new Date();
+  if (typeof value === 'number') return new Date(value < 1e12 ? value * 1000 : value);
+  return new Date(value);
+}
+
+// pg returns DATE columns as local-midnight Dates
+function toDateString(value) {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+class ReferenceDataService {
+  /**
+   * Store a symbols response ({ symbols: { XAU: 'Gold' } })
+   *
+   * @returns {Promise<number>} Symbols stored
+   */
+  async saveSymbols(data, provider) {
+    const rows = Object.entries(data?.symbols || {})
+      .filter(([symbol, name]) => symbol && typeof name === 'string')
+      .map(([symbol, name]) => ({ symbol, name, provider, updated_at: new Date() }));
+
+    if (rows.length === 0) return 0;
+
+    await db('metal_symbols')
+      .insert(rows)
+      .onConflict('symbol')
+      .merge(['name', 'provider', 'updated_at']);
+
+    logger.info(`Stored ${rows.length} symbol(s) from ${provider}`);
+    return rows.length;
+  }
+
+  /**
+   * Stored symbols in the provider's shape ({ symbols: { XAU: 'Gold' } }),
+   * or null when none are stored
+   */
+  async getSymbols() {
+    const rows = await db('metal_symbols').select('symbol', 'name', 'updated_at').orderBy('symbol', 'asc');
+    if (rows.length === 0) return null;
+
+    return {
+      symbols: Object.fromEntries(rows.map(row => [row.symbol, row.name])),
+      updatedAt: rows.reduce((latest, row) => (row.updated_at > latest ? row.updated_at : latest), rows[0].updated_at)
+    };
+  }
+
+  /**
+   * Store a carat response ({ base, timestamp, rates|data: { '24k': rate } })
+   *
+   * @returns {Promise<number>} Rates stored
+   */
+  async saveCaratRates(data, provider) {
+    const rateTimestamp = toDate(data?.timestamp);
+    const rows = Object.entries(data?.rates || data?.data || {})
+      .map(([label, rate]) => ({ label, karat: parseInt(label.match(KARAT_PATTERN)?.[1]), rate: Number(rate) }))
+      .filter(({ karat, rate }) => karat > 0 && karat <= 24 && Number.isFinite(rate))
+      .map(({ label, karat, rate }) => ({
+        base_currency: data.base || 'USD',
+        karat,
+        label,
+        rate,
+        provider,
+        rate_timestamp: rateTimestamp
+      }));
+
+    if (rows.length === 0) return 0;
+
+    await db('carat_rates')
+      .insert(rows)
+      .onConflict(['base_currency', 'karat', 'rate_timestamp'])
+      .ignore();
+
+    logger.info(`Stored ${rows.length} carat rate(s) in ${rows[0].base_currency} at ${rateTimestamp.toISOString()}`);
+    return rows.length;
+  }
+
+  /**
+   * Latest stored carat rates in the provider's shape
+   * ({ base, timestamp, rates: { '24k': rate } }), or null when none are stored
+   *
+   * @param {string} [base] - Base currency; the most recently stored one when omitted
+   */
+  async getCaratRates(base = null) {
+    const latest = await db('carat_rates')
+      .modify(query => { if (base) query.where('base_currency', base); })
+      .orderBy('rate_timestamp', 'desc')
+      .first('base_currency', 'rate_timestamp');
+    if (!latest) return null;
+
+    const rows = await db('carat_rates')
+      .where({ base_currency: latest.base_currency, rate_timestamp: latest.rate_timestamp })
+      .orderBy('karat', 'desc');
+
+    return {
+      base: latest.base_currency,
+      timestamp: Math.floor(new Date(latest.rate_timestamp).getTime() / 1000),
+      rates: Object.fromEntries(rows.map(row => [row.label, parseFloat(row.rate)]))
+    };
+  }
+
+  /**
+   * Store a change response
+   * ({ base, start_date, end_date, rates: { XAU: { start_rate, end_rate, change, change_pct } } })
+   *
+   * @returns {Promise<number>} Symbols stored
+   */
+  async saveChanges(data, provider) {
+    if (!data?.base || !data.start_date || !data.end_date) return 0;
+
+    const rows = Object.entries(data.rates || {})
+      .filter(([, change]) => change && ['start_rate', 'end_rate', 'change', 'change_pct'].every(field => Number.isFinite(Number(change[field]))))
+      .map(([symbol, change]) => ({
+        base_currency: data.base,
+        symbol,
+        start_date: data.start_date,
+        end_date: data.end_date,
+        start_rate: change.start_rate,
+        end_rate: change.end_rate,
+        change: change.change,
+        change_pct: change.change_pct,
+        provider,
+        updated_at: new Date()
+      }));
+
+    if (rows.length === 0) return 0;
+
+    await db('price_changes')
+      .insert(rows)
+      .onConflict(['base_currency', 'symbol', 'start_date', 'end_date'])
+      .merge(['start_rate', 'end_rate', 'change', 'change_pct', 'provider', 'updated_at']);
+
+    logger.info(`Stored ${rows.length} change(s) in ${data.base} from ${data.start_date} to ${data.end_date}`);
+    return rows.length;
+  }
+
+  /**
+   * Stored changes for a period in the provider's shape, or null when none
+   * of the symbols has one stored
+   *
+   * @param {string} base - Base currency
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @param {string[]} symbols - Symbols to include
+   */
+  async getChanges(base, startDate, endDate, symbols) {
+    const rows = await db('price_changes')
+      .where({ base_currency: base, start_date: startDate, end_date: endDate })
+      .whereIn('symbol', symbols);
+    if (rows.length === 0) return null;
+
+    return {
+      base,
+      start_date: toDateString(rows[0].start_date),
+      end_date: toDateString(rows[0].end_date),
+      rates: Object.fromEntries(rows.map(row => [row.symbol, {
+        start_rate: parseFloat(row.start_rate),
+        end_rate: parseFloat(row.end_rate),
+        change: parseFloat(row.change),
+        change_pct: parseFloat(row.change_pct)
+      }]))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ReferenceDataService();
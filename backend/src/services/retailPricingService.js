@@ -0,0 +1,272 @@
+/**
+ * Retail Pricing Service
+ *
+ * Turns the stored spot price into what a jewellery buyer in India pays:
+ * spot metal value for the weight and purity, plus import duty, wastage,
+ * making charges and GST, as an itemised breakdown.
+ *
+ * Features:
+ * - Rate sets live in retail_price_rates with an effective date; a quote
+ *   uses the set in effect at its time, so older quotes can be reproduced
+ * - Rate sets apply to one metal or, with no metal, to every metal; the
+ *   most recent one in effect wins, a metal-specific one on a tie
+ * - Making charges are a percentage of the landed metal value or a flat
+ *   amount per gram
+ * - Amounts are computed in the base currency and converted with the FX
+ *   rate of the spot price's time
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const db = require('../db/connection');
+const dataService = require('./dataService');
+const fxService = require('./fxService');
+const { METAL_SYMBOLS } = require('../schemas/apiSchemas');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('RetailPricing');
+
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+const MAKING_CHARGE_TYPES = ['percentage', 'per_gram'];
+
+// Used until an admin stores a rate set; GST on jewellery is 3%
+const DEFAULT_RATES = {
+  importDutyPercent: 6,
+  gstPercent: 3,
+  makingChargeType: 'percentage',
+  makingChargeValue: 12,
+  wastagePercent: 0
+};
+
+// Usual jewellery purity per metal when the request names none
+const DEFAULT_FINENESS = {
+  XAU: 22 / 24,
+  XAG: 0.925,
+  XPT: 0.95,
+  XPD: 0.95
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+class RetailPricingService {
+  getMakingChargeTypes() {
+    return MAKING_CHARGE_TYPES;
+  }
+
+  /**
+   * Parse a purity given as karat (22, "22k") or fineness (0.916, 916)
+   *
+   * @param {*} value - Requested purity; the metal's usual purity when omitted
+   * @param {string} metal - Metal symbol
+   * @returns {{fineness: number, karat: number|null}|null} Null when invalid
+   */
+  parsePurity(value, metal) {
+    let fineness;
+
+    if (value === undefined || value === null || value === '') {
+      fineness = DEFAULT_FINENESS[metal];
+    } else {
+      const text = String(value).trim().toLowerCase();
+      const karatMatch = text.match(/^(\d+(?:\.\d+)?)\s*(k|kt|karat|carat)$/);
+      const number = karatMatch ? parseFloat(karatMatch[1]) : Number(text);
+
+      if (!Number.isFinite(number) || number <= 0) return null;
+
+      if (karatMatch || (number > 1 && number <= 24)) {
+        fineness = number / 24;
+      } else if (number <= 1) {
+        fineness = number;
+      } else {
+        fineness = number / 1000;
+      }
+    }
+
+    if (!(fineness > 0 && fineness <= 1)) return null;
+
+    return {
+      fineness: round(fineness, 4),
+      karat: metal === 'XAU' ? round(fineness * 24, 1) : null
+    };
+  }
+
+  /**
+   * Rate set in effect for a metal at a point in time
+   *
+   * @returns {Promise<Object>} Formatted rate set; the defaults when none is stored
+   */
+  async getRatesAt(metal, at = new Date()) {
+    const row = await db('retail_price_rates')
+      .where(function() {
+        this.where('metal', metal).orWhereNull('metal');
+      })
+      .where('effective_from', '<=', at)
+      .orderBy('effective_from', 'desc')
+      .orderByRaw('metal IS NULL')
+      .first();
+
+    return row
+      ? this.formatRates(row)
+      : { id: null, metal: null, ...DEFAULT_RATES, effectiveFrom: null, source: 'default' };
+  }
+
+  /**
+   * Spot price per gram of pure metal in the base currency, at or before a time
+   */
+  async getSpotPrice(metal, at = null) {
+    const baseCurrency = fxService.getBaseCurrency();
+
+    if (!at) {
+      const latest = await dataService.getLatestPriceFromDB(metal, baseCurrency);
+      if (!latest) return null;
+
+      return {
+        pricePerGram: latest.price_gram_24k || latest.price / GRAMS_PER_TROY_OUNCE,
+        timestamp: latest.timestamp
+      };
+    }
+
+    const stored = await dataService.getPriceAtOrBefore(metal, baseCurrency, at);
+    if (!stored) return null;
+
+    return {
+      pricePerGram: stored.price / GRAMS_PER_TROY_OUNCE,
+      timestamp: stored.timestamp
+    };
+  }
+
+  /**
+   * Itemised retail price for a weight and purity of a metal
+   *
+   * @param {Object} params - { metal, weight (grams), purity ({ fineness, karat }), currency, at }
+   * @returns {Promise<Object|null>} Quote, or null when there is no stored spot price or FX rate
+   */
+  async quote({ metal, weight, purity, currency, at = null }) {
+    const baseCurrency = fxService.getBaseCurrency();
+    const spot = await this.getSpotPrice(metal, at);
+    if (!spot) return null;
+
+    const spotTime = new Date(spot.timestamp * 1000);
+    const rates = await this.getRatesAt(metal, at || new Date());
+
+    const fx = await fxService.getRate(baseCurrency, currency, { at: currency === baseCurrency ? null : spotTime });
+    if (!fx) return null;
+
+    // All amounts in the base currency first
+    const metalValue = spot.pricePerGram * purity.fineness * weight;
+    const importDuty = metalValue * rates.importDutyPercent / 100;
+    const landedValue = metalValue + importDuty;
+    const wastage = landedValue * rates.wastagePercent / 100;
+    const makingCharges = rates.makingChargeType === 'per_gram'
+      ? rates.makingChargeValue * weight
+      : landedValue * rates.makingChargeValue / 100;
+    const taxableValue = landedValue + wastage + makingCharges;
+    const gst = taxableValue * rates.gstPercent / 100;
+
+    const amount = value => round(value * fx.rate);
+
+    const breakdown = [
+      { component: 'metal_value', label: 'Metal value at spot', amount: amount(metalValue) },
+      { component: 'import_duty', label: 'Import duty', percent: rates.importDutyPercent, amount: amount(importDuty) },
+      { component: 'wastage', label: 'Wastage', percent: rates.wastagePercent, amount: amount(wastage) },
+      {
+        component: 'making_charges',
+        label: 'Making charges',
+        ...(rates.makingChargeType === 'per_gram'
+          ? { perGram: amount(rates.makingChargeValue) }
+          : { percent: rates.makingChargeValue }),
+        amount: amount(makingCharges)
+      },
+      { component: 'gst', label: 'GST', percent: rates.gstPercent, amount: amount(gst) }
+    ];
+
+    return {
+      metal: METAL_SYMBOLS[metal],
+      weightGrams: weight,
+      purity,
+      currency,
+      quotedAt: (at || new Date()).toISOString(),
+      spot: {
+        pricePerGram24k: amount(spot.pricePerGram),
+        pricePerGram: amount(spot.pricePerGram * purity.fineness),
+        timestamp: spotTime.toISOString()
+      },
+      rates,
+      breakdown,
+      taxableValue: amount(taxableValue),
+      total: amount(taxableValue + gst),
+      ...(currency !== baseCurrency && {
+        conversion: { from: baseCurrency, rate: fx.rate, rateTimestamp: fx.timestamp }
+      })
+    };
+  }
+
+  /**
+   * Stored rate sets, newest effective date first
+   */
+  async listRates({ metal = null } = {}) {
+    const query = db('retail_price_rates').orderBy('effective_from', 'desc');
+
+    if (metal) {
+      query.where('metal', metal);
+    }
+
+    const rows = await query;
+    return rows.map(row => this.formatRates(row));
+  }
+
+  async getRateSet(id) {
+    const row = await db('retail_price_rates').where('id', id).first();
+    return row ? this.formatRates(row) : null;
+  }
+
+  /**
+   * Store a rate set; it applies to quotes from effectiveFrom onwards
+   */
+  async createRateSet(data, userId) {
+    const [row] = await db('retail_price_rates').insert({
+      metal: data.metal || null,
+      import_duty_percent: data.importDutyPercent,
+      gst_percent: data.gstPercent,
+      making_charge_type: data.makingChargeType,
+      making_charge_value: data.makingChargeValue,
+      wastage_percent: data.wastagePercent || 0,
+      effective_from: data.effectiveFrom || new Date(),
+      note: data.note || null,
+      created_by: userId
+    }).returning('*');
+
+    logger.info(`Retail rate set ${row.id} for ${row.metal || 'all metals'} effective from ${new Date(row.effective_from).toISOString()} created by user ${userId}`);
+    return this.formatRates(row);
+  }
+
+  async deleteRateSet(id) {
+    const deleted = await db('retail_price_rates').where('id', id).del();
+    if (deleted) {
+      logger.info(`Retail rate set ${id} deleted`);
+    }
+    return deleted > 0;
+  }
+
+  formatRates(row) {
+    return {
+      id: row.id,
+      metal: row.metal ? METAL_SYMBOLS[row.metal] : null,
+      importDutyPercent: parseFloat(row.import_duty_percent),
+      gstPercent: parseFloat(row.gst_percent),
+      makingChargeType: row.making_charge_type,
+      makingChargeValue: parseFloat(row.making_charge_value),
+      wastagePercent: parseFloat(row.wastage_percent),
+      effectiveFrom: new Date(row.effective_from).toISOString(),
+      note: row.note,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      source: 'stored'
+    };
+  }
+}
+
+// Export singleton instance
+const retailPricingService = new RetailPricingService();
+
+module.exports = retailPricingService;
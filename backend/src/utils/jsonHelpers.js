@@ -62,9 +62,50 @@ function safeJsonStringify(data) {
   }
 }
 
+/**
+ * Extract a JSON value from model output, tolerating markdown code fences,
+ * surrounding prose and trailing commas
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed value, or null if no JSON could be recovered
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  let candidate = (fenced ? fenced[1] : text).trim();
+
+  // Keep the outermost object or array
+  const start = candidate.search(/[[{]/);
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (start === -1 || end < start) {
+    return null;
+  }
+  candidate = candidate.slice(start, end + 1);
+
+  const attempts = [
+    candidate,
+    candidate
+      .replace(/[“”]/g, '"')
+      .replace(/[‘’]/g, "'")
+      .replace(/,\s*([}\]])/g, '$1')
+  ];
+
+  for (const attempt of attempts) {
+    try {
+      return JSON.parse(attempt);
+    } catch (error) {
+      // Try the next repair
+    }
+  }
+  return null;
+}
+
 module.exports = {
   safeJsonParse,
   safeJsonArray,
   safeJsonObject,
-  safeJsonStringify
-};
\ No newline at end of file
+  safeJsonStringify,
+  extractJson
+};
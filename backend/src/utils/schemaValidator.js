@@ -0,0 +1,160 @@
+// Minimal JSON Schema validation and repair for model output
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a JSON Schema subset (type, properties, required,
+ * additionalProperties, items, enum, minimum, maximum, minLength, maxLength,
+ * minItems, maxItems)
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path used in error messages
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+function validateSchema(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be ${schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(schema.properties || {})[key]) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fix common, unambiguous deviations from a schema: numeric strings and
+ * percentages for numbers, enum casing, out-of-range numbers, over-long
+ * strings and arrays, and unknown properties. Anything else is left for
+ * validateSchema to report.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to repair
+ * @returns {*} Repaired copy of the value
+ */
+function repairToSchema(schema, value) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    let number = value;
+    if (typeof number === 'string') {
+      const parsed = parseFloat(number.replace(/[^\d.+-]/g, ''));
+      number = Number.isNaN(parsed) ? value : parsed;
+    }
+    if (typeof number !== 'number') return value;
+    // Confidence given as a percentage
+    if (schema.maximum === 1 && number > 1 && number <= 100) number = number / 100;
+    if (schema.minimum !== undefined) number = Math.max(schema.minimum, number);
+    if (schema.maximum !== undefined) number = Math.min(schema.maximum, number);
+    return schema.type === 'integer' ? Math.round(number) : number;
+  }
+
+  if (schema.type === 'string') {
+    if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+    if (typeof value !== 'string') return value;
+
+    let text = value.trim();
+    if (schema.enum) {
+      const match = schema.enum.find(option => option.toLowerCase() === text.toLowerCase());
+      return match || text;
+    }
+    if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+      text = `${text.slice(0, schema.maxLength - 1).trimEnd()}…`;
+    }
+    return text;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) return value;
+    const items = schema.maxItems !== undefined ? value.slice(0, schema.maxItems) : value;
+    return schema.items ? items.map(item => repairToSchema(schema.items, item)) : items;
+  }
+
+  if (schema.type === 'object') {
+    if (typeOf(value) !== 'object') return value;
+    const repaired = {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = (schema.properties || {})[key];
+      if (propertySchema) {
+        repaired[key] = repairToSchema(propertySchema, propertyValue);
+      } else if (schema.additionalProperties !== false) {
+        repaired[key] = propertyValue;
+      }
+    }
+    return repaired;
+  }
+
+  return value;
+}
+
+module.exports = {
+  validateSchema,
+  repairToSchema
+};
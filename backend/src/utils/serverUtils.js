@@ -106,8 +106,11 @@ async function startServer(app, preferredPort, serverName = 'Server') {
 
 /**
  * Graceful shutdown handler
+ *
+ * The price stream is stopped before the HTTP server is closed: upgraded
+ * WebSocket connections keep the HTTP server open until they end.
  */
-function setupGracefulShutdown(server, wsServer = null, dataSyncService = null) {
+function setupGracefulShutdown(server, priceStreamServer = null, dataSyncService = null) {
   const shutdown = (signal) => {
     console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
     
@@ -117,19 +120,16 @@ function setupGracefulShutdown(server, wsServer = null, dataSyncService = null)
       console.log('✅ Data sync service stopped');
     }
     
+    // Close WebSocket connections before the HTTP server they are attached to
+    if (priceStreamServer && priceStreamServer.stop) {
+      priceStreamServer.stop();
+      console.log('✅ WebSocket server closed');
+    }
+    
     // Close HTTP server
     server.close(() => {
       console.log('✅ HTTP server closed');
-      
-      // Close WebSocket server if exists
-      if (wsServer && wsServer.close) {
-        wsServer.close(() => {
-          console.log('✅ WebSocket server closed');
-          process.exit(0);
-        });
-      } else {
-        process.exit(0);
-      }
+      process.exit(0);
     });
     
     // Force shutdown after 10 seconds
@@ -144,29 +144,38 @@ function setupGracefulShutdown(server, wsServer = null, dataSyncService = null)
   process.on('SIGUSR2', () => shutdown('SIGUSR2')); // For nodemon
 }
 
+/**
+ * Origins allowed to call the API and open the price stream
+ */
+function getAllowedOrigins() {
+  return [
+    process.env.CORS_ORIGIN,
+    `http://localhost:${process.env.FRONTEND_PORT || 5173}`,
+    'http://localhost:5173',
+    'http://localhost:5174',
+    'http://localhost:5175',
+    'http://localhost:3000',
+    'http://127.0.0.1:5173',
+    'http://127.0.0.1:5174',
+    'http://127.0.0.1:5175'
+  ].filter(Boolean);
+}
+
+/**
+ * Check a request origin against the allowed origins. Requests with no
+ * origin (like mobile apps or curl requests) are allowed.
+ */
+function isAllowedOrigin(origin) {
+  return !origin || getAllowedOrigins().includes(origin);
+}
+
 /**
  * Enhanced CORS configuration
  */
 function configureCORS(app) {
   const corsOptions = {
     origin: function (origin, callback) {
-      // Allow requests with no origin (like mobile apps or curl requests)
-      if (!origin) return callback(null, true);
-      
-      // List of allowed origins
-      const allowedOrigins = [
-        process.env.CORS_ORIGIN,
-        `http://localhost:${process.env.FRONTEND_PORT || 5173}`,
-        'http://localhost:5173',
-        'http://localhost:5174',
-        'http://localhost:5175',
-        'http://localhost:3000',
-        'http://127.0.0.1:5173',
-        'http://127.0.0.1:5174',
-        'http://127.0.0.1:5175'
-      ].filter(Boolean);
-      
-      if (allowedOrigins.includes(origin)) {
+      if (isAllowedOrigin(origin)) {
         callback(null, true);
       } else {
         console.log(`🚫 CORS blocked origin: ${origin}`);
@@ -188,5 +197,7 @@ module.exports = {
   killPortProcess,
   startServer,
   setupGracefulShutdown,
+  getAllowedOrigins,
+  isAllowedOrigin,
   configureCORS
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Single-flight TTL cache
+ *
+ * Keeps values in memory for a time to live, and coalesces concurrent
+ * misses: while a key is being loaded, other callers for it wait on the
+ * same load instead of starting their own. Entries carry tags, so a write
+ * can drop every entry it makes stale without knowing their keys.
+ *
+ * Usage:
+ *
+ *   const cache = new SingleFlightCache({ ttlMs: 30000 });
+ *   const price = await cache.get('live:XAU:INR', () => fetchPrice(), { tags: ['XAU:INR'] });
+ *   cache.invalidateTag('XAU:INR');
+ *
+ * Callers receive their own copy of a value, so changing it does not change
+ * the cached one. Invalidating a key also covers a load of it that is still
+ * running: its value is returned to the callers already waiting, but not
+ * cached, and later callers start a new load. Invalidations made by a load
+ * itself (e.g. when it stores what it fetched) spare it and the loads it
+ * runs within.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+class SingleFlightCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs=30000] - Default time to live; 0 disables caching, loads are still coalesced
+   * @param {number} [options.maxEntries=1000] - Oldest entries are evicted beyond this
+   * @param {Function} [options.cacheable] - Whether a loaded value is kept, default: any value
+   */
+  constructor({ ttlMs = 30000, maxEntries = 1000, cacheable = () => true } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.cacheable = cacheable;
+
+    this.entries = new Map(); // key -> { value, expiresAt, tags }
+    this.inflight = new Map(); // key -> { promise, tags }
+    this.tagIndex = new Map(); // tag -> Set of keys
+    this.loadContext = new AsyncLocalStorage(); // Flights the running code belongs to
+
+    this.stats = { hits: 0, misses: 0, coalesced: 0, invalidations: 0, evictions: 0 };
+  }
+
+  /**
+   * Cached value of a key, or the value of load() shared by all callers
+   * asking while it runs. A rejected load is not cached.
+   *
+   * @param {string} key
+   * @param {Function} load - Returns a promise of the value
+   * @param {Object} [options] - { ttlMs, tags }
+   * @returns {Promise<*>}
+   */
+  async get(key, load, { ttlMs = this.ttlMs, tags = [] } = {}) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return structuredClone(entry.value);
+    }
+    if (entry) {
+      this.delete(key);
+    }
+
+    if (this.inflight.has(key)) {
+      this.stats.coalesced++;
+      return structuredClone(await this.inflight.get(key).promise);
+    }
+
+    this.stats.misses++;
+    const flight = { promise: null, tags };
+    const flights = [...(this.loadContext.getStore() || []), flight];
+    flight.promise = this.loadContext.run(flights, async () => load());
+    this.inflight.set(key, flight);
+
+    try {
+      const value = await flight.promise;
+      // An invalidation while loading removed the flight: the value may predate it
+      if (this.inflight.get(key) === flight && ttlMs > 0 && this.cacheable(value)) {
+        this.set(key, value, ttlMs, tags);
+      }
+      return value;
+    } finally {
+      if (this.inflight.get(key) === flight) {
+        this.inflight.delete(key);
+      }
+    }
+  }
+
+  set(key, value, ttlMs, tags) {
+    this.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs, tags });
+    for (const tag of tags) {
+      if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+      this.tagIndex.get(tag).add(key);
+    }
+
+    // Maps iterate in insertion order, so the first key is the oldest
+    while (this.entries.size > this.maxEntries) {
+      this.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.tagIndex.get(tag);
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) this.tagIndex.delete(tag);
+    }
+    return true;
+  }
+
+  /**
+   * Whether the calling code runs inside a load of this cache
+   */
+  isLoading() {
+    return Boolean(this.loadContext.getStore());
+  }
+
+  /**
+   * Drop every entry with a tag, and keep the loads with it that are
+   * running from being cached, except the caller's own
+   *
+   * @returns {number} Entries dropped
+   */
+  invalidateTag(tag) {
+    const own = this.loadContext.getStore() || [];
+    for (const [key, flight] of this.inflight) {
+      if (flight.tags.includes(tag) && !own.includes(flight)) this.inflight.delete(key);
+    }
+
+    const keys = this.tagIndex.get(tag);
+    if (!keys) return 0;
+
+    let dropped = 0;
+    for (const key of [...keys]) {
+      if (this.delete(key)) dropped++;
+    }
+    this.stats.invalidations += dropped;
+    return dropped;
+  }
+
+  /**
+   * Drop every entry, and keep the loads that are running from being
+   * cached, except the caller's own
+   *
+   * @returns {number} Entries dropped
+   */
+  clear() {
+    const own = this.loadContext.getStore() || [];
+    const dropped = this.entries.size;
+    this.entries.clear();
+    this.tagIndex.clear();
+    for (const [key, flight] of this.inflight) {
+      if (!own.includes(flight)) this.inflight.delete(key);
+    }
+    this.stats.invalidations += dropped;
+    return dropped;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+    return {
+      ...this.stats,
+      // Coalesced lookups were answered without a load of their own
+      hitRate: lookups > 0 ? Math.round(((this.stats.hits + this.stats.coalesced) / lookups) * 10000) / 10000 : null,
+      size: this.entries.size,
+      inflight: this.inflight.size,
+      ttlMs: this.ttlMs,
+      maxEntries: this.maxEntries
+    };
+  }
+}
+
+module.exports = SingleFlightCache;
@@ -0,0 +1,310 @@
+/**
+ * Streaming XLSX writer
+ *
+ * Writes a single-sheet workbook without a spreadsheet library: an XLSX file
+ * is a ZIP archive of SpreadsheetML parts. The sheet is deflated as rows
+ * arrive, so a workbook of any length is written with constant memory.
+ *
+ * Usage: pipe row objects in, workbook bytes come out.
+ *
+ *   const xlsx = new XlsxStream([{ key: 'price', header: 'Price', type: 'number' }]);
+ *   await pipeline(rows, xlsx, res);
+ */
+
+const { Transform } = require('stream');
+const zlib = require('zlib');
+
+// Rows a sheet holds, including the header row
+const MAX_SHEET_ROWS = 1048576;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Column letters of a zero-based index: 0 -> A, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Excel stores dates as days since 1899-12-30
+const toExcelDate = (date) => date.getTime() / 86400000 + 25569;
+
+// MS-DOS date and time of the ZIP entries
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+const STATIC_PARTS = {
+  '[Content_Types].xml':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>',
+  '_rels/.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/_rels/workbook.xml.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>',
+  // Style 1 shows dates as yyyy-mm-dd hh:mm:ss
+  'xl/styles.xml':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd\\ hh:mm:ss"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="3">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>'
+};
+
+const DATE_STYLE = 1;
+const HEADER_STYLE = 2;
+
+class XlsxStream extends Transform {
+  /**
+   * @param {Array<{key: string, header: string, type?: string}>} columns -
+   *   type is string (default), number or date
+   * @param {Object} [options] - { sheetName }
+   */
+  constructor(columns, { sheetName = 'Sheet1' } = {}) {
+    super({ writableObjectMode: true });
+    this.columns = columns;
+    this.sheetName = sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+    this.modified = dosDateTime(new Date());
+    this.offset = 0;
+    this.entries = [];
+    this.rowCount = 0;
+    this.sheet = null;
+  }
+
+  /**
+   * Data rows a sheet holds below its header
+   */
+  static get MAX_ROWS() {
+    return MAX_SHEET_ROWS - 1;
+  }
+
+  write32(buffer, value, offset) {
+    buffer.writeUInt32LE(value >>> 0, offset);
+  }
+
+  pushBytes(buffer) {
+    this.offset += buffer.length;
+    this.push(buffer);
+  }
+
+  localHeader(name, { flags, crc = 0, compressedSize = 0, size = 0 }) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    this.write32(header, 0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed: 2.0
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    this.write32(header, crc, 14);
+    this.write32(header, compressedSize, 18);
+    this.write32(header, size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    return Buffer.concat([header, nameBuffer]);
+  }
+
+  // A part whose content is known up front
+  addPart(name, content) {
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const entry = { name, flags: 0, crc: crc32(data), compressedSize: compressed.length, size: data.length, offset: this.offset };
+
+    this.pushBytes(this.localHeader(name, entry));
+    this.pushBytes(compressed);
+    this.entries.push(entry);
+  }
+
+  start() {
+    for (const [name, content] of Object.entries(STATIC_PARTS)) {
+      this.addPart(name, content);
+    }
+    this.addPart(
+      'xl/workbook.xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escapeXml(this.sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>'
+    );
+
+    // The sheet's size and CRC follow its data, in a data descriptor
+    const name = 'xl/worksheets/sheet1.xml';
+    this.sheet = { name, flags: 0x08, crc: 0, compressedSize: 0, size: 0, offset: this.offset };
+    this.pushBytes(this.localHeader(name, this.sheet));
+
+    this.deflate = zlib.createDeflateRaw();
+    this.deflate.on('data', chunk => {
+      this.sheet.compressedSize += chunk.length;
+      this.pushBytes(chunk);
+    });
+
+    const header = this.columns
+      .map((column, index) => `<c r="${columnName(index)}1" t="inlineStr" s="${HEADER_STYLE}"><is><t>${escapeXml(column.header)}</t></is></c>`)
+      .join('');
+
+    return this.writeSheet(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<sheetData><row r="1">${header}</row>`
+    );
+  }
+
+  writeSheet(xml) {
+    const data = Buffer.from(xml, 'utf8');
+    this.sheet.crc = crc32(data, this.sheet.crc);
+    this.sheet.size += data.length;
+
+    return new Promise((resolve, reject) => {
+      this.deflate.write(data, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  cell(column, index, rowNumber, value) {
+    if (value === null || value === undefined || value === '') return '';
+    const ref = `${columnName(index)}${rowNumber}`;
+
+    if (column.type === 'number' && Number.isFinite(Number(value))) {
+      return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+    }
+    if (column.type === 'date') {
+      const date = value instanceof Date ? value : new Date(value);
+      if (!isNaN(date.getTime())) {
+        return `<c r="${ref}" s="${DATE_STYLE}"><v>${toExcelDate(date)}</v></c>`;
+      }
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  }
+
+  _transform(row, encoding, callback) {
+    const started = this.sheet ? Promise.resolve() : this.start();
+
+    started
+      .then(() => {
+        if (this.rowCount >= XlsxStream.MAX_ROWS) {
+          throw new Error(`A sheet holds at most ${XlsxStream.MAX_ROWS} rows`);
+        }
+        this.rowCount++;
+        const rowNumber = this.rowCount + 1;
+        const cells = this.columns.map((column, index) => this.cell(column, index, rowNumber, row[column.key])).join('');
+        return this.writeSheet(`<row r="${rowNumber}">${cells}</row>`);
+      })
+      .then(() => callback(), callback);
+  }
+
+  _flush(callback) {
+    const started = this.sheet ? Promise.resolve() : this.start();
+
+    started
+      .then(() => this.writeSheet('</sheetData></worksheet>'))
+      .then(() => new Promise((resolve, reject) => {
+        this.deflate.once('end', resolve);
+        this.deflate.once('error', reject);
+        this.deflate.end();
+      }))
+      .then(() => {
+        const descriptor = Buffer.alloc(16);
+        this.write32(descriptor, 0x08074b50, 0);
+        this.write32(descriptor, this.sheet.crc, 4);
+        this.write32(descriptor, this.sheet.compressedSize, 8);
+        this.write32(descriptor, this.sheet.size, 12);
+        this.pushBytes(descriptor);
+        this.entries.push(this.sheet);
+
+        this.writeCentralDirectory();
+        callback();
+      })
+      .catch(callback);
+  }
+
+  writeCentralDirectory() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      const nameBuffer = Buffer.from(entry.name, 'utf8');
+      const header = Buffer.alloc(46);
+      this.write32(header, 0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6); // Version needed
+      header.writeUInt16LE(entry.flags, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(this.modified.time, 12);
+      header.writeUInt16LE(this.modified.date, 14);
+      this.write32(header, entry.crc, 16);
+      this.write32(header, entry.compressedSize, 20);
+      this.write32(header, entry.size, 24);
+      header.writeUInt16LE(nameBuffer.length, 28);
+      this.write32(header, entry.offset, 42);
+      this.pushBytes(Buffer.concat([header, nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    this.write32(end, 0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    this.write32(end, this.offset - start, 12);
+    this.write32(end, start, 16);
+    this.pushBytes(end);
+  }
+
+  _destroy(error, callback) {
+    if (this.deflate) this.deflate.destroy();
+    callback(error);
+  }
+}
+
+module.exports = XlsxStream;
@@ -0,0 +1,53 @@
+/**
+ * Price Fan-out
+ *
+ * Decides which backend instance ingests prices and carries stream events
+ * between instances. The adapter is chosen with PRICE_FANOUT_ADAPTER:
+ *
+ *   memory   - single process; it is always the leader (default)
+ *   postgres - LISTEN/NOTIFY on the knex pool with advisory-lock leader
+ *              election, for running several instances
+ *
+ * An adapter is an EventEmitter with:
+ *
+ *   start()        - begin listening and take part in leader election
+ *   isLeader()     - whether this instance should ingest prices
+ *   publish(event) - send a JSON-serializable event to every instance
+ *   stop()
+ *
+ * and emits 'event' for every published event (from any instance,
+ * including its own) and 'role' ('leader' or 'follower') on changes.
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const DEFAULT_FANOUT_ADAPTER = 'memory';
+
+const adapters = {
+  memory: () => new (require('./memory'))(),
+  postgres: () => new (require('./postgres'))({ channel: process.env.PRICE_FANOUT_CHANNEL })
+};
+
+/**
+ * Name of the configured fan-out adapter
+ */
+function getFanoutAdapterName() {
+  return (process.env.PRICE_FANOUT_ADAPTER || DEFAULT_FANOUT_ADAPTER).toLowerCase();
+}
+
+/**
+ * Create the configured fan-out adapter
+ */
+function createPriceFanout(name = getFanoutAdapterName()) {
+  const create = adapters[name];
+  if (!create) {
+    throw new Error(`Unsupported price fan-out adapter: ${name}`);
+  }
+  return create();
+}
+
+module.exports = {
+  DEFAULT_FANOUT_ADAPTER,
+  getFanoutAdapterName,
+  createPriceFanout
+};
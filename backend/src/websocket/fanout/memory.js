@@ -0,0 +1,42 @@
+/**
+ * In-memory Price Fan-out
+ *
+ * Single-process adapter: this process is always the leader and published
+ * events are delivered straight back to it. Used when one backend instance
+ * serves every WebSocket client.
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const EventEmitter = require('events');
+
+class MemoryFanout extends EventEmitter {
+  constructor() {
+    super();
+    this.name = 'memory';
+    this.leader = false;
+  }
+
+  async start() {
+    this.leader = true;
+    this.emit('role', 'leader');
+  }
+
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Deliver an event to this process, asynchronously like the Postgres
+   * adapter so callers see the same ordering in both modes
+   */
+  async publish(event) {
+    setImmediate(() => this.emit('event', event));
+  }
+
+  async stop() {
+    this.leader = false;
+  }
+}
+
+module.exports = MemoryFanout;
@@ -0,0 +1,193 @@
+/**
+ * Postgres Price Fan-out
+ *
+ * Multi-instance adapter for the database in db/connection.
+ *
+ * - Every instance holds one dedicated pg client, outside the knex pool, that
+ *   LISTENs on the fan-out channel and relays notifications as 'event's
+ * - The instance that holds a session-level advisory lock on that same
+ *   connection is the leader; the others retry the lock periodically, so a
+ *   new leader takes over shortly after the old one's connection drops
+ * - Events are published with pg_notify through the regular pool
+ * - A lost listen connection drops leadership and is re-established
+ *
+ * @author SwarnaAI Backend Team
+ */
+
+const EventEmitter = require('events');
+const { Client } = require('pg');
+const db = require('../../db/connection');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('PriceFanout');
+
+const DEFAULT_CHANNEL = 'price_stream';
+
+// Advisory lock held by the ingesting instance
+const LEADER_LOCK_ID = 7302001;
+
+// How often followers try to become the leader
+const ELECTION_INTERVAL_MS = 15 * 1000;
+
+// Delay before re-establishing a lost listen connection
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// NOTIFY payloads must be shorter than 8000 bytes
+const MAX_PAYLOAD_BYTES = 7900;
+
+class PostgresFanout extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.channel] - Notification channel name
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'postgres';
+    this.channel = options.channel || DEFAULT_CHANNEL;
+    this.connection = null;
+    this.leader = false;
+    this.stopped = false;
+    this.electionTimer = null;
+    this.reconnectTimer = null;
+    this.handleNotification = this.handleNotification.bind(this);
+  }
+
+  async start() {
+    this.stopped = false;
+
+    if (!/^[a-z_][a-z0-9_]*$/.test(this.channel)) {
+      throw new Error(`Invalid fan-out channel name: ${this.channel}`);
+    }
+
+    await this.connect();
+    this.electionTimer = setInterval(() => this.tryBecomeLeader(), ELECTION_INTERVAL_MS);
+  }
+
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Open a dedicated connection for LISTEN and the leader lock. It is held
+   * for good, so it is not taken from the knex pool the queries share.
+   */
+  async connect() {
+    const settings = db.client.config.connection;
+    const connection = new Client(typeof settings === 'string' ? { connectionString: settings } : settings);
+    connection.on('notification', this.handleNotification);
+    // A client may emit errors more than once, also after it was replaced;
+    // an error without a listener would crash the process
+    connection.on('error', (error) => this.handleConnectionLost(connection, error));
+    connection.on('end', () => this.handleConnectionLost(connection));
+
+    try {
+      await connection.connect();
+      await connection.query(`LISTEN ${this.channel}`);
+      this.connection = connection;
+      logger.info(`Listening for price events on ${this.channel}`);
+
+      await this.tryBecomeLeader();
+    } catch (error) {
+      logger.error('Failed to set up price fan-out listener:', error.message);
+      connection.removeListener('notification', this.handleNotification);
+      connection.end().catch(() => {});
+      this.scheduleReconnect();
+    }
+  }
+
+  async tryBecomeLeader() {
+    if (this.leader || !this.connection) return;
+
+    try {
+      const result = await this.connection.query(
+        'SELECT pg_try_advisory_lock($1) AS locked',
+        [LEADER_LOCK_ID]
+      );
+      if (result.rows[0].locked) {
+        this.setLeader(true);
+      }
+    } catch (error) {
+      logger.error('Leader election failed:', error.message);
+    }
+  }
+
+  setLeader(leader) {
+    if (this.leader === leader) return;
+    this.leader = leader;
+    logger.info(`This instance is now the price stream ${leader ? 'leader' : 'follower'}`);
+    this.emit('role', leader ? 'leader' : 'follower');
+  }
+
+  handleConnectionLost(connection, error) {
+    if (this.connection !== connection) return;
+
+    logger.warn('Price fan-out connection lost', error ? error.message : '');
+    connection.removeListener('notification', this.handleNotification);
+    this.connection = null;
+    // The advisory lock went with the session
+    this.setLeader(false);
+
+    connection.end().catch(() => {});
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, RECONNECT_DELAY_MS);
+  }
+
+  handleNotification(message) {
+    if (message.channel !== this.channel) return;
+
+    try {
+      this.emit('event', JSON.parse(message.payload));
+    } catch (error) {
+      logger.error('Ignoring malformed price event:', error.message);
+    }
+  }
+
+  /**
+   * Send an event to every instance, including this one
+   */
+  async publish(event) {
+    const payload = JSON.stringify(event);
+
+    if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+      logger.error(`Price event ${event.type} is too large to publish (${Buffer.byteLength(payload)} bytes)`);
+      return;
+    }
+
+    try {
+      await db.raw('SELECT pg_notify(?, ?)', [this.channel, payload]);
+    } catch (error) {
+      logger.error(`Failed to publish price event ${event.type}:`, error.message);
+    }
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearInterval(this.electionTimer);
+    clearTimeout(this.reconnectTimer);
+
+    const connection = this.connection;
+    this.connection = null;
+    if (!connection) return;
+
+    connection.removeListener('notification', this.handleNotification);
+    try {
+      await connection.query(`UNLISTEN ${this.channel}`);
+      if (this.leader) {
+        await connection.query('SELECT pg_advisory_unlock($1)', [LEADER_LOCK_ID]);
+      }
+    } catch (error) {
+      logger.warn('Error releasing price fan-out connection:', error.message);
+    }
+    this.setLeader(false);
+    await connection.end().catch(() => {});
+  }
+}
+
+module.exports = PostgresFanout;
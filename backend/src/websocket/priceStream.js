@@ -1,7 +1,39 @@
 // WebSocket server for real-time precious metals price streaming
+//
+// The stream is attached to the Express HTTP server and served on
+// DEFAULT_PATH (/ws/prices), so it shares the API's port, allowed origins and
+// shutdown.
+//
+// Connections are authenticated during the HTTP upgrade with the same JWT the
+// REST API accepts, or a single-use stream ticket. Anonymous connections may
+// only use the public price channels; authenticated ones also receive their
+// private user:<id> channel (alerts and notifications).
+//
+// Every channel frame carries a stream-wide, monotonic `seq`. Recent frames
+// are kept in a bounded replay buffer so a client reconnecting with
+// ?since=<seq> receives what it missed; if the buffer no longer covers that
+// point it gets fresh snapshots instead. Prices go out as full snapshots on
+// connect and compact deltas (changed metals and fields only) afterwards.
+//
+// With several backend instances only the fan-out leader polls providers,
+// evaluates alerts and assigns sequence numbers; frames reach every
+// instance through the fan-out adapter (see ./fanout) and each instance
+// relays them to its own clients.
+//
+// The message protocol is documented in docs/WEBSOCKET_SYSTEM.md.
+const os = require('os');
 const WebSocket = require('ws');
+const fxService = require('../services/fxService');
 const metalpricerService = require('../services/apiAbstraction');
-const { findAvailablePort, killPortProcess } = require('../utils/serverUtils');
+const alertService = require('../services/alertService');
+const insightCacheService = require('../services/insightCacheService');
+const authService = require('../auth/authService');
+const { getRequestToken } = require('../middleware/auth');
+const { CURRENCY_CODES } = require('../schemas/apiSchemas');
+const { safeJsonObject } = require('../utils/jsonHelpers');
+const { isAllowedOrigin } = require('../utils/serverUtils');
+const ReplayBuffer = require('./replayBuffer');
+const { createPriceFanout } = require('./fanout');
 
 const METALS = {
   gold: 'XAU',
@@ -10,67 +42,128 @@ const METALS = {
   palladium: 'XPD'
 };
 
+const DEFAULT_PATH = '/ws/prices';
+
+// Close code sent to clients when the server shuts down (RFC 6455 "going away")
+const CLOSE_GOING_AWAY = 1001;
+
+// Version of the message protocol; sent as `v` on every server frame
+const PROTOCOL_VERSION = 1;
+
+// Currency prices are fetched in; other currencies are converted from it
+const DEFAULT_CURRENCY = fxService.getBaseCurrency();
+
+// Price fields compared when building deltas; timestamp is sent along with
+// any change but is not a change on its own
+const PRICE_FIELDS = [
+  'price', 'change', 'changePercent', 'high', 'low',
+  'price_gram_24k', 'price_gram_22k', 'price_gram_18k'
+];
+
+// Frames kept for resuming clients
+const REPLAY_BUFFER_SIZE = parseInt(process.env.WS_REPLAY_BUFFER_SIZE) || 1000;
+
+const PRICE_UPDATE_INTERVAL_MS = 60000;
+
+// Followers re-announce their clients' currencies every update cycle; the
+// leader forgets announcements older than this
+const INTEREST_TTL_MS = 3 * PRICE_UPDATE_INTERVAL_MS;
+
+// Each subscribed currency costs a price fetch per update cycle
+const MAX_CURRENCIES_PER_CLIENT = 3;
+
+// Error frame codes
+const ERROR_CODES = {
+  INVALID_MESSAGE: 'invalid_message',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  UNKNOWN_TYPE: 'unknown_type',
+  INVALID_METAL: 'invalid_metal',
+  INVALID_CURRENCY: 'invalid_currency',
+  TOO_MANY_CURRENCIES: 'too_many_currencies'
+};
+
 class PriceStreamServer {
-  constructor(port = 3001) {
-    this.port = port;
+  /**
+   * @param {http.Server} server - HTTP server to accept upgrades on
+   * @param {Object} [options]
+   * @param {string} [options.path] - Upgrade path, defaults to /ws/prices
+   * @param {EventEmitter} [options.fanout] - Fan-out adapter, defaults to PRICE_FANOUT_ADAPTER
+   */
+  constructor(server, options = {}) {
+    this.server = server;
+    this.path = options.path || DEFAULT_PATH;
     this.wss = null;
     this.clients = new Set();
     this.priceUpdateInterval = null;
+    // currency -> metal name -> price
     this.lastPrices = {};
+    // Sequence number of the latest channel frame
+    this.seq = 0;
+    this.replayBuffer = new ReplayBuffer(REPLAY_BUFFER_SIZE);
+    this.fanout = options.fanout || createPriceFanout();
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    // instanceId -> { currencies, receivedAt } announced by followers
+    this.remoteInterest = new Map();
+    this.handleAlertTriggered = this.handleAlertTriggered.bind(this);
+    this.handleFanoutEvent = this.handleFanoutEvent.bind(this);
+    this.verifyClient = this.verifyClient.bind(this);
   }
 
   async start() {
     try {
-      // Handle port conflicts
-      await killPortProcess(this.port);
-      
-      // Find available port if needed
-      let actualPort = this.port;
-      try {
-        this.wss = new WebSocket.Server({ port: actualPort });
-      } catch (error) {
-        if (error.code === 'EADDRINUSE') {
-          actualPort = await findAvailablePort(this.port + 1);
-          this.wss = new WebSocket.Server({ port: actualPort });
-          console.log(`📍 WebSocket server using port ${actualPort} instead of ${this.port}`);
-        } else {
-          throw error;
-        }
-      }
-      
-      this.port = actualPort;
-      
+      this.wss = new WebSocket.Server({
+        server: this.server,
+        path: this.path,
+        verifyClient: this.verifyClient
+      });
+
+      // Errors of the underlying HTTP server are re-emitted here
+      this.wss.on('error', (error) => {
+        console.error('WebSocket server error:', error);
+      });
+
       this.wss.on('connection', (ws, req) => {
-        console.log('New WebSocket connection established');
+        this.setupClient(ws, req.user || null);
+        console.log(`New WebSocket connection established (${ws.user ? `user ${ws.user.id}` : 'anonymous'})`);
         this.clients.add(ws);
-      
-        // Send current prices to the new client
-        this.sendCurrentPrices(ws);
-        
+
+        this.resumeClient(ws, this.parseSince(req.url));
+
         ws.on('close', () => {
           console.log('WebSocket connection closed');
           this.clients.delete(ws);
         });
-        
+
         ws.on('error', (error) => {
           console.error('WebSocket error:', error);
           this.clients.delete(ws);
         });
-        
+
         ws.on('message', (message) => {
+          let data;
           try {
-            const data = JSON.parse(message);
-            this.handleClientMessage(ws, data);
+            data = JSON.parse(message);
           } catch (error) {
-            console.error('Error parsing WebSocket message:', error);
+            this.sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Message is not valid JSON');
+            return;
           }
+          this.handleClientMessage(ws, data);
         });
       });
-      
+
+      // Push triggered price alerts to their owners
+      alertService.on('triggered', this.handleAlertTriggered);
+
+      // Relay frames from the ingesting instance
+      this.fanout.on('event', this.handleFanoutEvent);
+      // Share price cache invalidations with the other instances
+      metalpricerService.useFanout(this.fanout);
+      await this.fanout.start();
+
       // Start price update interval
       this.startPriceUpdates();
-      
-      console.log(`🔌 WebSocket server started on port ${this.port}`);
+
+      console.log(`🔌 WebSocket server listening on ${this.path} (fan-out: ${this.fanout.name})`);
       return this.wss;
     } catch (error) {
       console.error('❌ Failed to start WebSocket server:', error);
@@ -78,26 +171,211 @@ class PriceStreamServer {
     }
   }
 
-  async sendCurrentPrices(ws) {
+  /**
+   * Check the upgrade request's origin against the API's allowed origins,
+   * then authenticate it. Connections without credentials are accepted
+   * anonymously; invalid credentials are rejected with 401.
+   */
+  async verifyClient(info, callback) {
+    if (!isAllowedOrigin(info.origin)) {
+      console.log(`🚫 WebSocket blocked origin: ${info.origin}`);
+      return callback(false, 403, 'Forbidden');
+    }
+
+    const credentials = this.extractCredentials(info.req);
+
+    if (!credentials) {
+      info.req.user = null;
+      return callback(true);
+    }
+
     try {
-      const prices = await this.fetchAllPrices();
-      ws.send(JSON.stringify({
-        type: 'priceUpdate',
-        data: prices,
-        timestamp: new Date().toISOString()
-      }));
+      info.req.user = await this.resolveUser(credentials);
+      callback(true);
     } catch (error) {
-      console.error('Error sending current prices:', error);
+      console.warn('Rejected WebSocket connection:', error.message);
+      callback(false, 401, 'Unauthorized');
     }
   }
 
-  async fetchAllPrices() {
+  /**
+   * Credentials from the upgrade request: the JWT the REST middleware reads
+   * (Authorization header, then the token cookie). Browsers cannot set
+   * headers on WebSocket requests, so they pass a single-use `ticket` query
+   * parameter from POST /api/auth/stream-ticket instead.
+   */
+  extractCredentials(req) {
+    req.cookies = req.cookies || this.parseCookies(req.headers.cookie);
+    const token = getRequestToken(req);
+    if (token) {
+      return { type: 'jwt', token };
+    }
+
+    const ticket = new URL(req.url, 'http://localhost').searchParams.get('ticket');
+    if (ticket) {
+      return { type: 'ticket', token: ticket };
+    }
+
+    return null;
+  }
+
+  parseCookies(cookieHeader) {
+    const cookies = {};
+    if (!cookieHeader) return cookies;
+
+    cookieHeader.split(';').forEach(pair => {
+      const index = pair.indexOf('=');
+      if (index === -1) return;
+      const name = pair.slice(0, index).trim();
+      const value = pair.slice(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    });
+
+    return cookies;
+  }
+
+  async resolveUser(credentials) {
+    const user = credentials.type === 'ticket'
+      ? await authService.redeemStreamTicket(credentials.token)
+      : await authService.getUserByToken(credentials.token);
+    return { id: user.id, role: user.role_name, preferences: safeJsonObject(user.preferences) };
+  }
+
+  /**
+   * Attach the user and the default subscription to a new connection:
+   * every metal, in the user's preferred currency
+   */
+  setupClient(ws, user) {
+    const currency = fxService.resolveCurrency(undefined, user);
+
+    ws.user = user;
+    ws.userId = user ? user.id : null;
+    ws.subscription = {
+      metals: Object.keys(METALS),
+      currencies: [currency]
+    };
+  }
+
+  /**
+   * Channels a connection receives: one public price channel per subscribed
+   * currency, plus its private user channel when authenticated
+   */
+  getChannels(ws) {
+    const channels = ws.subscription.currencies.map(currency => this.priceChannel(currency));
+    if (ws.userId) {
+      channels.push(this.userChannel(ws.userId));
+    }
+    return channels;
+  }
+
+  priceChannel(currency) {
+    return `prices:${currency}`;
+  }
+
+  userChannel(userId) {
+    return `user:${userId}`;
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...message }));
+    }
+  }
+
+  sendError(ws, code, message, ref) {
+    this.send(ws, {
+      type: 'error',
+      ...(ref !== undefined && { ref }),
+      error: { code, message },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  sendWelcome(ws, resumed = false) {
+    this.send(ws, {
+      type: 'welcome',
+      data: {
+        protocolVersion: PROTOCOL_VERSION,
+        user: ws.user ? { id: ws.user.id, role: ws.user.role } : null,
+        channels: this.getChannels(ws),
+        subscription: ws.subscription,
+        seq: this.seq,
+        resumed
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Last sequence number a reconnecting client received (?since=<seq>)
+   */
+  parseSince(requestUrl) {
+    const since = new URL(requestUrl, 'http://localhost').searchParams.get('since');
+    if (since === null || !/^\d+$/.test(since)) return null;
+    return parseInt(since, 10);
+  }
+
+  /**
+   * Greet a new connection, then either replay the frames it missed or,
+   * when it is new or the buffer no longer covers its position, send
+   * snapshots of its channels
+   */
+  resumeClient(ws, since) {
+    const missed = since === null ? null : this.replayBuffer.since(since, this.seq);
+
+    this.sendWelcome(ws, missed !== null);
+
+    if (missed === null) {
+      this.sendSnapshots(ws, ws.subscription.currencies);
+      return;
+    }
+
+    missed.forEach(frame => this.deliver(ws, frame));
+  }
+
+  /**
+   * Send the latest prices of the given currencies to one client
+   */
+  async sendSnapshots(ws, currencies) {
+    for (const currency of currencies) {
+      try {
+        const prices = this.lastPrices[currency] || await this.fetchAllPrices(currency);
+        if (!this.lastPrices[currency] && Object.keys(prices).length > 0) {
+          this.lastPrices[currency] = prices;
+        }
+
+        // A snapshot is the channel state as of the latest seq
+        this.send(ws, {
+          type: 'price.snapshot',
+          channel: this.priceChannel(currency),
+          seq: this.seq,
+          currency,
+          data: this.filterMetals(prices, ws.subscription.metals),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error(`Error sending current ${currency} prices:`, error);
+      }
+    }
+  }
+
+  async fetchAllPrices(currency = DEFAULT_CURRENCY, basePrices = null) {
     try {
-      const response = await metalpricerService.getAllLivePrices('INR');
-      
+      // Convert this cycle's base prices instead of fetching again
+      if (basePrices && currency !== DEFAULT_CURRENCY && Object.keys(basePrices).length > 0) {
+        const converted = await fxService.convertPrices(basePrices, currency);
+        if (converted) return converted;
+      }
+
+      const response = await fxService.getAllLivePrices(currency);
+
       if (response.success && response.data) {
         const prices = {};
-        
+
         // Transform the response data to match expected format
         Object.keys(response.data).forEach(metalName => {
           const metalData = response.data[metalName];
@@ -108,103 +386,409 @@ class PriceStreamServer {
               changePercent: metalData.changePercent || 0,
               high: metalData.high || metalData.price,
               low: metalData.low || metalData.price,
+              ...(metalData.price_gram_24k && { price_gram_24k: metalData.price_gram_24k }),
+              ...(metalData.price_gram_22k && { price_gram_22k: metalData.price_gram_22k }),
+              ...(metalData.price_gram_18k && { price_gram_18k: metalData.price_gram_18k }),
+              ...(metalData.conversion && { conversion: metalData.conversion }),
               timestamp: new Date().toISOString()
             };
           }
         });
-        
+
         return prices;
       } else {
-        console.error('Failed to fetch prices from API abstraction service:', response.error);
+        console.error(`Failed to fetch ${currency} prices from API abstraction service:`, response.error);
         return {};
       }
     } catch (error) {
-      console.error('Error fetching all prices:', error);
+      console.error(`Error fetching all ${currency} prices:`, error);
       return {};
     }
   }
 
+  /**
+   * Currencies subscribed by this instance's clients
+   */
+  getLocalCurrencies() {
+    const currencies = new Set();
+    this.clients.forEach(ws => {
+      ws.subscription?.currencies.forEach(currency => currencies.add(currency));
+    });
+    return [...currencies];
+  }
+
+  /**
+   * Currencies to fetch each cycle: the default (used for alerts and
+   * insights) plus every currency a client of any instance subscribed to
+   */
+  getActiveCurrencies() {
+    const currencies = new Set([DEFAULT_CURRENCY, ...this.getLocalCurrencies()]);
+    const now = Date.now();
+
+    this.remoteInterest.forEach((interest, instanceId) => {
+      if (now - interest.receivedAt > INTEREST_TTL_MS) {
+        this.remoteInterest.delete(instanceId);
+        return;
+      }
+      interest.currencies.forEach(currency => currencies.add(currency));
+    });
+
+    return [...currencies];
+  }
+
+  /**
+   * Tell the leader which currencies this instance's clients need
+   */
+  announceInterest() {
+    if (this.fanout.isLeader()) return;
+
+    this.fanout.publish({
+      type: 'interest',
+      instanceId: this.instanceId,
+      currencies: this.getLocalCurrencies()
+    });
+  }
+
   startPriceUpdates() {
-    // Update prices every 60 seconds
+    // Update prices every 60 seconds; only the leader polls providers
     this.priceUpdateInterval = setInterval(async () => {
+      if (!this.fanout.isLeader()) {
+        this.announceInterest();
+        return;
+      }
+
       try {
-        const prices = await this.fetchAllPrices();
-        
-        // Check for significant price changes
-        const updates = this.detectPriceChanges(prices);
-        
-        if (updates.length > 0) {
-          this.broadcast({
-            type: 'priceUpdate',
-            data: prices,
-            changes: updates,
-            timestamp: new Date().toISOString()
-          });
+        const alertPrices = [];
+        let basePrices = null;
+
+        // The default currency comes first, so the others are converted from it
+        for (const currency of this.getActiveCurrencies()) {
+          const prices = await this.fetchAllPrices(currency, basePrices);
+          if (currency === DEFAULT_CURRENCY) basePrices = prices;
+          if (Object.keys(prices).length === 0) continue;
+
+          // Publish only the metals and fields that changed
+          const delta = this.diffPrices(this.lastPrices[currency], prices);
+
+          if (Object.keys(delta).length > 0) {
+            this.publish(this.priceChannel(currency), {
+              type: 'price.delta',
+              currency,
+              data: delta,
+              timestamp: new Date().toISOString()
+            });
+          }
+
+          this.lastPrices[currency] = prices;
+          alertPrices.push(...this.toAlertPrices(prices, currency));
         }
-        
-        this.lastPrices = prices;
+
+        // Check user price alerts against the new prices
+        await alertService.evaluateAlerts(alertPrices, 'stream');
+
+        // Refresh stored AI insights if prices moved past the threshold
+        await insightCacheService.checkPriceThreshold(alertPrices);
       } catch (error) {
         console.error('Error updating prices:', error);
       }
-    }, 60000); // 60 seconds
-  }
-
-  detectPriceChanges(newPrices) {
-    const changes = [];
-    
-    Object.keys(newPrices).forEach(metal => {
-      if (this.lastPrices[metal]) {
-        const oldPrice = this.lastPrices[metal].price;
-        const newPrice = newPrices[metal].price;
-        const changePercent = ((newPrice - oldPrice) / oldPrice) * 100;
-        
-        // Alert for changes greater than 1%
-        if (Math.abs(changePercent) > 1) {
-          changes.push({
-            metal,
-            oldPrice,
-            newPrice,
-            changePercent,
-            direction: changePercent > 0 ? 'up' : 'down'
-          });
+    }, PRICE_UPDATE_INTERVAL_MS);
+  }
+
+  /**
+   * Changed fields per metal between two price sets; metals that are new
+   * are included in full
+   */
+  diffPrices(previous = {}, current) {
+    const delta = {};
+
+    Object.keys(current).forEach(metal => {
+      const before = previous[metal];
+      const after = current[metal];
+
+      if (!before) {
+        delta[metal] = after;
+        return;
+      }
+
+      const changed = {};
+      PRICE_FIELDS.forEach(field => {
+        if (after[field] !== undefined && after[field] !== before[field]) {
+          changed[field] = after[field];
         }
+      });
+
+      if (Object.keys(changed).length > 0) {
+        delta[metal] = { ...changed, timestamp: after.timestamp };
       }
     });
-    
-    return changes;
+
+    return delta;
   }
 
-  broadcast(message) {
-    const messageString = JSON.stringify(message);
-    
-    this.clients.forEach(ws => {
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(messageString);
+  toAlertPrices(prices, currency = DEFAULT_CURRENCY) {
+    return Object.keys(prices)
+      .filter(metalName => METALS[metalName])
+      .map(metalName => ({
+        metal: METALS[metalName],
+        currency,
+        price: prices[metalName].price
+      }));
+  }
+
+  filterMetals(prices, metals) {
+    const filtered = {};
+    metals.forEach(metal => {
+      if (prices[metal]) {
+        filtered[metal] = prices[metal];
       }
     });
+    return filtered;
+  }
+
+  /**
+   * Publish a channel frame to the clients of every instance. The leader
+   * assigns the next sequence number; other instances forward the message
+   * to the leader to be sequenced.
+   */
+  publish(channel, message) {
+    if (!this.fanout.isLeader()) {
+      return this.fanout.publish({ type: 'message', channel, message });
+    }
+
+    const frame = { type: message.type, channel, seq: ++this.seq, ...message };
+    return this.fanout.publish({ type: 'frame', frame });
+  }
+
+  handleFanoutEvent(event) {
+    switch (event.type) {
+      case 'frame':
+        this.receiveFrame(event.frame);
+        break;
+
+      case 'message':
+        // Forwarded by a follower for sequencing
+        if (this.fanout.isLeader()) {
+          this.publish(event.channel, event.message);
+        }
+        break;
+
+      case 'interest':
+        if (this.fanout.isLeader() && event.instanceId !== this.instanceId) {
+          this.remoteInterest.set(event.instanceId, {
+            currencies: event.currencies || [],
+            receivedAt: Date.now()
+          });
+        }
+        break;
+    }
+  }
+
+  /**
+   * Keep a sequenced frame for resuming clients, apply price deltas to the
+   * prices snapshots are served from, and send it to the current subscribers
+   */
+  receiveFrame(frame) {
+    if (frame.seq <= this.replayBuffer.lastSeq()) return;
+
+    this.seq = Math.max(this.seq, frame.seq);
+    this.replayBuffer.push(frame);
+
+    if (frame.type === 'price.delta') {
+      this.mergeDelta(frame.currency, frame.data);
+    }
+
+    this.clients.forEach(ws => this.deliver(ws, frame));
+  }
+
+  mergeDelta(currency, delta) {
+    const prices = this.lastPrices[currency];
+    if (!prices) return;
+
+    Object.keys(delta).forEach(metal => {
+      prices[metal] = { ...prices[metal], ...delta[metal] };
+    });
+  }
+
+  /**
+   * Send a channel frame to one client if it receives the channel. Price
+   * deltas are narrowed to the client's metals and skipped if none changed.
+   */
+  deliver(ws, frame) {
+    if (!this.getChannels(ws).includes(frame.channel)) return;
+
+    if (frame.type === 'price.delta') {
+      const data = this.filterMetals(frame.data, ws.subscription.metals);
+      if (Object.keys(data).length === 0) return;
+      this.send(ws, { ...frame, data });
+      return;
+    }
+
+    this.send(ws, frame);
+  }
+
+  handleAlertTriggered(event) {
+    this.sendToUser(event.userId, {
+      type: 'alert.triggered',
+      data: {
+        alert: event.alert,
+        price: event.price,
+        source: event.source
+      },
+      timestamp: event.triggeredAt
+    });
+  }
+
+  /**
+   * Push a notification to every connection of a user
+   *
+   * @param {number} userId - Recipient
+   * @param {Object} notification - { title, message, level?, data? }
+   */
+  notifyUser(userId, notification) {
+    this.sendToUser(userId, {
+      type: 'notification',
+      data: {
+        title: notification.title,
+        message: notification.message,
+        level: notification.level || 'info',
+        ...(notification.data !== undefined && { data: notification.data })
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Send a message on a user's private channel
+   */
+  sendToUser(userId, message) {
+    this.publish(this.userChannel(userId), message);
+  }
+
+  /**
+   * Validate and normalize the metals and currencies of a (un)subscribe
+   * request. Sends an error frame and returns null when invalid.
+   */
+  parseSubscription(ws, data) {
+    const metals = data.metals === undefined ? [] : data.metals;
+    const currencies = data.currencies === undefined ? [] : data.currencies;
+
+    if (!Array.isArray(metals) || !Array.isArray(currencies)) {
+      this.sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'metals and currencies must be arrays', data.id);
+      return null;
+    }
+
+    const normalizedMetals = metals.map(metal => String(metal).toLowerCase());
+    const unknownMetal = normalizedMetals.find(metal => !METALS[metal]);
+    if (unknownMetal) {
+      this.sendError(ws, ERROR_CODES.INVALID_METAL, `Unknown metal: ${unknownMetal}`, data.id);
+      return null;
+    }
+
+    const normalizedCurrencies = currencies.map(currency => String(currency).toUpperCase());
+    const unknownCurrency = normalizedCurrencies.find(currency => !CURRENCY_CODES[currency]);
+    if (unknownCurrency) {
+      this.sendError(ws, ERROR_CODES.INVALID_CURRENCY, `Unsupported currency: ${unknownCurrency}`, data.id);
+      return null;
+    }
+
+    return { metals: normalizedMetals, currencies: normalizedCurrencies };
+  }
+
+  handleSubscribe(ws, data) {
+    const request = this.parseSubscription(ws, data);
+    if (!request) return;
+
+    const { subscription } = ws;
+    const currencies = [...new Set([...subscription.currencies, ...request.currencies])];
+    if (currencies.length > MAX_CURRENCIES_PER_CLIENT) {
+      this.sendError(
+        ws,
+        ERROR_CODES.TOO_MANY_CURRENCIES,
+        `At most ${MAX_CURRENCIES_PER_CLIENT} currencies can be subscribed at once`,
+        data.id
+      );
+      return;
+    }
+
+    const addedCurrencies = currencies.filter(currency => !subscription.currencies.includes(currency));
+
+    // Subscribing without metals keeps the previous behaviour of selecting all
+    subscription.metals = data.metals === undefined && request.currencies.length === 0
+      ? Object.keys(METALS)
+      : [...new Set([...subscription.metals, ...request.metals])];
+    subscription.currencies = currencies;
+
+    this.sendSubscribed(ws, data.id);
+    this.sendSnapshots(ws, addedCurrencies);
+
+    if (addedCurrencies.length > 0) {
+      this.announceInterest();
+    }
+  }
+
+  handleUnsubscribe(ws, data) {
+    const request = this.parseSubscription(ws, data);
+    if (!request) return;
+
+    const { subscription } = ws;
+    subscription.metals = subscription.metals.filter(metal => !request.metals.includes(metal));
+    subscription.currencies = subscription.currencies.filter(
+      currency => !request.currencies.includes(currency)
+    );
+
+    this.sendSubscribed(ws, data.id);
+  }
+
+  sendSubscribed(ws, ref) {
+    this.send(ws, {
+      type: 'subscribed',
+      ...(ref !== undefined && { ref }),
+      data: {
+        channels: this.getChannels(ws),
+        subscription: ws.subscription
+      },
+      timestamp: new Date().toISOString()
+    });
   }
 
   handleClientMessage(ws, data) {
+    if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+      this.sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with a type');
+      return;
+    }
+
+    if (data.v !== undefined && data.v !== PROTOCOL_VERSION) {
+      this.sendError(
+        ws,
+        ERROR_CODES.UNSUPPORTED_VERSION,
+        `Protocol version ${data.v} is not supported; use ${PROTOCOL_VERSION}`,
+        data.id
+      );
+      return;
+    }
+
     switch (data.type) {
       case 'subscribe':
-        // Client wants to subscribe to specific metals
-        ws.subscribedMetals = data.metals || Object.keys(METALS);
+        // Add metals and/or currencies to the subscription
+        this.handleSubscribe(ws, data);
         break;
-      
+
       case 'unsubscribe':
-        // Client wants to unsubscribe from specific metals
-        ws.subscribedMetals = ws.subscribedMetals?.filter(metal => 
-          !data.metals.includes(metal)
-        ) || [];
+        // Remove metals and/or currencies from the subscription
+        this.handleUnsubscribe(ws, data);
         break;
-      
+
       case 'ping':
         // Heartbeat
-        ws.send(JSON.stringify({ type: 'pong' }));
+        this.send(ws, {
+          type: 'pong',
+          ...(data.id !== undefined && { ref: data.id }),
+          timestamp: new Date().toISOString()
+        });
         break;
-      
+
       default:
-        console.log('Unknown message type:', data.type);
+        this.sendError(ws, ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${data.type}`, data.id);
     }
   }
 
@@ -212,13 +796,28 @@ class PriceStreamServer {
     if (this.priceUpdateInterval) {
       clearInterval(this.priceUpdateInterval);
     }
-    
+
+    alertService.off('triggered', this.handleAlertTriggered);
+
+    this.fanout.off('event', this.handleFanoutEvent);
+    metalpricerService.useFanout(null);
+    this.fanout.stop().catch(error => console.error('Error stopping price fan-out:', error));
+
+    // Open connections would otherwise keep the HTTP server from closing
+    this.clients.forEach(ws => ws.close(CLOSE_GOING_AWAY, 'Server shutting down'));
+    this.clients.clear();
+    this.replayBuffer.clear();
+
     if (this.wss) {
       this.wss.close();
     }
-    
+
     console.log('WebSocket server stopped');
   }
 }
 
-module.exports = PriceStreamServer;
\ No newline at end of file
+PriceStreamServer.DEFAULT_PATH = DEFAULT_PATH;
+PriceStreamServer.PROTOCOL_VERSION = PROTOCOL_VERSION;
+PriceStreamServer.ERROR_CODES = ERROR_CODES;
+
+module.exports = PriceStreamServer;
@@ -0,0 +1,52 @@
+// Bounded buffer of recent stream frames, used to resume reconnecting clients
+
+class ReplayBuffer {
+  /**
+   * @param {number} capacity - Maximum number of frames kept
+   */
+  constructor(capacity = 1000) {
+    this.capacity = capacity;
+    this.frames = [];
+  }
+
+  /**
+   * Add a frame; frames must be pushed in increasing seq order
+   */
+  push(frame) {
+    this.frames.push(frame);
+    if (this.frames.length > this.capacity) {
+      this.frames.splice(0, this.frames.length - this.capacity);
+    }
+  }
+
+  /**
+   * Frames after the given sequence number, or null when some of them were
+   * already dropped and the client has to start over from a snapshot
+   *
+   * @param {number} seq - Last sequence number the client received
+   * @param {number} currentSeq - Latest sequence number assigned
+   * @returns {Array<Object>|null}
+   */
+  since(seq, currentSeq) {
+    if (seq > currentSeq) return null;
+    if (seq === currentSeq) return [];
+
+    const oldest = this.frames.length > 0 ? this.frames[0].seq : currentSeq + 1;
+    if (seq + 1 < oldest) return null;
+
+    return this.frames.filter(frame => frame.seq > seq);
+  }
+
+  /**
+   * Sequence number of the newest frame, 0 when empty
+   */
+  lastSeq() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].seq : 0;
+  }
+
+  clear() {
+    this.frames = [];
+  }
+}
+
+module.exports = ReplayBuffer;
@@ -2,12 +2,14 @@ import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { useRealTimePrices } from '../hooks/useRealTimePrices';
 import { useTheme } from '../contexts/ThemeContext';
+import { useAuth } from '../contexts/AuthContext';
 
 // Layout Components
 import DashboardHeader from './layout/DashboardHeader';
 
 // Metal Components  
 import MetalsGrid, { Metal } from './metals/MetalsGrid';
+import CitySelector from './metals/CitySelector';
 import PriceChart from './PriceChart';
 
 // AI Components
@@ -34,7 +36,9 @@ const Dashboard: React.FC = () => {
   const [showFilters, setShowFilters] = useState(false);
   
   // Hooks
-  const { prices, loading, error } = useRealTimePrices();
+  const { user, updatePreferences } = useAuth();
+  const selectedCity = user?.preferences?.city ?? null;
+  const { prices, city, loading, error } = useRealTimePrices(selectedCity);
   const { isDark } = useTheme();
   
   // Data Processing
@@ -54,7 +58,8 @@ const Dashboard: React.FC = () => {
       price_gram_24k: metalData.price_gram_24k,
       price_gram_22k: metalData.price_gram_22k,
       price_gram_18k: metalData.price_gram_18k,
-      per_ounce_price: metalData.per_ounce_price
+      per_ounce_price: metalData.per_ounce_price,
+      city: city?.name
     });
 
     if (prices.gold?.price) {
@@ -113,6 +118,14 @@ const Dashboard: React.FC = () => {
           />
         )}
         
+        {/* City Selector */}
+        <div className="flex justify-end mb-4">
+          <CitySelector
+            value={selectedCity}
+            onChange={(cityId) => updatePreferences({ city: cityId })}
+          />
+        </div>
+
         {/* Metal Cards Grid */}
         <MetalsGrid
           metals={metals}
@@ -1,9 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import Calendar from 'react-calendar';
 import { motion } from 'framer-motion';
 import { format, startOfDay, isToday, isSameDay } from 'date-fns';
 import { TrendingUp, TrendingDown, Calendar as CalendarIcon } from 'lucide-react';
 import { useTheme } from '../contexts/ThemeContext';
+import { useChartCandles } from '../hooks/useChartCandles';
 import 'react-calendar/dist/Calendar.css';
 
 interface HistoricalCalendarProps {
@@ -20,47 +21,33 @@ interface PriceData {
 
 const HistoricalCalendar: React.FC<HistoricalCalendarProps> = ({ selectedMetal, onDateSelect }) => {
   const [selectedDate, setSelectedDate] = useState<Date>(new Date());
-  const [historicalData, setHistoricalData] = useState<PriceData[]>([]);
   const [selectedDateData, setSelectedDateData] = useState<PriceData | null>(null);
-  const [loading, setLoading] = useState(false);
+  const { candles, loading } = useChartCandles(selectedMetal, '1M');
   const { isDark } = useTheme();
 
-  // Generate sample historical data
-  const generateHistoricalData = () => {
+  // Daily candles (UTC days) -> close and change against the previous close.
+  // Gap-filled days carry the previous close forward but get no tile marker.
+  const historicalData: PriceData[] = useMemo(() => {
     const data: PriceData[] = [];
-    const basePrice = selectedMetal === 'gold' ? 5400 : selectedMetal === 'silver' ? 82 : selectedMetal === 'platinum' ? 2890 : 1890;
-    const today = new Date();
-    
-    for (let i = 0; i < 30; i++) {
-      const date = new Date();
-      date.setDate(today.getDate() - i);
-      
-      const variation = (Math.random() - 0.5) * (basePrice * 0.05);
-      const price = basePrice + variation + (Math.sin(i / 5) * basePrice * 0.02);
-      const previousPrice = basePrice + (Math.sin((i + 1) / 5) * basePrice * 0.02);
-      const change = price - previousPrice;
-      const changePercent = (change / previousPrice) * 100;
-      
+    let previousClose: number | null = null;
+
+    for (const candle of candles) {
+      const reference = previousClose ?? candle.open;
+      previousClose = candle.close;
+
+      if (candle.filled) continue;
+
+      const change = candle.close - reference;
       data.push({
-        date: format(date, 'yyyy-MM-dd'),
-        price: Math.round(price * 100) / 100,
+        date: candle.timestamp.slice(0, 10),
+        price: Math.round(candle.close * 100) / 100,
         change: Math.round(change * 100) / 100,
-        changePercent: Math.round(changePercent * 100) / 100
+        changePercent: reference > 0 ? Math.round((change / reference) * 10000) / 100 : 0
       });
     }
-    
-    return data;
-  };
 
-  useEffect(() => {
-    setLoading(true);
-    // Simulate API call
-    setTimeout(() => {
-      const data = generateHistoricalData();
-      setHistoricalData(data);
-      setLoading(false);
-    }, 300);
-  }, [selectedMetal]);
+    return data;
+  }, [candles]);
 
   useEffect(() => {
     const dateStr = format(selectedDate, 'yyyy-MM-dd');
@@ -194,6 +181,14 @@ const HistoricalCalendar: React.FC<HistoricalCalendarProps> = ({ selectedMetal,
         />
       </div>
 
+      {!loading && historicalData.length < 2 && (
+        <p className={`text-xs transition-colors duration-300 ${
+          isDark ? 'text-gray-400' : 'text-slate-500'
+        }`}>
+          Not enough stored price history for the last 30 days yet.
+        </p>
+      )}
+
       {selectedDateData && (
         <motion.div
           initial={{ opacity: 0, y: 10 }}
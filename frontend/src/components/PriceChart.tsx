@@ -1,83 +1,42 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area, AreaChart } from 'recharts';
 import { motion } from 'framer-motion';
 import { TrendingUp, TrendingDown, BarChart3, Activity } from 'lucide-react';
+import { format } from 'date-fns';
 import { useTheme } from '../contexts/ThemeContext';
+import { useChartCandles, ChartCandle } from '../hooks/useChartCandles';
 
 interface PriceChartProps {
   metal: string;
   timeframe: string;
 }
 
-interface ChartData {
-  timestamp: string;
+interface ChartPoint extends ChartCandle {
+  label: string;
   price: number;
-  volume: number;
 }
 
+// Axis label format for each period's candle interval
+const LABEL_FORMATS: Record<string, string> = {
+  '1H': 'HH:mm',
+  '4H': 'HH:mm',
+  '1D': 'HH:mm',
+  '1W': 'dd MMM HH:mm',
+  '1M': 'dd MMM',
+  '3M': 'dd MMM',
+  '1Y': 'dd MMM yy'
+};
+
 const PriceChart: React.FC<PriceChartProps> = ({ metal, timeframe }) => {
-  const [chartData, setChartData] = useState<ChartData[]>([]);
   const [chartType, setChartType] = useState<'line' | 'area'>('area');
-  const [loading, setLoading] = useState(false);
+  const { candles, loading, error, insufficientData } = useChartCandles(metal, timeframe);
   const { isDark } = useTheme();
 
-  // Fetch real chart data from API
-  const fetchChartData = async () => {
-    try {
-      const response = await fetch(`http://localhost:3000/api/metals/${metal}/chart/${timeframe}`);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const result = await response.json();
-      if (!result.success) {
-        throw new Error(result.error || 'Failed to fetch chart data');
-      }
-      
-      return result.data;
-    } catch (error) {
-      console.error('Failed to fetch chart data:', error);
-      // Fallback to sample data if API fails
-      return generateSampleData();
-    }
-  };
-
-  // Generate sample data (fallback)
-  const generateSampleData = () => {
-    const data: ChartData[] = [];
-    const basePrice = metal === 'gold' ? 5400 : metal === 'silver' ? 82 : metal === 'platinum' ? 2890 : 1890;
-    const points = timeframe === '1H' ? 60 : timeframe === '4H' ? 240 : timeframe === '1D' ? 24 : 30;
-    
-    for (let i = 0; i < points; i++) {
-      const variation = (Math.random() - 0.5) * (basePrice * 0.02);
-      const price = basePrice + variation + (Math.sin(i / 10) * basePrice * 0.01);
-      
-      data.push({
-        timestamp: timeframe === '1H' ? `${i}:00` : timeframe === '1D' ? `${i}:00` : `Day ${i + 1}`,
-        price: Math.round(price * 100) / 100,
-        volume: Math.round(Math.random() * 1000000)
-      });
-    }
-    
-    return data;
-  };
-
-  useEffect(() => {
-    const loadChartData = async () => {
-      setLoading(true);
-      try {
-        const data = await fetchChartData();
-        setChartData(data);
-      } catch (error) {
-        console.error('Error loading chart data:', error);
-        setChartData(generateSampleData());
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadChartData();
-  }, [metal, timeframe]);
+  const chartData: ChartPoint[] = useMemo(() => candles.map(candle => ({
+    ...candle,
+    label: format(new Date(candle.timestamp), LABEL_FORMATS[timeframe] || 'dd MMM HH:mm'),
+    price: candle.close
+  })), [candles, timeframe]);
 
   const CustomTooltip = ({ active, payload, label }: any) => {
     if (active && payload && payload.length) {
@@ -92,21 +51,23 @@ const PriceChart: React.FC<PriceChartProps> = ({ metal, timeframe }) => {
               isDark ? 'text-white' : 'text-slate-900'
             }`}>₹{data.price.toLocaleString()}</span>
           </p>
-          <p className="text-sm text-slate-600">
-            Volume: <span className={`font-semibold transition-colors duration-300 ${
-              isDark ? 'text-white' : 'text-slate-900'
-            }`}>{data.volume.toLocaleString()}</span>
+          <p className="text-xs text-slate-500">
+            O ₹{data.open.toLocaleString()} · H ₹{data.high.toLocaleString()} · L ₹{data.low.toLocaleString()} · C ₹{data.close.toLocaleString()}
           </p>
+          {data.filled && (
+            <p className="text-xs text-slate-400">No new prices in this interval</p>
+          )}
         </div>
       );
     }
     return null;
   };
 
-  const currentPrice = chartData.length > 0 ? chartData[chartData.length - 1].price : 0;
-  const previousPrice = chartData.length > 1 ? chartData[chartData.length - 2].price : currentPrice;
-  const priceChange = currentPrice - previousPrice;
-  const priceChangePercent = previousPrice > 0 ? ((priceChange / previousPrice) * 100) : 0;
+  // Change over the whole period: first open to last close
+  const currentPrice = chartData.length > 0 ? chartData[chartData.length - 1].close : 0;
+  const openingPrice = chartData.length > 0 ? chartData[0].open : currentPrice;
+  const priceChange = currentPrice - openingPrice;
+  const priceChangePercent = openingPrice > 0 ? ((priceChange / openingPrice) * 100) : 0;
 
   return (
     <div className="space-y-4">
@@ -163,13 +124,21 @@ const PriceChart: React.FC<PriceChartProps> = ({ metal, timeframe }) => {
           <div className="h-full flex items-center justify-center">
             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500"></div>
           </div>
+        ) : error || insufficientData ? (
+          <div className="h-full flex items-center justify-center">
+            <p className={`text-sm transition-colors duration-300 ${
+              isDark ? 'text-gray-400' : 'text-slate-500'
+            }`}>
+              {error ? `Unable to load chart data: ${error}` : `Not enough price history for ${metal} over ${timeframe} yet`}
+            </p>
+          </div>
         ) : (
           <ResponsiveContainer width="100%" height="100%">
             {chartType === 'line' ? (
               <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
                 <XAxis 
-                  dataKey="timestamp" 
+                  dataKey="label" 
                   stroke="#64748b"
                   fontSize={12}
                   tickLine={false}
@@ -202,7 +171,7 @@ const PriceChart: React.FC<PriceChartProps> = ({ metal, timeframe }) => {
                 </defs>
                 <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
                 <XAxis 
-                  dataKey="timestamp" 
+                  dataKey="label" 
                   stroke="#64748b"
                   fontSize={12}
                   tickLine={false}
@@ -235,21 +204,21 @@ const PriceChart: React.FC<PriceChartProps> = ({ metal, timeframe }) => {
         <div className="text-center">
           <div className="text-xs text-slate-500">High</div>
           <div className="text-sm font-semibold text-green-600">
-            ₹{chartData.length > 0 ? Math.max(...chartData.map(d => d.price)).toFixed(2) : '0.00'}
+            ₹{chartData.length > 0 ? Math.max(...chartData.map(d => d.high)).toFixed(2) : '0.00'}
           </div>
         </div>
         <div className="text-center">
           <div className="text-xs text-slate-500">Low</div>
           <div className="text-sm font-semibold text-red-600">
-            ₹{chartData.length > 0 ? Math.min(...chartData.map(d => d.price)).toFixed(2) : '0.00'}
+            ₹{chartData.length > 0 ? Math.min(...chartData.map(d => d.low)).toFixed(2) : '0.00'}
           </div>
         </div>
         <div className="text-center">
-          <div className="text-xs text-slate-500">Volume</div>
+          <div className="text-xs text-slate-500">Open</div>
           <div className={`text-sm font-semibold transition-colors duration-300 ${
             isDark ? 'text-white' : 'text-slate-900'
           }`}>
-            {chartData.length > 0 ? chartData[chartData.length - 1].volume.toLocaleString() : '0'}
+            ₹{openingPrice.toFixed(2)}
           </div>
         </div>
         <div className="text-center">
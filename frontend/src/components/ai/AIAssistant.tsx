@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Bot, Send, Sparkles, RefreshCw } from 'lucide-react';
+import { Bot, Send, Sparkles, RefreshCw, Square, Wrench, MessageSquarePlus } from 'lucide-react';
 import { useAI } from '../../hooks/useAI';
 import { useTheme } from '../../contexts/ThemeContext';
 import GoldCard from '../common/GoldCard';
@@ -29,10 +29,37 @@ const AIAssistant: React.FC<AIAssistantProps> = ({
     aiInsightsError,
     refreshAIInsights,
     chatWithAI,
+    cancelChat,
+    streamingResponse,
+    activeTool,
     isChatLoading,
-    chatError
+    chatError,
+    conversationId,
+    loadConversation,
+    startNewConversation
   } = useAI();
 
+  // After a reload, show the last reply of the stored conversation
+  useEffect(() => {
+    if (conversationId === null) return;
+
+    loadConversation(conversationId)
+      .then(messages => {
+        const lastReply = [...messages].reverse().find(message => message.role === 'assistant');
+        if (lastReply) setAiResponse(lastReply.content);
+      })
+      .catch(error => console.error('Error restoring conversation:', error));
+  }, []);
+
+  const handleNewConversation = () => {
+    startNewConversation();
+    setAiResponse('');
+    setAiQuery('');
+  };
+
+  // Show the answer as it streams in, then the settled response
+  const displayedResponse = isChatLoading ? streamingResponse : aiResponse;
+
   const handleAiQuery = async () => {
     if (!aiQuery.trim() || isChatLoading) return;
     
@@ -45,6 +72,7 @@ const AIAssistant: React.FC<AIAssistantProps> = ({
         timeframe
       });
       
+      // A cancelled request resolves with whatever arrived before cancelling
       setAiResponse(response);
       setAiQuery('');
     } catch (error) {
@@ -195,7 +223,7 @@ const AIAssistant: React.FC<AIAssistantProps> = ({
 
       {/* AI Response Display */}
       <AnimatePresence>
-        {aiResponse && (
+        {(displayedResponse || (isChatLoading && activeTool)) && (
           <motion.div 
             initial={{ opacity: 0, scale: 0.95, y: 10 }}
             animate={{ opacity: 1, scale: 1, y: 0 }}
@@ -213,19 +241,32 @@ const AIAssistant: React.FC<AIAssistantProps> = ({
                 isDark ? 'text-amber-400' : 'text-amber-600'
               }`} />
               <div className="flex-1">
-                <p className={`text-sm leading-relaxed transition-colors duration-300 ${
+                {isChatLoading && activeTool && (
+                  <div className={`flex items-center space-x-2 mb-2 text-xs ${
+                    isDark ? 'text-amber-400' : 'text-amber-700'
+                  }`}>
+                    <Wrench className="h-3 w-3 animate-pulse" />
+                    <span>{activeTool}</span>
+                  </div>
+                )}
+                <p className={`text-sm leading-relaxed whitespace-pre-wrap transition-colors duration-300 ${
                   isDark ? 'text-gray-300' : 'text-slate-700'
                 }`}>
-                  {aiResponse}
+                  {displayedResponse}
+                  {isChatLoading && displayedResponse && (
+                    <span className="inline-block w-1.5 h-4 ml-0.5 align-middle bg-amber-500 animate-pulse" />
+                  )}
                 </p>
-                <GoldButton
-                  variant="ghost"
-                  size="sm"
-                  onClick={() => setAiResponse('')}
-                  className="mt-2 text-xs"
-                >
-                  Clear
-                </GoldButton>
+                {!isChatLoading && (
+                  <GoldButton
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setAiResponse('')}
+                    className="mt-2 text-xs"
+                  >
+                    Clear
+                  </GoldButton>
+                )}
               </div>
             </div>
           </motion.div>
@@ -234,11 +275,24 @@ const AIAssistant: React.FC<AIAssistantProps> = ({
 
       {/* Chat Input */}
       <div className="space-y-3">
-        <div className="flex items-center space-x-2">
-          <Send className={`h-4 w-4 ${isDark ? 'text-gray-400' : 'text-slate-500'}`} />
-          <span className={`text-sm font-medium ${isDark ? 'text-gray-300' : 'text-slate-700'}`}>
-            Ask AI Assistant
-          </span>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <Send className={`h-4 w-4 ${isDark ? 'text-gray-400' : 'text-slate-500'}`} />
+            <span className={`text-sm font-medium ${isDark ? 'text-gray-300' : 'text-slate-700'}`}>
+              Ask AI Assistant
+            </span>
+          </div>
+          {conversationId !== null && (
+            <GoldButton
+              variant="ghost"
+              size="sm"
+              onClick={handleNewConversation}
+              className="text-xs"
+            >
+              <MessageSquarePlus className="h-3 w-3 mr-1" />
+              New chat
+            </GoldButton>
+          )}
         </div>
 
         <div className="flex items-end space-x-2">
@@ -251,14 +305,24 @@ const AIAssistant: React.FC<AIAssistantProps> = ({
             className="flex-1"
           />
           
-          <GoldButton 
-            onClick={handleAiQuery}
-            disabled={isChatLoading || !aiQuery.trim()}
-            isLoading={isChatLoading}
-            className="shrink-0"
-          >
-            <Send className="h-4 w-4" />
-          </GoldButton>
+          {isChatLoading ? (
+            <GoldButton
+              variant="ghost"
+              onClick={cancelChat}
+              className="shrink-0"
+              title="Stop generating"
+            >
+              <Square className="h-4 w-4" />
+            </GoldButton>
+          ) : (
+            <GoldButton 
+              onClick={handleAiQuery}
+              disabled={!aiQuery.trim()}
+              className="shrink-0"
+            >
+              <Send className="h-4 w-4" />
+            </GoldButton>
+          )}
         </div>
 
         {chatError && (
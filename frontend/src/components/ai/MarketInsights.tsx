@@ -1,7 +1,7 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { TrendingUp, TrendingDown, BarChart3, Brain, Target, RefreshCw } from 'lucide-react';
-import { useAI } from '../../hooks/useAI';
+import { useAI, MarketInsight } from '../../hooks/useAI';
 import { useTheme } from '../../contexts/ThemeContext';
 import GoldCard from '../common/GoldCard';
 import GoldButton from '../common/GoldButton';
@@ -16,8 +16,8 @@ const MarketInsights: React.FC = () => {
     refreshMarketInsights
   } = useAI();
 
-  const getIconAndColor = (title: string) => {
-    const lowerTitle = title.toLowerCase();
+  const getIconAndColor = ({ title, sentiment }: MarketInsight) => {
+    const lowerTitle = sentiment || title.toLowerCase();
     if (lowerTitle.includes('bull') || lowerTitle.includes('trend') || lowerTitle.includes('upward') || lowerTitle.includes('rise')) {
       return { icon: TrendingUp, color: 'text-green-500', bgColor: 'bg-green-100 dark:bg-green-900/20' };
     } else if (lowerTitle.includes('bear') || lowerTitle.includes('down') || lowerTitle.includes('correction') || lowerTitle.includes('fall')) {
@@ -57,7 +57,7 @@ const MarketInsights: React.FC = () => {
               Market Insights
             </h3>
             <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-slate-500'}`}>
-              AI-powered analysis
+              {marketInsights?.source === 'fallback' ? 'Default insights (AI unavailable)' : 'AI-powered analysis'}
             </p>
           </div>
         </div>
@@ -102,8 +102,8 @@ const MarketInsights: React.FC = () => {
               exit={{ opacity: 0, y: -10 }}
               className="space-y-4"
             >
-              {marketInsights.insights.map((insight: any, index: number) => {
-                const { icon: Icon, color, bgColor } = getIconAndColor(insight.title);
+              {marketInsights.insights.map((insight, index) => {
+                const { icon: Icon, color, bgColor } = getIconAndColor(insight);
                 
                 return (
                   <motion.div 
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { MapPin } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { ApiClient, API_ENDPOINTS } from '../../config/api';
+
+interface City {
+  id: string;
+  name: string;
+}
+
+interface CitySelectorProps {
+  value: string | null;
+  onChange: (city: string | null) => void;
+}
+
+// Picks the city whose premiums apply to live prices; empty for national prices
+const CitySelector: React.FC<CitySelectorProps> = ({ value, onChange }) => {
+  const { isDark } = useTheme();
+  const [cities, setCities] = useState<City[]>([]);
+
+  useEffect(() => {
+    ApiClient.get(API_ENDPOINTS.METALS.CITIES).then(result => {
+      if (result.success && result.data?.cities) {
+        setCities(result.data.cities);
+      }
+    });
+  }, []);
+
+  // Nothing to choose until an admin adds city premiums
+  if (cities.length === 0) {
+    return null;
+  }
+
+  return (
+    <label className={`flex items-center space-x-2 text-sm ${isDark ? 'text-gray-300' : 'text-slate-600'}`}>
+      <MapPin className="h-4 w-4 text-amber-500" />
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className={`rounded-lg px-3 py-1.5 border transition-colors duration-300 ${
+          isDark
+            ? 'bg-gray-800 border-gray-700 text-white'
+            : 'bg-white border-slate-200 text-slate-900'
+        }`}
+      >
+        <option value="">National price</option>
+        {cities.map(city => (
+          <option key={city.id} value={city.id}>
+            {city.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default CitySelector;
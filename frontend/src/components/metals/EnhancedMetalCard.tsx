@@ -210,7 +210,7 @@ const EnhancedMetalCard: React.FC<EnhancedMetalCardProps> = ({
           <p className={`text-xs transition-colors duration-300 ${
             isDark ? 'text-gray-500' : 'text-slate-400'
           }`}>
-            {getPriceLabel()}
+            {getPriceLabel()}{metal.city && ` · ${metal.city} rate`}
           </p>
         </div>
 
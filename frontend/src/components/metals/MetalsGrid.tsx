@@ -19,6 +19,7 @@ export interface Metal {
   price_gram_22k?: number;
   price_gram_18k?: number;
   per_ounce_price?: number;
+  city?: string; // City name when its premium is applied
 }
 
 interface MetalsGridProps {
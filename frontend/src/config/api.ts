@@ -12,9 +12,11 @@ export const API_BASE_URL = isDevelopment
   ? `http://localhost:${BACKEND_PORT}`
   : window.location.origin;
 
+// The price stream is served by the backend HTTP server under /ws/prices
+const WS_PROTOCOL = window.location.protocol === 'https:' ? 'wss' : 'ws';
 export const WS_BASE_URL = isDevelopment
-  ? `ws://localhost:3001`
-  : `ws://${window.location.hostname}:3001`;
+  ? `ws://localhost:${BACKEND_PORT}/ws/prices`
+  : `${WS_PROTOCOL}://${window.location.host}/ws/prices`;
 
 // API Endpoints
 export const API_ENDPOINTS = {
@@ -29,7 +31,8 @@ export const API_ENDPOINTS = {
     TIMEFRAME: '/api/metals/timeframe',
     CHANGE: '/api/metals/change',
     CARAT: '/api/metals/carat',
-    SYMBOLS: '/api/metals/symbols'
+    SYMBOLS: '/api/metals/symbols',
+    CITIES: '/api/metals/cities'
   },
   
   // AI Endpoints
@@ -37,6 +40,10 @@ export const API_ENDPOINTS = {
     ASSISTANT: '/api/metals/ai/assistant',
     MARKET_INSIGHTS: '/api/metals/ai/market-insights',
     CHAT: '/api/metals/ai/chat',
+    CHAT_STREAM: '/api/v1/market/chat/stream',
+    CONVERSATIONS: '/api/v1/market/conversations',
+    CONVERSATION: (id: number) => `/api/v1/market/conversations/${id}`,
+    CONVERSATION_MESSAGES_STREAM: (id: number) => `/api/v1/market/conversations/${id}/messages/stream`,
     INSIGHTS: '/api/metals/ai/insights'
   },
   
@@ -79,6 +86,12 @@ export const buildApiUrl = (endpoint: string, params?: Record<string, string | n
   return url;
 };
 
+// Bearer token stored by AuthContext after login
+const getAuthHeaders = (): Record<string, string> => {
+  const token = localStorage.getItem('token');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 // HTTP client with error handling
 export class ApiClient {
   static async request<T = any>(
@@ -92,6 +105,7 @@ export class ApiClient {
       const response = await fetch(url, {
         headers: {
           'Content-Type': 'application/json',
+          ...getAuthHeaders(),
           ...options.headers,
         },
         ...options,
@@ -149,6 +163,68 @@ export class ApiClient {
       method: 'DELETE',
     });
   }
+
+  /**
+   * POST and read a Server-Sent Events response, calling onEvent for each
+   * event as it arrives. Abort the signal to cancel the upstream call.
+   */
+  static async stream(
+    endpoint: string,
+    data: any,
+    onEvent: (event: string, payload: any) => void,
+    signal?: AbortSignal
+  ): Promise<void> {
+    const url = buildApiUrl(endpoint);
+    console.log(`🔗 API Stream: POST ${url}`);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...getAuthHeaders(),
+      },
+      body: JSON.stringify(data),
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+
+        let event = 'message';
+        const dataLines: string[] = [];
+        for (const line of frame.split('\n')) {
+          if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trimStart());
+          }
+        }
+
+        // Comment-only frames are heartbeats
+        if (dataLines.length > 0) {
+          onEvent(event, JSON.parse(dataLines.join('\n')));
+        }
+      }
+    }
+  }
 }
 
 // Development logging
@@ -15,6 +15,7 @@ interface User {
   preferences: {
     theme: 'light' | 'dark';
     currency: string;
+    city?: string | null;
     notifications: boolean;
   };
 }
@@ -1,20 +1,66 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { ApiClient, API_ENDPOINTS } from '../config/api';
 
-interface AIInsights {
-  insights: string[];
+export type InsightSentiment = 'bullish' | 'bearish' | 'neutral';
+
+export interface SupportingNumber {
+  label: string;
+  value: number;
+  unit?: string;
 }
 
-interface MarketInsight {
+export interface MarketInsight {
   title: string;
   description: string;
+  sentiment?: InsightSentiment;
+  metal?: 'gold' | 'silver' | 'platinum' | 'palladium' | 'market';
+  confidence?: number;
+  supportingNumbers?: SupportingNumber[];
+}
+
+// 'model' when the insights passed schema validation, 'fallback' for defaults
+export type InsightSource = 'model' | 'fallback';
+
+interface AIInsights {
+  insights: MarketInsight[];
+  source?: InsightSource;
+  reason?: string | null;
 }
 
 interface MarketInsights {
   insights: MarketInsight[];
   aiRecommendation: string;
+  sentiment?: InsightSentiment;
+  source?: InsightSource;
+  reason?: string | null;
 }
 
+export interface Conversation {
+  id: number;
+  title: string;
+  messageCount: number;
+  lastMessageAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ConversationMessage {
+  id: number;
+  role: 'user' | 'assistant';
+  content: string;
+  createdAt: string;
+}
+
+// Signed-in users chat in a server-side thread; its id survives reloads
+const CONVERSATION_STORAGE_KEY = 'aiConversationId';
+
+const isSignedIn = () => Boolean(localStorage.getItem('token'));
+
+const getStoredConversationId = (): number | null => {
+  const stored = localStorage.getItem(CONVERSATION_STORAGE_KEY);
+  return stored ? parseInt(stored, 10) : null;
+};
+
 interface UseAIReturn {
   // AI Assistant
   aiInsights: string[];
@@ -28,10 +74,22 @@ interface UseAIReturn {
   marketInsightsError: string | null;
   refreshMarketInsights: () => Promise<void>;
   
-  // Chat
+  // Chat (streamed)
   chatWithAI: (query: string, context?: any) => Promise<string>;
+  cancelChat: () => void;
+  streamingResponse: string;
+  activeTool: string | null;
   isChatLoading: boolean;
   chatError: string | null;
+
+  // Conversation threads (signed-in users)
+  conversationId: number | null;
+  conversations: Conversation[];
+  refreshConversations: () => Promise<void>;
+  loadConversation: (id: number) => Promise<ConversationMessage[]>;
+  startNewConversation: () => void;
+  renameConversation: (id: number, title: string) => Promise<void>;
+  deleteConversation: (id: number) => Promise<void>;
 }
 
 export const useAI = (refreshInterval: number = 5 * 60 * 1000): UseAIReturn => {
@@ -51,6 +109,24 @@ export const useAI = (refreshInterval: number = 5 * 60 * 1000): UseAIReturn => {
   // Chat
   const [isChatLoading, setIsChatLoading] = useState(false);
   const [chatError, setChatError] = useState<string | null>(null);
+  const [streamingResponse, setStreamingResponse] = useState<string>('');
+  const [activeTool, setActiveTool] = useState<string | null>(null);
+  const chatAbortRef = useRef<AbortController | null>(null);
+
+  // Conversations
+  const [conversationId, setConversationIdState] = useState<number | null>(getStoredConversationId);
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const conversationIdRef = useRef<number | null>(conversationId);
+
+  const setConversationId = useCallback((id: number | null) => {
+    conversationIdRef.current = id;
+    setConversationIdState(id);
+    if (id === null) {
+      localStorage.removeItem(CONVERSATION_STORAGE_KEY);
+    } else {
+      localStorage.setItem(CONVERSATION_STORAGE_KEY, String(id));
+    }
+  }, []);
 
   // Fetch AI Assistant Insights
   const refreshAIInsights = useCallback(async () => {
@@ -62,13 +138,11 @@ export const useAI = (refreshInterval: number = 5 * 60 * 1000): UseAIReturn => {
       const response = await ApiClient.get(API_ENDPOINTS.AI.ASSISTANT);
       console.log('🤖 AI Insights Response:', response);
       
-      if (response.success && response.data?.data?.insights) {
-        console.log('✅ Setting AI insights:', response.data.data.insights);
-        setAiInsights(response.data.data.insights);
-      } else if (response.success && response.data?.insights) {
-        // Fallback: check if insights are directly in data
-        console.log('✅ Setting AI insights (fallback):', response.data.insights);
-        setAiInsights(response.data.insights);
+      const result: AIInsights | undefined = response.data?.data?.insights ? response.data.data : response.data;
+
+      if (response.success && result?.insights) {
+        console.log('✅ Setting AI insights:', result.insights);
+        setAiInsights(result.insights.map(insight => insight.description));
       } else {
         console.error('❌ Unexpected response structure:', response);
         throw new Error(response.error || 'Failed to fetch AI insights - unexpected response structure');
@@ -117,47 +191,169 @@ export const useAI = (refreshInterval: number = 5 * 60 * 1000): UseAIReturn => {
       // Set fallback insights on error
       setMarketInsights({
         insights: [
-          { title: "Market Trend", description: "Precious metals showing steady movement" },
-          { title: "Price Action", description: "Current levels within normal ranges" },
-          { title: "Volume Analysis", description: "Trading activity at expected levels" }
+          { title: "Market Trend", description: "Precious metals showing steady movement", sentiment: 'neutral' },
+          { title: "Price Action", description: "Current levels within normal ranges", sentiment: 'neutral' },
+          { title: "Volume Analysis", description: "Trading activity at expected levels", sentiment: 'neutral' }
         ],
-        aiRecommendation: "Monitor market conditions and consider diversified approach to precious metals investing."
+        aiRecommendation: "Monitor market conditions and consider diversified approach to precious metals investing.",
+        sentiment: 'neutral',
+        source: 'fallback'
       });
     } finally {
       setMarketInsightsLoading(false);
     }
   }, []);
 
-  // Chat with AI
+  // Chat with AI - partial output is exposed through streamingResponse as it arrives.
+  // Resolves with the full response, or with the partial text if cancelled.
   const chatWithAI = useCallback(async (query: string, context?: any): Promise<string> => {
+    chatAbortRef.current?.abort();
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+
+    let partial = '';
+
     try {
       setIsChatLoading(true);
       setChatError(null);
+      setStreamingResponse('');
+      setActiveTool(null);
       
       console.log('💬 Sending chat message:', { query, context });
-      const response = await ApiClient.post(API_ENDPOINTS.AI.CHAT, {
-        query,
-        context
-      });
-      console.log('💬 Chat Response:', response);
-      
-      if (response.success && response.data?.response) {
-        console.log('✅ Chat response received:', response.data.response);
-        return response.data.response;
-      } else {
-        console.error('❌ Unexpected chat response structure:', response);
-        throw new Error(response.error || 'Failed to get AI response - unexpected response structure');
+      let finalResponse: string | null = null;
+
+      // Signed-in users continue their stored thread; the server supplies the history
+      let endpoint = API_ENDPOINTS.AI.CHAT_STREAM;
+      if (isSignedIn()) {
+        let threadId = conversationIdRef.current;
+        if (threadId === null) {
+          const created = await ApiClient.post(API_ENDPOINTS.AI.CONVERSATIONS, {});
+          if (!created.success || !created.data?.conversation) {
+            throw new Error(created.error || 'Failed to start conversation');
+          }
+          threadId = created.data.conversation.id as number;
+          setConversationId(threadId);
+        }
+        endpoint = API_ENDPOINTS.AI.CONVERSATION_MESSAGES_STREAM(threadId);
       }
+
+      await ApiClient.stream(
+        endpoint,
+        { input: query, context },
+        (event, payload) => {
+          switch (event) {
+            case 'token':
+              partial += payload.token;
+              setStreamingResponse(partial);
+              break;
+            case 'tool_start':
+              setActiveTool(payload.label);
+              break;
+            case 'tool_end':
+              setActiveTool(null);
+              break;
+            case 'done':
+              finalResponse = payload.response;
+              break;
+            case 'error':
+              throw new Error(payload.error || 'Failed to get AI response');
+          }
+        },
+        controller.signal
+      );
+
+      if (finalResponse === null) {
+        throw new Error('AI response stream ended unexpectedly');
+      }
+
+      console.log('✅ Chat response received:', finalResponse);
+      setStreamingResponse(finalResponse);
+      return finalResponse;
     } catch (error) {
+      if (controller.signal.aborted) {
+        console.log('🛑 Chat cancelled');
+        return partial;
+      }
+
       const errorMessage = error instanceof Error ? error.message : 'Unknown error';
       console.error('❌ Error chatting with AI:', errorMessage);
       setChatError(errorMessage);
+
+      // The stored thread was deleted elsewhere; the next message starts a new one
+      if (errorMessage.startsWith('HTTP 404')) {
+        setConversationId(null);
+      }
       throw new Error(`AI chat failed: ${errorMessage}`);
     } finally {
-      setIsChatLoading(false);
+      if (chatAbortRef.current === controller) {
+        chatAbortRef.current = null;
+        setIsChatLoading(false);
+        setActiveTool(null);
+      }
+    }
+  }, [setConversationId]);
+
+  const cancelChat = useCallback(() => {
+    chatAbortRef.current?.abort();
+  }, []);
+
+  const refreshConversations = useCallback(async () => {
+    if (!isSignedIn()) {
+      setConversations([]);
+      return;
+    }
+
+    const response = await ApiClient.get(API_ENDPOINTS.AI.CONVERSATIONS);
+    if (response.success && response.data?.conversations) {
+      setConversations(response.data.conversations);
+    } else {
+      console.error('❌ Error fetching conversations:', response.error);
     }
   }, []);
 
+  const loadConversation = useCallback(async (id: number): Promise<ConversationMessage[]> => {
+    const response = await ApiClient.get(API_ENDPOINTS.AI.CONVERSATION(id));
+    if (!response.success || !response.data?.conversation) {
+      throw new Error(response.error || 'Failed to load conversation');
+    }
+
+    setConversationId(id);
+    return response.data.messages || [];
+  }, [setConversationId]);
+
+  const startNewConversation = useCallback(() => {
+    chatAbortRef.current?.abort();
+    setConversationId(null);
+    setStreamingResponse('');
+    setChatError(null);
+  }, [setConversationId]);
+
+  const renameConversation = useCallback(async (id: number, title: string) => {
+    const response = await ApiClient.put(API_ENDPOINTS.AI.CONVERSATION(id), { title });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to rename conversation');
+    }
+    await refreshConversations();
+  }, [refreshConversations]);
+
+  const deleteConversation = useCallback(async (id: number) => {
+    const response = await ApiClient.delete(API_ENDPOINTS.AI.CONVERSATION(id));
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to delete conversation');
+    }
+    if (conversationIdRef.current === id) {
+      setConversationId(null);
+    }
+    await refreshConversations();
+  }, [refreshConversations, setConversationId]);
+
+  // Abort any in-flight chat when the component using the hook unmounts
+  useEffect(() => {
+    return () => {
+      chatAbortRef.current?.abort();
+    };
+  }, []);
+
   // Initial load and interval refresh
   useEffect(() => {
     console.log('🤖 Initializing AI services...');
@@ -199,7 +395,19 @@ export const useAI = (refreshInterval: number = 5 * 60 * 1000): UseAIReturn => {
     
     // Chat
     chatWithAI,
+    cancelChat,
+    streamingResponse,
+    activeTool,
     isChatLoading,
-    chatError
+    chatError,
+
+    // Conversations
+    conversationId,
+    conversations,
+    refreshConversations,
+    loadConversation,
+    startNewConversation,
+    renameConversation,
+    deleteConversation
   };
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ApiClient, API_ENDPOINTS } from '../config/api';
+
+export interface ChartCandle {
+  timestamp: string;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  samples: number;
+  filled: boolean;
+}
+
+export interface ChartMeta {
+  interval: string;
+  from: string;
+  to: string;
+  expectedCandles: number;
+  observedCandles: number;
+  filledCandles: number;
+  gapFill: string;
+  insufficientData: boolean;
+}
+
+interface UseChartCandlesReturn {
+  candles: ChartCandle[];
+  meta: ChartMeta | null;
+  loading: boolean;
+  error: string | null;
+  insufficientData: boolean;
+  refresh: () => Promise<void>;
+}
+
+/**
+ * OHLC candles aggregated by the backend from stored prices
+ */
+export const useChartCandles = (metal: string, period: string): UseChartCandlesReturn => {
+  const [candles, setCandles] = useState<ChartCandle[]>([]);
+  const [meta, setMeta] = useState<ChartMeta | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = await ApiClient.get(API_ENDPOINTS.METALS.CHART(metal, period));
+
+      if (!result.success) {
+        throw new Error(result.error || 'API request failed');
+      }
+
+      if (!result.data?.success) {
+        throw new Error(result.data?.error || 'Failed to fetch chart data');
+      }
+
+      setCandles(result.data.data || []);
+      setMeta(result.data.meta || null);
+    } catch (err) {
+      console.error('Failed to fetch chart candles:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch chart data');
+      setCandles([]);
+      setMeta(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [metal, period]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    candles,
+    meta,
+    loading,
+    error,
+    insufficientData: meta?.insufficientData ?? candles.length === 0,
+    refresh
+  };
+};
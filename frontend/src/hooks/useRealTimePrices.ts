@@ -1,5 +1,5 @@
-import { useState, useEffect, useCallback } from 'react';
-import { ApiClient, API_ENDPOINTS } from '../config/api';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { ApiClient, API_ENDPOINTS, WS_BASE_URL } from '../config/api';
 
 interface PriceData {
   price: number;
@@ -21,18 +21,203 @@ interface RealTimePricesData {
   palladium: PriceData;
 }
 
-export const useRealTimePrices = () => {
+type MetalName = keyof RealTimePricesData;
+
+// Price fields as sent by /api/metals/live and the price stream; stream
+// deltas only carry the fields that changed
+interface RawPriceData {
+  price?: number;
+  change?: number;
+  changePercent?: number;
+  high?: number;
+  low?: number;
+  timestamp?: string;
+  price_gram_24k?: number;
+  price_gram_22k?: number;
+  price_gram_18k?: number;
+}
+
+// Premium of the selected city, as reported per metal by /api/metals/live;
+// per_gram values are in the response currency
+interface CityPremium {
+  type: 'percentage' | 'per_gram';
+  value: number;
+}
+
+type CityPremiums = Partial<Record<MetalName, CityPremium | null>>;
+
+export interface PriceCity {
+  id: string;
+  name: string;
+}
+
+interface StreamFrame {
+  type: string;
+  seq?: number;
+  data?: Partial<Record<MetalName, RawPriceData>>;
+  error?: { code: string; message: string };
+}
+
+// live: prices come from the stream; polling: the stream is down and
+// /api/metals/live is polled until it reconnects
+export type PriceConnectionStatus = 'connecting' | 'live' | 'polling';
+
+const METAL_NAMES: MetalName[] = ['gold', 'silver', 'platinum', 'palladium'];
+
+const POLL_INTERVAL_MS = 60000;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+// EnhancedMetalCard formats INR, and the anonymous price stream sends the base currency (INR)
+const PRICE_CURRENCY = 'INR';
+
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+const OUNCE_FIELDS = ['price', 'high', 'low'] as const;
+
+const GRAM_PURITY = {
+  price_gram_24k: 1,
+  price_gram_22k: 22 / 24,
+  price_gram_18k: 18 / 24
+} as const;
+
+type GramField = keyof typeof GRAM_PURITY;
+const GRAM_FIELDS = Object.keys(GRAM_PURITY) as GramField[];
+
+// The price stream carries national prices; apply the city premium the way
+// the backend does for /api/metals/live?city=
+const applyCityPremium = (data: RawPriceData, premium?: CityPremium | null): RawPriceData => {
+  if (!premium) return data;
+
+  const adjusted: RawPriceData = { ...data };
+
+  if (premium.type === 'percentage') {
+    const factor = 1 + premium.value / 100;
+    [...OUNCE_FIELDS, 'change' as const, ...GRAM_FIELDS].forEach(field => {
+      const value = data[field];
+      if (typeof value === 'number') adjusted[field] = value * factor;
+    });
+  } else {
+    OUNCE_FIELDS.forEach(field => {
+      const value = data[field];
+      if (typeof value === 'number') adjusted[field] = value + premium.value * GRAMS_PER_TROY_OUNCE;
+    });
+    GRAM_FIELDS.forEach(field => {
+      const value = data[field];
+      if (typeof value === 'number') adjusted[field] = value + premium.value * GRAM_PURITY[field];
+    });
+  }
+
+  return adjusted;
+};
+
+const applyCityPremiums = (
+  data: Partial<Record<MetalName, RawPriceData>>,
+  premiums: CityPremiums
+): Partial<Record<MetalName, RawPriceData>> => {
+  const adjusted: Partial<Record<MetalName, RawPriceData>> = {};
+
+  METAL_NAMES.forEach(metal => {
+    const metalData = data[metal];
+    if (metalData) {
+      adjusted[metal] = applyCityPremium(metalData, premiums[metal]);
+    }
+  });
+
+  return adjusted;
+};
+
+const formatPriceData = (data: RawPriceData & { price: number }, timestamp: Date): PriceData => ({
+  price: data.price,
+  change: data.change ?? 0,
+  changePercent: data.changePercent ?? 0,
+  high: data.high ?? data.price,
+  low: data.low ?? data.price,
+  timestamp,
+  price_gram_24k: data.price_gram_24k,
+  price_gram_22k: data.price_gram_22k,
+  price_gram_18k: data.price_gram_18k,
+  per_ounce_price: data.price
+});
+
+// Only keep metals that have valid data (no errors)
+const formatPrices = (
+  data: Partial<Record<MetalName, RawPriceData>>,
+  timestampOf: (metal: RawPriceData) => Date
+): Partial<RealTimePricesData> => {
+  const formattedData: Partial<RealTimePricesData> = {};
+
+  METAL_NAMES.forEach(metal => {
+    const metalData = data[metal];
+    if (metalData && metalData.price) {
+      formattedData[metal] = formatPriceData(
+        metalData as RawPriceData & { price: number },
+        timestampOf(metalData)
+      );
+    }
+  });
+
+  return formattedData;
+};
+
+const streamTimestamp = (metal: RawPriceData) =>
+  metal.timestamp ? new Date(metal.timestamp) : new Date();
+
+// Merge a stream delta into the current prices
+const applyDelta = (
+  prices: RealTimePricesData | null,
+  delta: Partial<Record<MetalName, RawPriceData>>
+): RealTimePricesData | null => {
+  const next: Partial<RealTimePricesData> = { ...prices };
+
+  METAL_NAMES.forEach(metal => {
+    const changed = delta[metal];
+    if (!changed) return;
+
+    const current = next[metal];
+    if (current) {
+      const { timestamp, ...fields } = changed;
+      const price = fields.price ?? current.price;
+      next[metal] = {
+        ...current,
+        ...fields,
+        price,
+        per_ounce_price: price,
+        timestamp: timestamp ? new Date(timestamp) : current.timestamp
+      };
+    } else if (changed.price) {
+      next[metal] = formatPriceData(changed as RawPriceData & { price: number }, streamTimestamp(changed));
+    }
+  });
+
+  return Object.keys(next).length > 0 ? (next as RealTimePricesData) : prices;
+};
+
+/**
+ * Live prices, with the premiums of a city (id from /api/metals/cities)
+ * applied; national prices when no city is given
+ */
+export const useRealTimePrices = (city?: string | null) => {
   const [prices, setPrices] = useState<RealTimePricesData | null>(null);
+  const [priceCity, setPriceCity] = useState<PriceCity | null>(null);
+  const premiumsRef = useRef<CityPremiums>({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
+  const [connectionStatus, setConnectionStatus] = useState<PriceConnectionStatus>('connecting');
 
 
   const fetchPrices = useCallback(async () => {
     try {
       setError(null);
       
-      const result = await ApiClient.get(API_ENDPOINTS.METALS.LIVE);
+      // Until this city's premiums arrive, stream frames show national prices
+      premiumsRef.current = {};
+
+      const result = await ApiClient.get(API_ENDPOINTS.METALS.LIVE, {
+        currency: PRICE_CURRENCY,
+        city: city || 'national'
+      });
       
       if (!result.success) {
         throw new Error(result.error || 'API request failed');
@@ -42,69 +227,12 @@ export const useRealTimePrices = () => {
         throw new Error('No data received from API');
       }
       
-      // Only process metals that have valid data (no errors)
-      const formattedData: Partial<RealTimePricesData> = {};
-      const apiData = result.data.data;
-      
-      if (apiData.gold && apiData.gold.price) {
-        formattedData.gold = {
-          price: apiData.gold.price,
-          change: apiData.gold.change ?? 0,
-          changePercent: apiData.gold.changePercent ?? 0,
-          high: apiData.gold.high ?? apiData.gold.price,
-          low: apiData.gold.low ?? apiData.gold.price,
-          timestamp: new Date(),
-          price_gram_24k: apiData.gold.price_gram_24k,
-          price_gram_22k: apiData.gold.price_gram_22k,
-          price_gram_18k: apiData.gold.price_gram_18k,
-          per_ounce_price: apiData.gold.price
-        };
-      }
-      
-      if (apiData.silver && apiData.silver.price) {
-        formattedData.silver = {
-          price: apiData.silver.price,
-          change: apiData.silver.change ?? 0,
-          changePercent: apiData.silver.changePercent ?? 0,
-          high: apiData.silver.high ?? apiData.silver.price,
-          low: apiData.silver.low ?? apiData.silver.price,
-          timestamp: new Date(),
-          price_gram_24k: apiData.silver.price_gram_24k,
-          price_gram_22k: apiData.silver.price_gram_22k,
-          price_gram_18k: apiData.silver.price_gram_18k,
-          per_ounce_price: apiData.silver.price
-        };
-      }
-      
-      if (apiData.platinum && apiData.platinum.price) {
-        formattedData.platinum = {
-          price: apiData.platinum.price,
-          change: apiData.platinum.change ?? 0,
-          changePercent: apiData.platinum.changePercent ?? 0,
-          high: apiData.platinum.high ?? apiData.platinum.price,
-          low: apiData.platinum.low ?? apiData.platinum.price,
-          timestamp: new Date(),
-          price_gram_24k: apiData.platinum.price_gram_24k,
-          price_gram_22k: apiData.platinum.price_gram_22k,
-          price_gram_18k: apiData.platinum.price_gram_18k,
-          per_ounce_price: apiData.platinum.price
-        };
-      }
-      
-      if (apiData.palladium && apiData.palladium.price) {
-        formattedData.palladium = {
-          price: apiData.palladium.price,
-          change: apiData.palladium.change ?? 0,
-          changePercent: apiData.palladium.changePercent ?? 0,
-          high: apiData.palladium.high ?? apiData.palladium.price,
-          low: apiData.palladium.low ?? apiData.palladium.price,
-          timestamp: new Date(),
-          price_gram_24k: apiData.palladium.price_gram_24k,
-          price_gram_22k: apiData.palladium.price_gram_22k,
-          price_gram_18k: apiData.palladium.price_gram_18k,
-          per_ounce_price: apiData.palladium.price
-        };
-      }
+      const formattedData = formatPrices(result.data.data, () => new Date());
+
+      premiumsRef.current = Object.fromEntries(
+        METAL_NAMES.map(metal => [metal, result.data.data[metal]?.cityPremium ?? null])
+      );
+      setPriceCity(result.data.city ?? null);
       
       // Only set prices if we have at least some valid data
       if (Object.keys(formattedData).length > 0) {
@@ -120,20 +248,109 @@ export const useRealTimePrices = () => {
       setError(err instanceof Error ? err.message : 'Failed to fetch price data');
       setLoading(false);
     }
-  }, []);
+  }, [city]);
 
   useEffect(() => {
-    // Initial fetch
-    fetchPrices();
+    let socket: WebSocket | null = null;
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+    let pollTimer: ReturnType<typeof setInterval> | null = null;
+    let reconnectAttempts = 0;
+    let lastSeq: number | null = null;
+    let disposed = false;
+
+    const startPolling = () => {
+      setConnectionStatus('polling');
+      if (!pollTimer) {
+        pollTimer = setInterval(fetchPrices, POLL_INTERVAL_MS);
+      }
+    };
 
-    // Disable WebSocket for now since server is not running
-    // Set up periodic refresh instead
-    const refreshInterval = setInterval(() => {
-      fetchPrices();
-    }, 300000); // Update every 5 minutes
+    const stopPolling = () => {
+      if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      }
+    };
+
+    const handleFrame = (frame: StreamFrame) => {
+      if (typeof frame.seq === 'number') {
+        lastSeq = Math.max(lastSeq ?? 0, frame.seq);
+      }
+
+      switch (frame.type) {
+        case 'price.snapshot': {
+          const formattedData = formatPrices(applyCityPremiums(frame.data || {}, premiumsRef.current), streamTimestamp);
+          if (Object.keys(formattedData).length > 0) {
+            setPrices(formattedData as RealTimePricesData);
+            setLastUpdated(new Date());
+            setError(null);
+            setLoading(false);
+          }
+          break;
+        }
+        case 'price.delta':
+          setPrices(prev => applyDelta(prev, applyCityPremiums(frame.data || {}, premiumsRef.current)));
+          setLastUpdated(new Date());
+          break;
+        case 'error':
+          console.warn('Price stream error:', frame.error);
+          break;
+      }
+    };
+
+    // Reconnect with exponential backoff, resuming after the last frame seen
+    const scheduleReconnect = () => {
+      const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+      reconnectAttempts++;
+      reconnectTimer = setTimeout(connect, delay);
+    };
+
+    const connect = () => {
+      reconnectTimer = null;
+      const url = lastSeq === null ? WS_BASE_URL : `${WS_BASE_URL}?since=${lastSeq}`;
+
+      try {
+        socket = new WebSocket(url);
+      } catch (err) {
+        console.error('Failed to open price stream:', err);
+        startPolling();
+        scheduleReconnect();
+        return;
+      }
+
+      socket.onopen = () => {
+        reconnectAttempts = 0;
+        stopPolling();
+        setConnectionStatus('live');
+      };
+
+      socket.onmessage = (event) => {
+        try {
+          handleFrame(JSON.parse(event.data));
+        } catch (err) {
+          console.error('Invalid price stream message:', err);
+        }
+      };
+
+      socket.onclose = () => {
+        socket = null;
+        if (disposed) return;
+        startPolling();
+        scheduleReconnect();
+      };
+    };
+
+    // Initial fetch, so prices show before the stream connects
+    fetchPrices();
+    connect();
 
     return () => {
-      clearInterval(refreshInterval);
+      disposed = true;
+      stopPolling();
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+      }
+      socket?.close();
     };
   }, [fetchPrices]);
 
@@ -144,9 +361,11 @@ export const useRealTimePrices = () => {
 
   return {
     prices,
+    city: priceCity,
     loading,
     error,
     lastUpdated,
+    connectionStatus,
     refreshPrices
   };
 };